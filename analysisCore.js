@@ -0,0 +1,1206 @@
+/**
+ * Gene Correlation Explorer - Analysis Core
+ * DOM-free statistics and correlation kernels, shared by the main thread
+ * (app.js) and the worker pool (analysisWorker.js).
+ *
+ * Author: Wermeling Lab / Karolinska Institutet
+ */
+
+(function (root) {
+    'use strict';
+
+    // ---- Basic statistics ----
+
+    function mean(arr) {
+        if (arr.length === 0) return NaN;
+        return arr.reduce((a, b) => a + b, 0) / arr.length;
+    }
+
+    function variance(arr) {
+        if (arr.length < 2) return 0;
+        const m = mean(arr);
+        return arr.reduce((acc, val) => acc + (val - m) ** 2, 0) / (arr.length - 1);
+    }
+
+    function pearsonWithSlope(x, y) {
+        let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0, n = 0;
+
+        for (let i = 0; i < x.length; i++) {
+            if (!isNaN(x[i]) && !isNaN(y[i])) {
+                sumX += x[i];
+                sumY += y[i];
+                sumXY += x[i] * y[i];
+                sumX2 += x[i] * x[i];
+                sumY2 += y[i] * y[i];
+                n++;
+            }
+        }
+
+        if (n < 3) return { correlation: NaN, slope: NaN, n: 0 };
+
+        const meanX = sumX / n;
+        const meanY = sumY / n;
+        const numerator = sumXY - n * meanX * meanY;
+        const denomX = Math.sqrt(sumX2 - n * meanX * meanX);
+        const denomY = Math.sqrt(sumY2 - n * meanY * meanY);
+
+        const correlation = denomX * denomY === 0 ? NaN : numerator / (denomX * denomY);
+        const slope = (sumX2 - n * meanX * meanX) === 0 ? NaN : numerator / (sumX2 - n * meanX * meanX);
+
+        return { correlation, slope, n };
+    }
+
+    // ---- Correlation methods ----
+    // 'pearson'  - product-moment r
+    // 'spearman' - Pearson r on (average-tie) ranks
+    // 'bicor'    - biweight midcorrelation: median/MAD-weighted, down-weights outlier cell lines
+    // Each method maps a vector to a unit vector whose dot product with another is the
+    // correlation, which lets the normalized matrix cache screen any of them.
+
+    const CORRELATION_METHODS = ['pearson', 'spearman', 'bicor'];
+
+    function median(sorted) {
+        const n = sorted.length;
+        if (n === 0) return NaN;
+        const mid = n >> 1;
+        return n % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
+
+    // Ranks 1..n, tied values share their average rank
+    function rankValues(values) {
+        const n = values.length;
+        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => values[a] - values[b]);
+        const ranks = new Float64Array(n);
+        let i = 0;
+        while (i < n) {
+            let j = i;
+            while (j + 1 < n && values[order[j + 1]] === values[order[i]]) j++;
+            const rank = (i + j) / 2 + 1;
+            for (let k = i; k <= j; k++) ranks[order[k]] = rank;
+            i = j + 1;
+        }
+        return ranks;
+    }
+
+    // Write the method's unit vector for `values` (no NaN) into `out`.
+    // Returns false when the vector has no spread (correlation undefined).
+    function unitVector(values, method, out) {
+        const n = values.length;
+        let centered = null;
+
+        if (method === 'bicor') {
+            const sorted = Float64Array.from(values).sort();
+            const med = median(sorted);
+            const absDev = Float64Array.from(values, v => Math.abs(v - med)).sort();
+            const mad = median(absDev);
+            if (mad > 0) {
+                centered = Float64Array.from(values, v => {
+                    const u = (v - med) / (9 * mad);
+                    return Math.abs(u) < 1 ? (v - med) * (1 - u * u) ** 2 : 0;
+                });
+            }
+            // MAD of zero (over half the values tied): fall back to Pearson weighting
+        }
+
+        if (!centered) {
+            const source = method === 'spearman' ? rankValues(values) : values;
+            let sum = 0;
+            for (let k = 0; k < n; k++) sum += source[k];
+            const m = sum / n;
+            centered = Float64Array.from(source, v => v - m);
+        }
+
+        let ss = 0;
+        for (let k = 0; k < n; k++) ss += centered[k] * centered[k];
+        if (!(ss > 0)) return false;
+        const scale = 1 / Math.sqrt(ss);
+        for (let k = 0; k < n; k++) out[k] = centered[k] * scale;
+        return true;
+    }
+
+    // Correlation of x and y under `method`, over pairwise-complete values.
+    // Slope is always the ordinary least-squares slope of the raw values.
+    function correlateValues(x, y, method = 'pearson') {
+        const result = pearsonWithSlope(x, y);
+        if (method === 'pearson' || result.n === 0) return result;
+
+        const xs = new Float64Array(result.n);
+        const ys = new Float64Array(result.n);
+        let n = 0;
+        for (let i = 0; i < x.length; i++) {
+            if (!isNaN(x[i]) && !isNaN(y[i])) {
+                xs[n] = x[i];
+                ys[n] = y[i];
+                n++;
+            }
+        }
+
+        const ux = new Float64Array(n);
+        const uy = new Float64Array(n);
+        if (!unitVector(xs, method, ux) || !unitVector(ys, method, uy)) {
+            return { correlation: NaN, slope: result.slope, n };
+        }
+        let dot = 0;
+        for (let k = 0; k < n; k++) dot += ux[k] * uy[k];
+        return { correlation: Math.max(-1, Math.min(1, dot)), slope: result.slope, n };
+    }
+
+    function welchTTest(group1, group2) {
+        // Welch's t-test for unequal variances
+        const n1 = group1.length;
+        const n2 = group2.length;
+        const m1 = mean(group1);
+        const m2 = mean(group2);
+        const v1 = variance(group1);
+        const v2 = variance(group2);
+
+        if (n1 < 2 || n2 < 2) {
+            return { t: NaN, df: NaN, p: 1 };
+        }
+
+        const se = Math.sqrt(v1 / n1 + v2 / n2);
+        if (se === 0) {
+            return { t: 0, df: n1 + n2 - 2, p: 1 };
+        }
+
+        const t = (m1 - m2) / se;
+
+        // Welch-Satterthwaite degrees of freedom
+        const df = Math.pow(v1 / n1 + v2 / n2, 2) /
+            (Math.pow(v1 / n1, 2) / (n1 - 1) + Math.pow(v2 / n2, 2) / (n2 - 1));
+
+        // Two-tailed p-value using t-distribution approximation
+        const p = tDistributionPValue(Math.abs(t), df);
+
+        return { t, df, p };
+    }
+
+    function tDistributionPValue(t, df) {
+        // Approximation of two-tailed p-value for t-distribution
+        // Using normal approximation for large df, or beta approximation for small df
+        if (df <= 0 || isNaN(t) || isNaN(df)) return 1;
+
+        // For large df, approximate with normal distribution
+        if (df > 100) {
+            return 2 * (1 - normalCDF(t));
+        }
+
+        // Beta function approximation for t-distribution CDF
+        const x = df / (df + t * t);
+        const a = df / 2;
+        const b = 0.5;
+
+        // Incomplete beta function approximation
+        const betaInc = incompleteBeta(x, a, b);
+        return betaInc;
+    }
+
+    function incompleteBeta(x, a, b) {
+        // Simplified incomplete beta function for t-distribution p-value
+        // This is an approximation suitable for statistical testing
+        if (x <= 0) return 0;
+        if (x >= 1) return 1;
+
+        // Use continued fraction expansion (simplified)
+        const bt = Math.exp(
+            logGamma(a + b) - logGamma(a) - logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x)
+        );
+
+        if (x < (a + 1) / (a + b + 2)) {
+            return bt * betaCF(x, a, b) / a;
+        } else {
+            return 1 - bt * betaCF(1 - x, b, a) / b;
+        }
+    }
+
+    function betaCF(x, a, b) {
+        // Continued fraction for incomplete beta
+        const maxIter = 100;
+        const eps = 1e-10;
+
+        let qab = a + b;
+        let qap = a + 1;
+        let qam = a - 1;
+        let c = 1;
+        let d = 1 - qab * x / qap;
+        if (Math.abs(d) < 1e-30) d = 1e-30;
+        d = 1 / d;
+        let h = d;
+
+        for (let m = 1; m <= maxIter; m++) {
+            let m2 = 2 * m;
+            let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+            d = 1 + aa * d;
+            if (Math.abs(d) < 1e-30) d = 1e-30;
+            c = 1 + aa / c;
+            if (Math.abs(c) < 1e-30) c = 1e-30;
+            d = 1 / d;
+            h *= d * c;
+
+            aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+            d = 1 + aa * d;
+            if (Math.abs(d) < 1e-30) d = 1e-30;
+            c = 1 + aa / c;
+            if (Math.abs(c) < 1e-30) c = 1e-30;
+            d = 1 / d;
+            let del = d * c;
+            h *= del;
+
+            if (Math.abs(del - 1) < eps) break;
+        }
+
+        return h;
+    }
+
+    function logGamma(x) {
+        // Lanczos approximation for log gamma function
+        const g = 7;
+        const c = [
+            0.99999999999980993,
+            676.5203681218851,
+            -1259.1392167224028,
+            771.32342877765313,
+            -176.61502916214059,
+            12.507343278686905,
+            -0.13857109526572012,
+            9.9843695780195716e-6,
+            1.5056327351493116e-7
+        ];
+
+        if (x < 0.5) {
+            return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+        }
+
+        x -= 1;
+        let a = c[0];
+        for (let i = 1; i < g + 2; i++) {
+            a += c[i] / (x + i);
+        }
+
+        const t = x + g + 0.5;
+        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
+    }
+
+    function normalCDF(x) {
+        // Approximation of standard normal CDF
+        const a1 = 0.254829592, a2 = -0.284496736, a3 = 1.421413741;
+        const a4 = -1.453152027, a5 = 1.061405429, p = 0.3275911;
+        const sign = x < 0 ? -1 : 1;
+        x = Math.abs(x) / Math.sqrt(2);
+        const t = 1 / (1 + p * x);
+        const y = 1 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+        return 0.5 * (1 + sign * y);
+    }
+
+    // Two-tailed normal p-value, erfc(|z| / sqrt(2)) with the approximation of normalCDF; taken
+    // directly rather than as 2 * (1 - normalCDF), so p-values far below 1e-7 keep their precision
+    function normalTwoTailedPValue(z) {
+        if (isNaN(z)) return 1;
+        const a1 = 0.254829592, a2 = -0.284496736, a3 = 1.421413741;
+        const a4 = -1.453152027, a5 = 1.061405429, p = 0.3275911;
+        const x = Math.abs(z) / Math.sqrt(2);
+        const t = 1 / (1 + p * x);
+        return (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+    }
+
+    // Two-tailed critical value: t such that tDistributionPValue(t, df) = alpha.
+    // df is rounded to 2 decimals so results do not depend on which thread filled the cache.
+    const tCriticalCache = new Map();
+    function tCritical(alpha, df) {
+        if (isNaN(df) || df <= 0) return NaN;
+        const dfKey = df > 100 ? 101 : Math.round(df * 100) / 100;
+        const key = `${alpha}|${dfKey}`;
+        if (tCriticalCache.has(key)) return tCriticalCache.get(key);
+
+        // Bisection; the p-value decreases monotonically with t
+        let lo = 0, hi = 1;
+        while (tDistributionPValue(hi, dfKey) > alpha && hi < 1e6) hi *= 2;
+        for (let i = 0; i < 60; i++) {
+            const mid = (lo + hi) / 2;
+            if (tDistributionPValue(mid, dfKey) > alpha) lo = mid;
+            else hi = mid;
+        }
+        const t = (lo + hi) / 2;
+        tCriticalCache.set(key, t);
+        return t;
+    }
+
+    // Effect sizes for mean(group2) - mean(group1): Cohen's d (pooled SD), Hedges' g
+    // (small-sample corrected d) and the 95% CI of the difference using Welch's SE and df
+    function meanDifferenceStats(group1, group2, welch) {
+        const n1 = group1.length;
+        const n2 = group2.length;
+        const v1 = variance(group1);
+        const v2 = variance(group2);
+        const diff = mean(group2) - mean(group1);
+
+        const pooledSd = Math.sqrt(((n1 - 1) * v1 + (n2 - 1) * v2) / (n1 + n2 - 2));
+        const d = pooledSd > 0 ? diff / pooledSd : NaN;
+        const g = d * (1 - 3 / (4 * (n1 + n2) - 9));
+
+        const se = Math.sqrt(v1 / n1 + v2 / n2);
+        const margin = tCritical(0.05, welch.df) * se;
+
+        return { d, g, ciLow: diff - margin, ciHigh: diff + margin };
+    }
+
+    function bonferroniAdjust(pValues) {
+        const m = pValues.length;
+        return Array.from(pValues, p => Math.min(1, p * m));
+    }
+
+    // Two-tailed p-value for a correlation coefficient: t = r * sqrt(df / (1 - r^2)), df = n - 2 - k,
+    // where k is the number of covariates partialled out (0 for a plain correlation)
+    function correlationPValue(r, n, k = 0) {
+        const df = n - 2 - k;
+        if (isNaN(r) || df < 1) return 1;
+        if (Math.abs(r) >= 1) return 0;
+        const t = Math.abs(r) * Math.sqrt(df / (1 - r * r));
+        return tDistributionPValue(t, df);
+    }
+
+    // Difference between two independent correlations (r2 - r1) by the Fisher z-transformation:
+    // z = (atanh(r2) - atanh(r1)) / sqrt(1 / (n1 - 3) + 1 / (n2 - 3)), two-tailed normal p-value.
+    // |r| is capped just below 1 so perfect correlations still give a finite z
+    function fisherZTest(r1, n1, r2, n2) {
+        if (isNaN(r1) || isNaN(r2) || n1 <= 3 || n2 <= 3) return { z: NaN, pValue: 1 };
+        const cap = r => Math.max(-0.999999, Math.min(0.999999, r));
+        const z = (Math.atanh(cap(r2)) - Math.atanh(cap(r1))) / Math.sqrt(1 / (n1 - 3) + 1 / (n2 - 3));
+        return { z, pValue: normalTwoTailedPValue(z) };
+    }
+
+    // Benjamini-Hochberg over a family of p-values; returns a p -> q lookup so that
+    // only the reported hits need a q-value (the family can be 18k x input genes)
+    function bhQValueLookup(pValues) {
+        const sorted = Float64Array.from(pValues).sort();
+        const m = sorted.length;
+        const q = new Float64Array(m);
+        let running = 1;
+        for (let k = m - 1; k >= 0; k--) {
+            running = Math.min(running, sorted[k] * m / (k + 1));
+            q[k] = running;
+        }
+
+        return (p) => {
+            // Last position with sorted[pos] <= p (ties share the largest rank)
+            let lo = 0, hi = m;
+            while (lo < hi) {
+                const mid = (lo + hi) >> 1;
+                if (sorted[mid] <= p) lo = mid + 1;
+                else hi = mid;
+            }
+            return lo === 0 ? Math.min(1, p * m) : q[lo - 1];
+        };
+    }
+
+    function bhAdjust(pValues) {
+        const lookup = bhQValueLookup(pValues);
+        return Array.from(pValues, lookup);
+    }
+
+    // ---- Network clustering ----
+    // Communities of an undirected weighted graph: nNodes and edges [{ source, target, weight }]
+    // (node indices, weight > 0; repeated pairs add up). Louvain and Leiden maximize modularity
+    // Q = 1/2m * sum_ij [A_ij - resolution * k_i * k_j / 2m] over pairs in the same community;
+    // a higher resolution gives more, smaller communities. Nodes are visited in index order and
+    // ties keep the current community, so the result depends only on the input.
+    // Returns a community index per node (Int32Array, 0.. by first node).
+
+    const CLUSTERING_METHODS = ['components', 'louvain', 'leiden'];
+
+    // Adjacency maps with self-loops on the diagonal (A_ii, as in the aggregated graphs),
+    // weighted degrees and their total 2m
+    function buildGraph(nNodes, edges) {
+        const adj = Array.from({ length: nNodes }, () => new Map());
+        edges.forEach(({ source, target, weight }) => {
+            adj[source].set(target, (adj[source].get(target) || 0) + weight);
+            adj[target].set(source, (adj[target].get(source) || 0) + weight);
+        });
+        return graphFromAdjacency(adj);
+    }
+
+    function graphFromAdjacency(adj) {
+        const degree = new Float64Array(adj.length);
+        let total = 0;
+        adj.forEach((neighbours, i) => {
+            neighbours.forEach(weight => { degree[i] += weight; });
+            total += degree[i];
+        });
+        return { n: adj.length, adj, degree, total };
+    }
+
+    // Renumber community ids in place to 0..k-1 by first node; returns k
+    function renumberCommunities(community) {
+        const ids = new Map();
+        for (let i = 0; i < community.length; i++) {
+            if (!ids.has(community[i])) ids.set(community[i], ids.size);
+            community[i] = ids.get(community[i]);
+        }
+        return ids.size;
+    }
+
+    // One node per community; edge weights between communities summed (internal ones on the diagonal)
+    function aggregateGraph(graph, community, nCommunities) {
+        const adj = Array.from({ length: nCommunities }, () => new Map());
+        graph.adj.forEach((neighbours, i) => {
+            const ci = community[i];
+            neighbours.forEach((weight, j) => {
+                const cj = community[j];
+                adj[ci].set(cj, (adj[ci].get(cj) || 0) + weight);
+            });
+        });
+        return graphFromAdjacency(adj);
+    }
+
+    // Local moving: move nodes to the neighbouring (or an empty) community with the largest
+    // modularity gain until no move improves it. Nodes whose neighbourhood changed are
+    // visited again (queue), as in the Leiden paper. Returns whether any node moved.
+    function moveNodes(graph, community, resolution) {
+        const { n, adj, degree, total } = graph;
+        if (total === 0) return false;
+        const tot = new Float64Array(n);
+        const size = new Int32Array(n);
+        for (let i = 0; i < n; i++) {
+            tot[community[i]] += degree[i];
+            size[community[i]]++;
+        }
+        const empty = [];
+        for (let c = 0; c < n; c++) {
+            if (size[c] === 0) empty.push(c);
+        }
+
+        const weightTo = new Float64Array(n);
+        const queue = Array.from({ length: n }, (_, i) => i);
+        const queued = new Uint8Array(n).fill(1);
+        let moved = false;
+        for (let head = 0; head < queue.length; head++) {
+            const i = queue[head];
+            queued[i] = 0;
+            const ci = community[i];
+            const touched = [];
+            adj[i].forEach((weight, j) => {
+                if (j === i) return;
+                const c = community[j];
+                if (weightTo[c] === 0) touched.push(c);
+                weightTo[c] += weight;
+            });
+
+            tot[ci] -= degree[i];
+            size[ci]--;
+            let best = ci;
+            let bestGain = weightTo[ci] - resolution * tot[ci] * degree[i] / total;
+            touched.forEach(c => {
+                const gain = weightTo[c] - resolution * tot[c] * degree[i] / total;
+                if (gain > bestGain) {
+                    best = c;
+                    bestGain = gain;
+                }
+            });
+            // Alone in a new community (gain 0) when every neighbouring community costs modularity
+            if (bestGain < 0 && size[ci] > 0) {
+                while (size[empty[empty.length - 1]] > 0) empty.pop();
+                best = empty.pop();
+            }
+            touched.forEach(c => { weightTo[c] = 0; });
+
+            tot[best] += degree[i];
+            size[best]++;
+            if (size[ci] === 0) empty.push(ci);
+            if (best === ci) continue;
+            community[i] = best;
+            moved = true;
+            adj[i].forEach((weight, j) => {
+                if (j !== i && !queued[j] && community[j] !== best) {
+                    queued[j] = 1;
+                    queue.push(j);
+                }
+            });
+        }
+        return moved;
+    }
+
+    // Leiden refinement: within each community, nodes still on their own merge greedily into
+    // the well-connected subcommunity with the largest modularity gain, so every refined
+    // subcommunity is connected
+    function refinePartition(graph, community, resolution) {
+        const { n, adj, degree, total } = graph;
+        const refined = Int32Array.from({ length: n }, (_, i) => i);
+        const communityTot = new Float64Array(n);
+        for (let i = 0; i < n; i++) communityTot[community[i]] += degree[i];
+        // Total degree of each subcommunity and its edge weight to the rest of its community
+        const subTot = Float64Array.from(degree);
+        const subExternal = new Float64Array(n);
+        adj.forEach((neighbours, i) => {
+            neighbours.forEach((weight, j) => {
+                if (j !== i && community[j] === community[i]) subExternal[i] += weight;
+            });
+        });
+        const wellConnected = (external, subTotal, c) =>
+            external >= resolution * subTotal * (communityTot[c] - subTotal) / total;
+
+        const alone = new Uint8Array(n).fill(1);
+        const weightTo = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            const c = community[i];
+            if (!alone[i] || !wellConnected(subExternal[i], degree[i], c)) continue;
+            const touched = [];
+            adj[i].forEach((weight, j) => {
+                if (j === i || community[j] !== c) return;
+                const sub = refined[j];
+                if (weightTo[sub] === 0) touched.push(sub);
+                weightTo[sub] += weight;
+            });
+
+            let best = i;
+            let bestGain = 0;
+            touched.forEach(sub => {
+                if (!wellConnected(subExternal[sub], subTot[sub], c)) return;
+                const gain = weightTo[sub] - resolution * subTot[sub] * degree[i] / total;
+                if (gain > bestGain) {
+                    best = sub;
+                    bestGain = gain;
+                }
+            });
+            if (best !== i) {
+                subExternal[best] += subExternal[i] - 2 * weightTo[best];
+                subTot[best] += degree[i];
+                refined[i] = best;
+                alone[i] = 0;
+                alone[best] = 0;
+            }
+            touched.forEach(sub => { weightTo[sub] = 0; });
+        }
+        return refined;
+    }
+
+    const MAX_CLUSTERING_LEVELS = 100;
+
+    function louvain(nNodes, edges, resolution = 1) {
+        let graph = buildGraph(nNodes, edges);
+        const membership = Int32Array.from({ length: nNodes }, (_, i) => i);
+        for (let level = 0; level < MAX_CLUSTERING_LEVELS; level++) {
+            const community = Int32Array.from({ length: graph.n }, (_, i) => i);
+            if (!moveNodes(graph, community, resolution)) break;
+            const nCommunities = renumberCommunities(community);
+            for (let i = 0; i < nNodes; i++) membership[i] = community[membership[i]];
+            if (nCommunities === graph.n) break;
+            graph = aggregateGraph(graph, community, nCommunities);
+        }
+        renumberCommunities(membership);
+        return membership;
+    }
+
+    // Leiden (Traag et al. 2019) with greedy refinement: the graph is aggregated by the
+    // refined partition, and its nodes start out in the communities found by local moving
+    function leiden(nNodes, edges, resolution = 1) {
+        let graph = buildGraph(nNodes, edges);
+        const membership = Int32Array.from({ length: nNodes }, (_, i) => i);
+        let community = Int32Array.from({ length: nNodes }, (_, i) => i);
+        for (let level = 0; level < MAX_CLUSTERING_LEVELS; level++) {
+            moveNodes(graph, community, resolution);
+            if (renumberCommunities(community) === graph.n) break;
+            const refined = refinePartition(graph, community, resolution);
+            const nRefined = renumberCommunities(refined);
+            if (nRefined === graph.n) break;
+
+            const next = new Int32Array(nRefined);
+            for (let i = 0; i < graph.n; i++) next[refined[i]] = community[i];
+            for (let i = 0; i < nNodes; i++) membership[i] = refined[membership[i]];
+            graph = aggregateGraph(graph, refined, nRefined);
+            community = next;
+        }
+        for (let i = 0; i < nNodes; i++) membership[i] = community[membership[i]];
+        renumberCommunities(membership);
+        return membership;
+    }
+
+    function modularity(nNodes, edges, community, resolution = 1) {
+        const degree = new Float64Array(nNodes);
+        let total = 0;
+        let internal = 0;
+        edges.forEach(({ source, target, weight }) => {
+            degree[source] += weight;
+            degree[target] += weight;
+            total += 2 * weight;
+            if (community[source] === community[target]) internal += 2 * weight;
+        });
+        if (total === 0) return NaN;
+        const communityTot = new Map();
+        for (let i = 0; i < nNodes; i++) {
+            communityTot.set(community[i], (communityTot.get(community[i]) || 0) + degree[i]);
+        }
+        let expected = 0;
+        communityTot.forEach(tot => { expected += (tot / total) ** 2; });
+        // One community gives 1 - 1: report 0 rather than rounding noise
+        const q = internal / total - resolution * expected;
+        return Math.abs(q) < 1e-12 ? 0 : q;
+    }
+
+    // ---- Hierarchical clustering ----
+    // Agglomerative clustering of n items from a symmetric distance matrix (Float64Array n x n,
+    // finite values). Each step merges the closest pair of clusters; linkage sets the distance to
+    // a merged cluster (Lance-Williams update). Ties merge the pair with the lowest indices.
+    // Returns merges [{ left, right, height, size }] as in scipy's linkage: clusters 0..n-1 are
+    // the items and merge m creates cluster n + m; and the leaf order of the dendrogram.
+
+    const LINKAGE_METHODS = ['average', 'complete', 'single'];
+
+    function hierarchicalClustering(distance, n, linkage = 'average') {
+        if (!LINKAGE_METHODS.includes(linkage)) throw new Error(`Unknown linkage: ${linkage}`);
+        const d = Float64Array.from(distance);
+        const active = new Uint8Array(n).fill(1);
+        const size = new Int32Array(n).fill(1);
+        const id = Int32Array.from({ length: n }, (_, i) => i); // cluster id held in each slot
+        const merges = [];
+
+        for (let step = 0; step < n - 1; step++) {
+            let bestI = -1, bestJ = -1, best = Infinity;
+            for (let i = 0; i < n; i++) {
+                if (!active[i]) continue;
+                for (let j = i + 1; j < n; j++) {
+                    if (active[j] && d[i * n + j] < best) {
+                        best = d[i * n + j];
+                        bestI = i;
+                        bestJ = j;
+                    }
+                }
+            }
+
+            // The merged cluster takes slot bestI
+            for (let k = 0; k < n; k++) {
+                if (!active[k] || k === bestI || k === bestJ) continue;
+                const dI = d[k * n + bestI], dJ = d[k * n + bestJ];
+                let merged;
+                if (linkage === 'single') merged = Math.min(dI, dJ);
+                else if (linkage === 'complete') merged = Math.max(dI, dJ);
+                else merged = (size[bestI] * dI + size[bestJ] * dJ) / (size[bestI] + size[bestJ]);
+                d[k * n + bestI] = d[bestI * n + k] = merged;
+            }
+            merges.push({ left: id[bestI], right: id[bestJ], height: best, size: size[bestI] + size[bestJ] });
+            size[bestI] += size[bestJ];
+            id[bestI] = n + step;
+            active[bestJ] = 0;
+        }
+
+        // Leaves left to right: walk down from the last merge
+        const order = [];
+        const stack = n > 0 ? [merges.length > 0 ? 2 * n - 2 : 0] : [];
+        while (stack.length > 0) {
+            const cluster = stack.pop();
+            if (cluster < n) {
+                order.push(cluster);
+            } else {
+                const merge = merges[cluster - n];
+                stack.push(merge.right, merge.left);
+            }
+        }
+        return { merges, order };
+    }
+
+    // ---- Matrix access ----
+    // A matrix is { values, decode } with values stored gene by gene (nGenes x nCellLines).
+    // Bundled data keeps the int16 codes of the .bin.gz files (value * scaleFactor, naValue
+    // for missing) and `decode` maps each code to the Float32 value it used to be converted
+    // to, so results are identical at half the memory. Uploaded matrices are Float32Array
+    // values with decode null.
+
+    function int16Matrix(values, scaleFactor, naValue) {
+        // Indexed by the code's 16 bits (code & 0xffff)
+        const decode = new Float32Array(65536);
+        for (let code = -32768; code < 32768; code++) {
+            decode[code & 0xffff] = code === naValue ? NaN : code / scaleFactor;
+        }
+        return { values, decode };
+    }
+
+    function float32Matrix(values) {
+        return { values, decode: null };
+    }
+
+    function matrixGeneCount(matrix, nCellLines) {
+        return matrix.values.length / nCellLines;
+    }
+
+    // Value at a flat index (geneIdx * nCellLines + cellIdx)
+    function matrixValue(matrix, index) {
+        return matrix.decode ? matrix.decode[matrix.values[index] & 0xffff] : matrix.values[index];
+    }
+
+    // Copy one gene's values for the given cell lines into `out` (NaN kept)
+    function extractRow(matrix, nCellLines, geneIdx, cellIndices, out) {
+        const { values, decode } = matrix;
+        const offset = geneIdx * nCellLines;
+        if (decode) {
+            for (let k = 0; k < cellIndices.length; k++) {
+                out[k] = decode[values[offset + cellIndices[k]] & 0xffff];
+            }
+        } else {
+            for (let k = 0; k < cellIndices.length; k++) {
+                out[k] = values[offset + cellIndices[k]];
+            }
+        }
+        return out;
+    }
+
+    // One gene across all cell lines, decoded into a new Float32Array
+    function decodeRow(matrix, nCellLines, geneIdx) {
+        const { values, decode } = matrix;
+        const offset = geneIdx * nCellLines;
+        if (!decode) return values.slice(offset, offset + nCellLines);
+        const out = new Float32Array(nCellLines);
+        for (let c = 0; c < nCellLines; c++) {
+            out[c] = decode[values[offset + c] & 0xffff];
+        }
+        return out;
+    }
+
+    function getGeneEffectsForCells(matrix, nCellLines, geneIdx, cellIndices) {
+        const values = [];
+        const row = extractRow(matrix, nCellLines, geneIdx, cellIndices, new Float64Array(cellIndices.length));
+        for (const value of row) {
+            if (!isNaN(value)) {
+                values.push(value);
+            }
+        }
+        return values;
+    }
+
+    // ---- Partial correlation ----
+    // covariates: { columns: Float64Array, count } holding `count` covariates (e.g. lineage
+    // indicators, hotspot mutation levels) back to back over the task's cell lines. Each gene
+    // is residualized on an intercept plus these covariates by least squares; correlating the
+    // residuals gives the partial correlation.
+
+    // Orthonormal basis (modified Gram-Schmidt) of [1, covariates] over the cells where
+    // `observed` is set (all cells when null). Collinear or constant columns are dropped,
+    // so basis.length - 1 is the number of covariates that cost a degree of freedom.
+    function covariateBasis(covariates, nCells, observed = null) {
+        const basis = [];
+        const addColumn = (valueAt) => {
+            const v = new Float64Array(nCells);
+            let ss0 = 0;
+            for (let k = 0; k < nCells; k++) {
+                if (observed && !observed[k]) continue;
+                v[k] = valueAt(k);
+                ss0 += v[k] * v[k];
+            }
+            for (const q of basis) {
+                let dot = 0;
+                for (let k = 0; k < nCells; k++) dot += q[k] * v[k];
+                for (let k = 0; k < nCells; k++) v[k] -= dot * q[k];
+            }
+            let ss = 0;
+            for (let k = 0; k < nCells; k++) ss += v[k] * v[k];
+            if (!(ss > 1e-10 * ss0)) return;
+            const scale = 1 / Math.sqrt(ss);
+            for (let k = 0; k < nCells; k++) v[k] *= scale;
+            basis.push(v);
+        };
+
+        addColumn(() => 1);
+        for (let c = 0; c < covariates.count; c++) {
+            const offset = c * nCells;
+            addColumn(k => covariates.columns[offset + k]);
+        }
+        return basis;
+    }
+
+    // Residualize `values` in place. `basis` is covariateBasis() over all cells; rows with
+    // missing values are regressed over their own observed cells (NaN stays NaN).
+    function residualizeValues(values, covariates, basis) {
+        const n = values.length;
+        let observed = null;
+        for (let k = 0; k < n; k++) {
+            if (isNaN(values[k])) {
+                observed = Uint8Array.from(values, v => (isNaN(v) ? 0 : 1));
+                break;
+            }
+        }
+        if (observed) basis = covariateBasis(covariates, n, observed);
+
+        for (const q of basis) {
+            let dot = 0;
+            for (let k = 0; k < n; k++) {
+                if (!isNaN(values[k])) dot += q[k] * values[k];
+            }
+            for (let k = 0; k < n; k++) values[k] -= dot * q[k];
+        }
+        return values;
+    }
+
+    // extractRow(), residualized when the cache carries covariates
+    function extractAnalysisRow(matrix, nCellLines, norm, geneIdx, cellIndices, out) {
+        extractRow(matrix, nCellLines, geneIdx, cellIndices, out);
+        return norm.basis ? residualizeValues(out, norm.covariates, norm.basis) : out;
+    }
+
+    // ---- Normalized matrix cache ----
+    // Rows are mean-centered and scaled to unit length over the filtered cell lines,
+    // so Pearson r between two complete rows is a plain dot product (Spearman and
+    // bicor rows hold their unitVector() instead, and partial correlation rows are
+    // residualized first; the cache key includes the method and covariates). Rows with missing
+    // values (or zero variance) are flagged and always use the exact pairwise path.
+    // Unit rows are kept as int16 codes with a step per row (half the memory of Float32,
+    // no more than the matrix itself); the L1 norm of each row bounds the rounding error
+    // of a dot product, so the screen stays exact (see screenMargin).
+
+    const ROW_PENDING = 0;
+    const ROW_NORMALIZED = 1;
+    const ROW_EXACT = 2;
+
+    // Floating-point slack on top of the rounding bound
+    const SCREEN_SLACK = 1e-9;
+
+    // Empty cache arrays for nGenes rows of nCells values, on a SharedArrayBuffer when shared
+    function createNormalizedArrays(nGenes, nCells, shared = false) {
+        const buffer = (bytes) => (shared ? new SharedArrayBuffer(bytes) : new ArrayBuffer(bytes));
+        return {
+            z: new Int16Array(buffer(nGenes * nCells * Int16Array.BYTES_PER_ELEMENT)),
+            step: new Float64Array(buffer(nGenes * Float64Array.BYTES_PER_ELEMENT)),
+            l1: new Float64Array(buffer(nGenes * Float64Array.BYTES_PER_ELEMENT)),
+            status: new Uint8Array(buffer(nGenes))
+        };
+    }
+
+    // state: per-thread object that keeps the cache between tasks; one cache at a time, a task
+    // with another key replaces it. task.normKey identifies the data source and filter set;
+    // task.normShared (optional) carries createNormalizedArrays(..., true) so all workers fill
+    // and read one cache. task.normKey null keeps a cache of only the task's rows and columns
+    // for this task (norm.slots maps gene index -> cache row), e.g. in a worker that holds its
+    // own copy of the matrix. task.covariates (optional) switches the cache to partial correlation.
+    function getNormalizedCache(state, matrix, nCellLines, task) {
+        if (state.norm && task.normKey !== null && state.norm.key === task.normKey) return state.norm;
+
+        state.norm = null; // let the previous cache go before allocating the next
+        const nGenes = matrixGeneCount(matrix, nCellLines);
+        const nCells = task.cellIndices.length;
+        const method = task.method || 'pearson';
+        let norm;
+        if (task.normKey === null) {
+            const slots = new Int32Array(nGenes).fill(-1);
+            let nSlots = 0;
+            for (const g of task.rowValues ? task.cols : [...task.rows, ...task.cols]) {
+                if (slots[g] < 0) slots[g] = nSlots++;
+            }
+            norm = { key: null, method, nCells, slots, ...createNormalizedArrays(nSlots, nCells) };
+        } else {
+            norm = { key: task.normKey, method, nCells, slots: null, ...(task.normShared || createNormalizedArrays(nGenes, nCells)) };
+            state.norm = norm;
+        }
+        norm.covariates = task.covariates || null;
+        norm.basis = task.covariates ? covariateBasis(task.covariates, nCells) : null;
+        return norm;
+    }
+
+    // Cache row of a gene
+    function normSlot(norm, geneIdx) {
+        return norm.slots ? norm.slots[geneIdx] : geneIdx;
+    }
+
+    // Store a unit-length row as int16 codes of its largest absolute value / 32767
+    function storeNormalizedRow(norm, slot, unit) {
+        let maxAbs = 0, l1 = 0;
+        for (let k = 0; k < unit.length; k++) {
+            const a = Math.abs(unit[k]);
+            if (a > maxAbs) maxAbs = a;
+            l1 += a;
+        }
+        const step = maxAbs / 32767;
+        const base = slot * unit.length;
+        for (let k = 0; k < unit.length; k++) {
+            norm.z[base + k] = Math.round(unit[k] / step);
+        }
+        norm.step[slot] = step;
+        norm.l1[slot] = l1;
+    }
+
+    // Largest difference between the dot product of two stored rows and that of the exact unit
+    // rows: each code is within half a step of its value. Pass stepB = 0 for an exact row b
+    function screenMargin(stepA, l1A, stepB, l1B, nCells) {
+        return 0.5 * stepA * l1B + 0.5 * stepB * l1A + 0.25 * nCells * stepA * stepB + SCREEN_SLACK;
+    }
+
+    function ensureNormalizedRow(matrix, nCellLines, norm, geneIdx, cellIndices) {
+        const slot = normSlot(norm, geneIdx);
+        let status = Atomics.load(norm.status, slot);
+        if (status !== ROW_PENDING) return status;
+
+        const nCells = norm.nCells;
+        const row = extractRow(matrix, nCellLines, geneIdx, cellIndices, new Float64Array(nCells));
+        let sum = 0, n = 0;
+        for (let k = 0; k < nCells; k++) {
+            if (!isNaN(row[k])) {
+                sum += row[k];
+                n++;
+            }
+        }
+
+        status = ROW_EXACT;
+        if (n === nCells && n > 0 && (norm.method !== 'pearson' || norm.basis)) {
+            const unit = new Float64Array(nCells);
+            const values = norm.basis ? residualizeValues(row, norm.covariates, norm.basis) : row;
+            if (unitVector(values, norm.method, unit)) {
+                storeNormalizedRow(norm, slot, unit);
+                status = ROW_NORMALIZED;
+            }
+        } else if (n === nCells && n > 0) {
+            const m = sum / n;
+            let ss = 0;
+            for (let k = 0; k < nCells; k++) {
+                const d = row[k] - m;
+                ss += d * d;
+            }
+            if (ss > 0) {
+                const scale = 1 / Math.sqrt(ss);
+                for (let k = 0; k < nCells; k++) {
+                    row[k] = (row[k] - m) * scale;
+                }
+                storeNormalizedRow(norm, slot, row);
+                status = ROW_NORMALIZED;
+            }
+        }
+
+        // Other workers may fill the same row concurrently; both write identical values
+        Atomics.store(norm.status, slot, status);
+        return status;
+    }
+
+    // ---- Chunked tasks (run in workers, or inline as a fallback) ----
+
+    // Keep the topN strongest hits of one sign, strongest first (ties keep the earlier hit)
+    function keepTopHit(list, hit, topN) {
+        const strength = Math.abs(hit.correlation);
+        let k = list.length;
+        while (k > 0 && Math.abs(list[k - 1].correlation) < strength) k--;
+        if (k >= topN) return;
+        list.splice(k, 0, hit);
+        if (list.length > topN) list.pop();
+    }
+
+    // Correlate every row gene against every column gene.
+    // task: { rows, cols, triangle, rowOffset, cellIndices, minN, cutoff, minSlope, method, covariates, normKey, normShared, rowValues, topN }
+    // rows/cols hold gene indices. With `triangle`, rows are a slice of cols starting
+    // at rowOffset and only pairs with a later column are tested (pairwise mode).
+    // rowValues (optional) replaces the row genes with vectors over cellIndices from another
+    // matrix (e.g. gene effects of the input genes against every expression column).
+    // Returns hits as { row, col, correlation, slope, n, pValue } positions into rows/cols,
+    // plus the p-values of every test performed (pairs with n >= minN) for FDR control.
+    // topN (optional) keeps only the topN strongest positive and negative hits of each row gene;
+    // it is ignored with `triangle`, where a pair can rank in the list of either gene.
+    function correlateTask(matrix, nCellLines, task, state = {}) {
+        const { rows, cols, triangle, rowOffset, cellIndices, minN, cutoff, minSlope, rowValues } = task;
+        const method = task.method || 'pearson';
+        const nCells = cellIndices.length;
+        const norm = getNormalizedCache(state, matrix, nCellLines, task);
+        const z = norm.z;
+        const nCovariates = norm.basis ? norm.basis.length - 1 : 0;
+
+        let rowData, rowStatus, rowSlots = null, rowUnits = null, rowL1 = null;
+        if (rowValues) {
+            rowData = rowValues.map(values => {
+                const row = Float64Array.from(values);
+                return norm.basis ? residualizeValues(row, norm.covariates, norm.basis) : row;
+            });
+            rowUnits = rowData.map(row => {
+                const unit = new Float64Array(nCells);
+                return row.every(v => !isNaN(v)) && unitVector(row, method, unit) ? unit : null;
+            });
+            rowL1 = rowUnits.map(unit => (unit ? unit.reduce((sum, v) => sum + Math.abs(v), 0) : 0));
+            rowStatus = rowUnits.map(unit => (unit ? ROW_NORMALIZED : ROW_EXACT));
+        } else {
+            rowData = rows.map(g => extractAnalysisRow(matrix, nCellLines, norm, g, cellIndices, new Float64Array(nCells)));
+            rowStatus = rows.map(g => ensureNormalizedRow(matrix, nCellLines, norm, g, cellIndices));
+            rowSlots = rows.map(g => normSlot(norm, g));
+        }
+        const colData = new Float64Array(nCells);
+        let hits = [];
+        const pValues = [];
+        const topN = triangle ? 0 : task.topN || 0;
+        const kept = topN ? rowData.map(() => ({ positive: [], negative: [] })) : null;
+
+        for (let c = 0; c < cols.length; c++) {
+            let rowsEnd = rowData.length;
+            if (triangle) {
+                // Only rows positioned before this column (pair i < j)
+                rowsEnd = Math.min(rowData.length, c - rowOffset);
+                if (rowsEnd <= 0) continue;
+            }
+            const colGene = cols[c];
+            const colStatus = ensureNormalizedRow(matrix, nCellLines, norm, colGene, cellIndices);
+            const colSlot = normSlot(norm, colGene);
+            const colBase = colSlot * nCells;
+            let colExtracted = false;
+
+            for (let r = 0; r < rowsEnd; r++) {
+                if (!rowValues && rows[r] === colGene) continue;
+
+                // Fast screen: one dot product over the normalized rows
+                if (rowStatus[r] === ROW_NORMALIZED && colStatus === ROW_NORMALIZED) {
+                    if (nCells < minN) continue;
+                    const rowZ = rowValues ? rowUnits[r] : z;
+                    const rowBase = rowValues ? 0 : rowSlots[r] * nCells;
+                    let dot = 0;
+                    for (let k = 0; k < nCells; k++) {
+                        dot += rowZ[rowBase + k] * z[colBase + k];
+                    }
+                    const colStep = norm.step[colSlot];
+                    let margin;
+                    if (rowValues) {
+                        dot *= colStep;
+                        margin = screenMargin(colStep, norm.l1[colSlot], 0, rowL1[r], nCells);
+                    } else {
+                        const rowStep = norm.step[rowSlots[r]];
+                        dot *= rowStep * colStep;
+                        margin = screenMargin(rowStep, norm.l1[rowSlots[r]], colStep, norm.l1[colSlot], nCells);
+                    }
+                    // Screened out: the p-value (for FDR only) uses r within `margin` of the exact r
+                    if (Math.abs(dot) < cutoff - margin) {
+                        pValues.push(correlationPValue(dot, nCells, nCovariates));
+                        continue;
+                    }
+                    // Top-N: skip pairs that cannot beat the weakest kept hit of their sign
+                    if (topN && Math.abs(dot) >= margin) {
+                        const list = dot > 0 ? kept[r].positive : kept[r].negative;
+                        if (list.length === topN && Math.abs(dot) + margin < Math.abs(list[topN - 1].correlation)) {
+                            pValues.push(correlationPValue(dot, nCells, nCovariates));
+                            continue;
+                        }
+                    }
+                }
+
+                // Exact pairwise-complete computation for candidates and rows with missing values
+                if (!colExtracted) {
+                    extractAnalysisRow(matrix, nCellLines, norm, colGene, cellIndices, colData);
+                    colExtracted = true;
+                }
+                const result = correlateValues(rowData[r], colData, method);
+                if (result.n < minN || isNaN(result.correlation)) continue;
+                const pValue = correlationPValue(result.correlation, result.n, nCovariates);
+                pValues.push(pValue);
+                if (Math.abs(result.correlation) >= cutoff && Math.abs(result.slope) >= minSlope) {
+                    const hit = { row: r, col: c, correlation: result.correlation, slope: result.slope, n: result.n, pValue };
+                    if (!topN) {
+                        hits.push(hit);
+                    } else if (hit.correlation !== 0) {
+                        keepTopHit(hit.correlation > 0 ? kept[r].positive : kept[r].negative, hit, topN);
+                    }
+                }
+            }
+        }
+        if (topN) hits = kept.flatMap(list => [...list.positive, ...list.negative]);
+
+        return { hits, pValues: Float64Array.from(pValues) };
+    }
+
+    // Welch t-tests (WT vs 1+2, WT vs 2) for a contiguous block of genes
+    // task: { geneStart, geneEnd, wt, mutAll, mut2, minN }
+    function mutationTask(matrix, nCellLines, task) {
+        const { geneStart, geneEnd, wt, mutAll, mut2, minN } = task;
+        const results = [];
+
+        for (let geneIdx = geneStart; geneIdx < geneEnd; geneIdx++) {
+            // Get gene effect values for each group
+            const wtEffects = getGeneEffectsForCells(matrix, nCellLines, geneIdx, wt);
+            const mutAllEffects = getGeneEffectsForCells(matrix, nCellLines, geneIdx, mutAll);
+            const mut2Effects = getGeneEffectsForCells(matrix, nCellLines, geneIdx, mut2);
+
+            // Skip if not enough valid values
+            if (wtEffects.length < minN || mutAllEffects.length < 3) continue;
+
+            // Calculate statistics for WT vs 1+2
+            const wtMean = mean(wtEffects);
+            const mutMean = mean(mutAllEffects);
+            const diff_mut = mutMean - wtMean;
+            const tTest_mut = welchTTest(wtEffects, mutAllEffects);
+            const effect_mut = meanDifferenceStats(wtEffects, mutAllEffects, tTest_mut);
+
+            // Calculate statistics for WT vs 2 (if enough cells)
+            let n_2 = mut2Effects.length;
+            let mean_2 = NaN;
+            let diff_2 = NaN;
+            let p_2 = 1;
+            let effect_2 = { d: NaN, g: NaN, ciLow: NaN, ciHigh: NaN };
+
+            if (mut2Effects.length >= 3) {
+                mean_2 = mean(mut2Effects);
+                diff_2 = mean_2 - wtMean;
+                const tTest_2 = welchTTest(wtEffects, mut2Effects);
+                p_2 = tTest_2.p;
+                effect_2 = meanDifferenceStats(wtEffects, mut2Effects, tTest_2);
+            }
+
+            results.push({
+                geneIdx,
+                n_wt: wtEffects.length,
+                mean_wt: wtMean,
+                n_mut: mutAllEffects.length,
+                mean_mut: mutMean,
+                diff_mut,
+                p_mut: tTest_mut.p,
+                d_mut: effect_mut.d,
+                g_mut: effect_mut.g,
+                ci_low_mut: effect_mut.ciLow,
+                ci_high_mut: effect_mut.ciHigh,
+                n_2,
+                mean_2,
+                diff_2,
+                p_2,
+                d_2: effect_2.d,
+                g_2: effect_2.g,
+                ci_low_2: effect_2.ciLow,
+                ci_high_2: effect_2.ciHigh
+            });
+        }
+
+        return { results };
+    }
+
+    function runTask(matrix, nCellLines, task, state = {}) {
+        if (task.kind === 'correlate') return correlateTask(matrix, nCellLines, task, state);
+        if (task.kind === 'mutation') return mutationTask(matrix, nCellLines, task);
+        throw new Error(`Unknown task: ${task.kind}`);
+    }
+
+    root.AnalysisCore = {
+        mean,
+        variance,
+        pearsonWithSlope,
+        CORRELATION_METHODS,
+        rankValues,
+        correlateValues,
+        welchTTest,
+        tDistributionPValue,
+        incompleteBeta,
+        betaCF,
+        logGamma,
+        normalCDF,
+        tCritical,
+        meanDifferenceStats,
+        correlationPValue,
+        fisherZTest,
+        bhQValueLookup,
+        bhAdjust,
+        bonferroniAdjust,
+        CLUSTERING_METHODS,
+        louvain,
+        leiden,
+        modularity,
+        LINKAGE_METHODS,
+        hierarchicalClustering,
+        int16Matrix,
+        float32Matrix,
+        matrixGeneCount,
+        matrixValue,
+        extractRow,
+        decodeRow,
+        getGeneEffectsForCells,
+        covariateBasis,
+        residualizeValues,
+        ensureNormalizedRow,
+        createNormalizedArrays,
+        correlateTask,
+        mutationTask,
+        runTask
+    };
+})(typeof self !== 'undefined' ? self : this);
@@ -0,0 +1,1543 @@
+/**
+ * Gene Correlation Explorer - Analysis Engine
+ * Data loading, correlation and mutation analyses and CSV exports without the DOM, shared by
+ * the web app (CorrelationExplorer in app.js extends AnalysisEngine) and the command-line
+ * interface (bin/correlate.js). File access goes through readJson / readMatrix, which each
+ * environment provides.
+ *
+ * Author: Wermeling Lab / Karolinska Institutet
+ */
+
+(function (root) {
+    'use strict';
+
+    const AnalysisCore = root.AnalysisCore || require('./analysisCore.js').AnalysisCore;
+
+    class AnalysisEngine {
+        constructor() {
+            // Data of the current release (see loadRelease)
+            this.metadata = null;
+            this.cellLineMetadata = null;
+            this.mutations = null;
+            this.damagingMutations = null; // optional layers, see getMutationLayers
+            this.copyNumber = null;
+            this.copyNumberLevels = new Map(); // copy number feature + thresholds -> levels
+            this.orthologs = null;
+            this.geneEffects = null; // matrix { values, decode } [nGenes x nCellLines], see AnalysisCore.int16Matrix
+            this.geneEffectsFromCache = false;
+            this.nGenes = 0;
+            this.nCellLines = 0;
+            this.geneIndex = new Map(); // gene name -> row index
+            this.geneNames = []; // gene names array
+
+            // Data releases from web_data/releases.json (see setReleaseManifest)
+            this.releases = [];
+            this.currentRelease = null;
+            this.defaultReleaseId = null;
+
+            // Expression and drug response matrices of the current release, loaded on first use
+            // (see loadExpression, loadDrugs)
+            this.expression = null;
+            this.drugs = null;
+
+            // Extended synonym lookup (low/mid risk), loaded on first use (see loadSynonyms)
+            this.synonymLookup = null;
+
+            // Relative copy number cutoffs of the copy number levels (see getCopyNumberThresholds)
+            this.copyNumberThresholds = { gain: 1.5, amp: 2, loss: 0.75, deepDel: 0.25 };
+
+            // Analysis results
+            this.results = null;
+            this.mutationResults = null;
+            this.differentialResults = null;
+            this.HEATMAP_MAX_GENES = 200; // analysis mode keeps the full matrix up to this many genes
+
+            // Analysis tasks (see runAnalysisTasks)
+            this.WORKER_GENE_CHUNK = 1000; // genes per task
+            this.inlineTaskState = {}; // normalized-matrix cache when running on this thread
+            this.normalizedCache = null;
+        }
+
+        // ============================================================
+        // Data Loading
+        // ============================================================
+
+        // Parsed JSON file (path relative to the app root), or null when the file does not exist
+        async readJson(path) {
+            throw new Error(`readJson not available: ${path}`);
+        }
+
+        // { matrix, fromCache } for an int16 matrix file of a release (metadata gives nGenes x
+        // nCellLines, scaleFactor and naValue). shared: the matrix is handed to analysis workers,
+        // which may read it without copying
+        async readMatrix(release, metadata, file = 'geneEffects.bin.gz', shared = false) {
+            throw new Error(`readMatrix not available: ${release.path + file}`);
+        }
+
+        // web_data/releases.json lists the release directories: { default, releases: [{ id, label, path }] }.
+        // Without a manifest (null) the single release in web_data/ is used
+        // entry keeps the manifest entry as listed, so caches can tell a redeployed release apart
+        setReleaseManifest(manifest) {
+            this.releases = manifest?.releases?.length > 0
+                ? manifest.releases.map(r => ({ id: r.id, label: r.label || `DepMap ${r.id}`, path: r.path.replace(/\/?$/, '/'), entry: JSON.stringify(r) }))
+                : [{ id: '25Q3', label: 'DepMap 25Q3', path: 'web_data/', entry: '' }];
+            this.defaultReleaseId = this.getRelease(manifest?.default).id;
+        }
+
+        // Release by id; falls back to the manifest default, then the first release listed
+        getRelease(releaseId) {
+            return this.releases.find(r => r.id === releaseId) ||
+                this.releases.find(r => r.id === this.defaultReleaseId) ||
+                this.releases[0];
+        }
+
+        // Metadata, cell line annotations, mutation layers and the gene effect matrix of a release.
+        // Synonyms are loaded on first use (see loadSynonyms); orthologs map gene symbols, so one
+        // file serves all releases. Everything is read first and the engine switches only once the
+        // whole release is in, so a failed load leaves the current data as it was
+        async loadRelease(release) {
+            const path = release.path;
+
+            const [metadata, cellLineMetadata, mutations, damagingMutations, copyNumber, orthologs] = await Promise.all([
+                this.readJson(path + 'metadata.json'),
+                this.readJson(path + 'cellLineMetadata.json'),
+                this.readJson(path + 'mutations.json'),
+                this.readJson(path + 'damagingMutations.json'),
+                this.readJson(path + 'copyNumber.json'),
+                this.readJson('web_data/orthologs.json')
+            ]);
+            if (!metadata) throw new Error(`${release.label} metadata not found`);
+            if (!cellLineMetadata || !mutations) throw new Error(`${release.label} cell line annotations not found`);
+
+            const { matrix, fromCache } = await this.readMatrix(release, metadata, 'geneEffects.bin.gz', true);
+
+            this.currentRelease = release;
+            this.metadata = metadata;
+            this.cellLineMetadata = cellLineMetadata;
+            this.mutations = mutations;
+            // Damaging mutations and copy number are optional per release
+            this.damagingMutations = damagingMutations;
+            this.copyNumber = copyNumber;
+            this.copyNumberLevels.clear();
+            this.orthologs = orthologs;
+
+            this.nGenes = metadata.nGenes;
+            this.nCellLines = metadata.nCellLines;
+            this.geneNames = metadata.genes;
+            this.expression = null; // aligned to the previous cell lines
+            this.drugs = null;
+
+            // Build gene index
+            this.geneIndex = new Map();
+            metadata.genes.forEach((gene, idx) => {
+                this.geneIndex.set(gene.toUpperCase(), idx);
+            });
+
+            this.geneEffects = matrix;
+            this.geneEffectsFromCache = fromCache;
+        }
+
+        // DepMap labels genes as "SYMBOL (EntrezID)"
+        cleanGeneName(name) {
+            return name.replace(/\s*\(\d+\)$/, '').toUpperCase();
+        }
+
+        // Expression ships per release as expressionMetadata.json and expression.bin.gz, see loadAlignedSource
+        async loadExpression() {
+            if (!this.expression) {
+                this.expression = await this.loadAlignedSource('expression', 'expressionMetadata.json', 'expression.bin.gz',
+                    gene => this.cleanGeneName(gene));
+            }
+            return this.expression;
+        }
+
+        // PRISM Repurposing drug response (log2 fold change of viability) ships as drugMetadata.json and
+        // drugResponse.bin.gz; its "genes" are compound names, matched case-insensitively like gene symbols
+        async loadDrugs() {
+            if (!this.drugs) {
+                this.drugs = await this.loadAlignedSource('drug', 'drugMetadata.json', 'drugResponse.bin.gz',
+                    compound => compound.trim().toUpperCase());
+            }
+            return this.drugs;
+        }
+
+        // A further matrix of the release ({ nGenes, nCellLines, scaleFactor, naValue, genes, cellLines }
+        // in metadataFile, dataFile in the gene effect int16 format). It covers a different set of cell
+        // lines, so columns are realigned to metadata.cellLines (NaN where missing); rows are named by cleanName
+        async loadAlignedSource(kind, metadataFile, dataFile, cleanName) {
+            const release = this.currentRelease;
+            const label = this.getSourceLabel(kind, true).toLowerCase();
+            if (release.custom) throw new Error(`no ${label} data for an uploaded matrix`);
+
+            const sourceMetadata = await this.readJson(release.path + metadataFile);
+            if (!sourceMetadata) throw new Error(`${release.label} has no ${label} data`);
+
+            // Its own release id, so the web app caches it next to the gene effects under its own key
+            const sourceRelease = { ...release, id: `${release.id}:${kind}`, label: `${release.label} ${label}` };
+            const { matrix: source } = await this.readMatrix(sourceRelease, sourceMetadata, dataFile);
+            if (this.currentRelease !== release) throw new Error(`data release changed while loading ${label} data`);
+
+            const nCells = this.nCellLines;
+            const columnOf = new Map(sourceMetadata.cellLines.map((cellLine, i) => [cellLine, i]));
+            const columns = this.metadata.cellLines.map(cellLine => (columnOf.has(cellLine) ? columnOf.get(cellLine) : -1));
+            const shared = typeof SharedArrayBuffer !== 'undefined' && this.geneEffects.values.buffer instanceof SharedArrayBuffer;
+            const length = sourceMetadata.nGenes * nCells;
+            // Realigned as int16 codes too; cell lines the source lacks get its naValue
+            const codes = shared
+                ? new Int16Array(new SharedArrayBuffer(length * Int16Array.BYTES_PER_ELEMENT))
+                : new Int16Array(length);
+            for (let g = 0; g < sourceMetadata.nGenes; g++) {
+                const from = g * sourceMetadata.nCellLines;
+                const to = g * nCells;
+                for (let c = 0; c < nCells; c++) {
+                    codes[to + c] = columns[c] >= 0 ? source.values[from + columns[c]] : sourceMetadata.naValue;
+                }
+            }
+            const matrix = AnalysisCore.int16Matrix(codes, sourceMetadata.scaleFactor, sourceMetadata.naValue);
+
+            const geneNames = sourceMetadata.genes.map(cleanName);
+            const geneIndex = new Map();
+            geneNames.forEach((gene, i) => {
+                if (!geneIndex.has(gene)) geneIndex.set(gene, i);
+            });
+            return {
+                matrix,
+                geneIndex,
+                geneNames,
+                nGenes: sourceMetadata.nGenes,
+                nProfiled: columns.filter(c => c >= 0).length
+            };
+        }
+
+        // Data sources loaded besides the gene effects, by kind
+        getLoadedSources() {
+            const sources = {};
+            if (this.expression) sources.expression = this.expression;
+            if (this.drugs) sources.drug = this.drugs;
+            return sources;
+        }
+
+        // Matrices an analysis can read, all aligned to metadata.cellLines: 'effect' (CRISPR gene
+        // effect), 'expression' (OmicsExpressionProteinCodingGenesTPMLogp1, see loadExpression)
+        // and 'drug' (PRISM compound response, see loadDrugs)
+        getDataSource(kind = 'effect') {
+            const loaded = this.getLoadedSources()[kind];
+            if (loaded) return { kind, ...loaded };
+            return { kind: 'effect', matrix: this.geneEffects, geneIndex: this.geneIndex, geneNames: this.geneNames, nGenes: this.nGenes };
+        }
+
+        // Values of one gene across all cell lines; all NaN when the source lacks the gene
+        getSourceRow(kind, gene) {
+            const source = this.getDataSource(kind);
+            const idx = source.geneIndex.get(gene);
+            if (idx === undefined) return new Float32Array(this.nCellLines).fill(NaN);
+            return AnalysisCore.decodeRow(source.matrix, this.nCellLines, idx);
+        }
+
+        // Axis / column label of a data source; short labels for multi-panel plots
+        getSourceLabel(kind = 'effect', short = false) {
+            if (kind === 'expression') return short ? 'Expression' : 'Expression (log2 TPM+1)';
+            if (kind === 'drug') return short ? 'Drug response' : 'Drug Response (log2 FC)';
+            return short ? 'Effect' : 'CRISPR Effect';
+        }
+
+        // Biomarker mode: [input gene source, target gene source]
+        getBiomarkerSources(direction) {
+            return direction === 'expression' ? ['expression', 'effect'] : ['effect', 'expression'];
+        }
+
+        // Drug mode: input genes against all compounds ('gene') or input compounds against all genes ('compound')
+        getDrugSources(direction) {
+            return direction === 'compound' ? ['drug', 'effect'] : ['effect', 'drug'];
+        }
+
+        // [input source, target source] of a correlation mode; direction is the mode's direction select
+        getModeSources(mode, direction) {
+            if (mode === 'biomarker') return this.getBiomarkerSources(direction);
+            if (mode === 'drug') return this.getDrugSources(direction);
+            return ['effect', 'effect'];
+        }
+
+        // Network node of a gene in a data source: the symbol for gene effect, 'ERBB2|expression'
+        // otherwise, so ERBB2 expression and ERBB2 effect (biomarker mode) are two nodes
+        getNodeId(gene, source = 'effect') {
+            return source === 'effect' ? gene : `${gene}|${source}`;
+        }
+
+        // [node of gene1, node of gene2] of a correlation entry
+        getEdgeNodes(c) {
+            return [this.getNodeId(c.gene1, c.source1), this.getNodeId(c.gene2, c.source2)];
+        }
+
+        // ============================================================
+        // Gene Lists and Synonyms
+        // ============================================================
+
+        // Upper-cased symbols of a whitespace-separated list that the data source (geneIndex,
+        // gene effects unless given) has; others are dropped
+        parseGeneList(text, geneIndex = this.geneIndex) {
+            return text.split(/\s+/)
+                .map(g => g.toUpperCase().trim())
+                .filter(g => g !== '' && geneIndex.has(g));
+        }
+
+        // synonyms.json ({ alias: { d: official symbol, r: 'l' | 'm' risk } }) is only needed for
+        // genes missing from the data, so it is read on first use; {} when unavailable
+        async loadSynonyms() {
+            if (!this.synonymLookup) {
+                try {
+                    this.synonymLookup = (await this.readJson('web_data/synonyms.json')) || {};
+                } catch (e) {
+                    console.warn('Failed to load synonyms:', e);
+                    this.synonymLookup = {};
+                }
+            }
+            return this.synonymLookup;
+        }
+
+        // Replacement for a gene missing from the data from the local tables: the extended synonym
+        // lookup (low/mid risk from DepMap reference) first, then mouse-to-human orthologs.
+        // { original, replacement, source }, or null when neither has a symbol in the data
+        findLocalSynonym(gene, geneIndex = this.geneIndex) {
+            const match = this.synonymLookup?.[gene.toUpperCase()];
+            if (match && geneIndex.has(match.d.toUpperCase())) {
+                return { original: gene, replacement: match.d.toUpperCase(), source: match.r === 'l' ? 'low-risk' : 'mid-risk' };
+            }
+
+            const humanGene = this.orthologs?.mouseToHuman?.[gene];
+            if (humanGene && geneIndex.has(humanGene.toUpperCase())) {
+                return { original: gene, replacement: humanGene.toUpperCase(), source: 'ortholog' };
+            }
+            return null;
+        }
+
+        // ============================================================
+        // Mutation Layers
+        // ============================================================
+
+        // Stratification layers usable wherever hotspot genes are: hotspot mutations (mutations.json),
+        // damaging mutations (damagingMutations.json, same format) and copy number (copyNumber.json,
+        // relative copy number per cell line). A feature is keyed like a hotspot gene always was,
+        // with a suffix for the other layers: 'KRAS', 'ARID1A:damaging', 'MYC:amp', 'CDKN2A:del'
+        getMutationLayers() {
+            return [
+                { id: 'hotspot', suffix: '', label: 'Hotspot mutations', data: this.mutations },
+                { id: 'damaging', suffix: ':damaging', label: 'Damaging mutations', data: this.damagingMutations },
+                { id: 'amp', suffix: ':amp', label: 'Copy number gain', data: this.copyNumber },
+                { id: 'del', suffix: ':del', label: 'Copy number loss', data: this.copyNumber }
+            ].filter(layer => layer.data?.geneData);
+        }
+
+        parseMutationKey(key) {
+            const [gene, layer = 'hotspot'] = key.split(':');
+            return { gene, layer };
+        }
+
+        // Feature keys of every layer; sorted = alphabetical within a layer instead of by frequency
+        getMutationFeatures(sorted = false) {
+            const keys = [];
+            this.getMutationLayers().forEach(layer => {
+                const genes = layer.data.genes || Object.keys(layer.data.geneData);
+                (sorted ? [...genes].sort() : genes).forEach(gene => keys.push(gene + layer.suffix));
+            });
+            return keys;
+        }
+
+        // { mutations: { cellLine: level 0/1/2 } } for a feature, or null when it has no data.
+        // Copy number is grouped by the thresholds: gain / amplified, loss / deep deletion
+        getMutationData(key) {
+            if (!key) return null;
+            const { gene, layer } = this.parseMutationKey(key);
+            if (layer === 'hotspot') return this.mutations?.geneData?.[gene] || null;
+            if (layer === 'damaging') return this.damagingMutations?.geneData?.[gene] || null;
+            const values = this.copyNumber?.geneData?.[gene]?.values;
+            if (!values || (layer !== 'amp' && layer !== 'del')) return null;
+
+            const t = this.getCopyNumberThresholds();
+            const cacheKey = `${key}|${t.gain}|${t.amp}|${t.loss}|${t.deepDel}`;
+            if (!this.copyNumberLevels.has(cacheKey)) {
+                const mutations = {};
+                Object.entries(values).forEach(([cellLine, cn]) => {
+                    const level = layer === 'amp'
+                        ? (cn >= t.amp ? 2 : cn >= t.gain ? 1 : 0)
+                        : (cn <= t.deepDel ? 2 : cn <= t.loss ? 1 : 0);
+                    if (level > 0) mutations[cellLine] = level;
+                });
+                this.copyNumberLevels.set(cacheKey, { column: this.copyNumber.geneData[gene].column, mutations });
+            }
+            return this.copyNumberLevels.get(cacheKey);
+        }
+
+        // Relative copy number per cell line for copy number features, null otherwise
+        getCopyNumberValues(key) {
+            if (!key) return null;
+            const { gene, layer } = this.parseMutationKey(key);
+            return layer === 'amp' || layer === 'del' ? this.copyNumber?.geneData?.[gene]?.values || null : null;
+        }
+
+        // { gain, amp, loss, deepDel } relative copy number cutoffs of the copy number levels
+        getCopyNumberThresholds() {
+            return { ...this.copyNumberThresholds };
+        }
+
+        // 'KRAS hotspot mutation', 'MYC copy number gain', ...; short: 'KRAS', 'MYC CN gain', ...
+        // (hotspot genes keep their plain name, as in option lists and titles before other layers)
+        getMutationFeatureLabel(key, short = false) {
+            const { gene, layer } = this.parseMutationKey(key);
+            const names = short
+                ? { hotspot: '', damaging: 'damaging', amp: 'CN gain', del: 'CN loss' }
+                : { hotspot: 'hotspot mutation', damaging: 'damaging mutation', amp: 'copy number gain', del: 'copy number loss' };
+            const name = layer in names ? names[layer] : layer;
+            return name ? `${gene} ${name}` : gene;
+        }
+
+        getCopyNumberThresholdLabel(t = this.getCopyNumberThresholds()) {
+            return `gain ≥ ${t.gain}, amplified ≥ ${t.amp}, loss ≤ ${t.loss}, deep deletion ≤ ${t.deepDel} (relative copy number)`;
+        }
+
+        // File-name safe form of a feature key
+        getMutationFileLabel(key) {
+            return key.replace(':', '_');
+        }
+
+        // Names of the three levels of a feature and of "level > 0"
+        getMutationLevelLabels(key) {
+            const layer = key ? this.parseMutationKey(key).layer : 'hotspot';
+            if (layer === 'amp') {
+                return { none: 'Neutral', one: 'Gain', two: 'Amplified', any: 'gained', short: ['Neutral', 'Gain', 'Amp', 'Gain+Amp'] };
+            }
+            if (layer === 'del') {
+                return { none: 'Neutral', one: 'Loss', two: 'Deep deletion', any: 'lost', short: ['Neutral', 'Loss', 'Deep del', 'Loss+Deep del'] };
+            }
+            return { none: 'WT', one: '1 mutation', two: '2 mutations', any: 'mutated', short: ['WT', '1 mut', '2 mut', '1+2 mut'] };
+        }
+
+        // "KRAS: 1+2 mut", "MYC CN gain: Amp" - a level filter as shown in titles and table headers
+        getMutationFilterText(key, level) {
+            const short = this.getMutationLevelLabels(key).short;
+            return `${this.getMutationFeatureLabel(key, true)}: ${short[level === '1+2' ? 3 : parseInt(level)]}`;
+        }
+
+        // ============================================================
+        // Correlation Analysis
+        // ============================================================
+
+        // Indices of the cell lines passing the lineage, subtype and hotspot filters ('' = off;
+        // hotspotLevel 'all' | '0' | '1' | '2' | '1+2')
+        filterCellLines({ lineage = '', subLineage = '', hotspotGene = '', hotspotLevel = 'all' } = {}) {
+            // Get mutation data for hotspot filter
+            let mutationData = null;
+            if (this.getMutationData(hotspotGene)) {
+                mutationData = this.getMutationData(hotspotGene).mutations;
+            }
+
+            const indices = [];
+            this.metadata.cellLines.forEach((cellLine, idx) => {
+                // Check lineage filter
+                if (lineage) {
+                    if (!this.cellLineMetadata.lineage ||
+                        this.cellLineMetadata.lineage[cellLine] !== lineage) {
+                        return;
+                    }
+                }
+
+                // Check sublineage filter
+                if (subLineage) {
+                    if (!this.cellLineMetadata.primaryDisease ||
+                        this.cellLineMetadata.primaryDisease[cellLine] !== subLineage) {
+                        return;
+                    }
+                }
+
+                // Check hotspot mutation filter
+                if (mutationData && hotspotLevel !== 'all') {
+                    const mutLevel = mutationData[cellLine] || 0;
+                    if (hotspotLevel === '0' && mutLevel !== 0) return;
+                    if (hotspotLevel === '1' && mutLevel !== 1) return;
+                    if (hotspotLevel === '2' && mutLevel < 2) return;
+                    if (hotspotLevel === '1+2' && mutLevel < 1) return;
+                }
+
+                indices.push(idx);
+            });
+
+            // Return all indices if no filters applied
+            if (indices.length === 0 && !lineage && !subLineage && (!hotspotGene || hotspotLevel === 'all')) {
+                return Array.from({ length: this.nCellLines }, (_, i) => i);
+            }
+
+            return indices;
+        }
+
+        getActiveCorrelationMethod() {
+            return this.results?.method || 'pearson';
+        }
+
+        getCorrelationMethodLabel(method = this.getActiveCorrelationMethod()) {
+            return { pearson: 'Pearson', spearman: 'Spearman', bicor: 'Biweight midcorrelation' }[method] || method;
+        }
+
+        // Short symbol for plot titles and table headers
+        getCorrelationSymbol(method = this.getActiveCorrelationMethod()) {
+            return { pearson: 'r', spearman: 'ρ', bicor: 'bicor' }[method] || 'r';
+        }
+
+        // Design, biomarker and drug results grow from the input genes, which tables, legends and
+        // exports show apart from the genes found for them
+        // Two-list results show list A apart from list B the same way
+        isSeededNetwork(results = this.results) {
+            return ['design', 'biomarker', 'drug', 'bipartite'].includes(results?.mode);
+        }
+
+        // Legend and export names of the two node types of a seeded network
+        getNodeTypeLabels(results = this.results) {
+            return results?.mode === 'bipartite'
+                ? { input: 'List A', found: 'List B' }
+                : { input: 'Input', found: 'Correlated' };
+        }
+
+        getAnalysisModeLabel(results) {
+            if (results.mode === 'biomarker') {
+                const [rowSource, colSource] = results.sources.map(source => this.getSourceLabel(source, true).toLowerCase());
+                return `Biomarker (${rowSource} of input genes vs ${colSource} of all genes)`;
+            }
+            if (results.mode === 'drug') {
+                return results.sources[0] === 'drug'
+                    ? 'Drug (response to input compounds vs effect of all genes)'
+                    : 'Drug (effect of input genes vs response to all compounds)';
+            }
+            if (results.mode === 'bipartite') return 'Two lists (list A vs list B)';
+            return results.mode === 'analysis' ? 'Analysis (within gene list)' : 'Design (find correlated genes)';
+        }
+
+        getPartialCorrelationLabel(partial) {
+            if (!partial) return 'off';
+            const terms = [];
+            if (partial.lineage) terms.push('lineage');
+            partial.hotspots.forEach(gene => terms.push(`${this.getMutationFeatureLabel(gene)} level`));
+            const nText = partial.nCovariates !== undefined ? ` (${partial.nCovariates} covariates)` : '';
+            return `controlling for ${terms.join(', ')}${nText}`;
+        }
+
+        // Covariate columns over the given cell lines, back to back (see AnalysisCore.covariateBasis):
+        // one indicator per lineage present, then each mutation / copy number feature's level (0/1/2)
+        buildCovariates(cellIndices, partial) {
+            const cellLines = Array.from(cellIndices, i => this.metadata.cellLines[i]);
+            const columns = [];
+
+            if (partial.lineage) {
+                const lineages = cellLines.map(cl => this.cellLineMetadata?.lineage?.[cl] || 'Unknown');
+                [...new Set(lineages)].sort().forEach(lineage => {
+                    columns.push(lineages.map(l => (l === lineage ? 1 : 0)));
+                });
+            }
+            partial.hotspots.forEach(gene => {
+                const mutations = this.getMutationData(gene).mutations;
+                columns.push(cellLines.map(cl => mutations[cl] || 0));
+            });
+
+            const data = new Float64Array(columns.length * cellLines.length);
+            columns.forEach((column, c) => data.set(column, c * cellLines.length));
+            return { columns: data, count: columns.length };
+        }
+
+        // options: { expandNetwork, maxFdr (null = off), method ('pearson' | 'spearman' | 'bicor'),
+        //           topN (keep the topN strongest positive and topN strongest negative correlates
+        //           of each gene, with cutoff as the minimum |r|; null = every pair above the cutoff),
+        //           partial ({ lineage, hotspots } covariates to regress out, null = off),
+        //           direction (biomarker mode: 'effect' | 'expression', drug mode: 'gene' | 'compound',
+        //           see getModeSources), geneListB (bipartite mode: list B, tested against geneList
+        //           as list A; no pairs within a list), onProgress(done, total), job (see runAnalysisTasks) }
+        async calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, options = {}) {
+            const { expandNetwork = false, maxFdr = null, method = 'pearson', topN = null, partial = null, direction = 'effect', clustering = {}, geneListB = [], onProgress = null, job = null } = options;
+            if (topN !== null && !(Number.isInteger(topN) && topN > 0)) throw new Error('Top N must be a whole number above 0');
+            if (mode === 'bipartite') {
+                if (geneListB.length === 0) throw new Error('Two-list mode requires genes in list B');
+                const inBoth = geneList.filter(gene => geneListB.includes(gene));
+                if (inBoth.length > 0) throw new Error(`Genes in both lists: ${inBoth.join(', ')}`);
+            }
+            let correlations = [];
+            const pValueChunks = []; // p-values of every test performed, for the BH adjustment
+            let targetGenes;
+
+            // Biomarker and drug modes read the input genes from one matrix and the targets from the other
+            const crossSource = mode === 'biomarker' || mode === 'drug';
+            const [rowSourceKind, colSourceKind] = this.getModeSources(mode, direction);
+            const rowSource = this.getDataSource(rowSourceKind);
+            const colSource = this.getDataSource(colSourceKind);
+
+            if (mode === 'analysis') {
+                // Analysis mode: correlate genes within the list
+                targetGenes = geneList;
+            } else if (mode === 'bipartite') {
+                // Two-list mode: list A against list B only
+                targetGenes = geneListB;
+            } else {
+                // Design / biomarker / drug mode: correlate against all genes (or compounds)
+                targetGenes = Array.from(colSource.geneIndex.keys());
+            }
+
+            const cellIndices = Int32Array.from(cellLineIndices);
+            // Partial correlation: residualize every gene on the covariates before correlating
+            const covariates = partial ? this.buildCovariates(cellIndices, partial) : null;
+            const nCovariates = covariates ? AnalysisCore.covariateBasis(covariates, cellIndices.length).length - 1 : 0;
+            const params = {
+                cellIndices, minN, cutoff, minSlope, method, covariates, topN,
+                ...this.getNormalizedCacheParams(cellIndices, method, partial, colSourceKind)
+            };
+            const inputIdx = geneList.map(gene => rowSource.geneIndex.get(gene));
+            const targetIdx = targetGenes.map(gene => colSource.geneIndex.get(gene));
+
+            // First pass: input genes vs target genes. Analysis mode tests each pair once (i < j).
+            let firstPass;
+            if (mode === 'analysis') {
+                firstPass = this.buildPairwiseTasks(inputIdx, params);
+            } else if (crossSource) {
+                // The workers only see the column matrix, so the input genes travel with the tasks
+                const rowValues = inputIdx.map(idx => AnalysisCore.extractRow(rowSource.matrix, this.nCellLines, idx, cellIndices, new Float64Array(cellIndices.length)));
+                firstPass = this.buildCrossTasks(inputIdx, targetIdx, { ...params, source: colSourceKind, rowValues });
+            } else if (mode === 'bipartite') {
+                // Top N ranks the partners of list B genes too, so the tasks keep every hit
+                firstPass = { ...this.buildCrossTasks(inputIdx, targetIdx, { ...params, topN: null }), bothGenes: true };
+            } else {
+                firstPass = this.buildCrossTasks(inputIdx, targetIdx, params);
+            }
+
+            // Expanded network adds a second pass between discovered genes, so the first
+            // pass only reports half of the progress bar in that case
+            const firstProgress = onProgress && (expandNetwork && mode === 'design'
+                ? (done, total) => onProgress(done, total * 2)
+                : onProgress);
+            const firstResults = await this.runAnalysisTasks(firstPass.tasks, firstProgress, job);
+            firstResults.forEach(r => pValueChunks.push(r.pValues));
+            this.collectCorrelationHits(firstResults, firstPass, geneList, targetGenes, topN).forEach(c => {
+                if (crossSource) {
+                    c.source1 = rowSourceKind;
+                    c.source2 = colSourceKind;
+                }
+                correlations.push(c);
+            });
+
+            // Second pass for expanded network: find correlations between discovered genes
+            if (mode === 'design' && expandNetwork && correlations.length > 0) {
+                // Collect all discovered genes (not in original input)
+                const discoveredGenes = new Set();
+                correlations.forEach(c => {
+                    if (!geneList.includes(c.gene2)) discoveredGenes.add(c.gene2);
+                });
+
+                const discoveredArray = Array.from(discoveredGenes);
+                if (discoveredArray.length > 1) {
+                    // Find correlations between discovered genes (pairwise)
+                    const discoveredIdx = discoveredArray.map(gene => this.geneIndex.get(gene));
+                    const secondPass = this.buildPairwiseTasks(discoveredIdx, params);
+                    const secondProgress = onProgress && ((done, total) => onProgress(total + done, total * 2));
+                    const secondResults = await this.runAnalysisTasks(secondPass.tasks, secondProgress, job);
+                    secondResults.forEach(r => pValueChunks.push(r.pValues));
+                    this.collectCorrelationHits(secondResults, secondPass, discoveredArray, discoveredArray, topN).forEach(c => correlations.push(c));
+                }
+            }
+
+            // BH q-values across all tests performed (both passes)
+            const nTests = pValueChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+            const allPValues = new Float64Array(nTests);
+            let offset = 0;
+            pValueChunks.forEach(chunk => {
+                allPValues.set(chunk, offset);
+                offset += chunk.length;
+            });
+            const qValueOf = AnalysisCore.bhQValueLookup(allPValues);
+            correlations.forEach(c => {
+                c.qValue = qValueOf(c.pValue);
+            });
+            if (maxFdr !== null) {
+                correlations = correlations.filter(c => c.qValue <= maxFdr);
+            }
+
+            if (correlations.length === 0) {
+                const fdrText = maxFdr !== null ? `, max FDR: ${maxFdr}` : '';
+                const cutoffText = topN !== null ? `top ${topN} per gene, min |r|: ${cutoff}` : `cutoff: ${cutoff}`;
+                return { success: false, error: `No correlations found (${cutoffText}, min slope: ${minSlope}, min cells: ${minN}${fdrText}). Try lowering thresholds or adjusting filters.` };
+            }
+
+            const { genes: clusters, clusterOf, summary: clusteringSummary } = this.findClusters(correlations, clustering);
+            const partnerSummary = mode === 'bipartite' ? this.summarizePartners(correlations, geneList, geneListB) : null;
+
+            // Analysis mode also keeps every pair of the list, below the cutoff too (heatmap)
+            const correlationMatrix = mode === 'analysis' && geneList.length <= this.HEATMAP_MAX_GENES
+                ? await this.calculateCorrelationMatrix(geneList, inputIdx, params, job)
+                : null;
+
+            // Each node summarizes the matrix it was correlated from: expression nodes (biomarker
+            // mode) their expression, compounds (drug mode) their drug response
+            const nodeSources = new Map();
+            correlations.forEach(c => {
+                const [node1, node2] = this.getEdgeNodes(c);
+                nodeSources.set(node1, { gene: c.gene1, source: c.source1 || 'effect' });
+                nodeSources.set(node2, { gene: c.gene2, source: c.source2 || 'effect' });
+            });
+
+            // Calculate mean effect for each gene (both all cells and filtered cells)
+            const clusterData = clusters.map(node => {
+                const { gene, source } = nodeSources.get(node);
+                const fullData = this.getSourceRow(source, gene);
+
+                // Stats for ALL cells
+                const allValidData = Array.from(fullData).filter(v => !isNaN(v));
+                const allMean = allValidData.length > 0 ? allValidData.reduce((a, b) => a + b, 0) / allValidData.length : NaN;
+                const allVariance = allValidData.length > 0 ? allValidData.reduce((a, b) => a + (b - allMean) ** 2, 0) / allValidData.length : NaN;
+                const allSd = Math.sqrt(allVariance);
+
+                // Stats for FILTERED cells
+                const filteredData = cellLineIndices.map(i => fullData[i]).filter(v => !isNaN(v));
+                const filtMean = filteredData.length > 0 ? filteredData.reduce((a, b) => a + b, 0) / filteredData.length : NaN;
+                const filtVariance = filteredData.length > 0 ? filteredData.reduce((a, b) => a + (b - filtMean) ** 2, 0) / filteredData.length : NaN;
+                const filtSd = Math.sqrt(filtVariance);
+
+                return {
+                    gene: gene,
+                    cluster: clusterOf.get(node),
+                    meanEffect: Math.round(allMean * 100) / 100,
+                    sdEffect: Math.round(allSd * 100) / 100,
+                    meanEffectFiltered: Math.round(filtMean * 100) / 100,
+                    sdEffectFiltered: Math.round(filtSd * 100) / 100,
+                    nAll: allValidData.length,
+                    nFiltered: filteredData.length,
+                    inGeneList: geneList.includes(gene) && source === rowSourceKind,
+                    source,
+                    ...(partnerSummary && { partners: partnerSummary.find(p => p.gene === gene).partners })
+                };
+            });
+
+            // Check if filtering was applied
+            const isFiltered = cellLineIndices.length < this.nCellLines;
+
+            return {
+                success: true,
+                correlations: correlations,
+                clusters: clusterData,
+                geneList: geneList,
+                geneListB: mode === 'bipartite' ? geneListB : null,
+                mode: mode,
+                cutoff: cutoff,
+                topN,
+                method: method,
+                partial: partial ? { ...partial, nCovariates } : null,
+                sources: crossSource ? [rowSourceKind, colSourceKind] : null,
+                release: this.currentRelease.id,
+                maxFdr: maxFdr,
+                nTests: nTests,
+                nCellLines: cellLineIndices.length,
+                isFiltered: isFiltered,
+                clustering: clusteringSummary,
+                correlationMatrix,
+                partnerSummary
+            };
+        }
+
+        // Correlation of every pair of genes with no cutoff: { genes, values } with values[i][j]
+        // rounded as in the correlations, 1 on the diagonal and NaN for pairs with fewer than
+        // minN cell lines. params: the task parameters of the analysis (see calculateCorrelations)
+        async calculateCorrelationMatrix(genes, geneIdx, params, job = null) {
+            const values = genes.map((_, i) => genes.map((_, j) => (i === j ? 1 : NaN)));
+            const plan = this.buildPairwiseTasks(geneIdx, { ...params, cutoff: 0, minSlope: 0 });
+            const taskResults = await this.runAnalysisTasks(plan.tasks, null, job);
+            const position = new Map(genes.map((gene, i) => [gene, i]));
+            this.collectCorrelationHits(taskResults, plan, genes, genes).forEach(c => {
+                const i = position.get(c.gene1), j = position.get(c.gene2);
+                values[i][j] = values[j][i] = c.correlation;
+            });
+            return { genes, values };
+        }
+
+        // Hierarchical clustering of a correlation matrix on the distance 1 - r (pairs without a
+        // correlation count as r = 0); see AnalysisCore.hierarchicalClustering
+        clusterCorrelationMatrix(matrix, linkage = 'average') {
+            const n = matrix.genes.length;
+            const distance = new Float64Array(n * n);
+            matrix.values.forEach((row, i) => row.forEach((r, j) => {
+                distance[i * n + j] = i === j ? 0 : 1 - (isNaN(r) ? 0 : r);
+            }));
+            return AnalysisCore.hierarchicalClustering(distance, n, linkage);
+        }
+
+        // The normalized (mean-centered, unit-length) matrix is cached per filter set, i.e. per
+        // list of cell lines from filterCellLines, and per correlation method and
+        // partial-correlation covariates and data source; a different list, method, covariate set or
+        // source starts a new cache. Where no cache may be kept (see canKeepNormalizedCache) each
+        // task normalizes only its own genes
+        getNormalizedCacheParams(cellIndices, method = 'pearson', partial = null, source = 'effect') {
+            const { matrix, nGenes } = this.getDataSource(source);
+            if (!this.canKeepNormalizedCache(matrix)) return { normKey: null, normShared: null };
+            const key = source + '|' + method + '|' + (partial ? JSON.stringify(partial) : '') + '|' + cellIndices.join(',');
+            if (!this.normalizedCache || this.normalizedCache.key !== key) {
+                const shared = this.canShareNormalizedCache(matrix);
+                this.normalizedCache = {
+                    key,
+                    id: (this.normalizedCache?.id || 0) + 1,
+                    // One cache filled by all workers; otherwise each thread keeps its own
+                    shared: shared ? AnalysisCore.createNormalizedArrays(nGenes, cellIndices.length, true) : null
+                };
+            }
+            return { normKey: this.normalizedCache.id, normShared: this.normalizedCache.shared };
+        }
+
+        // Whether the normalized cache of a matrix can be one SharedArrayBuffer filled by all
+        // analysis workers; tasks run on this thread need no sharing
+        canShareNormalizedCache(matrix) {
+            return false;
+        }
+
+        // Whether tasks may keep a normalized cache of the whole matrix between runs (as large
+        // as the matrix itself); tasks run on this thread always can
+        canKeepNormalizedCache(matrix) {
+            return true;
+        }
+
+        // Design mode: every input gene against blocks of target genes
+        buildCrossTasks(rowIdx, colIdx, params) {
+            const tasks = [];
+            const colStarts = [];
+            for (let start = 0; start < colIdx.length; start += this.WORKER_GENE_CHUNK) {
+                colStarts.push(start);
+                tasks.push({ kind: 'correlate', rows: rowIdx, cols: colIdx.slice(start, start + this.WORKER_GENE_CHUNK), triangle: false, rowOffset: 0, ...params });
+            }
+            return { tasks, rowStarts: tasks.map(() => 0), colStarts };
+        }
+
+        // Pairwise mode: each pair (i < j) of one gene list, split into row blocks
+        buildPairwiseTasks(geneIdx, params) {
+            const tasks = [];
+            const rowStarts = [];
+            // Keep blocks to a similar number of pairs (~WORKER_GENE_CHUNK columns per row)
+            const rowsPerTask = Math.max(1, Math.floor(this.WORKER_GENE_CHUNK * 4 / Math.max(1, geneIdx.length)));
+            for (let start = 0; start < geneIdx.length - 1; start += rowsPerTask) {
+                rowStarts.push(start);
+                tasks.push({ kind: 'correlate', rows: geneIdx.slice(start, start + rowsPerTask), cols: geneIdx, triangle: true, rowOffset: start, ...params });
+            }
+            return { tasks, rowStarts, colStarts: tasks.map(() => 0), bothGenes: true };
+        }
+
+        // Merge task hits back into correlation objects, in the same order as a
+        // sequential row-by-row scan (gene1 order, then gene2 order). topN: see selectTopHits
+        collectCorrelationHits(taskResults, plan, rowGenes, colGenes, topN = null) {
+            let hits = [];
+            taskResults.forEach((taskResult, t) => {
+                taskResult.hits.forEach(h => {
+                    hits.push({ i: plan.rowStarts[t] + h.row, j: plan.colStarts[t] + h.col, hit: h });
+                });
+            });
+            hits.sort((a, b) => a.i - b.i || a.j - b.j);
+            if (topN !== null) {
+                const rankedFor = plan.bothGenes ? (h => [rowGenes[h.i], colGenes[h.j]]) : (h => [rowGenes[h.i]]);
+                hits = this.selectTopHits(hits, topN, rankedFor);
+            }
+
+            return hits.map(({ i, j, hit }) => ({
+                gene1: rowGenes[i],
+                gene2: colGenes[j],
+                correlation: Math.round(hit.correlation * 1000) / 1000,
+                slope: Math.round(hit.slope * 1000) / 1000,
+                n: hit.n,
+                pValue: hit.pValue,
+                qValue: NaN, // filled in once all tests are done
+                cluster: 0
+            }));
+        }
+
+        // Top-N selection over all tasks: the topN strongest positive and topN strongest negative
+        // hits of each gene in rankedFor(hit) - the row gene, or both genes of pairwise and two-list
+        // plans, where a pair is kept when it ranks for either. Ties keep the earlier pair; the
+        // scan order is preserved
+        selectTopHits(hits, topN, rankedFor) {
+            const ranked = new Map(); // gene + sign -> hits
+            hits.forEach(h => {
+                if (h.hit.correlation === 0) return;
+                rankedFor(h).forEach(gene => {
+                    const key = gene + (h.hit.correlation > 0 ? '+' : '-');
+                    if (!ranked.has(key)) ranked.set(key, []);
+                    ranked.get(key).push(h);
+                });
+            });
+            const selected = new Set();
+            ranked.forEach(list => {
+                list.sort((a, b) => Math.abs(b.hit.correlation) - Math.abs(a.hit.correlation))
+                    .slice(0, topN)
+                    .forEach(h => selected.add(h));
+            });
+            return hits.filter(h => selected.has(h));
+        }
+
+        // Two-list mode: partners of each gene in the other list, { gene, list ('A' | 'B'),
+        // partners, positive, negative } in list order (genes without partners included).
+        // A partner with r = 0 (possible with cutoff 0) counts as neither positive nor negative
+        summarizePartners(correlations, geneListA, geneListB) {
+            const summary = new Map();
+            geneListA.forEach(gene => summary.set(gene, { gene, list: 'A', partners: 0, positive: 0, negative: 0 }));
+            geneListB.forEach(gene => summary.set(gene, { gene, list: 'B', partners: 0, positive: 0, negative: 0 }));
+            correlations.forEach(c => {
+                [c.gene1, c.gene2].forEach(gene => {
+                    const entry = summary.get(gene);
+                    entry.partners++;
+                    if (c.correlation > 0) entry.positive++;
+                    else if (c.correlation < 0) entry.negative++;
+                });
+            });
+            return Array.from(summary.values());
+        }
+
+        // Top-N selection of results, e.g. 'Top 10 positive and negative correlates per gene, |r| ≥ 0.2'
+        // (null for results selected by the cutoff alone)
+        getSelectionLabel(results) {
+            if (!results.topN) return null;
+            return `Top ${results.topN} positive and negative correlates per gene, |${this.getCorrelationSymbol(results.method)}| ≥ ${results.cutoff}`;
+        }
+
+        // Clusters of the correlation network: connected components, or modularity communities
+        // of the graph weighted by |r| (method 'louvain' or 'leiden', see AnalysisCore.leiden).
+        // Sets each correlation's cluster, 0 for an edge between two communities. Returns the
+        // nodes (see getNodeId), node -> cluster and { method, resolution, modularity, nClusters }
+        // for the results
+        findClusters(correlations, { method = 'components', resolution = 1 } = {}) {
+            if (!AnalysisCore.CLUSTERING_METHODS.includes(method)) throw new Error(`Unknown clustering method: ${method}`);
+            if (!(resolution > 0)) throw new Error('Clustering resolution must be above 0');
+            const edgeNodes = correlations.map(c => this.getEdgeNodes(c));
+            const genes = new Set();
+            edgeNodes.forEach(([node1, node2]) => {
+                genes.add(node1);
+                genes.add(node2);
+            });
+
+            const geneArray = Array.from(genes);
+            const parent = {};
+            geneArray.forEach(g => parent[g] = g);
+
+            const find = (x) => {
+                if (parent[x] !== x) parent[x] = find(parent[x]);
+                return parent[x];
+            };
+
+            const union = (x, y) => {
+                const px = find(x), py = find(y);
+                if (px !== py) parent[px] = py;
+            };
+
+            edgeNodes.forEach(([node1, node2]) => union(node1, node2));
+
+            // Assign cluster numbers
+            const clusterMap = {};
+            let clusterNum = 1;
+            geneArray.forEach(g => {
+                const root = find(g);
+                if (!(root in clusterMap)) {
+                    clusterMap[root] = clusterNum++;
+                }
+            });
+
+            const clusterOf = new Map(geneArray.map(g => [g, clusterMap[find(g)]]));
+            const nodeIndex = new Map(geneArray.map((g, i) => [g, i]));
+            const edges = correlations.map((c, i) => ({
+                source: nodeIndex.get(edgeNodes[i][0]),
+                target: nodeIndex.get(edgeNodes[i][1]),
+                weight: Math.abs(c.correlation)
+            }));
+            if (method !== 'components') {
+                // Cluster 1 is the largest community (ties: the one met first)
+                const community = AnalysisCore[method](geneArray.length, edges, resolution);
+                const sizes = new Map();
+                community.forEach(c => sizes.set(c, (sizes.get(c) || 0) + 1));
+                const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+                const numbers = new Map(order.map((c, i) => [c, i + 1]));
+                geneArray.forEach((g, i) => clusterOf.set(g, numbers.get(community[i])));
+            }
+
+            correlations.forEach((c, i) => {
+                const cluster1 = clusterOf.get(edgeNodes[i][0]);
+                c.cluster = cluster1 === clusterOf.get(edgeNodes[i][1]) ? cluster1 : 0;
+            });
+
+            const clusterIds = geneArray.map(g => clusterOf.get(g));
+            return {
+                genes: geneArray,
+                clusterOf,
+                summary: {
+                    method,
+                    resolution: method === 'components' ? null : resolution,
+                    modularity: AnalysisCore.modularity(geneArray.length, edges, clusterIds),
+                    nClusters: new Set(clusterIds).size
+                }
+            };
+        }
+
+        // Cluster existing results again with other clustering settings (no new correlations)
+        applyClustering(results, clustering) {
+            const { clusterOf, summary } = this.findClusters(results.correlations, clustering);
+            results.clusters.forEach(c => {
+                c.cluster = clusterOf.get(this.getNodeId(c.gene, c.source));
+            });
+            results.clustering = summary;
+            return results;
+        }
+
+        // Results clustered into modularity communities (older results carry no clustering)
+        hasCommunityClusters(results) {
+            return !!results.clustering && results.clustering.method !== 'components';
+        }
+
+        getClusteringLabel(clustering) {
+            if (!clustering || clustering.method === 'components') return 'Connected components';
+            const name = { louvain: 'Louvain', leiden: 'Leiden' }[clustering.method] || clustering.method;
+            return `${name} (resolution ${clustering.resolution})`;
+        }
+
+        // Run analysisCore tasks one after another on this thread; resolves with results in task
+        // order. The web app runs them on its worker pool instead, as part of job (the analysis
+        // that a Cancel stops; unused here)
+        async runAnalysisTasks(tasks, onProgress = null, job = null) {
+            const results = [];
+            for (const task of tasks) {
+                results.push(this.runTaskInline(task));
+                if (onProgress) onProgress(results.length, tasks.length);
+            }
+            return results;
+        }
+
+        runTaskInline(task) {
+            return AnalysisCore.runTask(this.getDataSource(task.source || 'effect').matrix, this.nCellLines, task, this.inlineTaskState);
+        }
+
+        // ============================================================
+        // Mutation Analysis
+        // ============================================================
+
+        async calculateMutationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel, onProgress = null, job = null) {
+            const mutationData = this.getMutationData(hotspotGene);
+            if (!mutationData) {
+                throw new Error(`No mutation data for ${hotspotGene}`);
+            }
+
+            // Get additional hotspot mutation data if specified
+            const additionalMutData = additionalHotspot ? this.getMutationData(additionalHotspot) : null;
+
+            const cellLines = this.metadata.cellLines;
+            const results = [];
+
+            // Categorize cell lines by mutation status and lineage filter
+            const wtCellIndices = [];
+            const mut1CellIndices = [];
+            const mut2CellIndices = [];
+
+            cellLines.forEach((cellLine, idx) => {
+                // Check lineage filter
+                if (lineageFilter && this.cellLineMetadata?.lineage?.[cellLine] !== lineageFilter) {
+                    return;
+                }
+
+                // Check sublineage filter
+                if (subLineageFilter && this.cellLineMetadata?.primaryDisease?.[cellLine] !== subLineageFilter) {
+                    return;
+                }
+
+                // Check additional hotspot filter
+                if (additionalMutData && additionalHotspotLevel !== 'all') {
+                    const addMutLevel = additionalMutData.mutations[cellLine] || 0;
+                    if (additionalHotspotLevel === '0' && addMutLevel !== 0) return;
+                    if (additionalHotspotLevel === '1' && addMutLevel !== 1) return;
+                    if (additionalHotspotLevel === '2' && addMutLevel < 2) return;
+                    if (additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
+                }
+
+                const mutLevel = mutationData.mutations[cellLine] || 0;
+                if (mutLevel === 0) {
+                    wtCellIndices.push(idx);
+                } else if (mutLevel === 1) {
+                    mut1CellIndices.push(idx);
+                } else {
+                    mut2CellIndices.push(idx);
+                }
+            });
+
+            const mutAllCellIndices = [...mut1CellIndices, ...mut2CellIndices];
+
+            // Check minimum cell count
+            if (wtCellIndices.length < 3 || mutAllCellIndices.length < 3) {
+                throw new Error(`Not enough cell lines: WT=${wtCellIndices.length}, Mutated=${mutAllCellIndices.length}`);
+            }
+
+            // Analyze each gene, in blocks spread over the worker pool
+            const tasks = [];
+            for (let geneStart = 0; geneStart < this.nGenes; geneStart += this.WORKER_GENE_CHUNK) {
+                tasks.push({
+                    kind: 'mutation',
+                    geneStart,
+                    geneEnd: Math.min(geneStart + this.WORKER_GENE_CHUNK, this.nGenes),
+                    wt: wtCellIndices,
+                    mutAll: mutAllCellIndices,
+                    mut2: mut2CellIndices,
+                    minN
+                });
+            }
+
+            const taskResults = await this.runAnalysisTasks(tasks, onProgress, job);
+            taskResults.forEach(taskResult => {
+                taskResult.results.forEach(r => {
+                    const { geneIdx, ...stats } = r;
+                    results.push({ gene: this.geneNames[geneIdx], ...stats });
+                });
+            });
+
+            // Multiple-testing correction across all genes tested. WT vs 2 is a separate
+            // family, limited to genes where that test was run (>= 3 cells with 2 mutations).
+            const pMut = results.map(r => r.p_mut);
+            const bhMut = AnalysisCore.bhAdjust(pMut);
+            const bonfMut = AnalysisCore.bonferroniAdjust(pMut);
+            const tested2 = results.filter(r => r.n_2 >= 3);
+            const p2 = tested2.map(r => r.p_2);
+            const bh2 = AnalysisCore.bhAdjust(p2);
+            const bonf2 = AnalysisCore.bonferroniAdjust(p2);
+            results.forEach((r, i) => {
+                r.p_bh_mut = bhMut[i];
+                r.p_bonf_mut = bonfMut[i];
+                r.p_bh_2 = 1;
+                r.p_bonf_2 = 1;
+            });
+            tested2.forEach((r, i) => {
+                r.p_bh_2 = bh2[i];
+                r.p_bonf_2 = bonf2[i];
+            });
+
+            return {
+                results,
+                nWT: wtCellIndices.length,
+                nMut: mutAllCellIndices.length,
+                n2: mut2CellIndices.length
+            };
+        }
+
+        // Mutation results (as kept in mutationResults) from calculateMutationAnalysis: the genes
+        // passing the (raw or adjusted) p-value threshold in either comparison, by p-value of 1+2 vs 0
+        buildMutationResults(analysisResult, { hotspotGene, pThreshold, pAdjust, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel }) {
+            // Filter by (raw or adjusted) p-value threshold
+            const [pMutKey, p2Key] = this.getMutationPValueKeys(pAdjust);
+            const significantResults = analysisResult.results.filter(r => r[pMutKey] < pThreshold || r[p2Key] < pThreshold);
+
+            // Sort by p-value (1+2 vs 0)
+            significantResults.sort((a, b) => a.p_mut - b.p_mut);
+
+            return {
+                hotspotGene,
+                pThreshold,
+                pAdjust,
+                minN,
+                lineageFilter,
+                subLineageFilter,
+                additionalHotspot,
+                additionalHotspotLevel,
+                // Copy number levels depend on the thresholds at the time of the run
+                copyNumberThresholds: this.getCopyNumberValues(hotspotGene) || this.getCopyNumberValues(additionalHotspot)
+                    ? this.getCopyNumberThresholds()
+                    : null,
+                nWT: analysisResult.nWT,
+                nMut: analysisResult.nMut,
+                n2: analysisResult.n2,
+                allResults: analysisResult.results,
+                significantResults
+            };
+        }
+
+        // Statistics helpers live in analysisCore.js so the worker pool runs the same code
+        getGeneEffectsForCells(geneIdx, cellIndices) {
+            return AnalysisCore.getGeneEffectsForCells(this.geneEffects, this.nCellLines, geneIdx, cellIndices);
+        }
+
+        mean(arr) {
+            return AnalysisCore.mean(arr);
+        }
+
+        variance(arr) {
+            return AnalysisCore.variance(arr);
+        }
+
+        welchTTest(group1, group2) {
+            return AnalysisCore.welchTTest(group1, group2);
+        }
+
+        tDistributionPValue(t, df) {
+            return AnalysisCore.tDistributionPValue(t, df);
+        }
+
+        pearsonWithSlope(x, y) {
+            return AnalysisCore.pearsonWithSlope(x, y);
+        }
+
+        formatPValue(p) {
+            // Format p-value with 1 decimal in exponent
+            if (p >= 1 || isNaN(p)) return '-';
+            if (p === 0 || p < 1e-300) return '1.0e-300';
+            if (p < 0.001) {
+                // Format as exponential with 1 decimal (e.g., 2.2e-10)
+                const exp = Math.floor(Math.log10(p));
+                const mantissa = p / Math.pow(10, exp);
+                return `${mantissa.toFixed(1)}e${exp}`;
+            }
+            return p.toFixed(4);
+        }
+
+        // Result fields used for thresholding: [WT vs 1+2, WT vs 2]
+        getMutationPValueKeys(pAdjust) {
+            if (pAdjust === 'bh') return ['p_bh_mut', 'p_bh_2'];
+            if (pAdjust === 'bonferroni') return ['p_bonf_mut', 'p_bonf_2'];
+            return ['p_mut', 'p_2'];
+        }
+
+        getMutationPValueLabel(pAdjust) {
+            if (pAdjust === 'bh') return 'BH-adjusted p';
+            if (pAdjust === 'bonferroni') return 'Bonferroni-adjusted p';
+            return 'p';
+        }
+
+        // ============================================================
+        // Differential Correlation
+        // ============================================================
+
+        // The two groups of cell lines to compare, out of cellLineIndices. grouping: { by ('lineage' |
+        // 'subtype' | 'mutation'), feature (mutation: feature key), groupA, groupB }; groups are lineage or
+        // subtype (primary disease) names, or levels of the feature ('0' | '1' | '2' | '1+2'), and
+        // groupB '' is every other cell line. Returns { a, b } cell line indices
+        splitCellLines(cellLineIndices, { by, feature = '', groupA = '', groupB = '' }) {
+            let valueOf, matches;
+            if (by === 'mutation') {
+                const mutationData = this.getMutationData(feature);
+                if (!mutationData) throw new Error(`No mutation or copy number data for ${feature || '(no feature given)'}`);
+                valueOf = cellLine => mutationData.mutations[cellLine] || 0;
+                matches = (level, group) => (group === '1+2' ? level >= 1 : group === '2' ? level >= 2 : level === parseInt(group));
+            } else if (by === 'lineage' || by === 'subtype') {
+                const annotation = this.cellLineMetadata?.[by === 'lineage' ? 'lineage' : 'primaryDisease'];
+                if (!annotation) throw new Error(`No ${by} annotation for these cell lines`);
+                // Cell lines without annotation are in neither group
+                valueOf = cellLine => annotation[cellLine] || null;
+                matches = (value, group) => value === group;
+            } else {
+                throw new Error(`Unknown grouping: ${by}`);
+            }
+            if (!groupA) throw new Error('Group A is required');
+
+            const a = [], b = [];
+            cellLineIndices.forEach(idx => {
+                const value = valueOf(this.metadata.cellLines[idx]);
+                if (value === null) return;
+                const inA = matches(value, groupA);
+                const inB = groupB ? matches(value, groupB) : !inA;
+                if (inA && inB) throw new Error('Groups A and B share cell lines');
+                if (inA) a.push(idx);
+                if (inB) b.push(idx);
+            });
+            return { a, b };
+        }
+
+        // Names of the two groups of a grouping (see splitCellLines), e.g. ['Lung', 'Other lineages']
+        // or ['KRAS: WT', 'KRAS: 1+2 mut']
+        getDifferentialGroupLabels({ by, feature = '', groupA = '', groupB = '' }) {
+            if (by === 'mutation') {
+                const other = `${this.getMutationFeatureLabel(feature, true)}: other`;
+                return [this.getMutationFilterText(feature, groupA), groupB ? this.getMutationFilterText(feature, groupB) : other];
+            }
+            return [groupA, groupB || (by === 'lineage' ? 'Other lineages' : 'Other subtypes')];
+        }
+
+        // Genome-wide differential correlation: the Pearson correlation of gene with every other gene
+        // in group A and in group B of cellLineIndices (see splitCellLines), compared by the Fisher
+        // z-test (AnalysisCore.fisherZTest). Genes with fewer than minN cell lines in either group are
+        // not tested. Resolves with { gene, grouping, nA, nB, results }, results being
+        // [{ gene, nA, rA, nB, rB, deltaR (rB - rA), z, pValue, qValue (BH), pBonferroni }] by p-value
+        async calculateDifferentialCorrelation(gene, grouping, minN, cellLineIndices, onProgress = null, job = null) {
+            const geneIdx = this.geneIndex.get(gene);
+            if (geneIdx === undefined) throw new Error(`Gene ${gene} not found`);
+            const { a, b } = this.splitCellLines(cellLineIndices, grouping);
+            // The Fisher z-test needs more than 3 cell lines per group
+            const minCells = Math.max(minN, 4);
+            if (a.length < minCells || b.length < minCells) {
+                throw new Error(`Not enough cell lines: group A=${a.length}, group B=${b.length} (min ${minCells} each)`);
+            }
+
+            const targetGenes = Array.from(this.geneIndex.keys()).filter(target => target !== gene);
+            const targetIdx = targetGenes.map(target => this.geneIndex.get(target));
+
+            // Every correlation of the gene within one group (cutoff 0 keeps all pairs with minN cell lines)
+            const scan = async (group, progress) => {
+                const cellIndices = Int32Array.from(group);
+                const plan = this.buildCrossTasks([geneIdx], targetIdx, {
+                    cellIndices, minN: minCells, cutoff: 0, minSlope: 0, method: 'pearson', covariates: null, topN: null,
+                    ...this.getNormalizedCacheParams(cellIndices)
+                });
+                const taskResults = await this.runAnalysisTasks(plan.tasks, progress, job);
+                const byGene = new Map();
+                taskResults.forEach((taskResult, t) => {
+                    taskResult.hits.forEach(h => byGene.set(targetGenes[plan.colStarts[t] + h.col], h));
+                });
+                return byGene;
+            };
+            const inA = await scan(a, onProgress && ((done, total) => onProgress(done, total * 2)));
+            const inB = await scan(b, onProgress && ((done, total) => onProgress(total + done, total * 2)));
+
+            const results = [];
+            targetGenes.forEach(target => {
+                const hitA = inA.get(target);
+                const hitB = inB.get(target);
+                if (!hitA || !hitB) return;
+                const { z, pValue } = AnalysisCore.fisherZTest(hitA.correlation, hitA.n, hitB.correlation, hitB.n);
+                results.push({
+                    gene: target,
+                    nA: hitA.n,
+                    rA: hitA.correlation,
+                    nB: hitB.n,
+                    rB: hitB.correlation,
+                    deltaR: hitB.correlation - hitA.correlation,
+                    z,
+                    pValue
+                });
+            });
+
+            // Multiple-testing correction across all genes tested
+            const pValues = results.map(r => r.pValue);
+            const bh = AnalysisCore.bhAdjust(pValues);
+            const bonferroni = AnalysisCore.bonferroniAdjust(pValues);
+            results.forEach((r, i) => {
+                r.qValue = bh[i];
+                r.pBonferroni = bonferroni[i];
+            });
+            results.sort((x, y) => x.pValue - y.pValue || Math.abs(y.deltaR) - Math.abs(x.deltaR));
+
+            return { gene, grouping, nA: a.length, nB: b.length, results };
+        }
+
+        // Differential correlation results (as kept in differentialResults) from
+        // calculateDifferentialCorrelation: the genes passing the (raw or adjusted) p-value threshold
+        // as significantResults and every gene tested as allResults (volcano plot). filters: the
+        // cell line filters the groups were split from (see filterCellLines)
+        buildDifferentialResults(analysisResult, { pThreshold, pAdjust, minN, filters = {} }) {
+            const pKey = this.getDifferentialPValueKey(pAdjust);
+            const [labelA, labelB] = this.getDifferentialGroupLabels(analysisResult.grouping);
+            return {
+                gene: analysisResult.gene,
+                grouping: analysisResult.grouping,
+                labelA,
+                labelB,
+                nA: analysisResult.nA,
+                nB: analysisResult.nB,
+                pThreshold,
+                pAdjust,
+                minN,
+                filters,
+                allResults: analysisResult.results,
+                significantResults: analysisResult.results.filter(r => r[pKey] < pThreshold)
+            };
+        }
+
+        // Result field used for thresholding
+        getDifferentialPValueKey(pAdjust) {
+            if (pAdjust === 'bh') return 'qValue';
+            if (pAdjust === 'bonferroni') return 'pBonferroni';
+            return 'pValue';
+        }
+
+        // ============================================================
+        // CSV Exports
+        // ============================================================
+
+        // Correlations export
+        buildCorrelationsCSV(results = this.results) {
+            let csv = `# Correlation method: ${this.getCorrelationMethodLabel(results.method || 'pearson')}\n`;
+            if (results.sources) csv += `# Analysis mode: ${this.getAnalysisModeLabel(results)}\n`;
+            if (results.partial) csv += `# Partial correlation: ${this.getPartialCorrelationLabel(results.partial)}\n`;
+            if (results.topN) csv += `# Selection: ${this.getSelectionLabel(results)}\n`;
+            if (this.hasCommunityClusters(results)) {
+                csv += `# Clustering: ${this.getClusteringLabel(results.clustering)}; Cluster 0 = edge between two clusters\n`;
+            }
+            csv += 'Gene1,Gene2,Correlation,Slope,N,Cluster,pValue,qValue_BH\n';
+            results.correlations.forEach(c => {
+                csv += `${c.gene1},${c.gene2},${c.correlation},${c.slope},${c.n},${c.cluster},${this.formatPValue(c.pValue)},${this.formatPValue(c.qValue)}\n`;
+            });
+            return csv;
+        }
+
+        // Full correlation matrix export (analysis mode); order: gene positions to write the
+        // rows and columns in, e.g. the leaf order of the heatmap (default: the gene list)
+        buildCorrelationMatrixCSV(results = this.results, order = null) {
+            const { genes, values } = results.correlationMatrix;
+            const positions = order || genes.map((_, i) => i);
+            let csv = `# Correlation method: ${this.getCorrelationMethodLabel(results.method || 'pearson')}\n`;
+            if (results.partial) csv += `# Partial correlation: ${this.getPartialCorrelationLabel(results.partial)}\n`;
+            csv += `# Filtered cell lines: ${results.nCellLines}\n`;
+            csv += '# All pairs, no cutoff; NA = fewer cell lines than the minimum\n';
+            csv += 'Gene,' + positions.map(i => genes[i]).join(',') + '\n';
+            positions.forEach(i => {
+                csv += genes[i] + ',' + positions.map(j => (isNaN(values[i][j]) ? 'NA' : values[i][j])).join(',') + '\n';
+            });
+            return csv;
+        }
+
+        // Clusters export; filters are the lineage / subtype the results were filtered by ('' = all)
+        buildClustersCSV(results = this.results, { lineage = '', subLineage = '' } = {}) {
+            const isFiltered = results.isFiltered;
+
+            // Add filter info as comments
+            let csv = `# Clusters Export\n`;
+            csv += `# Analysis mode: ${this.getAnalysisModeLabel(results)}\n`;
+            csv += `# Correlation method: ${this.getCorrelationMethodLabel(results.method || 'pearson')}\n`;
+            if (results.partial) csv += `# Partial correlation: ${this.getPartialCorrelationLabel(results.partial)}\n`;
+            if (this.hasCommunityClusters(results)) {
+                csv += `# Clustering: ${this.getClusteringLabel(results.clustering)}, modularity ${results.clustering.modularity.toFixed(3)}\n`;
+            }
+            csv += `# Lineage filter: ${lineage || 'All lineages'}\n`;
+            if (subLineage) csv += `# Subtype filter: ${subLineage}\n`;
+            csv += `# Filtered cell lines: ${results.nCellLines}\n`;
+            csv += `# Date: ${new Date().toISOString().slice(0, 10)}\n`;
+            if (results.mode === 'bipartite') {
+                csv += `# Gene_Type: input list of the gene; Partners = correlations with genes of the other list\n`;
+            } else if (this.isSeededNetwork(results)) {
+                csv += `# Gene_Type: Input = user-provided gene, Correlated = found by correlation analysis\n`;
+            }
+            if (results.clusters.some(c => c.source === 'drug')) {
+                csv += `# Compound rows (Gene_Type ending in "compound") give drug response (log2 FC) instead of gene effect\n`;
+            }
+            if (results.clusters.some(c => c.source === 'expression')) {
+                csv += `# Expression rows (Gene_Type ending in "expression") give expression (log2 TPM+1) instead of gene effect\n`;
+            }
+            csv += '#\n';
+
+            const isDesignMode = this.isSeededNetwork(results);
+            const typeLabels = this.getNodeTypeLabels(results);
+            const sourceSuffix = (source) => ({ drug: ' compound', expression: ' expression' }[source] || '');
+            // Two-list mode adds the number of partners in the other list
+            const withPartners = results.mode === 'bipartite';
+
+            if (isFiltered) {
+                csv += isDesignMode
+                    ? 'Gene,Gene_Type,Cluster,Mean_Effect_All,SD_Effect_All,Mean_Effect_Filtered,SD_Effect_Filtered'
+                    : 'Gene,Cluster,Mean_Effect_All,SD_Effect_All,Mean_Effect_Filtered,SD_Effect_Filtered';
+                csv += withPartners ? ',Partners\n' : '\n';
+                results.clusters.forEach(c => {
+                    const geneType = (c.inGeneList ? typeLabels.input : typeLabels.found) + sourceSuffix(c.source);
+                    csv += isDesignMode
+                        ? `${c.gene},${geneType},${c.cluster},${c.meanEffect},${c.sdEffect},${c.meanEffectFiltered},${c.sdEffectFiltered}`
+                        : `${c.gene},${c.cluster},${c.meanEffect},${c.sdEffect},${c.meanEffectFiltered},${c.sdEffectFiltered}`;
+                    csv += withPartners ? `,${c.partners}\n` : '\n';
+                });
+            } else {
+                csv += isDesignMode
+                    ? 'Gene,Gene_Type,Cluster,Mean_Effect,SD_Effect'
+                    : 'Gene,Cluster,Mean_Effect,SD_Effect';
+                csv += withPartners ? ',Partners\n' : '\n';
+                results.clusters.forEach(c => {
+                    const geneType = (c.inGeneList ? typeLabels.input : typeLabels.found) + sourceSuffix(c.source);
+                    csv += isDesignMode
+                        ? `${c.gene},${geneType},${c.cluster},${c.meanEffect},${c.sdEffect}`
+                        : `${c.gene},${c.cluster},${c.meanEffect},${c.sdEffect}`;
+                    csv += withPartners ? `,${c.partners}\n` : '\n';
+                });
+            }
+            return csv;
+        }
+
+        // Mutation results export (significant genes with both comparisons)
+        buildMutationResultsCSV(mr = this.mutationResults) {
+            const results = mr.significantResults;
+
+            // Build settings header
+            let csv = '# Mutation Analysis Results\n';
+            csv += `# Hotspot Mutation: ${this.getMutationFeatureLabel(mr.hotspotGene, true)}\n`;
+            if (mr.copyNumberThresholds) csv += `# Copy number thresholds: ${this.getCopyNumberThresholdLabel(mr.copyNumberThresholds)}\n`;
+            csv += `# WT cells (0 mutations): ${mr.nWT}\n`;
+            csv += `# Mutated cells (1+2 mutations): ${mr.nMut}\n`;
+            csv += `# Cells with 2 mutations: ${mr.n2}\n`;
+            csv += `# Min cell lines: ${mr.minN}\n`;
+            csv += `# P-value threshold: ${mr.pThreshold} (${this.getMutationPValueLabel(mr.pAdjust)})\n`;
+            csv += `# Adjusted p-values: Benjamini-Hochberg (BH) and Bonferroni across all genes tested; 95% CI: Welch\n`;
+            csv += `# Lineage filter: ${mr.lineageFilter || 'All lineages'}\n`;
+            if (mr.subLineageFilter) {
+                csv += `# Subtype filter: ${mr.subLineageFilter}\n`;
+            }
+            if (mr.additionalHotspot && mr.additionalHotspotLevel !== 'all') {
+                csv += `# Additional hotspot filter: ${mr.additionalHotspot} = ${mr.additionalHotspotLevel}\n`;
+            }
+            csv += `# Date: ${new Date().toISOString().slice(0, 10)}\n`;
+            csv += '#\n';
+
+            const headers = ['Gene', 'N_WT', 'Mean_GE_WT', 'N_1+2', 'Mean_GE_1+2', 'Delta_GE', 'CI95_Low', 'CI95_High',
+                            'Cohens_d', 'Hedges_g', 'pValue_1+2_vs_0', 'pBH_1+2_vs_0', 'pBonferroni_1+2_vs_0',
+                            'N_2', 'Mean_GE_2', 'Delta_GE_2vs0', 'CI95_Low_2vs0', 'CI95_High_2vs0',
+                            'Cohens_d_2vs0', 'Hedges_g_2vs0', 'pValue_2_vs_0', 'pBH_2_vs_0', 'pBonferroni_2_vs_0'];
+            const fixed = (value, decimals = 4) => isNaN(value) ? '' : value.toFixed(decimals);
+
+            csv += headers.join(',') + '\n';
+            results.forEach(r => {
+                csv += [
+                    r.gene,
+                    r.n_wt,
+                    r.mean_wt.toFixed(4),
+                    r.n_mut,
+                    r.mean_mut.toFixed(4),
+                    r.diff_mut.toFixed(4),
+                    fixed(r.ci_low_mut),
+                    fixed(r.ci_high_mut),
+                    fixed(r.d_mut),
+                    fixed(r.g_mut),
+                    this.formatPValue(r.p_mut),
+                    this.formatPValue(r.p_bh_mut),
+                    this.formatPValue(r.p_bonf_mut),
+                    r.n_2,
+                    fixed(r.mean_2),
+                    fixed(r.diff_2),
+                    fixed(r.ci_low_2),
+                    fixed(r.ci_high_2),
+                    fixed(r.d_2),
+                    fixed(r.g_2),
+                    this.formatPValue(r.p_2),
+                    this.formatPValue(r.p_bh_2),
+                    this.formatPValue(r.p_bonf_2)
+                ].join(',') + '\n';
+            });
+
+            return csv;
+        }
+
+        // Differential correlation export (significant genes, by p-value)
+        buildDifferentialCorrelationCSV(dr = this.differentialResults) {
+            let csv = '# Differential Correlation Results\n';
+            csv += `# Gene: ${dr.gene}\n`;
+            csv += `# Group A: ${dr.labelA} (${dr.nA} cell lines)\n`;
+            csv += `# Group B: ${dr.labelB} (${dr.nB} cell lines)\n`;
+            csv += '# Correlation: Pearson; Delta_r = r_B - r_A, tested by the Fisher z-transformation\n';
+            csv += `# Min cell lines (per group): ${dr.minN}\n`;
+            csv += `# P-value threshold: ${dr.pThreshold} (${this.getMutationPValueLabel(dr.pAdjust)})\n`;
+            csv += '# Adjusted p-values: Benjamini-Hochberg (BH) and Bonferroni across all genes tested\n';
+            csv += `# Lineage filter: ${dr.filters.lineage || 'All lineages'}\n`;
+            if (dr.filters.subLineage) csv += `# Subtype filter: ${dr.filters.subLineage}\n`;
+            if (dr.filters.hotspotGene && dr.filters.hotspotLevel !== 'all') {
+                csv += `# Hotspot filter: ${this.getMutationFilterText(dr.filters.hotspotGene, dr.filters.hotspotLevel)}\n`;
+            }
+            csv += `# Date: ${new Date().toISOString().slice(0, 10)}\n`;
+            csv += '#\n';
+
+            csv += 'Gene,N_A,r_A,N_B,r_B,Delta_r,z,pValue,pBH,pBonferroni\n';
+            dr.significantResults.forEach(r => {
+                csv += [
+                    r.gene,
+                    r.nA,
+                    r.rA.toFixed(4),
+                    r.nB,
+                    r.rB.toFixed(4),
+                    r.deltaR.toFixed(4),
+                    r.z.toFixed(3),
+                    this.formatPValue(r.pValue),
+                    this.formatPValue(r.qValue),
+                    this.formatPValue(r.pBonferroni)
+                ].join(',') + '\n';
+            });
+            return csv;
+        }
+    }
+
+    root.AnalysisEngine = AnalysisEngine;
+})(typeof self !== 'undefined' ? self : this);
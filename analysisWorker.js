@@ -0,0 +1,43 @@
+/**
+ * Gene Correlation Explorer - Analysis Worker
+ * Runs correlation / mutation chunks from app.js off the main thread.
+ * The gene effect matrix ({ values, decode }, see analysisCore.js) is sent once on
+ * init (shared when SharedArrayBuffer is available, otherwise copied into this worker);
+ * further data sources (expression, drug response) arrive as 'source' messages and are
+ * picked by task.source.
+ */
+
+importScripts('analysisCore.js');
+
+const sources = {}; // source name -> { matrix, nCellLines }
+const state = {}; // normalized-matrix cache, kept between tasks unless task.normKey is null (see analysisCore.js)
+
+self.onmessage = (event) => {
+    const msg = event.data;
+
+    if (msg.type === 'init') {
+        sources.effect = { matrix: msg.matrix, nCellLines: msg.nCellLines };
+        return;
+    }
+
+    if (msg.type === 'source') {
+        sources[msg.name] = { matrix: msg.matrix, nCellLines: msg.nCellLines };
+        // A cache of the replaced matrix must not be reused
+        state.norm = null;
+        return;
+    }
+
+    if (msg.type === 'task') {
+        try {
+            const name = msg.task.source || 'effect';
+            const source = sources[name];
+            if (!source) throw new Error(`Data source not loaded: ${name}`);
+            const result = AnalysisCore.runTask(source.matrix, source.nCellLines, msg.task, state);
+            // Hand large p-value arrays over without copying
+            const transfer = result.pValues ? [result.pValues.buffer] : [];
+            self.postMessage({ type: 'result', result }, transfer);
+        } catch (error) {
+            self.postMessage({ type: 'error', message: error.message });
+        }
+    }
+};
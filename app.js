@@ -6,21 +6,12 @@
  * Based on: https://github.com/fredrikwermeling/correlation-app
  */
 
-class CorrelationExplorer {
+// Data and analyses live in AnalysisEngine (analysisEngine.js); this class adds the interface
+class CorrelationExplorer extends AnalysisEngine {
     constructor() {
-        // Data storage
-        this.metadata = null;
-        this.cellLineMetadata = null;
-        this.mutations = null;
-        this.orthologs = null;
-        this.geneEffects = null; // Float32Array [nGenes x nCellLines]
-        this.nGenes = 0;
-        this.nCellLines = 0;
-        this.geneIndex = new Map(); // gene name -> row index
-        this.geneNames = []; // gene names array
-
-        // Analysis results
-        this.results = null;
+        super();
+
+        // Network view of the results
         this.network = null;
         this.savedNetworkView = null;
 
@@ -35,13 +26,45 @@ class CorrelationExplorer {
         // Synonyms/orthologs used
         this.synonymsUsed = [];
 
-        // Extended synonym lookup (low/mid risk)
-        this.synonymLookup = null;
+        // Saved node positions / view applied by the next displayNetwork() (session files)
+        this.pendingNetworkLayout = null;
 
         // Network physics and layout state
         this.physicsEnabled = true;
         this.currentLayout = 0;
 
+        // Worker pool for correlation / mutation scans (see analysisWorker.js)
+        this.workerPool = null;
+        this.workerQueue = [];
+        this.inlineDraining = false;
+        this.activeJob = null;
+
+        // Shareable URL state (see updateUrlHash); suppressed while a link is being restored
+        this.restoringUrlState = false;
+
+        // IndexedDB cache for the decoded matrix and recent analyses (see openCacheDB)
+        this.cacheDB = null;
+        this.HISTORY_LIMIT = 20;
+
+        // Data releases (see loadReleaseManifest)
+        this.releaseManifestText = null; // as loaded, to notice a newly deployed release
+        this.updateAccepted = false; // set when the update prompt is accepted (see registerServiceWorker)
+        this.otherReleases = new Map(); // release id -> { metadata, geneEffects, geneIndex }, loaded for Compare Releases
+
+        // Resolved once the first release is loaded (see installScriptingApi)
+        this.dataReady = new Promise(resolve => {
+            this.resolveDataReady = resolve;
+        });
+        this.installScriptingApi();
+
+        // Embed mode (?embed=1) and its postMessage API for pages showing the app in an iframe;
+        // origins other than the app's own must be listed as embedOrigins in releases.json to
+        // send messages (see loadReleaseManifest, installEmbedApi)
+        this.EMBED_PROTOCOL_VERSION = 1;
+        this.embedAllowedOrigins = [];
+        this.embedMode = this.applyEmbedMode();
+        if (this.embedMode) this.installEmbedApi();
+
         this.init();
     }
 
@@ -54,13 +77,50 @@ class CorrelationExplorer {
     }
 
     async init() {
+        if (await this.loadInitialData()) await this.startApp();
+    }
+
+    // First data load; false after a failure, with the error and a Retry button on the loading overlay
+    async loadInitialData() {
         try {
             await this.loadData();
+            return true;
+        } catch (error) {
+            console.error('Initialization error:', error);
+            this.updateLoadingText('Error loading data: ' + error.message);
+            this.showLoadingRetry();
+            return false;
+        }
+    }
+
+    // Runs once, after the first successful load
+    async startApp() {
+        try {
             this.setupUI();
             this.hideLoading();
+            this.resolveDataReady();
+            this.renderHistory();
+            this.registerServiceWorker();
+            await this.restoreFromUrlHash();
         } catch (error) {
             console.error('Initialization error:', error);
-            this.updateLoadingText('Error loading data: ' + error.message);
+            this.updateLoadingText('Error starting the app: ' + error.message);
+        }
+    }
+
+    // Replaces the spinner after a failed load; Retry loads the data again (starting from the
+    // release manifest if that failed too) and starts the app. The UI is not set up twice
+    showLoadingRetry() {
+        const retry = document.getElementById('loadingRetry');
+        document.querySelector('#loadingOverlay .loading-spinner').style.display = 'none';
+        retry.style.display = 'block';
+        if (!retry.hasAttribute('data-listener-attached')) {
+            retry.addEventListener('click', async () => {
+                retry.style.display = 'none';
+                document.querySelector('#loadingOverlay .loading-spinner').style.display = '';
+                if (await this.loadInitialData()) await this.startApp();
+            });
+            retry.setAttribute('data-listener-attached', 'true');
         }
     }
 
@@ -68,44 +128,40 @@ class CorrelationExplorer {
         document.getElementById('loadingText').textContent = text;
     }
 
+    // Text plus a progress bar (fraction 0-1, or null when the size is unknown); null hides the bar
+    setLoadingProgress(text, fraction = null) {
+        const progress = document.getElementById('loadingProgress');
+        if (text === null) {
+            progress.style.display = 'none';
+            return;
+        }
+        this.updateLoadingText(text);
+        progress.style.display = fraction === null ? 'none' : 'block';
+        if (fraction !== null) document.getElementById('loadingProgressBar').style.width = `${Math.min(100, fraction * 100).toFixed(1)}%`;
+    }
+
     hideLoading() {
         document.getElementById('loadingOverlay').classList.add('hidden');
     }
 
-    async loadData() {
+    async loadData(releaseId = null) {
         this.updateLoadingText('Loading metadata...');
 
-        // Load essential JSON files in parallel (synonyms loaded lazily on demand)
-        const [metadataRes, cellLineRes, mutationsRes, orthologsRes] = await Promise.all([
-            fetch('web_data/metadata.json'),
-            fetch('web_data/cellLineMetadata.json'),
-            fetch('web_data/mutations.json'),
-            fetch('web_data/orthologs.json')
-        ]);
-
-        this.metadata = await metadataRes.json();
-        this.cellLineMetadata = await cellLineRes.json();
-        this.mutations = await mutationsRes.json();
-        this.orthologs = await orthologsRes.json();
-        // synonymLookup loaded lazily when "Find Synonyms" is clicked
+        if (this.releases.length === 0) await this.loadReleaseManifest();
+        await this.loadRelease(this.getRelease(releaseId));
 
-        this.nGenes = this.metadata.nGenes;
-        this.nCellLines = this.metadata.nCellLines;
-        this.geneNames = this.metadata.genes;
-
-        // Build gene index
-        this.metadata.genes.forEach((gene, idx) => {
-            this.geneIndex.set(gene.toUpperCase(), idx);
-        });
-
-        // Load binary gene effects
-        this.updateLoadingText('Loading gene effect matrix...');
-        await this.loadGeneEffects();
+        this.showDatasetLoaded();
+    }
 
+    // Reference status, filters and the run button for the data now in memory
+    // (a bundled release or an uploaded matrix)
+    showDatasetLoaded() {
         // Update reference status
         document.getElementById('referenceStatus').className = 'status-box status-success';
         document.getElementById('referenceStatus').innerHTML =
-            `&#10003; ${this.nGenes.toLocaleString()} genes, ${this.nCellLines.toLocaleString()} cell lines loaded`;
+            `&#10003; ${this.nGenes.toLocaleString()} genes, ${this.nCellLines.toLocaleString()} cell lines loaded` +
+            (this.geneEffectsFromCache ? ' (from local cache)' : '');
+        if (!this.currentRelease.custom) document.getElementById('releaseLabel').textContent = this.currentRelease.label;
 
         // Enable run button
         document.getElementById('runAnalysis').disabled = false;
@@ -114,30 +170,89 @@ class CorrelationExplorer {
         this.populateLineageFilter();
     }
 
-    async loadGeneEffects() {
-        const response = await fetch('web_data/geneEffects.bin.gz');
-        const compressedData = await response.arrayBuffer();
-
-        this.updateLoadingText('Decompressing gene effect data...');
-
-        // Decompress using pako
-        const decompressed = pako.inflate(new Uint8Array(compressedData));
-
-        // Convert to Int16Array
-        const int16Data = new Int16Array(decompressed.buffer);
-
-        // Convert to Float32Array and scale
-        const scaleFactor = this.metadata.scaleFactor;
-        const naValue = this.metadata.naValue;
+    // File access for AnalysisEngine: JSON from the server, null when the file is missing
+    async readJson(path) {
+        const response = await fetch(path);
+        return response.ok ? response.json() : null;
+    }
+
+    async readMatrix(release, metadata, file = 'geneEffects.bin.gz', shared = false) {
+        if (file === 'geneEffects.bin.gz') this.updateLoadingText('Loading gene effect matrix...');
+        // Allocate on a SharedArrayBuffer when the page is cross-origin isolated,
+        // so the analysis workers can read the matrix without copying it
+        const canShare = shared && typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated;
+        return this.fetchGeneEffects(release, metadata, canShare, file);
+    }
+
+    // Gene effect matrix of a release, from the local cache when it has one (also used for
+    // the expression and drug response matrices, stored in the same int16 format). The int16
+    // codes are kept as they are; AnalysisCore decodes values when they are read
+    async fetchGeneEffects(release, metadata, shared = false, file = 'geneEffects.bin.gz') {
+        const allocate = (length) => shared
+            ? new Int16Array(new SharedArrayBuffer(length * Int16Array.BYTES_PER_ELEMENT))
+            : new Int16Array(length);
+        const toMatrix = (codes) => AnalysisCore.int16Matrix(codes, metadata.scaleFactor, metadata.naValue);
+
+        // Matrix from an earlier visit (see storeCachedGeneEffects)
+        const cached = await this.loadCachedGeneEffects(release, metadata);
+        if (cached) {
+            if (!shared) return { matrix: toMatrix(cached), fromCache: true };
+            const codes = allocate(cached.length);
+            codes.set(cached);
+            return { matrix: toMatrix(codes), fromCache: true };
+        }
+
+        const response = await fetch(release.path + file);
+        if (!response.ok) throw new Error(`${release.label} matrix not found: ${file}`);
+        const codes = allocate(metadata.nGenes * metadata.nCellLines);
+        await this.inflateMatrix(response, codes, release.label);
+
+        // Not awaited: the app is usable while the matrix is written
+        this.storeCachedGeneEffects(release, metadata, codes);
+        return { matrix: toMatrix(codes), fromCache: false };
+    }
+
+    // Download and decompress an int16 matrix into codes as the bytes arrive, so the page
+    // stays responsive and the loading overlay shows real progress. Throws when the
+    // download breaks off or the file does not fill codes exactly
+    async inflateMatrix(response, codes, label) {
+        const total = Number(response.headers.get('Content-Length')) || 0;
+        const raw = new Uint8Array(codes.buffer, codes.byteOffset, codes.byteLength);
+        let written = 0; // decompressed bytes
+        let tooLong = false;
+
+        const inflator = new pako.Inflate();
+        inflator.onData = (chunk) => {
+            if (written + chunk.length > raw.length) {
+                tooLong = true;
+                return;
+            }
+            raw.set(chunk, written);
+            written += chunk.length;
+        };
 
-        this.geneEffects = new Float32Array(int16Data.length);
-        for (let i = 0; i < int16Data.length; i++) {
-            if (int16Data[i] === naValue) {
-                this.geneEffects[i] = NaN;
-            } else {
-                this.geneEffects[i] = int16Data[i] / scaleFactor;
+        let received = 0;
+        const mb = (bytes) => (bytes / 1e6).toFixed(1);
+        const reader = response.body.getReader();
+        try {
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                received += value.length;
+                inflator.push(value, false);
+                if (inflator.err || tooLong) break;
+                this.setLoadingProgress(`Downloading ${label}: ${mb(received)}${total ? ` of ${mb(total)}` : ''} MB`,
+                    total ? received / total : null);
             }
+        } catch (error) {
+            throw new Error(`download of ${label} interrupted after ${mb(received)} MB (${error.message})`);
+        } finally {
+            this.setLoadingProgress(null);
         }
+
+        if (inflator.err || tooLong) throw new Error(`${label} data file is corrupt${inflator.msg ? ` (${inflator.msg})` : ''}`);
+        if (total && received < total) throw new Error(`download of ${label} incomplete (${mb(received)} of ${mb(total)} MB)`);
+        if (!inflator.ended || written !== raw.length) throw new Error(`${label} data file is incomplete`);
     }
 
     populateLineageFilter() {
@@ -165,6 +280,10 @@ class CorrelationExplorer {
         this.lineageCounts = lineageCounts;
         this.subLineageCounts = subLineageCounts;
 
+        // Refilling (release switch, uploaded matrix) resets the lineage, so the subtype filter goes too
+        document.getElementById('subLineageFilterGroup').style.display = 'none';
+        document.getElementById('subLineageFilter').innerHTML = '<option value="">All subtypes</option>';
+
         if (Object.keys(lineageCounts).length > 0) {
             const select = document.getElementById('lineageFilter');
             const total = this.metadata.cellLines.length;
@@ -178,12 +297,20 @@ class CorrelationExplorer {
             });
             document.getElementById('lineageFilterGroup').style.display = 'block';
 
-            // Update sub-lineage when lineage changes
-            select.addEventListener('change', () => this.updateSubLineageFilter());
+            // Update sub-lineage when lineage changes (only add once; the filter is refilled on a release switch)
+            if (!select.hasAttribute('data-listener-attached')) {
+                select.addEventListener('change', () => this.updateSubLineageFilter());
+                select.setAttribute('data-listener-attached', 'true');
+            }
+        } else {
+            // e.g. an uploaded matrix without sample annotation
+            document.getElementById('lineageFilter').innerHTML = '<option value="">All lineages</option>';
+            document.getElementById('lineageFilterGroup').style.display = 'none';
         }
 
-        // Also populate parameter hotspot filter
+        // Also populate parameter hotspot filter and the differential correlation groups
         this.populateParamHotspotFilter();
+        this.populateDifferentialGroups();
     }
 
     updateSubLineageFilter() {
@@ -271,7 +398,7 @@ class CorrelationExplorer {
     }
 
     updateHotspotCountsForCurrentFilters() {
-        if (this.mutations?.geneData) {
+        if (this.getMutationLayers().length > 0) {
             this.updateParamHotspotGeneCounts();
 
             // Also update mutation mode selector if in mutation mode
@@ -283,12 +410,32 @@ class CorrelationExplorer {
     }
 
     populateParamHotspotFilter() {
-        if (this.mutations && this.mutations.geneData) {
+        if (this.getMutationLayers().length > 0) {
             const select = document.getElementById('paramHotspotGene');
             document.getElementById('paramHotspotFilterGroup').style.display = 'block';
 
-            // Update level dropdown with counts when gene changes
-            select.addEventListener('change', () => this.updateParamHotspotLevelCounts());
+            // Update level dropdown with counts when gene changes (only add once)
+            if (!select.hasAttribute('data-listener-attached')) {
+                select.addEventListener('change', () => this.updateParamHotspotLevelCounts());
+                select.setAttribute('data-listener-attached', 'true');
+            }
+
+            // Mutation / copy number features that partial correlation can control for
+            const partialSelect = document.getElementById('partialHotspots');
+            if (partialSelect) {
+                partialSelect.innerHTML = this.buildMutationFeatureOptions(key => this.getMutationFeatureLabel(key, true), true);
+                document.getElementById('partialHotspotGroup').style.display = 'block';
+            }
+
+            // Copy number thresholds only matter when the release has copy number data
+            const cnGroup = document.getElementById('copyNumberThresholdGroup');
+            cnGroup.style.display = this.copyNumber?.geneData ? 'block' : 'none';
+            if (!cnGroup.hasAttribute('data-listener-attached')) {
+                cnGroup.querySelectorAll('input').forEach(input => {
+                    input.addEventListener('change', () => this.onCopyNumberThresholdsChanged());
+                });
+                cnGroup.setAttribute('data-listener-attached', 'true');
+            }
 
             // Initial population
             this.updateParamHotspotGeneCounts();
@@ -296,17 +443,15 @@ class CorrelationExplorer {
     }
 
     updateParamHotspotGeneCounts() {
-        const genes = Object.keys(this.mutations.geneData).sort();
         const select = document.getElementById('paramHotspotGene');
         const cellLines = this.metadata.cellLines;
         const lineageFilter = document.getElementById('lineageFilter').value;
         const subLineageFilter = document.getElementById('subLineageFilter')?.value;
         const currentValue = select.value;
 
-        select.innerHTML = '<option value="">No filter</option>';
-        genes.forEach(gene => {
+        select.innerHTML = '<option value="">No filter</option>' + this.buildMutationFeatureOptions(gene => {
             // Count mutations for this gene (respecting lineage filter)
-            const mutations = this.mutations.geneData[gene].mutations;
+            const mutations = this.getMutationData(gene).mutations;
             let nMut = 0;
             cellLines.forEach(cl => {
                 // Apply lineage filter
@@ -320,11 +465,8 @@ class CorrelationExplorer {
                 if (mutations[cl] && mutations[cl] > 0) nMut++;
             });
 
-            const option = document.createElement('option');
-            option.value = gene;
-            option.textContent = `${gene} (n=${nMut} mutated)`;
-            select.appendChild(option);
-        });
+            return `${this.getMutationFeatureLabel(gene, true)} (n=${nMut} ${this.getMutationLevelLabels(gene).any})`;
+        }, true);
 
         // Restore selection if it was set
         if (currentValue) {
@@ -341,7 +483,7 @@ class CorrelationExplorer {
         const lineageFilter = document.getElementById('lineageFilter').value;
         const subLineageFilter = document.getElementById('subLineageFilter')?.value;
 
-        if (!gene || !this.mutations?.geneData?.[gene]) {
+        if (!gene || !this.getMutationData(gene)) {
             levelSelect.innerHTML = `
                 <option value="all">All cells</option>
                 <option value="0">Only WT (0 mutations)</option>
@@ -353,7 +495,7 @@ class CorrelationExplorer {
         }
 
         // Count mutations for selected gene (respecting lineage filter)
-        const mutations = this.mutations.geneData[gene].mutations;
+        const mutations = this.getMutationData(gene).mutations;
         const cellLines = this.metadata.cellLines;
         let n0 = 0, n1 = 0, n2 = 0;
 
@@ -376,13 +518,7 @@ class CorrelationExplorer {
         const nMut = n1 + n2;
         const total = n0 + n1 + n2;
 
-        levelSelect.innerHTML = `
-            <option value="all">All cells (n=${total})</option>
-            <option value="0">Only WT (n=${n0})</option>
-            <option value="1">Only 1 mutation (n=${n1})</option>
-            <option value="2">Only 2 mutations (n=${n2})</option>
-            <option value="1+2">Only mutated 1+2 (n=${nMut})</option>
-        `;
+        levelSelect.innerHTML = this.getMutationLevelOptions(gene, { all: total, 0: n0, 1: n1, 2: n2, '1+2': nMut });
     }
 
     updateAnalysisModeUI() {
@@ -390,11 +526,13 @@ class CorrelationExplorer {
         const isMutationMode = mode === 'mutation';
         const isDesignMode = mode === 'design';
         const isSynonymMode = mode === 'synonym';
+        const isDifferentialMode = mode === 'differential';
 
-        // Toggle visibility of correlation/slope params (hide for mutation and synonym modes)
-        const hideParams = isMutationMode || isSynonymMode;
+        // Toggle visibility of correlation/slope params (hide for mutation, synonym and differential modes)
+        const hideParams = isMutationMode || isSynonymMode || isDifferentialMode;
         document.getElementById('correlationParams').style.display = hideParams ? 'none' : 'block';
         document.getElementById('slopeParams').style.display = hideParams ? 'none' : 'block';
+        document.getElementById('clusteringParams').style.display = hideParams ? 'none' : 'block';
 
         // Hide min cell lines and filters for synonym mode
         document.getElementById('minCellLinesGroup').style.display = isSynonymMode ? 'none' : 'block';
@@ -407,29 +545,45 @@ class CorrelationExplorer {
             if (this.cellLineMetadata && this.cellLineMetadata.lineage) {
                 document.getElementById('lineageFilterGroup').style.display = 'block';
             }
-            if (this.mutations && this.mutations.geneData) {
+            if (this.getMutationLayers().length > 0) {
                 document.getElementById('paramHotspotFilterGroup').style.display = 'block';
             }
         }
 
         // Toggle visibility of mutation-specific params
         document.getElementById('mutationHotspotGroup').style.display = isMutationMode ? 'block' : 'none';
-        document.getElementById('pValueThresholdGroup').style.display = isMutationMode ? 'block' : 'none';
+        document.getElementById('pValueThresholdGroup').style.display = isMutationMode || isDifferentialMode ? 'block' : 'none';
+
+        // Toggle visibility of the differential correlation groups
+        document.getElementById('differentialGroupsGroup').style.display = isDifferentialMode ? 'block' : 'none';
 
         // Show/hide design mode hint
         document.getElementById('designModeHint').style.display = isDesignMode ? 'block' : 'none';
 
+        // Show/hide list B; the first list becomes list A in two-list mode
+        document.getElementById('geneListBGroup').style.display = mode === 'bipartite' ? 'block' : 'none';
+        document.getElementById('geneTextareaLabel').textContent = mode === 'bipartite'
+            ? 'List A gene symbols (one per line):' : 'Gene symbols (one per line):';
+        this.updateGeneCount();
+
         // Show/hide design expand option
         document.getElementById('designExpandOption').style.display = isDesignMode ? 'block' : 'none';
 
+        // Show/hide biomarker and drug direction
+        document.getElementById('biomarkerOptions').style.display = mode === 'biomarker' ? 'block' : 'none';
+        document.getElementById('drugOptions').style.display = mode === 'drug' ? 'block' : 'none';
+
         // Show/hide mutation tab
         document.getElementById('mutationTab').style.display = isMutationMode ? 'inline-block' : 'none';
 
+        // Show/hide differential correlation tab
+        document.getElementById('differentialTab').style.display = isDifferentialMode ? 'inline-block' : 'none';
+
         // Show/hide synonyms tab
         document.getElementById('synonymsTab').style.display = isSynonymMode ? 'inline-block' : 'none';
 
         // Disable/enable gene input elements for mutation mode (not needed, but keep Run button active)
-        const geneInputElements = document.querySelectorAll('#geneTextarea, #manualStatsTextarea, #statsFileInput, .input-tab, .stats-sub-tab, #loadTestGenes, #clearGenes, #loadManualStatsBtn, #loadTestStats, #downloadSampleStats');
+        const geneInputElements = document.querySelectorAll('#geneTextarea, #geneTextareaB, #manualStatsTextarea, #statsFileInput, .input-tab, .stats-sub-tab, #loadTestGenes, #clearGenes, #loadManualStatsBtn, #loadTestStats, #downloadSampleStats');
         geneInputElements.forEach(el => {
             if (el) {
                 el.disabled = isMutationMode;
@@ -450,25 +604,74 @@ class CorrelationExplorer {
         if (isMutationMode) {
             minCellLinesInput.value = '20';
             this.populateMutationHotspotSelector();
+        } else if (isDifferentialMode) {
+            minCellLinesInput.value = '20';
+            this.populateDifferentialGroups();
         } else {
             minCellLinesInput.value = '50';
         }
     }
 
+    // Group A / B choices for differential correlation: lineages, subtypes or the levels of a
+    // mutation / copy number feature (see splitCellLines)
+    populateDifferentialGroups() {
+        const split = document.getElementById('differentialSplit');
+        const featureSelect = document.getElementById('differentialFeature');
+        const selectA = document.getElementById('differentialGroupA');
+        const selectB = document.getElementById('differentialGroupB');
+        if (!split || !this.metadata) return;
+
+        const isMutation = split.value === 'mutation';
+        featureSelect.style.display = isMutation ? 'block' : 'none';
+
+        let groups = [];
+        let otherLabel = 'All other cell lines';
+        if (isMutation) {
+            const currentFeature = featureSelect.value;
+            featureSelect.innerHTML = this.getMutationLayers().length > 0
+                ? this.buildMutationFeatureOptions(key => this.getMutationFeatureLabel(key, true), true) : '';
+            if (currentFeature) featureSelect.value = currentFeature;
+            if (!featureSelect.value && featureSelect.options.length > 0) featureSelect.selectedIndex = 0;
+            if (featureSelect.value) {
+                const labels = this.getMutationLevelLabels(featureSelect.value).short;
+                groups = [['0', labels[0]], ['1', labels[1]], ['2', labels[2]], ['1+2', labels[3]]];
+            }
+            otherLabel = 'All other levels';
+        } else {
+            // No annotation (e.g. an uploaded matrix) leaves the groups empty
+            const annotation = this.cellLineMetadata?.[split.value === 'lineage' ? 'lineage' : 'primaryDisease'] || {};
+            const counts = {};
+            this.metadata.cellLines.forEach(cl => {
+                const value = annotation[cl];
+                if (value) counts[value] = (counts[value] || 0) + 1;
+            });
+            groups = Object.keys(counts).sort().map(value => [value, `${value} (n=${counts[value]})`]);
+        }
+
+        const currentA = selectA.value;
+        const currentB = selectB.value;
+        const options = groups.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+        selectA.innerHTML = options;
+        selectB.innerHTML = `<option value="">${otherLabel}</option>` + options;
+        // Keep the chosen groups when they are still offered
+        if (groups.some(([value]) => value === currentA)) selectA.value = currentA;
+        else if (isMutation) selectA.value = '0';
+        if (groups.some(([value]) => value === currentB)) selectB.value = currentB;
+        else if (isMutation) selectB.value = '1+2';
+    }
+
     populateMutationHotspotSelector() {
         const select = document.getElementById('mutationHotspotSelect');
         const lineageFilter = document.getElementById('lineageFilter').value;
         const subLineageFilter = document.getElementById('subLineageFilter')?.value;
         const currentValue = select.value;
 
-        if (!this.mutations || !this.mutations.geneData) return;
+        if (this.getMutationLayers().length === 0) return;
 
-        const genes = Object.keys(this.mutations.geneData).sort();
         const cellLines = this.metadata.cellLines;
 
-        select.innerHTML = '<option value="">Select hotspot gene...</option>';
-        genes.forEach(gene => {
-            const mutations = this.mutations.geneData[gene].mutations;
+        select.innerHTML = '<option value="">Select hotspot gene...</option>' + this.buildMutationFeatureOptions(gene => {
+            const mutations = this.getMutationData(gene).mutations;
             let nMut = 0;
 
             cellLines.forEach(cl => {
@@ -483,11 +686,8 @@ class CorrelationExplorer {
                 if (mutations[cl] && mutations[cl] > 0) nMut++;
             });
 
-            const option = document.createElement('option');
-            option.value = gene;
-            option.textContent = `${gene} (${nMut} mutated cells)`;
-            select.appendChild(option);
-        });
+            return `${this.getMutationFeatureLabel(gene, true)} (${nMut} ${this.getMutationLevelLabels(gene).any} cells)`;
+        }, true);
 
         // Restore selection if it was set
         if (currentValue) {
@@ -512,8 +712,22 @@ class CorrelationExplorer {
     }
 
     getGeneData(geneIndex) {
-        const start = geneIndex * this.nCellLines;
-        return this.geneEffects.subarray(start, start + this.nCellLines);
+        return AnalysisCore.decodeRow(this.geneEffects, this.nCellLines, geneIndex);
+    }
+
+    // Switch the results panel to a tab; in embed mode a tab left out of ?tabs= falls back to the first tab shown
+    showResultsTab(name) {
+        let link = document.querySelector(`.nav-link[data-tab="${name}"]`);
+        if (link.classList.contains('embed-hidden')) {
+            link = document.querySelector('.nav-link[data-tab]:not(.embed-hidden)') || link;
+        }
+        document.querySelectorAll('.nav-link').forEach(l => l.classList.remove('active'));
+        document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
+        link.classList.add('active');
+        document.getElementById('tab-' + link.dataset.tab).classList.add('active');
+
+        // Plotly needs the tab visible to size the heatmap
+        if (link.dataset.tab === 'heatmap' && !this.heatmapOrder) this.displayHeatmap();
     }
 
     setupUI() {
@@ -528,10 +742,7 @@ class CorrelationExplorer {
                     };
                 }
 
-                document.querySelectorAll('.nav-link').forEach(t => t.classList.remove('active'));
-                document.querySelectorAll('.tab-content').forEach(c => c.classList.remove('active'));
-                tab.classList.add('active');
-                document.getElementById('tab-' + tab.dataset.tab).classList.add('active');
+                this.showResultsTab(tab.dataset.tab);
 
                 // Restore network view state when switching back to network tab
                 if (tab.dataset.tab === 'network' && this.network && this.savedNetworkView) {
@@ -575,16 +786,21 @@ class CorrelationExplorer {
             document.getElementById('cutoffValue').textContent = parseFloat(e.target.value).toFixed(2);
         });
 
+        // Top N selection turns the cutoff into an optional minimum |r|
+        document.getElementById('correlationSelection').addEventListener('change', () => this.updateCorrelationSelectionUI());
+
         document.getElementById('minSlope').addEventListener('input', (e) => {
             document.getElementById('slopeValue').textContent = parseFloat(e.target.value).toFixed(2);
         });
 
         // Gene textarea
         document.getElementById('geneTextarea').addEventListener('input', () => this.updateGeneCount());
+        document.getElementById('geneTextareaB').addEventListener('input', () => this.updateGeneCount());
 
         // Clear genes
         document.getElementById('clearGenes').addEventListener('click', () => {
             document.getElementById('geneTextarea').value = '';
+            document.getElementById('geneTextareaB').value = '';
             this.updateGeneCount();
         });
 
@@ -667,6 +883,12 @@ class CorrelationExplorer {
 
         // Run analysis
         document.getElementById('runAnalysis').addEventListener('click', () => this.runAnalysis());
+        document.getElementById('releaseSelect').addEventListener('change', (e) => this.switchRelease(e.target.value));
+        document.getElementById('toggleCustomData').addEventListener('click', () => {
+            const panel = document.getElementById('customDataPanel');
+            panel.style.display = panel.style.display === 'none' ? 'block' : 'none';
+        });
+        document.getElementById('loadCustomMatrix').addEventListener('click', () => this.loadCustomMatrix());
 
         // Analysis mode change
         document.querySelectorAll('input[name="analysisMode"]').forEach(radio => {
@@ -683,6 +905,21 @@ class CorrelationExplorer {
             this.downloadMutationResults();
         });
 
+        // Differential correlation groups follow the chosen split
+        ['differentialSplit', 'differentialFeature'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => this.populateDifferentialGroups());
+        });
+
+        // Differential correlation results search
+        document.getElementById('differentialSearch').addEventListener('input', (e) => {
+            this.filterTable('differentialTableBody', e.target.value);
+        });
+
+        // Download differential correlation results
+        document.getElementById('downloadDifferentialResults').addEventListener('click', () => {
+            this.downloadDifferentialResults();
+        });
+
         // Synonyms search
         document.getElementById('synonymsSearch').addEventListener('input', (e) => {
             this.filterSynonymsTable(e.target.value);
@@ -696,10 +933,12 @@ class CorrelationExplorer {
         // Gene effect distribution modal
         document.getElementById('closeGeneEffect').addEventListener('click', () => {
             document.getElementById('geneEffectModal').style.display = 'none';
+            this.updateUrlHash();
         });
         document.getElementById('geneEffectModal').addEventListener('click', (e) => {
             if (e.target.id === 'geneEffectModal') {
                 document.getElementById('geneEffectModal').style.display = 'none';
+                this.updateUrlHash();
             }
         });
         document.getElementById('downloadGeneEffectPNG').addEventListener('click', () => this.downloadGeneEffectPNG());
@@ -729,12 +968,31 @@ class CorrelationExplorer {
         });
         document.getElementById('showGeneEffectSD').addEventListener('change', () => this.updateNetworkLabels());
 
+        // Network clusters: the results on screen are clustered again without recomputing correlations
+        document.getElementById('clusteringMethod').addEventListener('change', (e) => {
+            document.getElementById('clusteringResolutionGroup').style.display = e.target.value === 'components' ? 'none' : 'flex';
+            this.reclusterResults();
+        });
+        document.getElementById('clusteringResolution').addEventListener('input', () => this.reclusterResults());
+
+        // Color by cluster (mutually exclusive with gene effect and stats)
+        document.getElementById('colorByCluster').addEventListener('change', (e) => {
+            if (e.target.checked) {
+                document.getElementById('colorByGeneEffect').checked = false;
+                document.getElementById('colorGEOptions').style.display = 'none';
+                document.getElementById('colorByStats').checked = false;
+                document.getElementById('colorStatsOptions').style.display = 'none';
+            }
+            this.updateNetworkColors();
+        });
+
         // Color by gene effect controls (mutually exclusive with stats)
         document.getElementById('colorByGeneEffect').addEventListener('change', (e) => {
             if (e.target.checked) {
                 // Uncheck color by stats
                 document.getElementById('colorByStats').checked = false;
                 document.getElementById('colorStatsOptions').style.display = 'none';
+                document.getElementById('colorByCluster').checked = false;
             }
             document.getElementById('colorGEOptions').style.display = e.target.checked ? 'block' : 'none';
             this.updateNetworkColors();
@@ -746,6 +1004,10 @@ class CorrelationExplorer {
         document.getElementById('downloadNetworkPNG').addEventListener('click', () => this.downloadNetworkPNG());
         document.getElementById('downloadNetworkSVG').addEventListener('click', () => this.downloadNetworkSVG());
         document.getElementById('downloadAllData').addEventListener('click', () => this.downloadAllData());
+        document.getElementById('saveSession').addEventListener('click', () => this.saveSession());
+        document.getElementById('openSession').addEventListener('click', () => document.getElementById('sessionFileInput').click());
+        document.getElementById('sessionFileInput').addEventListener('change', (e) => this.handleSessionFileUpload(e));
+        document.getElementById('clearHistory').addEventListener('click', () => this.clearHistory());
 
         // Color by stats controls (mutually exclusive with GE)
         document.getElementById('colorByStats').addEventListener('change', (e) => {
@@ -753,6 +1015,7 @@ class CorrelationExplorer {
                 // Uncheck color by gene effect
                 document.getElementById('colorByGeneEffect').checked = false;
                 document.getElementById('colorGEOptions').style.display = 'none';
+                document.getElementById('colorByCluster').checked = false;
             }
             document.getElementById('colorStatsOptions').style.display = e.target.checked ? 'block' : 'none';
             document.getElementById('legendNodeColor').style.display = e.target.checked ? 'block' : 'none';
@@ -787,6 +1050,12 @@ class CorrelationExplorer {
         document.getElementById('downloadClusters').addEventListener('click', () => this.downloadCSV('clusters'));
         document.getElementById('downloadSummary').addEventListener('click', () => this.downloadSummary());
 
+        // Heatmap
+        document.getElementById('heatmapLinkage').addEventListener('change', () => this.displayHeatmap());
+        document.getElementById('downloadHeatmapPNG').addEventListener('click', () => this.downloadHeatmapImage('png'));
+        document.getElementById('downloadHeatmapSVG').addEventListener('click', () => this.downloadHeatmapImage('svg'));
+        document.getElementById('downloadHeatmapCSV').addEventListener('click', () => this.downloadCSV('matrix'));
+
         // Inspect modal
         document.getElementById('closeInspect').addEventListener('click', () => this.closeInspectModal());
         document.getElementById('closeInspectBtn').addEventListener('click', () => this.closeInspectModal());
@@ -838,7 +1107,14 @@ class CorrelationExplorer {
             this.updateInspectPlot();
         });
         document.getElementById('scatterSubtypeFilter').addEventListener('change', () => this.updateInspectPlot());
-        document.getElementById('mutationFilterGene').addEventListener('change', () => this.updateInspectPlot());
+        document.getElementById('mutationFilterGene').addEventListener('change', () => {
+            // Level names follow the selected layer (WT / 1 mutation, Neutral / Gain, ...)
+            const levelSelect = document.getElementById('mutationFilterLevel');
+            const level = levelSelect.value;
+            levelSelect.innerHTML = this.getMutationLevelOptions(document.getElementById('mutationFilterGene').value);
+            levelSelect.value = level;
+            this.updateInspectPlot();
+        });
         document.getElementById('mutationFilterLevel').addEventListener('change', () => this.updateInspectPlot());
         document.getElementById('hotspotGene').addEventListener('change', () => this.updateInspectPlot());
         document.getElementById('hotspotMode').addEventListener('change', () => this.updateInspectPlot());
@@ -851,8 +1127,10 @@ class CorrelationExplorer {
         document.getElementById('downloadTissueCSV').addEventListener('click', () => this.downloadTissueTableCSV());
         document.getElementById('scatterFontSize')?.addEventListener('change', () => this.updateInspectPlot());
         document.getElementById('compareAllMutationsBtn')?.addEventListener('click', () => this.showCompareAllMutations());
+        document.getElementById('compareReleasesBtn')?.addEventListener('click', () => this.showCompareReleases());
         document.getElementById('compareAllCancerTypesBtn')?.addEventListener('click', () => this.showCompareAllCancerTypes());
         document.getElementById('updateInspectGenes')?.addEventListener('click', () => this.updateInspectGenes());
+        document.getElementById('inspectResidualized')?.addEventListener('change', () => this.toggleInspectResiduals());
 
         // Aspect ratio control
         document.getElementById('aspectRatio')?.addEventListener('input', (e) => {
@@ -923,9 +1201,17 @@ class CorrelationExplorer {
         const genes = text.split(/\s+/).filter(g => g.trim() !== '');
         const display = document.getElementById('geneCountDisplay');
 
-        if (genes.length > 0) {
-            display.innerHTML = `<strong>Genes entered:</strong> <span class="gene-count">${genes.length}</span>`;
-            this.validateGenes(genes);
+        // Two-list mode counts list B separately and validates both lists
+        const isBipartite = document.querySelector('input[name="analysisMode"]:checked')?.value === 'bipartite';
+        const genesB = isBipartite
+            ? document.getElementById('geneTextareaB').value.split(/\s+/).filter(g => g.trim() !== '')
+            : [];
+
+        if (genes.length > 0 || genesB.length > 0) {
+            display.innerHTML = isBipartite
+                ? `<strong>Genes entered:</strong> list A <span class="gene-count">${genes.length}</span>, list B <span class="gene-count">${genesB.length}</span>`
+                : `<strong>Genes entered:</strong> <span class="gene-count">${genes.length}</span>`;
+            this.validateGenes([...genes, ...genesB]);
         } else {
             display.innerHTML = '';
             document.getElementById('geneValidationDisplay').innerHTML = '';
@@ -962,13 +1248,7 @@ class CorrelationExplorer {
             const originalText = btn.textContent;
             btn.textContent = 'Loading synonyms...';
             btn.disabled = true;
-            try {
-                const synonymsRes = await fetch('web_data/synonyms.json');
-                this.synonymLookup = await synonymsRes.json();
-            } catch (e) {
-                console.error('Failed to load synonyms:', e);
-                this.synonymLookup = {};
-            }
+            await this.loadSynonyms();
             btn.textContent = originalText;
             btn.disabled = false;
         }
@@ -979,30 +1259,9 @@ class CorrelationExplorer {
 
         // First pass: check local lookups (synonym table + ortholog table)
         notFound.forEach(gene => {
-            const upperGene = gene.toUpperCase();
-
-            // First check extended synonym lookup (low/mid risk from DepMap reference)
-            if (this.synonymLookup) {
-                const match = this.synonymLookup[upperGene];
-                if (match && this.geneIndex.has(match.d.toUpperCase())) {
-                    const sourceLabel = match.r === 'l' ? 'low-risk' : 'mid-risk';
-                    replacements.push({
-                        original: gene,
-                        replacement: match.d.toUpperCase(),
-                        source: sourceLabel
-                    });
-                    return;
-                }
-            }
-
-            // Fallback: Check ortholog lookup (mouse to human)
-            const humanGene = this.orthologs?.mouseToHuman?.[gene];
-            if (humanGene && this.geneIndex.has(humanGene.toUpperCase())) {
-                replacements.push({
-                    original: gene,
-                    replacement: humanGene.toUpperCase(),
-                    source: 'ortholog'
-                });
+            const local = this.findLocalSynonym(gene);
+            if (local) {
+                replacements.push(local);
                 return;
             }
 
@@ -1044,16 +1303,18 @@ class CorrelationExplorer {
             const replacedOriginals = new Set(replacements.map(r => r.original.toUpperCase()));
             this.genesNotFound = this.genesNotFound.filter(g => !replacedOriginals.has(g.toUpperCase()));
 
-            // Update geneTextarea
-            const textarea = document.getElementById('geneTextarea');
-            let text = textarea.value;
+            // Update geneTextarea (and list B of two-list mode)
+            ['geneTextarea', 'geneTextareaB'].forEach(id => {
+                const textarea = document.getElementById(id);
+                let text = textarea.value;
 
-            replacements.forEach(r => {
-                const regex = new RegExp(`\\b${r.original}\\b`, 'gi');
-                text = text.replace(regex, r.replacement);
-            });
+                replacements.forEach(r => {
+                    const regex = new RegExp(`\\b${r.original}\\b`, 'gi');
+                    text = text.replace(regex, r.replacement);
+                });
 
-            textarea.value = text;
+                textarea.value = text;
+            });
 
             // Also update manualStatsTextarea if it has content
             const manualTextarea = document.getElementById('manualStatsTextarea');
@@ -1098,31 +1359,11 @@ class CorrelationExplorer {
             return { gene: upperGene, source: 'direct' };
         }
 
-        // Load synonyms if not yet loaded
-        if (!this.synonymLookup) {
-            try {
-                const synonymsRes = await fetch('web_data/synonyms.json');
-                this.synonymLookup = await synonymsRes.json();
-            } catch (e) {
-                console.warn('Failed to load synonyms:', e);
-                this.synonymLookup = {};
-            }
-        }
-
-        // Check local synonym lookup (loaded from synonyms.json)
-        if (this.synonymLookup) {
-            const match = this.synonymLookup[upperGene];
-            if (match && this.geneIndex.has(match.toUpperCase())) {
-                return { gene: match.toUpperCase(), source: 'synonym' };
-            }
-        }
-
-        // Check orthologs
-        if (this.orthologs && this.orthologs[upperGene]) {
-            const humanGene = this.orthologs[upperGene];
-            if (this.geneIndex.has(humanGene.toUpperCase())) {
-                return { gene: humanGene.toUpperCase(), source: 'ortholog' };
-            }
+        // Check the local synonym and ortholog tables
+        await this.loadSynonyms();
+        const local = this.findLocalSynonym(gene);
+        if (local) {
+            return { gene: local.replacement, source: local.source === 'ortholog' ? 'ortholog' : 'synonym' };
         }
 
         // Check previously used synonyms from the session
@@ -1463,64 +1704,89 @@ class CorrelationExplorer {
         this.downloadFile(csv, 'sample_genes_with_stats.csv', 'text/csv');
     }
 
-    getGeneList() {
-        const text = document.getElementById('geneTextarea').value;
-        return text.split(/\s+/)
-            .map(g => g.toUpperCase().trim())
-            .filter(g => g !== '' && this.geneIndex.has(g));
+    // geneIndex: the data source the genes are read from (gene effects unless given);
+    // textareaId: 'geneTextareaB' reads list B of two-list mode
+    getGeneList(geneIndex = this.geneIndex, textareaId = 'geneTextarea') {
+        return this.parseGeneList(document.getElementById(textareaId).value, geneIndex);
     }
 
-    getFilteredCellLineIndices() {
-        const lineageFilter = document.getElementById('lineageFilter').value;
-        const subLineageFilter = document.getElementById('subLineageFilter')?.value;
-        const hotspotGene = document.getElementById('paramHotspotGene').value;
-        const hotspotLevel = document.getElementById('paramHotspotLevel').value;
+    // Optional "Max FDR" cutoff; empty or invalid input means no FDR filter
+    getMaxFdr() {
+        const value = parseFloat(document.getElementById('maxFdr')?.value);
+        return isNaN(value) || value <= 0 || value >= 1 ? null : value;
+    }
 
-        // Get mutation data for hotspot filter
-        let mutationData = null;
-        if (hotspotGene && this.mutations?.geneData?.[hotspotGene]) {
-            mutationData = this.mutations.geneData[hotspotGene].mutations;
-        }
+    getCorrelationMethod() {
+        const value = document.getElementById('correlationMethod')?.value;
+        return AnalysisCore.CORRELATION_METHODS.includes(value) ? value : 'pearson';
+    }
 
-        const indices = [];
-        this.metadata.cellLines.forEach((cellLine, idx) => {
-            // Check lineage filter
-            if (lineageFilter) {
-                if (!this.cellLineMetadata.lineage ||
-                    this.cellLineMetadata.lineage[cellLine] !== lineageFilter) {
-                    return;
-                }
-            }
+    // Inspect views follow the method of the current results so their values match the table
+    getActiveCorrelationMethod() {
+        return this.results?.method || this.getCorrelationMethod();
+    }
 
-            // Check sublineage filter
-            if (subLineageFilter) {
-                if (!this.cellLineMetadata.primaryDisease ||
-                    this.cellLineMetadata.primaryDisease[cellLine] !== subLineageFilter) {
-                    return;
-                }
-            }
+    // Cluster entries that carry gene effect stats; compound and expression nodes carry their own source's values
+    getGeneEffectClusters() {
+        return (this.results?.clusters || []).filter(c => c.source === 'effect');
+    }
 
-            // Check hotspot mutation filter
-            if (mutationData && hotspotLevel !== 'all') {
-                const mutLevel = mutationData[cellLine] || 0;
-                if (hotspotLevel === '0' && mutLevel !== 0) return;
-                if (hotspotLevel === '1' && mutLevel !== 1) return;
-                if (hotspotLevel === '2' && mutLevel < 2) return;
-                if (hotspotLevel === '1+2' && mutLevel < 1) return;
-            }
+    // Covariates to partial out: { lineage, hotspots: [genes] }, or null for plain correlation
+    getPartialCorrelationSettings() {
+        const lineage = document.getElementById('partialLineage')?.checked || false;
+        const select = document.getElementById('partialHotspots');
+        const hotspots = select
+            ? Array.from(select.selectedOptions, o => o.value).filter(g => this.getMutationData(g))
+            : [];
+        return lineage || hotspots.length > 0 ? { lineage, hotspots } : null;
+    }
 
-            indices.push(idx);
-        });
+    // Top N selection: strongest positive and negative correlates kept per gene, or null when
+    // every pair above the cutoff is kept
+    getTopNeighbors() {
+        if (document.getElementById('correlationSelection')?.value !== 'topN') return null;
+        return parseInt(document.getElementById('topNeighbors').value);
+    }
 
-        // Return all indices if no filters applied
-        if (indices.length === 0 && !lineageFilter && !subLineageFilter && (!hotspotGene || hotspotLevel === 'all')) {
-            return Array.from({ length: this.nCellLines }, (_, i) => i);
-        }
+    updateCorrelationSelectionUI() {
+        const topN = document.getElementById('correlationSelection').value === 'topN';
+        document.getElementById('topNeighborsGroup').style.display = topN ? 'flex' : 'none';
+        document.getElementById('cutoffLabel').textContent = topN ? 'Min |r|' : 'Correlation Cutoff';
+        // A minimum |r| can be off; the slider keeps its value within the new range
+        const slider = document.getElementById('correlationCutoff');
+        slider.min = topN ? '0' : '0.1';
+        document.getElementById('cutoffValue').textContent = parseFloat(slider.value).toFixed(2);
+    }
+
+    // Network clustering: { method ('components' | 'louvain' | 'leiden'), resolution }
+    getClusteringSettings() {
+        const method = document.getElementById('clusteringMethod')?.value || 'components';
+        const resolution = parseFloat(document.getElementById('clusteringResolution')?.value);
+        return { method, resolution: resolution > 0 ? resolution : 1 };
+    }
+
+    // Cluster the results on screen again after the clustering settings change (restored
+    // links and sessions bring their own results)
+    reclusterResults() {
+        if (!this.results?.success || this.restoringUrlState) return;
+        this.applyClustering(this.results, this.getClusteringSettings());
+        this.displayCorrelationsTable();
+        this.displayClustersTable();
+        this.displaySummary();
+        this.updateNetworkColors();
+        this.updateUrlHash();
+    }
 
-        return indices;
+    getFilteredCellLineIndices() {
+        return this.filterCellLines({
+            lineage: document.getElementById('lineageFilter').value,
+            subLineage: document.getElementById('subLineageFilter')?.value,
+            hotspotGene: document.getElementById('paramHotspotGene').value,
+            hotspotLevel: document.getElementById('paramHotspotLevel').value
+        });
     }
 
-    runAnalysis() {
+    async runAnalysis() {
         // Reset network settings to defaults when running new analysis
         this.resetNetworkSettings();
 
@@ -1536,23 +1802,43 @@ class CorrelationExplorer {
 
         // Handle mutation analysis mode separately
         if (mode === 'mutation') {
-            this.runMutationAnalysis();
+            await this.runMutationAnalysis();
+            this.updateUrlHash();
+            return;
+        }
+
+        // Handle differential correlation mode
+        if (mode === 'differential') {
+            await this.runDifferentialAnalysis();
+            this.updateUrlHash();
             return;
         }
 
         // Handle synonym/ortholog lookup mode
         if (mode === 'synonym') {
-            this.runSynonymLookup();
+            await this.runSynonymLookup();
+            this.updateUrlHash();
             return;
         }
 
-        const geneList = this.getGeneList();
+        // Biomarker and drug modes check the input genes against the matrix they are read from
+        const direction = document.getElementById(mode === 'drug' ? 'drugDirection' : 'biomarkerDirection').value;
+        const sources = this.getModeSources(mode, direction);
+        for (const source of sources) {
+            if (!(await this.ensureSourceLoaded(source))) return;
+        }
+        const geneList = this.getGeneList(this.getDataSource(sources[0]).geneIndex);
         const cutoff = parseFloat(document.getElementById('correlationCutoff').value);
         const minN = parseInt(document.getElementById('minCellLines').value);
         const minSlope = parseFloat(document.getElementById('minSlope').value);
+        const maxFdr = this.getMaxFdr();
+        const method = this.getCorrelationMethod();
+        const partial = this.getPartialCorrelationSettings();
+        const clustering = this.getClusteringSettings();
+        const topN = this.getTopNeighbors();
 
         if (geneList.length === 0) {
-            this.showStatus('error', 'Please enter at least one valid gene');
+            this.showStatus('error', `Please enter at least one valid ${sources[0] === 'drug' ? 'compound' : 'gene'}`);
             return;
         }
 
@@ -1561,6 +1847,25 @@ class CorrelationExplorer {
             return;
         }
 
+        // Two-list mode: list B goes through the same validation and synonyms as list A
+        const geneListB = mode === 'bipartite' ? this.getGeneList(this.geneIndex, 'geneTextareaB') : [];
+        if (mode === 'bipartite') {
+            if (geneListB.length === 0) {
+                this.showStatus('error', 'Please enter at least one valid gene in list B');
+                return;
+            }
+            const inBoth = geneList.filter(gene => geneListB.includes(gene));
+            if (inBoth.length > 0) {
+                this.showStatus('error', `Genes can be in one list only: ${inBoth.slice(0, 10).join(', ')}${inBoth.length > 10 ? ` (+${inBoth.length - 10} more)` : ''}`);
+                return;
+            }
+        }
+
+        if (topN !== null && !(topN > 0)) {
+            this.showStatus('error', 'Top N neighbors must be at least 1');
+            return;
+        }
+
         const cellLineIndices = this.getFilteredCellLineIndices();
         if (cellLineIndices.length < minN) {
             this.showStatus('error', `Too few cell lines for analysis (${cellLineIndices.length} available, ${minN} required). Adjust filters or reduce "Min Cell Lines" setting.`);
@@ -1572,30 +1877,53 @@ class CorrelationExplorer {
         }
 
         const expandNetwork = mode === 'design' && document.getElementById('designExpandNetwork')?.checked;
-        this.showStatus('info', expandNetwork ? 'Running correlation analysis (expanded network)...' : 'Running correlation analysis...');
+        const job = this.startAnalysisJob();
+        this.showProgressStatus(expandNetwork ? 'Running correlation analysis (expanded network)...' : 'Running correlation analysis...');
 
-        // Use setTimeout to allow UI to update
-        setTimeout(() => {
-            try {
-                this.results = this.calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, expandNetwork);
-                if (this.results.success) {
-                    this.displayResults();
-                    this.showStatus('success',
-                        `&#10003; Analysis complete: ${this.results.correlations.length} correlations, ${this.results.clusters.length} genes in network`);
-                } else {
-                    this.showStatus('error', this.results.error);
-                }
-            } catch (error) {
-                console.error('Analysis error:', error);
-                this.showStatus('error', 'Analysis failed: ' + error.message);
+        try {
+            const results = await this.calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, {
+                expandNetwork,
+                maxFdr,
+                method,
+                topN,
+                partial,
+                direction,
+                clustering,
+                geneListB,
+                onProgress: (done, total) => this.updateProgressStatus(done, total),
+                job
+            });
+            if (job.stopped) return;
+            this.finishAnalysisJob(job);
+
+            this.results = results;
+            if (this.results.success) {
+                this.displayResults();
+                this.recordHistory('network');
+                this.notifyEmbedHost('analysisComplete', this.getEmbedSummary('network'));
+                this.showStatus('success',
+                    `&#10003; Analysis complete: ${this.results.correlations.length} correlations, ${this.results.clusters.length} genes in network`);
+            } else {
+                this.showStatus('error', this.results.error);
+            }
+            this.updateUrlHash();
+        } catch (error) {
+            this.finishAnalysisJob(job);
+            if (error.cancelled) {
+                // A newer run replaces the status itself
+                if (!this.activeJob) this.showStatus('info', 'Analysis cancelled');
+                return;
             }
-        }, 50);
+            console.error('Analysis error:', error);
+            this.showStatus('error', 'Analysis failed: ' + error.message);
+        }
     }
 
-    runMutationAnalysis() {
+    async runMutationAnalysis() {
         const hotspotGene = document.getElementById('mutationHotspotSelect').value;
         const minN = parseInt(document.getElementById('minCellLines').value);
         const pThreshold = parseFloat(document.getElementById('pValueThreshold').value);
+        const pAdjust = document.getElementById('pValueAdjustment')?.value || 'raw';
         const lineageFilter = document.getElementById('lineageFilter').value;
         const subLineageFilter = document.getElementById('subLineageFilter')?.value;
 
@@ -1608,49 +1936,107 @@ class CorrelationExplorer {
             return;
         }
 
-        this.showStatus('info', 'Running mutation analysis...');
+        const job = this.startAnalysisJob();
+        this.showProgressStatus('Running mutation analysis...');
 
-        // Use setTimeout to allow UI to update
-        setTimeout(() => {
-            try {
-                const analysisResult = this.calculateMutationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel);
-
-                // Filter by p-value threshold
-                const significantResults = analysisResult.results.filter(r => r.p_mut < pThreshold || r.p_2 < pThreshold);
-
-                // Sort by p-value (1+2 vs 0)
-                significantResults.sort((a, b) => a.p_mut - b.p_mut);
-
-                this.mutationResults = {
-                    hotspotGene,
-                    pThreshold,
-                    minN,
-                    lineageFilter,
-                    subLineageFilter,
-                    additionalHotspot,
-                    additionalHotspotLevel,
-                    nWT: analysisResult.nWT,
-                    nMut: analysisResult.nMut,
-                    n2: analysisResult.n2,
-                    allResults: analysisResult.results,
-                    significantResults
-                };
+        try {
+            const analysisResult = await this.calculateMutationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel,
+                (done, total) => this.updateProgressStatus(done, total), job);
+            if (job.stopped) return;
+            this.finishAnalysisJob(job);
 
-                this.displayMutationResults();
+            this.mutationResults = this.buildMutationResults(analysisResult,
+                { hotspotGene, pThreshold, pAdjust, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel });
+            const significantResults = this.mutationResults.significantResults;
 
-                // Switch to mutation tab
-                document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active'));
-                document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
-                document.querySelector('[data-tab="mutation"]').classList.add('active');
-                document.getElementById('tab-mutation').classList.add('active');
+            this.displayMutationResults();
+            this.recordHistory('mutation');
+            this.notifyEmbedHost('analysisComplete', this.getEmbedSummary('mutation'));
 
-                this.showStatus('success',
-                    `&#10003; Mutation analysis complete: ${significantResults.length} genes with p < ${pThreshold}`);
-            } catch (error) {
-                console.error('Mutation analysis error:', error);
-                this.showStatus('error', 'Mutation analysis failed: ' + error.message);
+            // Switch to mutation tab
+            this.showResultsTab('mutation');
+
+            this.showStatus('success',
+                `&#10003; Mutation analysis complete: ${significantResults.length} genes with ${this.getMutationPValueLabel(pAdjust)} < ${pThreshold}`);
+        } catch (error) {
+            this.finishAnalysisJob(job);
+            if (error.cancelled) {
+                // A newer run replaces the status itself
+                if (!this.activeJob) this.showStatus('info', 'Mutation analysis cancelled');
+                return;
+            }
+            console.error('Mutation analysis error:', error);
+            this.showStatus('error', 'Mutation analysis failed: ' + error.message);
+        }
+    }
+
+    // The grouping chosen in the differential correlation controls (see splitCellLines)
+    getDifferentialGrouping() {
+        const by = document.getElementById('differentialSplit').value;
+        return {
+            by,
+            feature: by === 'mutation' ? document.getElementById('differentialFeature').value : '',
+            groupA: document.getElementById('differentialGroupA').value,
+            groupB: document.getElementById('differentialGroupB').value
+        };
+    }
+
+    async runDifferentialAnalysis() {
+        const gene = this.getGeneList()[0];
+        const grouping = this.getDifferentialGrouping();
+        const minN = parseInt(document.getElementById('minCellLines').value);
+        const pThreshold = parseFloat(document.getElementById('pValueThreshold').value);
+        const pAdjust = document.getElementById('pValueAdjustment')?.value || 'raw';
+        const filters = {
+            lineage: document.getElementById('lineageFilter').value,
+            subLineage: document.getElementById('subLineageFilter')?.value || '',
+            hotspotGene: document.getElementById('paramHotspotGene').value,
+            hotspotLevel: document.getElementById('paramHotspotLevel').value
+        };
+
+        if (!gene) {
+            this.showStatus('error', 'Please enter a valid gene');
+            return;
+        }
+        if (!grouping.groupA) {
+            this.showStatus('error', 'Please select group A');
+            return;
+        }
+        if (grouping.groupA === grouping.groupB) {
+            this.showStatus('error', 'Groups A and B must differ');
+            return;
+        }
+
+        const job = this.startAnalysisJob();
+        this.showProgressStatus(`Running differential correlation for ${gene}...`);
+
+        try {
+            const analysisResult = await this.calculateDifferentialCorrelation(gene, grouping, minN, this.filterCellLines(filters),
+                (done, total) => this.updateProgressStatus(done, total), job);
+            if (job.stopped) return;
+            this.finishAnalysisJob(job);
+
+            this.differentialResults = this.buildDifferentialResults(analysisResult, { pThreshold, pAdjust, minN, filters });
+            const significantResults = this.differentialResults.significantResults;
+
+            // The volcano plot needs the tab visible to size itself
+            this.showResultsTab('differential');
+            this.displayDifferentialResults();
+            this.recordHistory('differential');
+            this.notifyEmbedHost('analysisComplete', this.getEmbedSummary('differential'));
+
+            this.showStatus('success',
+                `&#10003; Differential correlation complete: ${significantResults.length} genes with ${this.getMutationPValueLabel(pAdjust)} < ${pThreshold}`);
+        } catch (error) {
+            this.finishAnalysisJob(job);
+            if (error.cancelled) {
+                // A newer run replaces the status itself
+                if (!this.activeJob) this.showStatus('info', 'Differential correlation cancelled');
+                return;
             }
-        }, 50);
+            console.error('Differential correlation error:', error);
+            this.showStatus('error', 'Differential correlation failed: ' + error.message);
+        }
     }
 
     async runSynonymLookup() {
@@ -1671,16 +2057,7 @@ class CorrelationExplorer {
 
         this.showStatus('info', 'Looking up synonyms and orthologs...');
 
-        // Load synonyms if not loaded
-        if (!this.synonymLookup) {
-            try {
-                const synonymsRes = await fetch('web_data/synonyms.json');
-                this.synonymLookup = await synonymsRes.json();
-            } catch (e) {
-                console.error('Failed to load synonyms:', e);
-                this.synonymLookup = {};
-            }
-        }
+        await this.loadSynonyms();
 
         // Process each input gene
         const results = [];
@@ -1780,10 +2157,7 @@ class CorrelationExplorer {
         this.displaySynonymResults();
 
         // Switch to synonyms tab
-        document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
-        document.querySelector('[data-tab="synonyms"]').classList.add('active');
-        document.getElementById('tab-synonyms').classList.add('active');
+        this.showResultsTab('synonyms');
 
         this.showStatus('success', `&#10003; Synonym lookup complete: ${results.length} genes processed`);
     }
@@ -1860,285 +2234,113 @@ class CorrelationExplorer {
         this.downloadFile(csv, 'synonym_ortholog_lookup.csv', 'text/csv');
     }
 
-    calculateMutationAnalysis(hotspotGene, minN, lineageFilter, subLineageFilter, additionalHotspot, additionalHotspotLevel) {
-        const mutationData = this.mutations.geneData[hotspotGene];
-        if (!mutationData) {
-            throw new Error(`No mutation data for ${hotspotGene}`);
-        }
-
-        // Get additional hotspot mutation data if specified
-        const additionalMutData = additionalHotspot ? this.mutations.geneData[additionalHotspot] : null;
-
-        const cellLines = this.metadata.cellLines;
-        const results = [];
-
-        // Categorize cell lines by mutation status and lineage filter
-        const wtCellIndices = [];
-        const mut1CellIndices = [];
-        const mut2CellIndices = [];
+    formatCI(low, high, decimals = 3) {
+        if (isNaN(low) || isNaN(high)) return '-';
+        return `[${this.formatNum(low, decimals)}, ${this.formatNum(high, decimals)}]`;
+    }
 
-        cellLines.forEach((cellLine, idx) => {
-            // Check lineage filter
-            if (lineageFilter && this.cellLineMetadata?.lineage?.[cellLine] !== lineageFilter) {
-                return;
-            }
+    displayDifferentialResults() {
+        if (!this.differentialResults) return;
 
-            // Check sublineage filter
-            if (subLineageFilter && this.cellLineMetadata?.primaryDisease?.[cellLine] !== subLineageFilter) {
-                return;
-            }
+        const dr = this.differentialResults;
+        const results = dr.significantResults;
+        const tbody = document.getElementById('differentialTableBody');
+        tbody.innerHTML = '';
 
-            // Check additional hotspot filter
-            if (additionalMutData && additionalHotspotLevel !== 'all') {
-                const addMutLevel = additionalMutData.mutations[cellLine] || 0;
-                if (additionalHotspotLevel === '0' && addMutLevel !== 0) return;
-                if (additionalHotspotLevel === '1' && addMutLevel !== 1) return;
-                if (additionalHotspotLevel === '2' && addMutLevel < 2) return;
-                if (additionalHotspotLevel === '1+2' && addMutLevel === 0) return;
-            }
+        // The adjusted p-value column follows the selected correction (BH when thresholding on raw p)
+        const adjKey = dr.pAdjust === 'bonferroni' ? 'pBonferroni' : 'qValue';
+        const adjHeader = document.getElementById('differentialAdjHeader');
+        if (adjHeader) {
+            adjHeader.dataset.sort = adjKey;
+            adjHeader.textContent = dr.pAdjust === 'bonferroni' ? 'p (Bonf.)' : 'q (BH)';
+        }
 
-            const mutLevel = mutationData.mutations[cellLine] || 0;
-            if (mutLevel === 0) {
-                wtCellIndices.push(idx);
-            } else if (mutLevel === 1) {
-                mut1CellIndices.push(idx);
-            } else {
-                mut2CellIndices.push(idx);
-            }
+        results.forEach(r => {
+            const row = document.createElement('tr');
+            row.innerHTML = `
+                <td><a href="#" class="inspect-link" onclick="app.openInspectByGenes('${dr.gene}', '${r.gene}', true); return false;">Inspect</a></td>
+                <td>${r.gene}</td>
+                <td style="border-left: 2px solid #2563eb;">${r.nA}</td>
+                <td class="${r.rA < 0 ? 'negative' : 'positive'}">${r.rA.toFixed(3)}</td>
+                <td style="border-left: 2px solid #f97316;">${r.nB}</td>
+                <td class="${r.rB < 0 ? 'negative' : 'positive'}">${r.rB.toFixed(3)}</td>
+                <td class="${r.deltaR < 0 ? 'negative' : 'positive'}">${r.deltaR.toFixed(3)}</td>
+                <td>${this.formatNum(r.z, 2)}</td>
+                <td>${this.formatPValue(r.pValue)}</td>
+                <td>${this.formatPValue(r[adjKey])}</td>
+            `;
+            tbody.appendChild(row);
         });
 
-        const mutAllCellIndices = [...mut1CellIndices, ...mut2CellIndices];
-
-        // Check minimum cell count
-        if (wtCellIndices.length < 3 || mutAllCellIndices.length < 3) {
-            throw new Error(`Not enough cell lines: WT=${wtCellIndices.length}, Mutated=${mutAllCellIndices.length}`);
+        let settingsText = `Gene: ${dr.gene} | A: ${dr.labelA} (${dr.nA} cells) | B: ${dr.labelB} (${dr.nB} cells) | `;
+        settingsText += `Min cells: ${dr.minN} | ${this.getMutationPValueLabel(dr.pAdjust)} < ${dr.pThreshold}`;
+        if (dr.filters.lineage) {
+            settingsText += ` | Lineage: ${dr.filters.lineage}${dr.filters.subLineage ? ` (${dr.filters.subLineage})` : ''}`;
+        }
+        if (dr.filters.hotspotGene && dr.filters.hotspotLevel !== 'all') {
+            settingsText += ` | Filter: ${this.getMutationFilterText(dr.filters.hotspotGene, dr.filters.hotspotLevel)}`;
         }
 
-        // Analyze each gene
-        for (let geneIdx = 0; geneIdx < this.nGenes; geneIdx++) {
-            const gene = this.geneNames[geneIdx];
-
-            // Get gene effect values for each group
-            const wtEffects = this.getGeneEffectsForCells(geneIdx, wtCellIndices);
-            const mutAllEffects = this.getGeneEffectsForCells(geneIdx, mutAllCellIndices);
-            const mut2Effects = this.getGeneEffectsForCells(geneIdx, mut2CellIndices);
+        document.getElementById('differentialResultsCount').innerHTML =
+            `<strong>${results.length} genes</strong> with ${this.getMutationPValueLabel(dr.pAdjust)} < ${dr.pThreshold}<br>
+            <small style="color: #666;">${settingsText}</small>`;
 
-            // Skip if not enough valid values
-            if (wtEffects.length < minN || mutAllEffects.length < 3) continue;
+        this.drawDifferentialVolcano();
+    }
 
-            // Calculate statistics for WT vs 1+2
-            const wtMean = this.mean(wtEffects);
-            const mutMean = this.mean(mutAllEffects);
-            const diff_mut = mutMean - wtMean;
-            const tTest_mut = this.welchTTest(wtEffects, mutAllEffects);
+    // Volcano plot of every gene tested: Δr against -log10 p, the genes passing the threshold
+    // coloured by direction and the strongest ones labelled
+    drawDifferentialVolcano() {
+        const container = document.getElementById('differentialVolcano');
+        const dr = this.differentialResults;
+        if (!container || !dr || typeof Plotly === 'undefined') return;
 
-            // Calculate statistics for WT vs 2 (if enough cells)
-            let n_2 = mut2Effects.length;
-            let mean_2 = NaN;
-            let diff_2 = NaN;
-            let p_2 = 1;
+        const significant = new Set(dr.significantResults.map(r => r.gene));
+        const toY = p => -Math.log10(Math.max(p, 1e-300));
+        const trace = (points, name, color) => ({
+            x: points.map(r => r.deltaR),
+            y: points.map(r => toY(r.pValue)),
+            text: points.map(r => `${r.gene}<br>r(A) = ${r.rA.toFixed(3)}, r(B) = ${r.rB.toFixed(3)}<br>p = ${this.formatPValue(r.pValue)}`),
+            customdata: points.map(r => r.gene),
+            type: 'scattergl',
+            mode: 'markers',
+            name,
+            hoverinfo: 'text',
+            marker: { color, size: 5, opacity: 0.7 }
+        });
+        const others = dr.allResults.filter(r => !significant.has(r.gene));
+        const stronger = dr.significantResults.filter(r => r.deltaR > 0);
+        const weaker = dr.significantResults.filter(r => r.deltaR <= 0);
+
+        const annotations = dr.significantResults.slice(0, 10).map(r => ({
+            x: r.deltaR,
+            y: toY(r.pValue),
+            text: r.gene,
+            showarrow: true,
+            arrowhead: 0,
+            ax: 0,
+            ay: -18,
+            font: { size: 10 }
+        }));
 
-            if (mut2Effects.length >= 3) {
-                mean_2 = this.mean(mut2Effects);
-                diff_2 = mean_2 - wtMean;
-                const tTest_2 = this.welchTTest(wtEffects, mut2Effects);
-                p_2 = tTest_2.p;
-            }
+        Plotly.newPlot(container, [
+            trace(others, 'Not significant', '#9ca3af'),
+            trace(stronger, `Higher r in ${dr.labelB}`, '#2563eb'),
+            trace(weaker, `Higher r in ${dr.labelA}`, '#dc2626')
+        ], {
+            title: { text: `${dr.gene}: ${dr.labelB} vs ${dr.labelA}`, font: { size: 13 } },
+            xaxis: { title: 'Δr = r(B) − r(A)', zeroline: true },
+            yaxis: { title: '-log10(p)' },
+            annotations,
+            margin: { t: 40, r: 20, b: 50, l: 60 },
+            legend: { orientation: 'h', y: -0.2 }
+        }, { responsive: true });
 
-            results.push({
-                gene,
-                n_wt: wtEffects.length,
-                mean_wt: wtMean,
-                n_mut: mutAllEffects.length,
-                mean_mut: mutMean,
-                diff_mut,
-                p_mut: tTest_mut.p,
-                n_2,
-                mean_2,
-                diff_2,
-                p_2
-            });
-        }
-
-        return {
-            results,
-            nWT: wtCellIndices.length,
-            nMut: mutAllCellIndices.length,
-            n2: mut2CellIndices.length
-        };
-    }
-
-    getGeneEffectsForCells(geneIdx, cellIndices) {
-        const effects = [];
-        for (const cellIdx of cellIndices) {
-            const value = this.geneEffects[geneIdx * this.nCellLines + cellIdx];
-            if (!isNaN(value)) {
-                effects.push(value);
-            }
-        }
-        return effects;
-    }
-
-    mean(arr) {
-        if (arr.length === 0) return NaN;
-        return arr.reduce((a, b) => a + b, 0) / arr.length;
-    }
-
-    variance(arr) {
-        if (arr.length < 2) return 0;
-        const m = this.mean(arr);
-        return arr.reduce((acc, val) => acc + (val - m) ** 2, 0) / (arr.length - 1);
-    }
-
-    welchTTest(group1, group2) {
-        // Welch's t-test for unequal variances
-        const n1 = group1.length;
-        const n2 = group2.length;
-        const m1 = this.mean(group1);
-        const m2 = this.mean(group2);
-        const v1 = this.variance(group1);
-        const v2 = this.variance(group2);
-
-        if (n1 < 2 || n2 < 2) {
-            return { t: NaN, df: NaN, p: 1 };
-        }
-
-        const se = Math.sqrt(v1 / n1 + v2 / n2);
-        if (se === 0) {
-            return { t: 0, df: n1 + n2 - 2, p: 1 };
-        }
-
-        const t = (m1 - m2) / se;
-
-        // Welch-Satterthwaite degrees of freedom
-        const df = Math.pow(v1 / n1 + v2 / n2, 2) /
-            (Math.pow(v1 / n1, 2) / (n1 - 1) + Math.pow(v2 / n2, 2) / (n2 - 1));
-
-        // Two-tailed p-value using t-distribution approximation
-        const p = this.tDistributionPValue(Math.abs(t), df);
-
-        return { t, df, p };
-    }
-
-    tDistributionPValue(t, df) {
-        // Approximation of two-tailed p-value for t-distribution
-        // Using normal approximation for large df, or beta approximation for small df
-        if (df <= 0 || isNaN(t) || isNaN(df)) return 1;
-
-        // For large df, approximate with normal distribution
-        if (df > 100) {
-            return 2 * (1 - this.normalCDF(t));
-        }
-
-        // Beta function approximation for t-distribution CDF
-        const x = df / (df + t * t);
-        const a = df / 2;
-        const b = 0.5;
-
-        // Incomplete beta function approximation
-        const betaInc = this.incompleteBeta(x, a, b);
-        return betaInc;
-    }
-
-    incompleteBeta(x, a, b) {
-        // Simplified incomplete beta function for t-distribution p-value
-        // This is an approximation suitable for statistical testing
-        if (x <= 0) return 0;
-        if (x >= 1) return 1;
-
-        // Use continued fraction expansion (simplified)
-        const bt = Math.exp(
-            this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) +
-            a * Math.log(x) + b * Math.log(1 - x)
-        );
-
-        if (x < (a + 1) / (a + b + 2)) {
-            return bt * this.betaCF(x, a, b) / a;
-        } else {
-            return 1 - bt * this.betaCF(1 - x, b, a) / b;
-        }
-    }
-
-    betaCF(x, a, b) {
-        // Continued fraction for incomplete beta
-        const maxIter = 100;
-        const eps = 1e-10;
-
-        let qab = a + b;
-        let qap = a + 1;
-        let qam = a - 1;
-        let c = 1;
-        let d = 1 - qab * x / qap;
-        if (Math.abs(d) < 1e-30) d = 1e-30;
-        d = 1 / d;
-        let h = d;
-
-        for (let m = 1; m <= maxIter; m++) {
-            let m2 = 2 * m;
-            let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
-            d = 1 + aa * d;
-            if (Math.abs(d) < 1e-30) d = 1e-30;
-            c = 1 + aa / c;
-            if (Math.abs(c) < 1e-30) c = 1e-30;
-            d = 1 / d;
-            h *= d * c;
-
-            aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
-            d = 1 + aa * d;
-            if (Math.abs(d) < 1e-30) d = 1e-30;
-            c = 1 + aa / c;
-            if (Math.abs(c) < 1e-30) c = 1e-30;
-            d = 1 / d;
-            let del = d * c;
-            h *= del;
-
-            if (Math.abs(del - 1) < eps) break;
-        }
-
-        return h;
-    }
-
-    logGamma(x) {
-        // Lanczos approximation for log gamma function
-        const g = 7;
-        const c = [
-            0.99999999999980993,
-            676.5203681218851,
-            -1259.1392167224028,
-            771.32342877765313,
-            -176.61502916214059,
-            12.507343278686905,
-            -0.13857109526572012,
-            9.9843695780195716e-6,
-            1.5056327351493116e-7
-        ];
-
-        if (x < 0.5) {
-            return Math.log(Math.PI / Math.sin(Math.PI * x)) - this.logGamma(1 - x);
-        }
-
-        x -= 1;
-        let a = c[0];
-        for (let i = 1; i < g + 2; i++) {
-            a += c[i] / (x + i);
-        }
-
-        const t = x + g + 0.5;
-        return 0.5 * Math.log(2 * Math.PI) + (x + 0.5) * Math.log(t) - t + Math.log(a);
-    }
-
-    formatPValue(p) {
-        // Format p-value with 1 decimal in exponent
-        if (p >= 1 || isNaN(p)) return '-';
-        if (p === 0 || p < 1e-300) return '1.0e-300';
-        if (p < 0.001) {
-            // Format as exponential with 1 decimal (e.g., 2.2e-10)
-            const exp = Math.floor(Math.log10(p));
-            const mantissa = p / Math.pow(10, exp);
-            return `${mantissa.toFixed(1)}e${exp}`;
-        }
-        return p.toFixed(4);
-    }
+        container.on('plotly_click', data => {
+            const point = data.points[0];
+            if (point) this.openInspectByGenes(dr.gene, point.customdata, true);
+        });
+    }
 
     displayMutationResults() {
         if (!this.mutationResults) return;
@@ -2148,6 +2350,17 @@ class CorrelationExplorer {
         const tbody = document.getElementById('mutationTableBody');
         tbody.innerHTML = '';
 
+        // The adjusted p-value columns follow the selected correction (BH when thresholding on raw p)
+        const adjKeys = mr.pAdjust === 'bonferroni' ? ['p_bonf_mut', 'p_bonf_2'] : ['p_bh_mut', 'p_bh_2'];
+        const adjLabel = mr.pAdjust === 'bonferroni' ? 'p (Bonf.)' : 'q (BH)';
+        ['mutationAdjHeader', 'mutationAdjHeader2'].forEach((id, i) => {
+            const th = document.getElementById(id);
+            if (!th) return;
+            const sortMark = th.textContent.match(/ [▲▼]$/)?.[0] || '';
+            th.dataset.col = adjKeys[i];
+            th.textContent = (i === 0 ? adjLabel : `${adjLabel} (2v0)`) + sortMark;
+        });
+
         results.forEach(r => {
             const row = document.createElement('tr');
             row.innerHTML = `
@@ -2158,19 +2371,26 @@ class CorrelationExplorer {
                 <td style="border-left: 2px solid #f97316;">${r.n_mut}</td>
                 <td>${r.mean_mut.toFixed(3)}</td>
                 <td class="${r.diff_mut < 0 ? 'negative' : 'positive'}">${r.diff_mut.toFixed(3)}</td>
+                <td style="white-space: nowrap;">${this.formatCI(r.ci_low_mut, r.ci_high_mut)}</td>
+                <td>${this.formatNum(r.g_mut, 2)}</td>
                 <td>${this.formatPValue(r.p_mut)}</td>
+                <td>${this.formatPValue(r[adjKeys[0]])}</td>
                 <td style="border-left: 2px solid #dc2626;">${r.n_2}</td>
                 <td>${isNaN(r.mean_2) ? '-' : r.mean_2.toFixed(3)}</td>
                 <td class="${r.diff_2 < 0 ? 'negative' : 'positive'}">${isNaN(r.diff_2) ? '-' : r.diff_2.toFixed(3)}</td>
+                <td style="white-space: nowrap;">${this.formatCI(r.ci_low_2, r.ci_high_2)}</td>
+                <td>${this.formatNum(r.g_2, 2)}</td>
                 <td>${this.formatPValue(r.p_2)}</td>
+                <td>${this.formatPValue(r[adjKeys[1]])}</td>
             `;
             tbody.appendChild(row);
         });
 
         // Build settings summary
-        let settingsText = `Hotspot: ${mr.hotspotGene} | `;
-        settingsText += `WT: ${mr.nWT} cells | Mutated: ${mr.nMut} cells | `;
-        settingsText += `Min cells: ${mr.minN} | p < ${mr.pThreshold}`;
+        const levelLabels = this.getMutationLevelLabels(mr.hotspotGene);
+        let settingsText = `Hotspot: ${this.getMutationFeatureLabel(mr.hotspotGene, true)} | `;
+        settingsText += `${levelLabels.none}: ${mr.nWT} cells | ${levelLabels.any[0].toUpperCase() + levelLabels.any.slice(1)}: ${mr.nMut} cells | `;
+        settingsText += `Min cells: ${mr.minN} | ${this.getMutationPValueLabel(mr.pAdjust)} < ${mr.pThreshold}`;
         if (mr.lineageFilter) {
             let lineageText = mr.lineageFilter;
             if (mr.subLineageFilter) {
@@ -2183,7 +2403,7 @@ class CorrelationExplorer {
         }
 
         document.getElementById('mutationResultsCount').innerHTML =
-            `<strong>${results.length} genes</strong> with p < ${mr.pThreshold}<br>
+            `<strong>${results.length} genes</strong> with ${this.getMutationPValueLabel(mr.pAdjust)} < ${mr.pThreshold}<br>
             <small style="color: #666;">${settingsText}</small>`;
 
         // Store for sorting
@@ -2241,48 +2461,16 @@ class CorrelationExplorer {
         if (!this.mutationResults) return;
 
         const mr = this.mutationResults;
-        const results = mr.significantResults;
-
-        // Build settings header
-        let csv = '# Mutation Analysis Results\n';
-        csv += `# Hotspot Mutation: ${mr.hotspotGene}\n`;
-        csv += `# WT cells (0 mutations): ${mr.nWT}\n`;
-        csv += `# Mutated cells (1+2 mutations): ${mr.nMut}\n`;
-        csv += `# Cells with 2 mutations: ${mr.n2}\n`;
-        csv += `# Min cell lines: ${mr.minN}\n`;
-        csv += `# P-value threshold: ${mr.pThreshold}\n`;
-        csv += `# Lineage filter: ${mr.lineageFilter || 'All lineages'}\n`;
-        if (mr.subLineageFilter) {
-            csv += `# Subtype filter: ${mr.subLineageFilter}\n`;
-        }
-        if (mr.additionalHotspot && mr.additionalHotspotLevel !== 'all') {
-            csv += `# Additional hotspot filter: ${mr.additionalHotspot} = ${mr.additionalHotspotLevel}\n`;
-        }
-        csv += `# Date: ${new Date().toISOString().slice(0, 10)}\n`;
-        csv += '#\n';
+        const csv = this.buildMutationResultsCSV(mr);
+        const filename = `mutation_analysis_${this.getMutationFileLabel(mr.hotspotGene)}_${new Date().toISOString().slice(0, 10)}.csv`;
+        this.downloadFile(csv, filename, 'text/csv');
+    }
 
-        const headers = ['Gene', 'N_WT', 'Mean_GE_WT', 'N_1+2', 'Mean_GE_1+2', 'Delta_GE', 'pValue_1+2_vs_0',
-                        'N_2', 'Mean_GE_2', 'Delta_GE_2vs0', 'pValue_2_vs_0'];
+    downloadDifferentialResults() {
+        if (!this.differentialResults) return;
 
-        csv += headers.join(',') + '\n';
-        results.forEach(r => {
-            csv += [
-                r.gene,
-                r.n_wt,
-                r.mean_wt.toFixed(4),
-                r.n_mut,
-                r.mean_mut.toFixed(4),
-                r.diff_mut.toFixed(4),
-                this.formatPValue(r.p_mut),
-                r.n_2,
-                isNaN(r.mean_2) ? '' : r.mean_2.toFixed(4),
-                isNaN(r.diff_2) ? '' : r.diff_2.toFixed(4),
-                this.formatPValue(r.p_2)
-            ].join(',') + '\n';
-        });
-
-        const filename = `mutation_analysis_${mr.hotspotGene}_${new Date().toISOString().slice(0, 10)}.csv`;
-        this.downloadFile(csv, filename, 'text/csv');
+        const filename = `differential_correlation_${this.differentialResults.gene}_${new Date().toISOString().slice(0, 10)}.csv`;
+        this.downloadFile(this.buildDifferentialCorrelationCSV(), filename, 'text/csv');
     }
 
     showGeneEffectDistribution(gene) {
@@ -2290,7 +2478,9 @@ class CorrelationExplorer {
 
         const mr = this.mutationResults;
         const hotspotGene = mr.hotspotGene;
-        const mutationData = this.mutations.geneData[hotspotGene];
+        const mutationData = this.getMutationData(hotspotGene);
+        const labels = this.getMutationLevelLabels(hotspotGene);
+        const featureLabel = this.getMutationFeatureLabel(hotspotGene);
         const geneIdx = this.geneIndex.get(gene.toUpperCase());
 
         if (geneIdx === undefined) {
@@ -2316,7 +2506,7 @@ class CorrelationExplorer {
 
             // Check additional hotspot filter
             if (mr.additionalHotspot && mr.additionalHotspotLevel !== 'all') {
-                const addMutData = this.mutations.geneData[mr.additionalHotspot];
+                const addMutData = this.getMutationData(mr.additionalHotspot);
                 if (addMutData) {
                     const addMutLevel = addMutData.mutations[cellLine] || 0;
                     if (mr.additionalHotspotLevel === '0' && addMutLevel !== 0) return;
@@ -2326,7 +2516,7 @@ class CorrelationExplorer {
                 }
             }
 
-            const ge = this.geneEffects[geneIdx * this.nCellLines + idx];
+            const ge = AnalysisCore.matrixValue(this.geneEffects, geneIdx * this.nCellLines + idx);
             if (isNaN(ge)) return;
 
             const mutLevel = mutationData.mutations[cellLine] || 0;
@@ -2358,7 +2548,7 @@ class CorrelationExplorer {
                 y: data.wt.map(() => jitter(0)),
                 mode: 'markers',
                 type: 'scatter',
-                name: `WT (n=${data.wt.length})`,
+                name: `${labels.none} (n=${data.wt.length})`,
                 marker: { color: '#888888', size: 8, opacity: 0.7 },
                 text: data.wt.map(d => `${d.cellName}<br>${d.lineage}<br>GE: ${d.ge.toFixed(3)}`),
                 hoverinfo: 'text'
@@ -2368,7 +2558,7 @@ class CorrelationExplorer {
                 y: data.mut1.map(() => jitter(1)),
                 mode: 'markers',
                 type: 'scatter',
-                name: `1 mutation (n=${data.mut1.length})`,
+                name: `${labels.one} (n=${data.mut1.length})`,
                 marker: { color: '#3b82f6', size: 8, opacity: 0.7 },
                 text: data.mut1.map(d => `${d.cellName}<br>${d.lineage}<br>GE: ${d.ge.toFixed(3)}`),
                 hoverinfo: 'text'
@@ -2378,7 +2568,7 @@ class CorrelationExplorer {
                 y: data.mut2.map(() => jitter(2)),
                 mode: 'markers',
                 type: 'scatter',
-                name: `2 mutations (n=${data.mut2.length})`,
+                name: `${labels.two} (n=${data.mut2.length})`,
                 marker: { color: '#dc2626', size: 8, opacity: 0.7 },
                 text: data.mut2.map(d => `${d.cellName}<br>${d.lineage}<br>GE: ${d.ge.toFixed(3)}`),
                 hoverinfo: 'text'
@@ -2461,17 +2651,18 @@ class CorrelationExplorer {
             filterInfo.push(`Lineage: ${lineageText}`);
         }
         if (mr.additionalHotspot && mr.additionalHotspotLevel !== 'all') {
-            filterInfo.push(`${mr.additionalHotspot}: ${mr.additionalHotspotLevel}`);
+            filterInfo.push(this.getMutationFilterText(mr.additionalHotspot, mr.additionalHotspotLevel));
         }
         const lineageText = filterInfo.length > 0 ? filterInfo.join(' | ') : 'All lineages';
 
         // Build stats text for subtitle
         const formatP = (p) => isNaN(p) ? '-' : (p < 0.001 ? p.toExponential(1) : p.toFixed(3));
-        let statsLine1 = `WT: n=${wtStats.n}, mean=${wtStats.mean.toFixed(2)}, med=${wtStats.median.toFixed(2)}`;
-        statsLine1 += `  ·  Mut: n=${mutAllStats.n}, mean=${mutAllStats.mean.toFixed(2)}, med=${mutAllStats.median.toFixed(2)}`;
-        let statsLine2 = `p(WT vs Mut): ${formatP(pWTvsMut)}`;
+        const altered = labels.none === 'WT' ? 'Mut' : labels.any[0].toUpperCase() + labels.any.slice(1);
+        let statsLine1 = `${labels.none}: n=${wtStats.n}, mean=${wtStats.mean.toFixed(2)}, med=${wtStats.median.toFixed(2)}`;
+        statsLine1 += `  ·  ${altered}: n=${mutAllStats.n}, mean=${mutAllStats.mean.toFixed(2)}, med=${mutAllStats.median.toFixed(2)}`;
+        let statsLine2 = `p(${labels.none} vs ${altered}): ${formatP(pWTvsMut)}`;
         if (mut2Stats.n >= 3) {
-            statsLine2 += `  ·  p(WT vs 2): ${formatP(pWTvs2)}`;
+            statsLine2 += `  ·  p(${labels.none} vs 2): ${formatP(pWTvs2)}`;
         }
 
         // Combine lineage info and stats in subtitle
@@ -2479,7 +2670,7 @@ class CorrelationExplorer {
 
         const layout = {
             title: {
-                text: `${gene} Gene Effect by ${hotspotGene} Mutation Status<br><sub style="font-size:11px;color:#666">${subtitle}</sub>`,
+                text: `${gene} Gene Effect by ${featureLabel}<br><sub style="font-size:11px;color:#666">${subtitle}</sub>`,
                 font: { size: 16 }
             },
             xaxis: {
@@ -2487,10 +2678,10 @@ class CorrelationExplorer {
                 range: [xMin, xMax]
             },
             yaxis: {
-                title: `${hotspotGene} Mutations`,
+                title: this.getMutationFeatureLabel(hotspotGene, true),
                 tickmode: 'array',
                 tickvals: [0, 1, 2],
-                ticktext: [`0 WT (n=${data.wt.length})`, `1 (n=${data.mut1.length})`, `2 (n=${data.mut2.length})`],
+                ticktext: [`${labels.short[0]} (n=${data.wt.length})`, `${labels.short[1]} (n=${data.mut1.length})`, `${labels.short[2]} (n=${data.mut2.length})`],
                 range: [-0.5, 2.5]
             },
             showlegend: false,
@@ -2499,7 +2690,7 @@ class CorrelationExplorer {
 
         // Show modal - hide tissue/hotspot UI for mutation analysis view
         document.getElementById('geneEffectModal').style.display = 'flex';
-        document.getElementById('geneEffectTitle').textContent = `${gene} Gene Effect by ${hotspotGene} Mutation`;
+        document.getElementById('geneEffectTitle').textContent = `${gene} Gene Effect by ${featureLabel}`;
 
         // Hide tissue/hotspot specific elements for mutation analysis inspect
         document.getElementById('geSearchBar').style.display = 'none';
@@ -2522,7 +2713,7 @@ class CorrelationExplorer {
             format: 'png',
             width: 900,
             height: 500,
-            filename: `gene_effect_${this.currentGeneEffectGene}_${this.mutationResults.hotspotGene}`
+            filename: `gene_effect_${this.currentGeneEffectGene}_${this.getMutationFileLabel(this.mutationResults.hotspotGene)}`
         });
     }
 
@@ -2531,7 +2722,7 @@ class CorrelationExplorer {
             format: 'svg',
             width: 900,
             height: 500,
-            filename: `gene_effect_${this.currentGeneEffectGene}_${this.mutationResults.hotspotGene}`
+            filename: `gene_effect_${this.currentGeneEffectGene}_${this.getMutationFileLabel(this.mutationResults.hotspotGene)}`
         });
     }
 
@@ -2541,7 +2732,8 @@ class CorrelationExplorer {
         const mr = this.mutationResults;
         let csv = `# Gene Effect Distribution Data\n`;
         csv += `# Gene: ${this.currentGeneEffectGene}\n`;
-        csv += `# Hotspot Mutation: ${mr.hotspotGene}\n`;
+        csv += `# Hotspot Mutation: ${this.getMutationFeatureLabel(mr.hotspotGene, true)}\n`;
+        if (mr.copyNumberThresholds) csv += `# Copy number thresholds: ${this.getCopyNumberThresholdLabel(mr.copyNumberThresholds)}\n`;
         csv += `# Lineage filter: ${mr.lineageFilter || 'All lineages'}\n`;
         if (mr.subLineageFilter) {
             csv += `# Subtype filter: ${mr.subLineageFilter}\n`;
@@ -2557,238 +2749,290 @@ class CorrelationExplorer {
             csv += `${d.cellLine},${d.cellName},${d.lineage},${d.ge.toFixed(4)},${d.mutLevel}\n`;
         });
 
-        const filename = `gene_effect_${this.currentGeneEffectGene}_${mr.hotspotGene}_data.csv`;
+        const filename = `gene_effect_${this.currentGeneEffectGene}_${this.getMutationFileLabel(mr.hotspotGene)}_data.csv`;
         this.downloadFile(csv, filename, 'text/csv');
     }
 
-    calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, expandNetwork = false) {
-        const correlations = [];
-        let targetGenes;
+    // Correlation under the active method (slope stays the least-squares slope)
+    correlateXY(x, y) {
+        return AnalysisCore.correlateValues(x, y, this.getActiveCorrelationMethod());
+    }
 
-        if (mode === 'analysis') {
-            // Analysis mode: correlate genes within the list
-            targetGenes = geneList;
-        } else {
-            // Design mode: correlate against all genes
-            targetGenes = Array.from(this.geneIndex.keys());
-        }
+    median(arr) {
+        if (!arr || arr.length === 0) return NaN;
+        const sorted = [...arr].filter(v => !isNaN(v)).sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+    }
 
-        // Get gene data for input genes
-        const inputData = new Map();
-        geneList.forEach(gene => {
-            const idx = this.geneIndex.get(gene);
-            const fullData = this.getGeneData(idx);
-            const filteredData = cellLineIndices.map(i => fullData[i]);
-            inputData.set(gene, filteredData);
-        });
+    showStatus(type, message) {
+        const display = document.getElementById('analysisStatus');
+        display.innerHTML = `<div class="status-box status-${type}">${message}</div>`;
+    }
 
-        // Calculate correlations (first pass: input genes vs target genes)
-        for (let i = 0; i < geneList.length; i++) {
-            const gene1 = geneList[i];
-            const data1 = inputData.get(gene1);
+    // Status with a live percentage and a Cancel button for long-running analyses
+    showProgressStatus(message) {
+        this.showStatus('info', `${message} <span id="analysisProgressText">0%</span>
+            <button class="btn btn-outline btn-sm" style="margin-left: 8px; padding: 2px 8px;" onclick="app.cancelAnalysis()">Cancel</button>`);
+    }
 
-            const startJ = mode === 'analysis' ? i + 1 : 0;
-            for (let j = startJ; j < targetGenes.length; j++) {
-                const gene2 = targetGenes[j];
-                if (gene1 === gene2) continue;
-                // In analysis mode, startJ = i+1 already prevents duplicates
+    updateProgressStatus(done, total) {
+        const progressText = document.getElementById('analysisProgressText');
+        if (progressText && total > 0) {
+            progressText.textContent = `${Math.round(done / total * 100)}%`;
+        }
+    }
 
-                let data2;
-                if (inputData.has(gene2)) {
-                    data2 = inputData.get(gene2);
-                } else {
-                    const idx = this.geneIndex.get(gene2);
-                    const fullData = this.getGeneData(idx);
-                    data2 = cellLineIndices.map(i => fullData[i]);
-                }
+    // ============================================================
+    // Worker Pool
+    // ============================================================
 
-                const result = this.pearsonWithSlope(data1, data2);
-                if (result.n >= minN && Math.abs(result.correlation) >= cutoff && Math.abs(result.slope) >= minSlope) {
-                    correlations.push({
-                        gene1: gene1,
-                        gene2: gene2,
-                        correlation: Math.round(result.correlation * 1000) / 1000,
-                        slope: Math.round(result.slope * 1000) / 1000,
-                        n: result.n,
-                        cluster: 0
-                    });
-                }
-            }
-        }
+    // An analysis whose task runs (see runAnalysisTasks) are cancelled together; rejects holds
+    // the reject function of each run still pending
+    createAnalysisJob() {
+        return { stopped: false, rejects: new Set() };
+    }
 
-        // Second pass for expanded network: find correlations between discovered genes
-        if (mode === 'design' && expandNetwork && correlations.length > 0) {
-            // Collect all discovered genes (not in original input)
-            const discoveredGenes = new Set();
-            correlations.forEach(c => {
-                if (!geneList.includes(c.gene2)) discoveredGenes.add(c.gene2);
-            });
+    // Start a new cancellable analysis from the UI; a UI analysis still running is cancelled
+    startAnalysisJob() {
+        this.cancelAnalysis();
+        this.activeJob = this.createAnalysisJob();
+        return this.activeJob;
+    }
 
-            const discoveredArray = Array.from(discoveredGenes);
-            if (discoveredArray.length > 1) {
-                // Cache gene data for discovered genes
-                const discoveredData = new Map();
-                discoveredArray.forEach(gene => {
-                    const idx = this.geneIndex.get(gene);
-                    const fullData = this.getGeneData(idx);
-                    discoveredData.set(gene, cellLineIndices.map(i => fullData[i]));
-                });
+    finishAnalysisJob(job) {
+        job.stopped = true;
+        if (this.activeJob === job) this.activeJob = null;
+    }
 
-                // Find correlations between discovered genes (pairwise)
-                for (let i = 0; i < discoveredArray.length; i++) {
-                    const gene1 = discoveredArray[i];
-                    const data1 = discoveredData.get(gene1);
-
-                    for (let j = i + 1; j < discoveredArray.length; j++) {
-                        const gene2 = discoveredArray[j];
-                        const data2 = discoveredData.get(gene2);
-
-                        const result = this.pearsonWithSlope(data1, data2);
-                        if (result.n >= minN && Math.abs(result.correlation) >= cutoff && Math.abs(result.slope) >= minSlope) {
-                            correlations.push({
-                                gene1: gene1,
-                                gene2: gene2,
-                                correlation: Math.round(result.correlation * 1000) / 1000,
-                                slope: Math.round(result.slope * 1000) / 1000,
-                                n: result.n,
-                                cluster: 0
-                            });
-                        }
-                    }
-                }
-            }
-        }
+    // Cancel the UI analysis; analyses of the scripting API run as their own jobs and go on
+    cancelAnalysis() {
+        const job = this.activeJob;
+        if (!job || job.stopped) return;
+        this.activeJob = null;
+        const error = new Error('Analysis cancelled');
+        error.cancelled = true;
+        this.stopAnalysisJob(job, error);
+    }
 
-        if (correlations.length === 0) {
-            return { success: false, error: `No correlations found (cutoff: ${cutoff}, min slope: ${minSlope}, min cells: ${minN}). Try lowering thresholds or adjusting filters.` };
+    // Reject the pending runs of a job and drop its queued tasks. Tasks already sent cannot be
+    // interrupted, so the workers running them are replaced; other jobs keep their tasks
+    stopAnalysisJob(job, error) {
+        job.stopped = true;
+        job.rejects.forEach(reject => reject(error));
+        this.workerQueue = this.workerQueue.filter(item => item.job !== job);
+        try {
+            (this.workerPool || []).forEach(entry => {
+                if (entry.item?.job !== job) return;
+                entry.worker.terminate();
+                this.startPoolWorker(entry);
+            });
+        } catch (error) {
+            this.disableWorkerPool(error.message);
+            return;
         }
+        this.pumpWorkerQueue();
+    }
 
-        // Assign clusters using simple connected components
-        const clusters = this.findClusters(correlations);
+    getWorkerPool() {
+        if (this.workerPool) return this.workerPool;
+        this.workerPool = [];
+        if (typeof Worker === 'undefined' || !this.geneEffects) return this.workerPool;
 
-        // Calculate mean effect for each gene (both all cells and filtered cells)
-        const clusterData = clusters.map(gene => {
-            const idx = this.geneIndex.get(gene);
-            const fullData = this.getGeneData(idx);
+        // Without SharedArrayBuffer (page not cross-origin isolated) each worker gets
+        // its own copy of the matrix, so keep to a single worker in that case
+        const shared = typeof SharedArrayBuffer !== 'undefined' && this.geneEffects.values.buffer instanceof SharedArrayBuffer;
+        const size = shared ? Math.max(1, Math.min(8, (navigator.hardwareConcurrency || 2) - 1)) : 1;
 
-            // Stats for ALL cells
-            const allValidData = Array.from(fullData).filter(v => !isNaN(v));
-            const allMean = allValidData.length > 0 ? allValidData.reduce((a, b) => a + b, 0) / allValidData.length : NaN;
-            const allVariance = allValidData.length > 0 ? allValidData.reduce((a, b) => a + (b - allMean) ** 2, 0) / allValidData.length : NaN;
-            const allSd = Math.sqrt(allVariance);
+        try {
+            for (let i = 0; i < size; i++) {
+                const entry = { worker: null, item: null };
+                this.startPoolWorker(entry);
+                this.workerPool.push(entry);
+            }
+        } catch (error) {
+            // e.g. pages opened from file:// cannot start workers
+            this.disableWorkerPool(error.message);
+        }
+        return this.workerPool;
+    }
 
-            // Stats for FILTERED cells
-            const filteredData = cellLineIndices.map(i => fullData[i]).filter(v => !isNaN(v));
-            const filtMean = filteredData.length > 0 ? filteredData.reduce((a, b) => a + b, 0) / filteredData.length : NaN;
-            const filtVariance = filteredData.length > 0 ? filteredData.reduce((a, b) => a + (b - filtMean) ** 2, 0) / filteredData.length : NaN;
-            const filtSd = Math.sqrt(filtVariance);
+    // Start (or replace) the worker of a pool entry, with every matrix loaded so far
+    startPoolWorker(entry) {
+        const worker = new Worker('analysisWorker.js');
+        entry.worker = worker;
+        entry.item = null;
+        worker.onmessage = (event) => {
+            const item = entry.item;
+            entry.item = null;
+            if (item) {
+                if (event.data.type === 'result') item.resolve(event.data.result);
+                else item.reject(new Error(event.data.message));
+            }
+            this.pumpWorkerQueue();
+        };
+        worker.onerror = (event) => {
+            event.preventDefault();
+            this.recoverFromWorkerError(event.message);
+        };
+        worker.postMessage({ type: 'init', matrix: this.geneEffects, nCellLines: this.nCellLines });
+        Object.entries(this.getLoadedSources()).forEach(([name, source]) => {
+            worker.postMessage({ type: 'source', name, matrix: source.matrix, nCellLines: this.nCellLines });
+        });
+    }
+
+    // One normalized cache for all workers needs the matrix on a SharedArrayBuffer
+    canShareNormalizedCache(matrix) {
+        return this.getWorkerPool().length > 0 &&
+            typeof SharedArrayBuffer !== 'undefined' && matrix.values.buffer instanceof SharedArrayBuffer;
+    }
+
+    // A worker without SharedArrayBuffer already holds a copy of the matrix; a whole-matrix
+    // cache next to it would add a third copy, so its tasks normalize only their own genes
+    canKeepNormalizedCache(matrix) {
+        return this.getWorkerPool().length === 0 || this.canShareNormalizedCache(matrix);
+    }
+
+    // Terminate the workers after a release switch or upload; the next scan starts a new pool.
+    // Tasks still queued or running read the previous matrix, so their runs are rejected
+    resetWorkerPool() {
+        const pending = [...this.workerQueue, ...(this.workerPool || []).filter(entry => entry.item).map(entry => entry.item)];
+        (this.workerPool || []).forEach(entry => entry.worker.terminate());
+        this.workerPool = null;
+        this.workerQueue = [];
+        const error = new Error('The data changed while the analysis was running');
+        pending.forEach(item => item.reject(error));
+    }
+
+    // Workers and the normalized cache hold the previous matrix; expression and drug response are aligned to its cell lines
+    resetDatasetCaches() {
+        this.resetWorkerPool();
+        this.normalizedCache = null;
+        this.inlineTaskState = {};
+        this.expression = null;
+        this.drugs = null;
+    }
+
+    // A worker failed: finish the scans it was running on the main thread and start a new
+    // pool for the next one
+    recoverFromWorkerError(reason) {
+        console.warn('Analysis worker failed, finishing this scan on the main thread:', reason);
+        const inFlight = this.workerPool.filter(entry => entry.item).map(entry => entry.item);
+        inFlight.forEach(item => { item.batch.inline = true; });
+        this.workerPool.forEach(entry => entry.worker.terminate());
+        this.workerPool = null;
+        this.workerQueue.unshift(...inFlight);
+        this.pumpWorkerQueue();
+    }
+
+    // Workers cannot be started at all: drop the pool and run everything on the main thread
+    disableWorkerPool(reason) {
+        console.warn('Analysis workers unavailable, running on the main thread:', reason);
+        const inFlight = this.workerPool.filter(entry => entry.item).map(entry => entry.item);
+        this.workerPool.forEach(entry => entry.worker.terminate());
+        this.workerPool = [];
+        this.workerQueue.unshift(...inFlight);
+        this.pumpWorkerQueue();
+    }
+
+    // Run analysisCore tasks on the pool; resolves with results in task order. job: the analysis
+    // the tasks belong to (see createAnalysisJob); runs without one cannot be cancelled
+    runAnalysisTasks(tasks, onProgress = null, job = null) {
+        job = job || this.createAnalysisJob();
+
+        return new Promise((resolve, reject) => {
+            if (job.stopped) {
+                const error = new Error('Analysis cancelled');
+                error.cancelled = true;
+                reject(error);
+                return;
+            }
+            if (tasks.length === 0) {
+                resolve([]);
+                return;
+            }
 
-            return {
-                gene: gene,
-                cluster: correlations.find(c => c.gene1 === gene || c.gene2 === gene)?.cluster || 0,
-                meanEffect: Math.round(allMean * 100) / 100,
-                sdEffect: Math.round(allSd * 100) / 100,
-                meanEffectFiltered: Math.round(filtMean * 100) / 100,
-                sdEffectFiltered: Math.round(filtSd * 100) / 100,
-                nAll: allValidData.length,
-                nFiltered: filteredData.length,
-                inGeneList: geneList.includes(gene)
+            const results = new Array(tasks.length);
+            let done = 0;
+            const fail = (error) => {
+                job.rejects.delete(fail);
+                reject(error);
             };
+            job.rejects.add(fail);
+            // inline: set when a worker fails, the rest of these tasks then run on the main thread
+            const batch = { inline: false };
+
+            tasks.forEach((task, i) => {
+                this.workerQueue.push({
+                    task,
+                    job,
+                    batch,
+                    resolve: (result) => {
+                        if (job.stopped) return;
+                        results[i] = result;
+                        done++;
+                        if (onProgress) onProgress(done, tasks.length);
+                        if (done === tasks.length) {
+                            job.rejects.delete(fail);
+                            resolve(results);
+                        }
+                    },
+                    // A failed task fails every run of its job
+                    reject: (error) => this.stopAnalysisJob(job, error)
+                });
+            });
+            this.pumpWorkerQueue();
         });
-
-        // Check if filtering was applied
-        const isFiltered = cellLineIndices.length < this.nCellLines;
-
-        return {
-            success: true,
-            correlations: correlations,
-            clusters: clusterData,
-            geneList: geneList,
-            mode: mode,
-            cutoff: cutoff,
-            nCellLines: cellLineIndices.length,
-            isFiltered: isFiltered
-        };
     }
 
-    pearsonWithSlope(x, y) {
-        let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0, sumY2 = 0, n = 0;
-
-        for (let i = 0; i < x.length; i++) {
-            if (!isNaN(x[i]) && !isNaN(y[i])) {
-                sumX += x[i];
-                sumY += y[i];
-                sumXY += x[i] * y[i];
-                sumX2 += x[i] * x[i];
-                sumY2 += y[i] * y[i];
-                n++;
-            }
-        }
-
-        if (n < 3) return { correlation: NaN, slope: NaN, n: 0 };
-
-        const meanX = sumX / n;
-        const meanY = sumY / n;
-        const numerator = sumXY - n * meanX * meanY;
-        const denomX = Math.sqrt(sumX2 - n * meanX * meanX);
-        const denomY = Math.sqrt(sumY2 - n * meanY * meanY);
-
-        const correlation = denomX * denomY === 0 ? NaN : numerator / (denomX * denomY);
-        const slope = (sumX2 - n * meanX * meanX) === 0 ? NaN : numerator / (sumX2 - n * meanX * meanX);
-
-        return { correlation, slope, n };
+    // First queued task of a running job that passes accept
+    nextQueuedTask(accept = () => true) {
+        this.workerQueue = this.workerQueue.filter(item => !item.job.stopped);
+        const index = this.workerQueue.findIndex(accept);
+        return index === -1 ? null : this.workerQueue.splice(index, 1)[0];
     }
 
-    median(arr) {
-        if (!arr || arr.length === 0) return NaN;
-        const sorted = [...arr].filter(v => !isNaN(v)).sort((a, b) => a - b);
-        const mid = Math.floor(sorted.length / 2);
-        return sorted.length % 2 !== 0 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
-    }
+    pumpWorkerQueue() {
+        if (this.workerQueue.some(item => item.batch.inline)) this.drainWorkerQueueInline();
+        // No new pool just for scans that finish on the main thread
+        if (!this.workerPool && !this.workerQueue.some(item => !item.batch.inline)) return;
+        const pool = this.getWorkerPool();
+        if (pool.length === 0) {
+            this.drainWorkerQueueInline();
+            return;
+        }
 
-    findClusters(correlations) {
-        const genes = new Set();
-        correlations.forEach(c => {
-            genes.add(c.gene1);
-            genes.add(c.gene2);
+        pool.forEach(entry => {
+            if (entry.item) return;
+            const item = this.nextQueuedTask(queued => !queued.batch.inline);
+            if (!item) return;
+            entry.item = item;
+            entry.worker.postMessage({ type: 'task', task: item.task });
         });
+    }
 
-        const geneArray = Array.from(genes);
-        const parent = {};
-        geneArray.forEach(g => parent[g] = g);
-
-        const find = (x) => {
-            if (parent[x] !== x) parent[x] = find(parent[x]);
-            return parent[x];
-        };
-
-        const union = (x, y) => {
-            const px = find(x), py = find(y);
-            if (px !== py) parent[px] = py;
-        };
-
-        correlations.forEach(c => union(c.gene1, c.gene2));
+    // Fallback when workers are unavailable: one chunk at a time, yielding to the
+    // event loop in between so progress and the Cancel button keep working
+    drainWorkerQueueInline() {
+        if (this.inlineDraining) return;
+        this.inlineDraining = true;
 
-        // Assign cluster numbers
-        const clusterMap = {};
-        let clusterNum = 1;
-        geneArray.forEach(g => {
-            const root = find(g);
-            if (!(root in clusterMap)) {
-                clusterMap[root] = clusterNum++;
+        const step = () => {
+            // With a pool, only the tasks of scans a worker failed on
+            const noWorkers = this.workerPool !== null && this.workerPool.length === 0;
+            const item = this.nextQueuedTask(queued => noWorkers || queued.batch.inline);
+            if (!item) {
+                this.inlineDraining = false;
+                return;
             }
-        });
-
-        correlations.forEach(c => {
-            c.cluster = clusterMap[find(c.gene1)];
-        });
-
-        return geneArray;
-    }
-
-    showStatus(type, message) {
-        const display = document.getElementById('analysisStatus');
-        display.innerHTML = `<div class="status-box status-${type}">${message}</div>`;
+            try {
+                item.resolve(this.runTaskInline(item.task));
+            } catch (error) {
+                item.reject(error);
+            }
+            setTimeout(step, 0);
+        };
+        setTimeout(step, 0);
     }
 
     displayResults() {
@@ -2800,12 +3044,10 @@ class CorrelationExplorer {
         this.displayCorrelationsTable();
         this.displayClustersTable();
         this.displaySummary();
+        this.resetHeatmap();
 
         // Switch to network tab
-        document.querySelectorAll('.nav-link').forEach(link => link.classList.remove('active'));
-        document.querySelectorAll('.tab-content').forEach(tab => tab.classList.remove('active'));
-        document.querySelector('[data-tab="network"]').classList.add('active');
-        document.getElementById('tab-network').classList.add('active');
+        this.showResultsTab('network');
     }
 
     resetNetworkSettings() {
@@ -2821,6 +3063,7 @@ class CorrelationExplorer {
         document.getElementById('showGeneEffect').checked = false;
         document.getElementById('showGeneEffectSD').checked = false;
         document.getElementById('colorByGeneEffect').checked = false;
+        document.getElementById('colorByCluster').checked = false;
         document.getElementById('colorAbsoluteGE').checked = false;
         document.getElementById('colorByLFC').checked = false;
         document.getElementById('colorByFDR').checked = false;
@@ -2830,6 +3073,32 @@ class CorrelationExplorer {
         document.getElementById('colorAbsoluteGroup').style.display = 'none';
     }
 
+    // Two-list layout: list A in a column on the left, ordered by cluster, and list B on the
+    // right, each gene at the mean height of its list A partners so edges stay short
+    getBipartitePositions(genes) {
+        const spacing = 40;
+        const clusterOf = new Map(this.results.clusters.map(c => [c.gene, c.cluster]));
+        const listA = genes.filter(gene => this.results.geneList.includes(gene))
+            .sort((a, b) => (clusterOf.get(a) - clusterOf.get(b)) || a.localeCompare(b));
+        const listB = genes.filter(gene => !this.results.geneList.includes(gene));
+        const halfWidth = Math.max(200, Math.max(listA.length, listB.length) * spacing / 4);
+
+        const positions = {};
+        const place = (list, x) => list.forEach((gene, i) => {
+            positions[gene] = { x, y: (i - (list.length - 1) / 2) * spacing };
+        });
+        place(listA, -halfWidth);
+
+        const partnerHeights = new Map(listB.map(gene => [gene, []]));
+        this.results.correlations.forEach(c => partnerHeights.get(c.gene2)?.push(positions[c.gene1].y));
+        const height = gene => {
+            const ys = partnerHeights.get(gene);
+            return ys.reduce((sum, y) => sum + y, 0) / ys.length;
+        };
+        place(listB.sort((a, b) => height(a) - height(b) || a.localeCompare(b)), halfWidth);
+        return positions;
+    }
+
     displayNetwork() {
         const container = document.getElementById('networkPlot');
         container.innerHTML = '';
@@ -2843,19 +3112,20 @@ class CorrelationExplorer {
         const nodeSize = parseInt(document.getElementById('netNodeSize').value);
         const fontSize = parseInt(document.getElementById('netFontSize').value);
 
-        // Create edges
+        // Create edges (between node ids, see getNodeId)
         this.results.correlations.forEach((c, idx) => {
-            geneSet.add(c.gene1);
-            geneSet.add(c.gene2);
+            const [node1, node2] = this.getEdgeNodes(c);
+            geneSet.add(node1);
+            geneSet.add(node2);
 
             const width = 1 + (Math.abs(c.correlation) - cutoff) / (1 - cutoff) * (edgeWidthBase * 3);
             edges.push({
                 id: `edge_${idx}`,
-                from: c.gene1,
-                to: c.gene2,
+                from: node1,
+                to: node2,
                 width: width,
                 color: c.correlation > 0 ? '#3182ce' : '#e53e3e',
-                title: `r = ${c.correlation.toFixed(3)}`,
+                title: c.source1 ? `${this.formatSourcePair(c)}: r = ${c.correlation.toFixed(3)}` : `r = ${c.correlation.toFixed(3)}`,
                 correlation: c.correlation
             });
         });
@@ -2868,10 +3138,18 @@ class CorrelationExplorer {
             });
         }
 
+        // A symbol on both sides of a biomarker or drug network is two nodes, labelled with their source
+        const nodeCluster = new Map(this.results.clusters.map(c => [this.getNodeId(c.gene, c.source), c]));
+        const symbolCounts = new Map();
+        nodeCluster.forEach(c => symbolCounts.set(c.gene, (symbolCounts.get(c.gene) || 0) + 1));
+
         // Create nodes
-        geneSet.forEach(gene => {
-            const cluster = this.results.clusters.find(c => c.gene === gene);
-            const isInput = this.results.geneList.includes(gene);
+        geneSet.forEach(nodeId => {
+            const cluster = nodeCluster.get(nodeId);
+            const gene = cluster?.gene ?? nodeId;
+            const isInput = cluster ? cluster.inGeneList : this.results.geneList.includes(gene);
+            const isCompound = cluster?.source === 'drug';
+            const sourceName = symbolCounts.get(gene) > 1 ? ` (${this.getSourceLabel(cluster.source, true).toLowerCase()})` : '';
 
             // Check if this gene is a synonym replacement
             const originalName = synonymLookup.get(gene.toUpperCase());
@@ -2884,12 +3162,13 @@ class CorrelationExplorer {
             }
 
             // Build title with available information
-            let titleLines = [gene];
+            let titleLines = [gene + sourceName];
             if (isSynonym) {
                 titleLines.push(`(synonym of ${originalName})`);
             }
-            titleLines.push(`GE mean: ${cluster?.meanEffect || 'N/A'}`);
-            titleLines.push(`GE SD: ${cluster?.sdEffect || 'N/A'}`);
+            const statLabel = isCompound ? 'Response' : 'GE';
+            titleLines.push(`${statLabel} mean: ${cluster?.meanEffect || 'N/A'}`);
+            titleLines.push(`${statLabel} SD: ${cluster?.sdEffect || 'N/A'}`);
             if (geneStat?.lfc !== undefined && geneStat?.lfc !== null) {
                 titleLines.push(`LFC: ${geneStat.lfc.toFixed(3)}`);
             }
@@ -2898,15 +3177,21 @@ class CorrelationExplorer {
             }
 
             // Add * to label if synonym
-            const label = isSynonym ? `${gene}*` : gene;
+            const label = (isSynonym ? `${gene}*` : gene) + sourceName;
 
             nodes.push({
-                id: gene,
+                id: nodeId,
+                gene,
+                // Label without the gene effect / stats lines (see updateNetworkLabels)
+                baseLabel: label,
+                isInput,
                 label: label,
+                // Compounds (drug mode) are diamonds, genes dots
+                shape: isCompound ? 'diamond' : 'dot',
                 size: nodeSize,
                 font: { size: fontSize, color: '#333' },
                 color: {
-                    background: this.results.mode === 'design' ?
+                    background: this.isSeededNetwork() ?
                         (isInput ? '#5a9f4a' : '#a8d89a') : '#5a9f4a',
                     border: '#ffffff'
                 },
@@ -2921,6 +3206,22 @@ class CorrelationExplorer {
         this.hasSynonymsInNetwork = synonymLookup.size > 0 &&
             Array.from(geneSet).some(g => synonymLookup.has(g.toUpperCase()));
 
+        // Opening a session: place nodes where they were saved and keep physics off
+        const savedLayout = this.pendingNetworkLayout;
+        this.pendingNetworkLayout = null;
+        // Two-list results start in two columns, also with physics off
+        const fixedPositions = savedLayout ? (savedLayout.positions || {})
+            : this.results.mode === 'bipartite' ? this.getBipartitePositions(Array.from(geneSet)) : null;
+        if (fixedPositions) {
+            nodes.forEach(node => {
+                const pos = fixedPositions[node.id];
+                if (pos) {
+                    node.x = pos.x;
+                    node.y = pos.y;
+                }
+            });
+        }
+
         const data = { nodes: new vis.DataSet(nodes), edges: new vis.DataSet(edges) };
 
         // Adjust stabilization iterations based on network size
@@ -2944,7 +3245,7 @@ class CorrelationExplorer {
                 smooth: false
             },
             physics: {
-                enabled: true,
+                enabled: !fixedPositions,
                 solver: 'forceAtlas2Based',
                 forceAtlas2Based: {
                     gravitationalConstant: -50,
@@ -2987,8 +3288,17 @@ class CorrelationExplorer {
             removeModeBtn.classList.remove('btn-active');
         }
 
-        // For large networks, disable physics after stabilization
-        if (nodeCount > 30) {
+        if (fixedPositions) {
+            this.physicsEnabled = false;
+            if (physicsBtn) {
+                physicsBtn.textContent = 'Unlock';
+                physicsBtn.classList.add('btn-active');
+            }
+            if (savedLayout?.view) {
+                this.network.once('afterDrawing', () => this.network.moveTo(savedLayout.view));
+            }
+        } else if (nodeCount > 30) {
+            // For large networks, disable physics after stabilization
             this.network.once('stabilizationIterationsDone', () => {
                 this.network.setOptions({ physics: { enabled: false } });
                 this.physicsEnabled = false;
@@ -3042,7 +3352,7 @@ class CorrelationExplorer {
                 const edgeId = params.edges[0];
                 const edge = this.networkData.edges.get(edgeId);
                 if (edge) {
-                    this.openInspectByGenes(edge.from, edge.to);
+                    this.openInspectByNodes(edge.from, edge.to);
                 }
             }
         });
@@ -3069,11 +3379,14 @@ class CorrelationExplorer {
         // Show legend
         document.getElementById('networkLegend').style.display = 'flex';
         const legendNodeType = document.getElementById('legendNodeType');
-        if (this.results.mode === 'design') {
+        if (this.isSeededNetwork()) {
+            const hasCompounds = this.results.clusters.some(c => c.source === 'drug');
+            const typeLabels = this.getNodeTypeLabels();
             legendNodeType.innerHTML = `
                 <strong>Node Type:</strong>
-                <span class="legend-item"><span class="legend-dot" style="background: #5a9f4a;"></span> Input</span>
-                <span class="legend-item"><span class="legend-dot" style="background: #a8d89a;"></span> Correlated</span>
+                <span class="legend-item"><span class="legend-dot" style="background: #5a9f4a;"></span> ${typeLabels.input}</span>
+                <span class="legend-item"><span class="legend-dot" style="background: #a8d89a;"></span> ${typeLabels.found}</span>
+                ${hasCompounds ? '<span class="legend-item"><span class="legend-dot" style="background: #9ca3af; border-radius: 0; transform: rotate(45deg) scale(0.8);"></span> Compound</span>' : ''}
             `;
             legendNodeType.style.display = 'block';
         } else {
@@ -3097,7 +3410,7 @@ class CorrelationExplorer {
         const nodeSize = parseInt(document.getElementById('netNodeSize').value);
         const fontSize = parseInt(document.getElementById('netFontSize').value);
         const edgeWidthBase = parseInt(document.getElementById('netEdgeWidth').value);
-        const cutoff = this.results?.cutoff || 0.5;
+        const cutoff = this.results?.cutoff ?? 0.5;
 
         // Update nodes
         const nodeUpdates = [];
@@ -3147,9 +3460,9 @@ class CorrelationExplorer {
 
         legendEl.innerHTML = `
             <strong>Edge Thickness:</strong>
-            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${Math.round(widthMin)}px;"></span> r=${minCorr.toFixed(1)}</div>
-            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${Math.round(widthMid)}px;"></span> r=${midCorr.toFixed(1)}</div>
-            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${Math.round(widthMax)}px;"></span> r=${maxCorr.toFixed(1)}</div>
+            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${Math.round(widthMin)}px;"></span> ${this.getCorrelationSymbol()}=${minCorr.toFixed(1)}</div>
+            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${Math.round(widthMid)}px;"></span> ${this.getCorrelationSymbol()}=${midCorr.toFixed(1)}</div>
+            <div class="legend-item"><span class="legend-line" style="background: #666; height: ${Math.round(widthMax)}px;"></span> ${this.getCorrelationSymbol()}=${maxCorr.toFixed(1)}</div>
         `;
 
         // Store for use in PNG/SVG export
@@ -3160,10 +3473,10 @@ class CorrelationExplorer {
         const tbody = document.getElementById('correlationsBody');
         tbody.innerHTML = '';
 
-        // Deduplicate correlations (A-B is same as B-A)
+        // Deduplicate correlations (A-B is same as B-A; in biomarker mode only with the same data sources)
         const seenPairs = new Set();
         const uniqueCorrelations = this.results.correlations.filter(c => {
-            const pairKey = [c.gene1, c.gene2].sort().join('|');
+            const pairKey = [`${c.gene1}:${c.source1 || ''}`, `${c.gene2}:${c.source2 || ''}`].sort().join('|');
             if (seenPairs.has(pairKey)) {
                 return false;
             }
@@ -3171,18 +3484,24 @@ class CorrelationExplorer {
             return true;
         });
 
+        const sourceTag = (source) => source
+            ? ` <span style="font-size: 10px; color: #6b7280;">${this.getSourceLabel(source, true).toLowerCase()}</span>`
+            : '';
+
         uniqueCorrelations
             .sort((a, b) => Math.abs(b.correlation) - Math.abs(a.correlation))
             .forEach((c) => {
                 const tr = document.createElement('tr');
                 const corrClass = c.correlation > 0 ? 'corr-positive' : 'corr-negative';
                 tr.innerHTML = `
-                    <td>${c.gene1}</td>
-                    <td>${c.gene2}</td>
+                    <td>${c.gene1}${sourceTag(c.source1)}</td>
+                    <td>${c.gene2}${sourceTag(c.source2)}</td>
                     <td class="${corrClass}">${c.correlation.toFixed(3)}</td>
                     <td>${c.slope.toFixed(3)}</td>
                     <td>${c.n}</td>
                     <td>${c.cluster}</td>
+                    <td>${this.formatPValue(c.pValue)}</td>
+                    <td>${this.formatPValue(c.qValue)}</td>
                     <td style="white-space: nowrap;">
                         <button class="btn btn-sm inspect-btn" style="padding: 2px 6px; font-size: 10px; background: #5a9f4a; color: white;" data-gene1="${c.gene1}" data-gene2="${c.gene2}">Correlate</button>
                         <button class="btn btn-sm tissue-btn" style="padding: 2px 6px; font-size: 10px; margin-left: 4px; background: #6b7280; color: white;" data-gene1="${c.gene1}" data-gene2="${c.gene2}">By Tissue</button>
@@ -3190,10 +3509,10 @@ class CorrelationExplorer {
                 `;
                 // Add click handlers
                 tr.querySelector('.inspect-btn').addEventListener('click', () => {
-                    this.openInspectByGenes(c.gene1, c.gene2);
+                    this.openInspect(c);
                 });
                 tr.querySelector('.tissue-btn').addEventListener('click', () => {
-                    this.openByTissueByGenes(c.gene1, c.gene2);
+                    this.openByTissueByGenes(c.gene1, c.gene2, c);
                 });
                 tbody.appendChild(tr);
             });
@@ -3248,6 +3567,12 @@ class CorrelationExplorer {
             `;
         }
 
+        // Two-list mode: partners of each gene in the other list
+        const withPartners = this.results.mode === 'bipartite';
+        if (withPartners) {
+            headerCells += `<th data-sort="partners">Partners</th>`;
+        }
+
         // Add actions column
         headerCells += `<th style="text-align: center;">Analyze</th>`;
 
@@ -3264,8 +3589,10 @@ class CorrelationExplorer {
                 const tr = document.createElement('tr');
                 const geneStat = this.geneStats?.get(c.gene);
 
+                const sourceName = { drug: 'compound', expression: 'expression' }[c.source];
+                const sourceTag = sourceName ? ` <span style="font-size: 10px; color: #6b7280;">${sourceName}</span>` : '';
                 let rowHtml = `
-                    <td>${c.gene}${c.inGeneList && this.results.mode === 'design' ? '*' : ''}</td>
+                    <td>${c.gene}${c.inGeneList && this.isSeededNetwork() ? '*' : ''}${sourceTag}</td>
                     <td>${c.cluster}</td>
                     <td>${c.meanEffect}</td>
                     <td>${c.sdEffect}</td>
@@ -3289,8 +3616,12 @@ class CorrelationExplorer {
                     `;
                 }
 
-                // Add analyze buttons
-                rowHtml += `
+                if (withPartners) {
+                    rowHtml += `<td>${c.partners}</td>`;
+                }
+
+                // Add analyze buttons (gene effect views only exist for gene effect nodes)
+                rowHtml += c.source && c.source !== 'effect' ? '<td style="text-align: center; color: #9ca3af;">-</td>' : `
                     <td style="text-align: center; white-space: nowrap;">
                         <button class="btn btn-sm tissue-btn" style="padding: 2px 6px; font-size: 10px; background: #5a9f4a; color: white;" data-gene="${c.gene}">By Tissue</button>
                         <button class="btn btn-sm hotspot-btn" style="padding: 2px 6px; font-size: 10px; margin-left: 4px; background: #6b7280; color: white;" data-gene="${c.gene}">By Hotspot</button>
@@ -3310,6 +3641,94 @@ class CorrelationExplorer {
         });
     }
 
+    // The heatmap tab is offered for analysis-mode results with a correlation matrix and drawn
+    // when first opened
+    resetHeatmap() {
+        const tab = document.getElementById('heatmapTab');
+        tab.style.display = this.results?.correlationMatrix ? 'inline-block' : 'none';
+        this.heatmapOrder = null;
+        Plotly.purge('heatmapPlot');
+    }
+
+    // Full correlation matrix in the leaf order of the hierarchical clustering, with the
+    // dendrogram along the top and left side
+    displayHeatmap() {
+        const matrix = this.results?.correlationMatrix;
+        if (!matrix) return;
+
+        const linkage = document.getElementById('heatmapLinkage').value;
+        const { merges, order } = this.clusterCorrelationMatrix(matrix, linkage);
+        this.heatmapOrder = order;
+
+        const n = order.length;
+        const genes = order.map(i => matrix.genes[i]);
+        const positions = genes.map((_, k) => k);
+        const symbol = this.getCorrelationSymbol(this.results.method || 'pearson');
+
+        // Dendrogram branches as one line trace: x = leaf position, y = merge height
+        const leafPosition = new Map(order.map((leaf, k) => [leaf, k]));
+        const mergeX = [];
+        const nodeX = (cluster) => (cluster < n ? leafPosition.get(cluster) : mergeX[cluster - n]);
+        const nodeHeight = (cluster) => (cluster < n ? 0 : merges[cluster - n].height);
+        const branchX = [], branchY = [];
+        merges.forEach(merge => {
+            const x1 = nodeX(merge.left), x2 = nodeX(merge.right);
+            mergeX.push((x1 + x2) / 2);
+            branchX.push(x1, x1, x2, x2, null);
+            branchY.push(nodeHeight(merge.left), merge.height, merge.height, nodeHeight(merge.right), null);
+        });
+        const branchLine = { color: '#4b5563', width: 1 };
+
+        const traces = [
+            {
+                type: 'heatmap',
+                x: positions,
+                y: positions,
+                z: order.map(i => order.map(j => (isNaN(matrix.values[i][j]) ? null : matrix.values[i][j]))),
+                text: genes.map(gene1 => genes.map(gene2 => `${gene1} – ${gene2}`)),
+                hovertemplate: `%{text}<br>${symbol} = %{z}<extra></extra>`,
+                // Same colors as the network edges: positive blue, negative red
+                colorscale: [[0, '#e53e3e'], [0.5, '#ffffff'], [1, '#3182ce']],
+                zmin: -1,
+                zmax: 1,
+                colorbar: { title: { text: symbol }, x: 0, xanchor: 'left', y: 1, yanchor: 'top', len: 0.13, thickness: 10 }
+            },
+            { type: 'scatter', mode: 'lines', x: branchX, y: branchY, xaxis: 'x', yaxis: 'y2', line: branchLine, hoverinfo: 'skip' },
+            { type: 'scatter', mode: 'lines', x: branchY, y: branchX, xaxis: 'x2', yaxis: 'y', line: branchLine, hoverinfo: 'skip' }
+        ];
+
+        const fontSize = n > 100 ? 7 : n > 50 ? 9 : 11;
+        const geneAxis = { tickvals: positions, ticktext: genes, tickfont: { size: fontSize }, showgrid: false, zeroline: false };
+        const layout = {
+            height: Math.max(500, Math.min(1000, 200 + n * 10)),
+            margin: { l: 20, r: 100, t: 20, b: 100 },
+            showlegend: false,
+            xaxis: { ...geneAxis, domain: [0.15, 1], range: [-0.5, n - 0.5], tickangle: -90 },
+            yaxis: { ...geneAxis, domain: [0, 0.85], range: [n - 0.5, -0.5], side: 'right' },
+            // Dendrograms: the root at the outer edge
+            xaxis2: { domain: [0, 0.13], anchor: 'y', autorange: 'reversed', visible: false },
+            yaxis2: { domain: [0.87, 1], anchor: 'x', visible: false }
+        };
+
+        Plotly.newPlot('heatmapPlot', traces, layout, { responsive: true });
+        document.getElementById('heatmapPlot').on('plotly_click', (eventData) => {
+            const point = eventData.points.find(p => p.curveNumber === 0);
+            if (!point || point.x === point.y) return;
+            this.openInspectByGenes(genes[point.y], genes[point.x], true);
+        });
+    }
+
+    downloadHeatmapImage(format) {
+        if (!this.heatmapOrder) return;
+        const size = Math.max(800, Math.min(2000, 300 + this.heatmapOrder.length * 12));
+        Plotly.downloadImage('heatmapPlot', {
+            format,
+            width: size,
+            height: size,
+            filename: `correlation_heatmap_${document.getElementById('heatmapLinkage').value}`
+        });
+    }
+
     displaySummary() {
         const text = document.getElementById('summaryText');
         const lineage = document.getElementById('lineageFilter').value || 'All lineages';
@@ -3334,9 +3753,7 @@ ${this.genesNotFound.join(', ')}
         }
 
         // Calculate number of clusters
-        const numClusters = this.results.correlations.length > 0
-            ? Math.max(...this.results.correlations.map(c => c.cluster))
-            : 0;
+        const numClusters = this.getNumberOfClusters();
 
         // Build lineage filter text
         let lineageText = lineage;
@@ -3359,21 +3776,57 @@ ${this.genesNotFound.join(', ')}
 ================================
 Run: ${dateTimeStr}
 
-Analysis Mode: ${this.results.mode === 'analysis' ? 'Analysis (within gene list)' : 'Design (find correlated genes)'}
-Correlation Cutoff: ${this.results.cutoff}
+Analysis Mode: ${this.getAnalysisModeLabel(this.results)}
+Data Release: ${this.getReleaseLabel(this.results.release)}
+Correlation Method: ${this.getCorrelationMethodLabel(this.results.method || 'pearson')}
+Partial Correlation: ${this.getPartialCorrelationLabel(this.results.partial)}
+${this.results.topN ? `Selection: ${this.getSelectionLabel(this.results)}` : `Correlation Cutoff: ${this.results.cutoff}`}
+Max FDR (BH q-value): ${this.results.maxFdr !== null && this.results.maxFdr !== undefined ? this.results.maxFdr : 'off'}
 Minimum Cell Lines: ${document.getElementById('minCellLines').value}
 Minimum Slope: ${document.getElementById('minSlope').value}
 Lineage Filter: ${lineageText}
 
-Input Genes: ${this.results.geneList.length}
-${this.results.geneList.join(', ')}
+${this.getInputGenesSummaryText()}
 ${synonymsSection}${unrecognizedSection}
 Results:
 - Total correlations found: ${this.results.correlations.length}
+- Tests performed (BH family): ${(this.results.nTests || 0).toLocaleString()}
 - Genes in network: ${this.results.clusters.length}
 - Number of clusters: ${numClusters}
-- Cell lines analyzed: ${this.results.nCellLines}
-`;
+${this.getClusteringSummaryText()}- Cell lines analyzed: ${this.results.nCellLines}
+${this.getPartnerSummaryText()}`;
+    }
+
+    // Input genes of the summary; two-list results list A and list B
+    getInputGenesSummaryText() {
+        if (this.results.mode !== 'bipartite') {
+            return `Input Genes: ${this.results.geneList.length}\n${this.results.geneList.join(', ')}`;
+        }
+        return `List A Genes: ${this.results.geneList.length}\n${this.results.geneList.join(', ')}\n\n` +
+            `List B Genes: ${this.results.geneListB.length}\n${this.results.geneListB.join(', ')}`;
+    }
+
+    // Two-list results: partners of each gene in the other list (empty for other modes)
+    getPartnerSummaryText() {
+        if (!this.results.partnerSummary) return '';
+        const lines = list => this.results.partnerSummary
+            .filter(p => p.list === list)
+            .map(p => `  ${p.gene}: ${p.partners} (${p.positive} / ${p.negative})`)
+            .join('\n');
+        return `\nPartners in the Other List (positive / negative):\nList A:\n${lines('A')}\nList B:\n${lines('B')}\n`;
+    }
+
+    getNumberOfClusters() {
+        if (this.results.clustering) return this.results.clustering.nClusters;
+        return this.results.correlations.length > 0 ? Math.max(...this.results.correlations.map(c => c.cluster)) : 0;
+    }
+
+    // Summary lines on how the clusters were found (results saved before clustering options have none)
+    getClusteringSummaryText() {
+        const clustering = this.results.clustering;
+        if (!clustering) return '';
+        const modularity = isNaN(clustering.modularity) ? '-' : clustering.modularity.toFixed(3);
+        return `- Clustering: ${this.getClusteringLabel(clustering)}\n- Modularity (Q): ${modularity}\n`;
     }
 
     filterTable(tableId, query) {
@@ -3394,9 +3847,9 @@ Results:
         const colIndex = Array.from(th.parentNode.children).indexOf(th);
         const sortKey = th.dataset.sort;
         const numericColumns = [
-            'correlation', 'slope', 'n', 'cluster',
+            'correlation', 'slope', 'n', 'cluster', 'pValue', 'qValue',
             'meanEffect', 'sdEffect', 'meanEffectFiltered', 'sdEffectFiltered',
-            'lfc', 'fdr'
+            'lfc', 'fdr', 'partners', 'nA', 'rA', 'nB', 'rB', 'deltaR', 'z', 'pBonferroni'
         ];
         const isNumeric = numericColumns.includes(sortKey);
 
@@ -3433,52 +3886,17 @@ Results:
 
         let csv, filename;
         if (type === 'correlations') {
-            csv = 'Gene1,Gene2,Correlation,Slope,N,Cluster\n';
-            this.results.correlations.forEach(c => {
-                csv += `${c.gene1},${c.gene2},${c.correlation},${c.slope},${c.n},${c.cluster}\n`;
-            });
+            csv = this.buildCorrelationsCSV();
             filename = 'correlations.csv';
+        } else if (type === 'matrix') {
+            // In the heatmap order once it has been drawn
+            csv = this.buildCorrelationMatrixCSV(this.results, this.heatmapOrder);
+            filename = 'correlation_matrix.csv';
         } else {
-            const isFiltered = this.results.isFiltered;
-            const lineage = document.getElementById('lineageFilter').value || 'All lineages';
-            const subLineage = document.getElementById('subLineageFilter')?.value;
-
-            // Add filter info as comments
-            csv = `# Clusters Export\n`;
-            csv += `# Analysis mode: ${this.results.mode === 'design' ? 'Design (find correlated genes)' : 'Analysis (within gene list)'}\n`;
-            csv += `# Lineage filter: ${lineage}\n`;
-            if (subLineage) csv += `# Subtype filter: ${subLineage}\n`;
-            csv += `# Filtered cell lines: ${this.results.nCellLines}\n`;
-            csv += `# Date: ${new Date().toISOString().slice(0, 10)}\n`;
-            if (this.results.mode === 'design') {
-                csv += `# Gene_Type: Input = user-provided gene, Correlated = found by correlation analysis\n`;
-            }
-            csv += '#\n';
-
-            const isDesignMode = this.results.mode === 'design';
-            const geneList = this.results.geneList || [];
-
-            if (isFiltered) {
-                csv += isDesignMode
-                    ? 'Gene,Gene_Type,Cluster,Mean_Effect_All,SD_Effect_All,Mean_Effect_Filtered,SD_Effect_Filtered\n'
-                    : 'Gene,Cluster,Mean_Effect_All,SD_Effect_All,Mean_Effect_Filtered,SD_Effect_Filtered\n';
-                this.results.clusters.forEach(c => {
-                    const geneType = geneList.includes(c.gene) ? 'Input' : 'Correlated';
-                    csv += isDesignMode
-                        ? `${c.gene},${geneType},${c.cluster},${c.meanEffect},${c.sdEffect},${c.meanEffectFiltered},${c.sdEffectFiltered}\n`
-                        : `${c.gene},${c.cluster},${c.meanEffect},${c.sdEffect},${c.meanEffectFiltered},${c.sdEffectFiltered}\n`;
-                });
-            } else {
-                csv += isDesignMode
-                    ? 'Gene,Gene_Type,Cluster,Mean_Effect,SD_Effect\n'
-                    : 'Gene,Cluster,Mean_Effect,SD_Effect\n';
-                this.results.clusters.forEach(c => {
-                    const geneType = geneList.includes(c.gene) ? 'Input' : 'Correlated';
-                    csv += isDesignMode
-                        ? `${c.gene},${geneType},${c.cluster},${c.meanEffect},${c.sdEffect}\n`
-                        : `${c.gene},${c.cluster},${c.meanEffect},${c.sdEffect}\n`;
-                });
-            }
+            csv = this.buildClustersCSV(this.results, {
+                lineage: document.getElementById('lineageFilter').value,
+                subLineage: document.getElementById('subLineageFilter')?.value
+            });
             filename = 'clusters.csv';
         }
 
@@ -3544,7 +3962,7 @@ Results:
 
         // Calculate total legend width to center it
         let totalLegendWidth = 160 + 160; // Correlation + Edge Thickness
-        if (this.results?.mode === 'design') totalLegendWidth += 140;
+        if (this.isSeededNetwork()) totalLegendWidth += 140;
         if (document.getElementById('colorByGeneEffect').checked && this.results?.clusters) totalLegendWidth += 170;
         if (document.getElementById('colorByStats').checked && this.geneStats && this.geneStats.size > 0) totalLegendWidth += 200;
 
@@ -3585,7 +4003,7 @@ Results:
 
         const edgeWidthBase = parseInt(document.getElementById('netEdgeWidth').value) || 3;
         const legendVals = this.edgeLegendValues || { minCorr: 0.5, midCorr: 0.75, maxCorr: 1.0 };
-        const cutoff = this.results?.cutoff || 0.5;
+        const cutoff = this.results?.cutoff ?? 0.5;
 
         // Min correlation
         ctx.lineWidth = Math.max(2, 2 + (legendVals.minCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 4));
@@ -3594,7 +4012,7 @@ Results:
         ctx.lineTo(legendX + 35, legendY + 22);
         ctx.stroke();
         ctx.fillStyle = '#333';
-        ctx.fillText(`r = ${legendVals.minCorr.toFixed(2)}`, legendX + 42, legendY + 27);
+        ctx.fillText(`${this.getCorrelationSymbol()} = ${legendVals.minCorr.toFixed(2)}`, legendX + 42, legendY + 27);
 
         // Mid correlation
         ctx.lineWidth = Math.max(2, 2 + (legendVals.midCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 4));
@@ -3602,7 +4020,7 @@ Results:
         ctx.moveTo(legendX, legendY + 48);
         ctx.lineTo(legendX + 35, legendY + 48);
         ctx.stroke();
-        ctx.fillText(`r = ${legendVals.midCorr.toFixed(2)}`, legendX + 42, legendY + 53);
+        ctx.fillText(`${this.getCorrelationSymbol()} = ${legendVals.midCorr.toFixed(2)}`, legendX + 42, legendY + 53);
 
         // Max correlation
         ctx.lineWidth = Math.max(2, 2 + (legendVals.maxCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 4));
@@ -3610,12 +4028,12 @@ Results:
         ctx.moveTo(legendX, legendY + 74);
         ctx.lineTo(legendX + 35, legendY + 74);
         ctx.stroke();
-        ctx.fillText(`r = ${legendVals.maxCorr.toFixed(2)}`, legendX + 42, legendY + 79);
+        ctx.fillText(`${this.getCorrelationSymbol()} = ${legendVals.maxCorr.toFixed(2)}`, legendX + 42, legendY + 79);
 
         legendX += 160;
 
         // Node type legend (for design mode)
-        if (this.results?.mode === 'design') {
+        if (this.isSeededNetwork()) {
             ctx.font = titleFont;
             ctx.fillStyle = '#333';
             ctx.fillText('Node Type:', legendX, legendY);
@@ -3627,7 +4045,7 @@ Results:
             ctx.arc(legendX + 12, legendY + 25, 10, 0, Math.PI * 2);
             ctx.fill();
             ctx.fillStyle = '#333';
-            ctx.fillText('Input', legendX + 28, legendY + 30);
+            ctx.fillText(this.getNodeTypeLabels().input, legendX + 28, legendY + 30);
 
             // Correlated gene
             ctx.fillStyle = '#a8d89a';
@@ -3635,7 +4053,7 @@ Results:
             ctx.arc(legendX + 12, legendY + 52, 10, 0, Math.PI * 2);
             ctx.fill();
             ctx.fillStyle = '#333';
-            ctx.fillText('Correlated', legendX + 28, legendY + 57);
+            ctx.fillText(this.getNodeTypeLabels().found, legendX + 28, legendY + 57);
 
             legendX += 140;
         }
@@ -3644,7 +4062,7 @@ Results:
         const colorByGeneEffect = document.getElementById('colorByGeneEffect').checked;
         if (colorByGeneEffect && this.results?.clusters) {
             const colorGEType = document.querySelector('input[name="colorGEType"]:checked')?.value || 'signed';
-            const effectValues = this.results.clusters.map(c => c.meanEffect).filter(v => !isNaN(v));
+            const effectValues = this.getGeneEffectClusters().map(c => c.meanEffect).filter(v => !isNaN(v));
 
             ctx.font = titleFont;
             ctx.fillStyle = '#333';
@@ -3875,7 +4293,7 @@ Results:
             const pos = domPositions[node.id];
             if (pos) {
                 const bgColor = node.color?.background || '#5a9f4a';
-                svg += `  <circle cx="${pos.x}" cy="${pos.y}" r="${nodeSize/2}" fill="${bgColor}" stroke="white" stroke-width="${2 * scale}"/>\n`;
+                svg += this.svgNodeShape(node, pos, nodeSize / 2, bgColor, 2 * scale);
 
                 // Handle multi-line labels
                 const labelLines = (node.label || node.id).split('\n');
@@ -3891,7 +4309,7 @@ Results:
 
         // Calculate total legend width to center it
         let totalLegendWidth = 160 + 160; // Correlation + Edge Thickness (note: 110+160 is used but let's use similar calc)
-        if (this.results?.mode === 'design') totalLegendWidth += 140;
+        if (this.isSeededNetwork()) totalLegendWidth += 140;
         if (document.getElementById('colorByGeneEffect').checked && this.results?.clusters) totalLegendWidth += 170;
         if (document.getElementById('colorByStats').checked && this.geneStats && this.geneStats.size > 0) totalLegendWidth += 200;
 
@@ -3911,7 +4329,7 @@ Results:
         legendX += 160;
 
         // Edge thickness legend - use actual data values
-        const cutoff = this.results?.cutoff || 0.5;
+        const cutoff = this.results?.cutoff ?? 0.5;
         const edgeWidthBase = parseInt(document.getElementById('netEdgeWidth').value) || 3;
         const legendVals = this.edgeLegendValues || { minCorr: 0.5, midCorr: 0.75, maxCorr: 1.0 };
 
@@ -3922,21 +4340,21 @@ Results:
         const width3 = Math.max(2, 2 + (legendVals.maxCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 4));
 
         svg += `  <line x1="${legendX}" y1="${legendY + 22}" x2="${legendX + 35}" y2="${legendY + 22}" stroke="#666" stroke-width="${width1}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 27}" class="legend-text">r = ${legendVals.minCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 27}" class="legend-text">${this.getCorrelationSymbol()} = ${legendVals.minCorr.toFixed(2)}</text>\n`;
         svg += `  <line x1="${legendX}" y1="${legendY + 48}" x2="${legendX + 35}" y2="${legendY + 48}" stroke="#666" stroke-width="${width2}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 53}" class="legend-text">r = ${legendVals.midCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 53}" class="legend-text">${this.getCorrelationSymbol()} = ${legendVals.midCorr.toFixed(2)}</text>\n`;
         svg += `  <line x1="${legendX}" y1="${legendY + 74}" x2="${legendX + 35}" y2="${legendY + 74}" stroke="#666" stroke-width="${width3}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 79}" class="legend-text">r = ${legendVals.maxCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 79}" class="legend-text">${this.getCorrelationSymbol()} = ${legendVals.maxCorr.toFixed(2)}</text>\n`;
 
         legendX += 160;
 
         // Node type legend (for design mode)
-        if (this.results?.mode === 'design') {
+        if (this.isSeededNetwork()) {
             svg += `  <text x="${legendX}" y="${legendY}" class="legend-title">Node Type:</text>\n`;
             svg += `  <circle cx="${legendX + 12}" cy="${legendY + 25}" r="10" fill="#5a9f4a"/>\n`;
-            svg += `  <text x="${legendX + 28}" y="${legendY + 30}" class="legend-text">Input</text>\n`;
+            svg += `  <text x="${legendX + 28}" y="${legendY + 30}" class="legend-text">${this.getNodeTypeLabels().input}</text>\n`;
             svg += `  <circle cx="${legendX + 12}" cy="${legendY + 52}" r="10" fill="#a8d89a"/>\n`;
-            svg += `  <text x="${legendX + 28}" y="${legendY + 57}" class="legend-text">Correlated</text>\n`;
+            svg += `  <text x="${legendX + 28}" y="${legendY + 57}" class="legend-text">${this.getNodeTypeLabels().found}</text>\n`;
 
             legendX += 140;
         }
@@ -3945,7 +4363,7 @@ Results:
         const colorByGeneEffect = document.getElementById('colorByGeneEffect').checked;
         if (colorByGeneEffect && this.results?.clusters) {
             const colorGEType = document.querySelector('input[name="colorGEType"]:checked')?.value || 'signed';
-            const effectValues = this.results.clusters.map(c => c.meanEffect).filter(v => !isNaN(v));
+            const effectValues = this.getGeneEffectClusters().map(c => c.meanEffect).filter(v => !isNaN(v));
 
             svg += `  <text x="${legendX}" y="${legendY}" class="legend-title">Node Color:</text>\n`;
 
@@ -4045,6 +4463,15 @@ Results:
         URL.revokeObjectURL(url);
     }
 
+    // SVG element of a network node: a circle, or a diamond for compound nodes (as drawn by vis)
+    svgNodeShape(node, pos, r, fill, strokeWidth) {
+        if (node.shape === 'diamond') {
+            const points = [[pos.x, pos.y - r], [pos.x + r, pos.y], [pos.x, pos.y + r], [pos.x - r, pos.y]];
+            return `  <polygon points="${points.map(p => p.join(',')).join(' ')}" fill="${fill}" stroke="white" stroke-width="${strokeWidth}"/>\n`;
+        }
+        return `  <circle cx="${pos.x}" cy="${pos.y}" r="${r}" fill="${fill}" stroke="white" stroke-width="${strokeWidth}"/>\n`;
+    }
+
     escapeXml(str) {
         return str
             .replace(/&/g, '&amp;')
@@ -4083,12 +4510,11 @@ Results:
         const updates = [];
 
         this.networkData.nodes.forEach(node => {
-            const cluster = this.results?.clusters?.find(c => c.gene === node.id);
-            // Add * suffix if this is a synonym
-            const baseName = node.isSynonym ? `${node.id}*` : node.id;
+            const cluster = this.findNodeCluster(node.id);
+            const baseName = node.baseLabel;
             let label = baseName;
 
-            if (showGE && cluster) {
+            if (showGE && cluster && cluster.source === 'effect') {
                 if (showSD && cluster.sdEffect) {
                     label = `${baseName}\n(GE:${cluster.meanEffect}±${cluster.sdEffect})`;
                 } else {
@@ -4122,7 +4548,7 @@ Results:
         }
 
         this.networkData.nodes.forEach(node => {
-            const cluster = this.results?.clusters?.find(c => c.gene === node.id);
+            const cluster = this.findNodeCluster(node.id);
 
             // Look up stats - try replacement name first, then original name
             let geneStat = this.geneStats?.get(node.id);
@@ -4131,12 +4557,11 @@ Results:
                 geneStat = this.geneStats?.get(originalName);
             }
 
-            // Add * suffix if this is a synonym
-            const baseName = node.isSynonym ? `${node.id}*` : node.id;
+            const baseName = node.baseLabel;
             let label = baseName;
 
             // Add gene effect if checked
-            if (showGE && cluster) {
+            if (showGE && cluster && cluster.source === 'effect') {
                 if (showSD && cluster.sdEffect) {
                     label = `${baseName}\n(GE:${cluster.meanEffect}±${cluster.sdEffect})`;
                 } else {
@@ -4160,6 +4585,15 @@ Results:
         this.networkData.nodes.update(updates);
     }
 
+    // Categorical colors for cluster numbers (Tableau 20), repeating after 20 clusters
+    getClusterColor(cluster) {
+        const palette = [
+            '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b', '#e377c2', '#7f7f7f', '#bcbd22', '#17becf',
+            '#aec7e8', '#ffbb78', '#98df8a', '#ff9896', '#c5b0d5', '#c49c94', '#f7b6d2', '#c7c7c7', '#dbdb8d', '#9edae5'
+        ];
+        return cluster > 0 ? palette[(cluster - 1) % palette.length] : '#cccccc';
+    }
+
     updateNetworkColors() {
         if (!this.network || !this.networkData) return;
 
@@ -4173,15 +4607,39 @@ Results:
         const colorLegend = document.getElementById('nodeColorLegendContent');
         const legendSection = document.getElementById('legendNodeColor');
 
+        // Color by network cluster
+        if (document.getElementById('colorByCluster').checked && this.results?.clusters) {
+            if (legendSection) legendSection.style.display = 'block';
+            const clusterOf = new Map(this.results.clusters.map(c => [this.getNodeId(c.gene, c.source), c.cluster]));
+            this.networkData.nodes.forEach(node => {
+                updates.push({
+                    id: node.id,
+                    color: { background: this.getClusterColor(clusterOf.get(node.id)), border: '#ffffff' }
+                });
+            });
+
+            // Largest clusters first (cluster numbers of components follow the order found)
+            const sizes = new Map();
+            this.results.clusters.forEach(c => sizes.set(c.cluster, (sizes.get(c.cluster) || 0) + 1));
+            const shown = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || a - b).slice(0, 10);
+            if (colorLegend) colorLegend.innerHTML = `
+                <div class="legend-item">Cluster</div>
+                ${shown.map(cluster => `<div class="legend-item"><span class="legend-dot" style="background: ${this.getClusterColor(cluster)};"></span> ${cluster} (${sizes.get(cluster)})</div>`).join('')}
+                ${sizes.size > shown.length ? `<div class="legend-item" style="font-size: 10px;">+ ${sizes.size - shown.length} more</div>` : ''}
+            `;
+            this.networkData.nodes.update(updates);
+            return;
+        }
+
         // Color by gene effect (from DepMap data) - takes precedence
         if (colorByGeneEffect && this.results?.clusters) {
             if (legendSection) legendSection.style.display = 'block';
 
             // Build map of gene -> meanEffect
             const effectMap = new Map();
-            this.results.clusters.forEach(c => effectMap.set(c.gene, c.meanEffect));
+            this.getGeneEffectClusters().forEach(c => effectMap.set(c.gene, c.meanEffect));
 
-            const effectValues = this.results.clusters.map(c => c.meanEffect).filter(v => !isNaN(v));
+            const effectValues = this.getGeneEffectClusters().map(c => c.meanEffect).filter(v => !isNaN(v));
 
             if (colorGEType === 'signed') {
                 const minEffect = Math.min(...effectValues);
@@ -4248,11 +4706,11 @@ Results:
         if (!colorByStats || !this.geneStats || this.geneStats.size === 0) {
             // Reset to default colors
             this.networkData.nodes.forEach(node => {
-                const isInput = this.results?.geneList?.includes(node.id);
+                const isInput = node.isInput;
                 updates.push({
                     id: node.id,
                     color: {
-                        background: this.results?.mode === 'design' ?
+                        background: this.isSeededNetwork() ?
                             (isInput ? '#5a9f4a' : '#a8d89a') : '#5a9f4a',
                         border: '#ffffff'
                     }
@@ -4444,7 +4902,7 @@ Results:
         if (this.hiddenNodes && this.hiddenNodes.length > 0) {
             // Create clickable list of removed nodes
             const nodeLinks = this.hiddenNodes.map((node, idx) =>
-                `<span class="restore-node" data-idx="${idx}" style="cursor: pointer; text-decoration: underline; color: #2563eb;">${node.id}</span>`
+                `<span class="restore-node" data-idx="${idx}" style="cursor: pointer; text-decoration: underline; color: #2563eb;">${node.baseLabel}</span>`
             ).join(', ');
             textEl.innerHTML = nodeLinks;
             listEl.style.display = 'block';
@@ -4459,6 +4917,7 @@ Results:
         } else {
             listEl.style.display = 'none';
         }
+        this.updateUrlHash();
     }
 
     restoreNode(idx) {
@@ -4562,10 +5021,16 @@ Results:
             mutationTab.style.display = 'none';
             // If mutation tab was active, switch to network tab
             if (mutationTab.classList.contains('active')) {
-                document.querySelectorAll('.nav-link').forEach(l => l.classList.remove('active'));
-                document.querySelectorAll('.tab-content').forEach(t => t.classList.remove('active'));
-                document.querySelector('[data-tab="network"]').classList.add('active');
-                document.getElementById('tab-network').classList.add('active');
+                this.showResultsTab('network');
+            }
+        }
+        const differentialTab = document.getElementById('differentialTab');
+        if (mode === 'differential') {
+            differentialTab.style.display = 'inline-block';
+        } else {
+            differentialTab.style.display = 'none';
+            if (differentialTab.classList.contains('active')) {
+                this.showResultsTab('network');
             }
         }
     }
@@ -4574,10 +5039,7 @@ Results:
         if (!this.results) return;
 
         // Create correlations CSV
-        let correlationsCSV = 'Gene1,Gene2,Correlation,Slope,N,Cluster\n';
-        this.results.correlations.forEach(c => {
-            correlationsCSV += `${c.gene1},${c.gene2},${c.correlation},${c.slope},${c.n},${c.cluster}\n`;
-        });
+        const correlationsCSV = this.buildCorrelationsCSV();
 
         // Create clusters CSV
         let clustersCSV;
@@ -4602,20 +5064,24 @@ Results:
         }
         const summary = `Gene Correlation Analysis Summary
 ================================
-Analysis Mode: ${this.results.mode === 'analysis' ? 'Analysis (within gene list)' : 'Design (find correlated genes)'}
-Correlation Cutoff: ${this.results.cutoff}
+Analysis Mode: ${this.getAnalysisModeLabel(this.results)}
+Data Release: ${this.getReleaseLabel(this.results.release)}
+Correlation Method: ${this.getCorrelationMethodLabel(this.results.method || 'pearson')}
+Partial Correlation: ${this.getPartialCorrelationLabel(this.results.partial)}
+${this.results.topN ? `Selection: ${this.getSelectionLabel(this.results)}` : `Correlation Cutoff: ${this.results.cutoff}`}
+Max FDR (BH q-value): ${this.results.maxFdr !== null && this.results.maxFdr !== undefined ? this.results.maxFdr : 'off'}
 Minimum Cell Lines: ${document.getElementById('minCellLines').value}
 Minimum Slope: ${document.getElementById('minSlope').value}
 Lineage Filter: ${lineageText}
 
-Input Genes: ${this.results.geneList.length}
-${this.results.geneList.join(', ')}
+${this.getInputGenesSummaryText()}
 
 Results:
 - Total correlations found: ${this.results.correlations.length}
+- Tests performed (BH family): ${(this.results.nTests || 0).toLocaleString()}
 - Genes in network: ${this.results.clusters.length}
-- Number of clusters: ${Math.max(...this.results.correlations.map(c => c.cluster))}
-`;
+- Number of clusters: ${this.getNumberOfClusters()}
+${this.getClusteringSummaryText()}${this.getPartnerSummaryText()}`;
 
         // Create ZIP file using JSZip
         if (typeof JSZip === 'undefined') {
@@ -4631,6 +5097,7 @@ Results:
         zip.file('correlations.csv', correlationsCSV);
         zip.file('clusters.csv', clustersCSV);
         zip.file('summary.txt', summary);
+        if (this.results.correlationMatrix) zip.file('correlation_matrix.csv', this.buildCorrelationMatrixCSV());
 
         // Add network images if network exists
         const addNetworkImages = async () => {
@@ -4699,7 +5166,7 @@ Results:
 
         // Calculate total legend width to center it
         let totalLegendWidth = 160 + 160; // Correlation + Edge Thickness
-        if (this.results?.mode === 'design') totalLegendWidth += 140;
+        if (this.isSeededNetwork()) totalLegendWidth += 140;
         if (document.getElementById('colorByGeneEffect').checked && this.results?.clusters) totalLegendWidth += 170;
         if (document.getElementById('colorByStats').checked && this.geneStats && this.geneStats.size > 0) totalLegendWidth += 200;
 
@@ -4740,7 +5207,7 @@ Results:
 
         const edgeWidthBase = parseInt(document.getElementById('netEdgeWidth').value) || 3;
         const legendVals = this.edgeLegendValues || { minCorr: 0.5, midCorr: 0.75, maxCorr: 1.0 };
-        const cutoff = this.results?.cutoff || 0.5;
+        const cutoff = this.results?.cutoff ?? 0.5;
 
         // Min correlation
         ctx.lineWidth = Math.max(2, 2 + (legendVals.minCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 4));
@@ -4749,7 +5216,7 @@ Results:
         ctx.lineTo(legendX + 35, legendY + 22);
         ctx.stroke();
         ctx.fillStyle = '#333';
-        ctx.fillText(`r = ${legendVals.minCorr.toFixed(2)}`, legendX + 42, legendY + 27);
+        ctx.fillText(`${this.getCorrelationSymbol()} = ${legendVals.minCorr.toFixed(2)}`, legendX + 42, legendY + 27);
 
         // Mid correlation
         ctx.lineWidth = Math.max(2, 2 + (legendVals.midCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 4));
@@ -4757,7 +5224,7 @@ Results:
         ctx.moveTo(legendX, legendY + 48);
         ctx.lineTo(legendX + 35, legendY + 48);
         ctx.stroke();
-        ctx.fillText(`r = ${legendVals.midCorr.toFixed(2)}`, legendX + 42, legendY + 53);
+        ctx.fillText(`${this.getCorrelationSymbol()} = ${legendVals.midCorr.toFixed(2)}`, legendX + 42, legendY + 53);
 
         // Max correlation
         ctx.lineWidth = Math.max(2, 2 + (legendVals.maxCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 4));
@@ -4765,12 +5232,12 @@ Results:
         ctx.moveTo(legendX, legendY + 74);
         ctx.lineTo(legendX + 35, legendY + 74);
         ctx.stroke();
-        ctx.fillText(`r = ${legendVals.maxCorr.toFixed(2)}`, legendX + 42, legendY + 79);
+        ctx.fillText(`${this.getCorrelationSymbol()} = ${legendVals.maxCorr.toFixed(2)}`, legendX + 42, legendY + 79);
 
         legendX += 160;
 
         // Node type legend (for design mode)
-        if (this.results?.mode === 'design') {
+        if (this.isSeededNetwork()) {
             ctx.font = titleFont;
             ctx.fillStyle = '#333';
             ctx.fillText('Node Type:', legendX, legendY);
@@ -4782,7 +5249,7 @@ Results:
             ctx.arc(legendX + 12, legendY + 25, 10, 0, Math.PI * 2);
             ctx.fill();
             ctx.fillStyle = '#333';
-            ctx.fillText('Input', legendX + 28, legendY + 30);
+            ctx.fillText(this.getNodeTypeLabels().input, legendX + 28, legendY + 30);
 
             // Correlated gene
             ctx.fillStyle = '#a8d89a';
@@ -4790,7 +5257,7 @@ Results:
             ctx.arc(legendX + 12, legendY + 52, 10, 0, Math.PI * 2);
             ctx.fill();
             ctx.fillStyle = '#333';
-            ctx.fillText('Correlated', legendX + 28, legendY + 57);
+            ctx.fillText(this.getNodeTypeLabels().found, legendX + 28, legendY + 57);
 
             legendX += 140;
         }
@@ -4799,7 +5266,7 @@ Results:
         const colorByGeneEffect = document.getElementById('colorByGeneEffect').checked;
         if (colorByGeneEffect && this.results?.clusters) {
             const colorGEType = document.querySelector('input[name="colorGEType"]:checked')?.value || 'signed';
-            const effectValues = this.results.clusters.map(c => c.meanEffect).filter(v => !isNaN(v));
+            const effectValues = this.getGeneEffectClusters().map(c => c.meanEffect).filter(v => !isNaN(v));
 
             ctx.font = titleFont;
             ctx.fillStyle = '#333';
@@ -5022,7 +5489,7 @@ Results:
             const pos = domPositions[node.id];
             if (pos) {
                 const bgColor = node.color?.background || '#5a9f4a';
-                svg += `  <circle cx="${pos.x}" cy="${pos.y}" r="${nodeSize/2}" fill="${bgColor}" stroke="white" stroke-width="${2 * scale}"/>\n`;
+                svg += this.svgNodeShape(node, pos, nodeSize / 2, bgColor, 2 * scale);
 
                 // Handle multi-line labels
                 const labelLines = (node.label || node.id).split('\n');
@@ -5038,7 +5505,7 @@ Results:
 
         // Calculate total legend width to center it
         let totalLegendWidth = 160 + 160; // Correlation + Edge Thickness
-        if (this.results?.mode === 'design') totalLegendWidth += 140;
+        if (this.isSeededNetwork()) totalLegendWidth += 140;
         if (document.getElementById('colorByGeneEffect').checked && this.results?.clusters) totalLegendWidth += 170;
         if (document.getElementById('colorByStats').checked && this.geneStats && this.geneStats.size > 0) totalLegendWidth += 200;
 
@@ -5057,7 +5524,7 @@ Results:
         legendX += 160;
 
         // Edge thickness legend - use actual data values
-        const cutoff = this.results?.cutoff || 0.5;
+        const cutoff = this.results?.cutoff ?? 0.5;
         const edgeWidthBase = parseInt(document.getElementById('netEdgeWidth').value) || 3;
         const legendVals = this.edgeLegendValues || { minCorr: 0.5, midCorr: 0.75, maxCorr: 1.0 };
 
@@ -5068,21 +5535,21 @@ Results:
         const width3 = Math.max(2, 2 + (legendVals.maxCorr - cutoff) / (1 - cutoff) * (edgeWidthBase * 4));
 
         svg += `  <line x1="${legendX}" y1="${legendY + 22}" x2="${legendX + 35}" y2="${legendY + 22}" stroke="#666" stroke-width="${width1}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 27}" class="legend-text">r = ${legendVals.minCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 27}" class="legend-text">${this.getCorrelationSymbol()} = ${legendVals.minCorr.toFixed(2)}</text>\n`;
         svg += `  <line x1="${legendX}" y1="${legendY + 48}" x2="${legendX + 35}" y2="${legendY + 48}" stroke="#666" stroke-width="${width2}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 53}" class="legend-text">r = ${legendVals.midCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 53}" class="legend-text">${this.getCorrelationSymbol()} = ${legendVals.midCorr.toFixed(2)}</text>\n`;
         svg += `  <line x1="${legendX}" y1="${legendY + 74}" x2="${legendX + 35}" y2="${legendY + 74}" stroke="#666" stroke-width="${width3}"/>\n`;
-        svg += `  <text x="${legendX + 42}" y="${legendY + 79}" class="legend-text">r = ${legendVals.maxCorr.toFixed(2)}</text>\n`;
+        svg += `  <text x="${legendX + 42}" y="${legendY + 79}" class="legend-text">${this.getCorrelationSymbol()} = ${legendVals.maxCorr.toFixed(2)}</text>\n`;
 
         legendX += 160;
 
         // Node type legend (for design mode)
-        if (this.results?.mode === 'design') {
+        if (this.isSeededNetwork()) {
             svg += `  <text x="${legendX}" y="${legendY}" class="legend-title">Node Type:</text>\n`;
             svg += `  <circle cx="${legendX + 12}" cy="${legendY + 25}" r="10" fill="#5a9f4a"/>\n`;
-            svg += `  <text x="${legendX + 28}" y="${legendY + 30}" class="legend-text">Input</text>\n`;
+            svg += `  <text x="${legendX + 28}" y="${legendY + 30}" class="legend-text">${this.getNodeTypeLabels().input}</text>\n`;
             svg += `  <circle cx="${legendX + 12}" cy="${legendY + 52}" r="10" fill="#a8d89a"/>\n`;
-            svg += `  <text x="${legendX + 28}" y="${legendY + 57}" class="legend-text">Correlated</text>\n`;
+            svg += `  <text x="${legendX + 28}" y="${legendY + 57}" class="legend-text">${this.getNodeTypeLabels().found}</text>\n`;
 
             legendX += 140;
         }
@@ -5091,7 +5558,7 @@ Results:
         const colorByGeneEffect = document.getElementById('colorByGeneEffect').checked;
         if (colorByGeneEffect && this.results?.clusters) {
             const colorGEType = document.querySelector('input[name="colorGEType"]:checked')?.value || 'signed';
-            const effectValues = this.results.clusters.map(c => c.meanEffect).filter(v => !isNaN(v));
+            const effectValues = this.getGeneEffectClusters().map(c => c.meanEffect).filter(v => !isNaN(v));
 
             svg += `  <text x="${legendX}" y="${legendY}" class="legend-title">Node Color:</text>\n`;
 
@@ -5184,44 +5651,12 @@ Results:
     }
 
     // Inspect Modal
-    openInspectByGenes(gene1, gene2) {
-        // Find the correlation entry by gene names
-        const c = this.results.correlations.find(corr =>
-            (corr.gene1 === gene1 && corr.gene2 === gene2) ||
-            (corr.gene1 === gene2 && corr.gene2 === gene1)
-        );
-        if (!c) {
-            console.error('Correlation not found for', gene1, gene2);
-            return;
-        }
-        this.openInspect(c);
-    }
+    // Scatter points of gene1 (x) against gene2 (y) over the cell lines where both have a value;
+    // each axis reads its own data source ('effect', 'expression' or 'drug')
+    buildInspectPlotData(gene1, gene2, source1 = 'effect', source2 = 'effect') {
+        const data1 = this.getSourceRow(source1, gene1);
+        const data2 = this.getSourceRow(source2, gene2);
 
-    openByTissueByGenes(gene1, gene2) {
-        // Find the correlation entry by gene names
-        const c = this.results.correlations.find(corr =>
-            (corr.gene1 === gene1 && corr.gene2 === gene2) ||
-            (corr.gene1 === gene2 && corr.gene2 === gene1)
-        );
-        if (!c) {
-            console.error('Correlation not found for', gene1, gene2);
-            return;
-        }
-
-        // Set up currentInspect with the data needed for By tissue
-        this.currentInspect = {
-            gene1: c.gene1,
-            gene2: c.gene2,
-            correlation: c.correlation
-        };
-
-        // Get data for both genes
-        const idx1 = this.geneIndex.get(c.gene1);
-        const idx2 = this.geneIndex.get(c.gene2);
-        const data1 = this.getGeneData(idx1);
-        const data2 = this.getGeneData(idx2);
-
-        // Prepare plot data
         const plotData = [];
         for (let i = 0; i < this.nCellLines; i++) {
             if (!isNaN(data1[i]) && !isNaN(data2[i])) {
@@ -5235,6 +5670,73 @@ Results:
                 });
             }
         }
+        return plotData;
+    }
+
+    getInspectAxisTitle(axis, short = false) {
+        const inspect = this.currentInspect;
+        const gene = axis === 'x' ? inspect.gene1 : inspect.gene2;
+        const label = this.getSourceLabel(axis === 'x' ? inspect.source1 : inspect.source2, short);
+        const residual = inspect.residualized ? ' (residual)' : '';
+        return `${gene} ${label}${residual}`;
+    }
+
+    // Fixed aspect ratio only when both axes are on the same scale (not effect vs expression)
+    getInspectScaleAnchor(anchor) {
+        if ((this.currentInspect?.source1 || 'effect') !== (this.currentInspect?.source2 || 'effect')) return {};
+        return { scaleanchor: anchor, scaleratio: parseFloat(document.getElementById('aspectRatio')?.value || 1) };
+    }
+
+    // anyPair: also open pairs missing from the network (heatmap cells below the cutoff),
+    // which are inspected from the gene effects alone
+    openInspectByGenes(gene1, gene2, anyPair = false) {
+        // Gene effect nodes are named by their symbol (see getNodeId)
+        if (this.openInspectByNodes(gene1, gene2)) return;
+        if (anyPair) {
+            this.openInspect({ gene1, gene2, correlation: null });
+        } else {
+            console.error('Correlation not found for', gene1, gene2);
+        }
+    }
+
+    // Inspect the correlation between two network nodes; false when the results lack it
+    openInspectByNodes(node1, node2) {
+        const c = this.results?.correlations.find(corr => {
+            const [from, to] = this.getEdgeNodes(corr);
+            return (from === node1 && to === node2) || (from === node2 && to === node1);
+        });
+        if (c) this.openInspect(c);
+        return !!c;
+    }
+
+    // Cluster entry of a network node
+    findNodeCluster(nodeId) {
+        return this.results?.clusters?.find(c => this.getNodeId(c.gene, c.source) === nodeId);
+    }
+
+    // match: the correlation entry itself, when the caller has it (biomarker mode can list a
+    // gene pair twice, with the data sources swapped)
+    openByTissueByGenes(gene1, gene2, match = null) {
+        // Find the correlation entry by gene names
+        const c = match || this.results.correlations.find(corr =>
+            (corr.gene1 === gene1 && corr.gene2 === gene2) ||
+            (corr.gene1 === gene2 && corr.gene2 === gene1)
+        );
+        if (!c) {
+            console.error('Correlation not found for', gene1, gene2);
+            return;
+        }
+
+        // Set up currentInspect with the data needed for By tissue
+        this.currentInspect = {
+            gene1: c.gene1,
+            gene2: c.gene2,
+            source1: c.source1 || 'effect',
+            source2: c.source2 || 'effect',
+            correlation: c.correlation
+        };
+
+        const plotData = this.buildInspectPlotData(c.gene1, c.gene2, this.currentInspect.source1, this.currentInspect.source2);
         this.currentInspect.data = plotData;
 
         // Calculate axis limits (needed if user clicks tissue to go to Inspect)
@@ -5252,7 +5754,7 @@ Results:
         // Open the inspect modal and show By tissue view
         document.getElementById('inspectModal').classList.add('active');
         document.getElementById('inspectTitle').textContent =
-            `${c.gene1} vs ${c.gene2} - By Tissue Breakdown`;
+            `${this.formatSourcePair(c)} - By Tissue Breakdown`;
 
         // Hide the scatter plot controls (not needed for By tissue view)
         document.querySelector('.inspect-controls').style.display = 'none';
@@ -5275,31 +5777,15 @@ Results:
         this.currentInspect = {
             gene1: c.gene1,
             gene2: c.gene2,
+            source1: c.source1 || 'effect',
+            source2: c.source2 || 'effect',
             correlation: c.correlation
         };
         this.clickedCells.clear();
 
-        // Get data for both genes
-        const idx1 = this.geneIndex.get(c.gene1);
-        const idx2 = this.geneIndex.get(c.gene2);
-        const data1 = this.getGeneData(idx1);
-        const data2 = this.getGeneData(idx2);
-
-        // Prepare plot data
-        const plotData = [];
-        for (let i = 0; i < this.nCellLines; i++) {
-            if (!isNaN(data1[i]) && !isNaN(data2[i])) {
-                const cellLine = this.metadata.cellLines[i];
-                plotData.push({
-                    x: data1[i],
-                    y: data2[i],
-                    cellLineId: cellLine,
-                    cellLineName: this.getCellLineName(cellLine),
-                    lineage: this.getCellLineLineage(cellLine)
-                });
-            }
-        }
+        const plotData = this.buildInspectPlotData(c.gene1, c.gene2, this.currentInspect.source1, this.currentInspect.source2);
         this.currentInspect.data = plotData;
+        this.prepareInspectResiduals();
 
         // Set axis limits with 10% padding on each side
         const xVals = plotData.map(d => d.x);
@@ -5321,6 +5807,8 @@ Results:
         // Set gene inputs
         document.getElementById('inspectGeneX').value = c.gene1;
         document.getElementById('inspectGeneY').value = c.gene2;
+        document.getElementById('inspectSourceX').value = this.currentInspect.source1;
+        document.getElementById('inspectSourceY').value = this.currentInspect.source2;
 
         // Get filters from parameters section to carry over
         const paramLineageFilter = document.getElementById('lineageFilter').value;
@@ -5367,22 +5855,20 @@ Results:
         const mutFilterGeneSelect = document.getElementById('mutationFilterGene');
         const cellLinesInPlot = new Set(plotData.map(d => d.cellLineId));
 
-        if (this.mutations?.genes?.length > 0) {
-            hotspotSelect.innerHTML = '<option value="">Select gene...</option>';
-            mutFilterGeneSelect.innerHTML = '<option value="">No filter</option>';
-            this.mutations.genes
-                .forEach(g => {
-                    // Count mutations only in cell lines with valid data
-                    const mutData = this.mutations.geneData?.[g]?.mutations || {};
-                    let count = 0;
-                    cellLinesInPlot.forEach(cl => {
-                        if (mutData[cl] && mutData[cl] > 0) count++;
-                    });
-                    hotspotSelect.innerHTML += `<option value="${g}">${g} (${count} mut)</option>`;
-                    mutFilterGeneSelect.innerHTML += `<option value="${g}">${g} (${count} mut)</option>`;
+        if (this.getMutationLayers().length > 0) {
+            const options = this.buildMutationFeatureOptions(g => {
+                // Count mutations only in cell lines with valid data
+                const mutData = this.getMutationData(g).mutations;
+                let count = 0;
+                cellLinesInPlot.forEach(cl => {
+                    if (mutData[cl] && mutData[cl] > 0) count++;
                 });
+                return `${this.getMutationFeatureLabel(g, true)} (${count} ${this.getMutationLevelLabels(g).any})`;
+            });
+            hotspotSelect.innerHTML = '<option value="">Select gene...</option>' + options;
+            mutFilterGeneSelect.innerHTML = '<option value="">No filter</option>' + options;
             // Pre-select the hotspot gene from parameters if it exists
-            if (paramHotspotGene && this.mutations.genes.includes(paramHotspotGene)) {
+            if (this.getMutationData(paramHotspotGene)) {
                 hotspotSelect.value = paramHotspotGene;
             }
             document.getElementById('mutationBox').style.display = 'block';
@@ -5393,9 +5879,9 @@ Results:
         }
 
         // Calculate stats for ALL cells (unfiltered) for the title
-        const allCellsStats = this.pearsonWithSlope(plotData.map(d => d.x), plotData.map(d => d.y));
+        const allCellsStats = this.correlateXY(plotData.map(d => d.x), plotData.map(d => d.y));
         document.getElementById('inspectTitle').textContent =
-            `${c.gene1} vs ${c.gene2} | r=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${plotData.length} (all cells)`;
+            `${this.formatSourcePair(this.currentInspect)} | ${this.getCorrelationSymbol()}=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${plotData.length} (${this.currentInspect.residualized ? 'residuals, all cells' : 'all cells'})`;
 
         // Show modal and render plot
         document.getElementById('inspectModal').classList.add('active');
@@ -5411,12 +5897,86 @@ Results:
         document.getElementById('downloadTissueSVG').style.display = 'none';
         document.getElementById('downloadTissueCSV').style.display = 'none';
 
+        this.updateInspectPlot();
+        this.updateUrlHash();
+    }
+
+    // With partial correlation results, Inspect can plot each gene's residuals after
+    // regressing out the same covariates over the plotted cell lines. Raw values are
+    // kept on each point so the view can be switched back.
+    prepareInspectResiduals() {
+        const box = document.getElementById('inspectResidualBox');
+        const checkbox = document.getElementById('inspectResidualized');
+        const partial = this.results?.partial;
+        const data = this.currentInspect.data;
+
+        data.forEach(d => {
+            d.rawX = d.x;
+            d.rawY = d.y;
+        });
+        if (!partial || data.length === 0) {
+            box.style.display = 'none';
+            checkbox.checked = false;
+            this.currentInspect.residualized = false;
+            return;
+        }
+
+        const cellIndexOf = new Map(this.metadata.cellLines.map((cl, i) => [cl, i]));
+        const cellIndices = data.map(d => cellIndexOf.get(d.cellLineId));
+        const covariates = this.buildCovariates(cellIndices, partial);
+        const basis = AnalysisCore.covariateBasis(covariates, cellIndices.length);
+        const residX = AnalysisCore.residualizeValues(Float64Array.from(data, d => d.x), covariates, basis);
+        const residY = AnalysisCore.residualizeValues(Float64Array.from(data, d => d.y), covariates, basis);
+        data.forEach((d, k) => {
+            d.residX = residX[k];
+            d.residY = residY[k];
+        });
+
+        box.style.display = 'block';
+        this.applyInspectResiduals();
+    }
+
+    applyInspectResiduals() {
+        const residualized = document.getElementById('inspectResidualized').checked && !!this.results?.partial;
+        this.currentInspect.residualized = residualized;
+        this.currentInspect.data.forEach(d => {
+            d.x = residualized ? d.residX : d.rawX;
+            d.y = residualized ? d.residY : d.rawY;
+        });
+    }
+
+    toggleInspectResiduals() {
+        if (!this.currentInspect?.data) return;
+        this.applyInspectResiduals();
+
+        const { gene1, gene2, data } = this.currentInspect;
+        const xVals = data.map(d => d.x);
+        const yVals = data.map(d => d.y);
+        const xMin = Math.min(...xVals);
+        const xMax = Math.max(...xVals);
+        const yMin = Math.min(...yVals);
+        const yMax = Math.max(...yVals);
+        const xPadding = (xMax - xMin) * 0.1;
+        const yPadding = (yMax - yMin) * 0.1;
+        this.currentInspect.defaultXlim = [xMin - xPadding, xMax + xPadding];
+        this.currentInspect.defaultYlim = [yMin - yPadding, yMax + yPadding];
+        document.getElementById('scatterXmin').value = this.currentInspect.defaultXlim[0].toFixed(1);
+        document.getElementById('scatterXmax').value = this.currentInspect.defaultXlim[1].toFixed(1);
+        document.getElementById('scatterYmin').value = this.currentInspect.defaultYlim[0].toFixed(1);
+        document.getElementById('scatterYmax').value = this.currentInspect.defaultYlim[1].toFixed(1);
+
+        const allCellsStats = this.correlateXY(xVals, yVals);
+        const valueText = this.currentInspect.residualized ? 'residuals, all cells' : 'all cells';
+        document.getElementById('inspectTitle').textContent =
+            `${this.formatSourcePair(this.currentInspect)} | ${this.getCorrelationSymbol()}=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${data.length} (${valueText})`;
+
         this.updateInspectPlot();
     }
 
     closeInspectModal() {
         document.getElementById('inspectModal').classList.remove('active');
         this.currentInspect = null;
+        this.updateUrlHash();
     }
 
     resetInspectAxes() {
@@ -5463,7 +6023,7 @@ Results:
             .split('\n').map(s => s.trim().toUpperCase()).filter(s => s);
         const fontSize = parseInt(document.getElementById('scatterFontSize')?.value) || 3;
         const hotspotGene = document.getElementById('hotspotGene').value;
-        const hotspotMode = document.getElementById('hotspotMode').value;
+        let hotspotMode = document.getElementById('hotspotMode').value;
 
         // Show/hide mutation caution message
         const cautionEl = document.getElementById('mutationCautionScatter');
@@ -5483,8 +6043,8 @@ Results:
         }
 
         // Apply mutation filter (separate from overlay)
-        if (mutFilterGene && this.mutations?.geneData?.[mutFilterGene] && mutFilterLevel !== 'all') {
-            const filterMutations = this.mutations.geneData[mutFilterGene].mutations;
+        if (mutFilterGene && this.getMutationData(mutFilterGene) && mutFilterLevel !== 'all') {
+            const filterMutations = this.getMutationData(mutFilterGene).mutations;
             filteredData = filteredData.filter(d => {
                 const mutLevel = filterMutations[d.cellLineId] || 0;
                 if (mutFilterLevel === '0') return mutLevel === 0;
@@ -5497,17 +6057,21 @@ Results:
 
         // Get mutation info for overlay (separate gene)
         let mutationMap = new Map();
-        if (hotspotGene && this.mutations?.geneData?.[hotspotGene]) {
-            const geneData = this.mutations.geneData[hotspotGene];
+        if (hotspotGene && this.getMutationData(hotspotGene)) {
+            const geneData = this.getMutationData(hotspotGene);
             Object.entries(geneData.mutations).forEach(([cellLine, mutLevel]) => {
                 mutationMap.set(cellLine, mutLevel);
             });
         }
+        // Continuous coloring needs the copy number itself; other layers fall back to 0/1/2
+        const copyNumberValues = this.getCopyNumberValues(hotspotGene);
+        if (hotspotMode === 'continuous' && !copyNumberValues) hotspotMode = 'color';
 
         // Add mutation level to filtered data (for overlay coloring)
         filteredData = filteredData.map(d => ({
             ...d,
-            mutationLevel: mutationMap.get(d.cellLineId) || 0
+            mutationLevel: mutationMap.get(d.cellLineId) || 0,
+            copyNumber: copyNumberValues?.[d.cellLineId]
         }));
 
         // Build filter description for title
@@ -5518,10 +6082,7 @@ Results:
             filterParts.push(`Cancer: ${cancerText}`);
         }
         if (mutFilterGene && mutFilterLevel !== 'all') {
-            const levelText = mutFilterLevel === '0' ? 'WT' :
-                              mutFilterLevel === '1' ? '1 mut' :
-                              mutFilterLevel === '2' ? '2 mut' : '1+2 mut';
-            filterParts.push(`${mutFilterGene}: ${levelText}`);
+            filterParts.push(this.getMutationFilterText(mutFilterGene, mutFilterLevel));
         }
         const filterDesc = filterParts.length > 0 ? filterParts.join(' | ') : '';
 
@@ -5555,10 +6116,12 @@ Results:
         const mut1 = filteredData.filter(d => d.mutationLevel === 1);
         const mut2 = filteredData.filter(d => d.mutationLevel >= 2);
 
-        const wtStats = this.pearsonWithSlope(wt.map(d => d.x), wt.map(d => d.y));
-        const mut1Stats = this.pearsonWithSlope(mut1.map(d => d.x), mut1.map(d => d.y));
-        const mut2Stats = this.pearsonWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
-        const allStats = this.pearsonWithSlope(filteredData.map(d => d.x), filteredData.map(d => d.y));
+        const wtStats = this.correlateXY(wt.map(d => d.x), wt.map(d => d.y));
+        const mut1Stats = this.correlateXY(mut1.map(d => d.x), mut1.map(d => d.y));
+        const mut2Stats = this.correlateXY(mut2.map(d => d.x), mut2.map(d => d.y));
+        const sym = this.getCorrelationSymbol();
+        const allStats = this.correlateXY(filteredData.map(d => d.x), filteredData.map(d => d.y));
+        const labels = this.getMutationLevelLabels(hotspotGene);
 
         // Build traces
         const traces = [];
@@ -5579,10 +6142,10 @@ Results:
                 y: wt.map(d => d.y),
                 mode: 'markers',
                 type: 'scatter',
-                text: wt.map(d => `${d.cellLineName}<br>${d.lineage}<br>WT`),
+                text: wt.map(d => `${d.cellLineName}<br>${d.lineage}<br>${labels.none}`),
                 hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
                 marker: { color: '#9ca3af', size: 8, opacity: 0.6 },
-                name: `WT (n=${wt.length}, ${wtPct}%)`
+                name: `${labels.short[0]} (n=${wt.length}, ${wtPct}%)`
             });
 
             // 1 mut trace (blue)
@@ -5591,10 +6154,10 @@ Results:
                 y: mut1.map(d => d.y),
                 mode: 'markers',
                 type: 'scatter',
-                text: mut1.map(d => `${d.cellLineName}<br>${d.lineage}<br>1 mutation`),
+                text: mut1.map(d => `${d.cellLineName}<br>${d.lineage}<br>${labels.one}`),
                 hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
                 marker: { color: '#3b82f6', size: 10, opacity: 0.7 },
-                name: `1 mut (n=${mut1.length}, ${mut1Pct}%)`
+                name: `${labels.short[1]} (n=${mut1.length}, ${mut1Pct}%)`
             });
 
             // 2 mut trace (red)
@@ -5603,10 +6166,48 @@ Results:
                 y: mut2.map(d => d.y),
                 mode: 'markers',
                 type: 'scatter',
-                text: mut2.map(d => `${d.cellLineName}<br>${d.lineage}<br>2 mutations`),
+                text: mut2.map(d => `${d.cellLineName}<br>${d.lineage}<br>${labels.two}`),
                 hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
                 marker: { color: '#dc2626', size: 11, opacity: 0.8 },
-                name: `2 mut (n=${mut2.length}, ${mut2Pct}%)`
+                name: `${labels.short[2]} (n=${mut2.length}, ${mut2Pct}%)`
+            });
+        } else if (hotspotMode === 'continuous' && hotspotGene) {
+            // Color by relative copy number (blue = loss, gray = neutral, red = gain)
+            const withCN = filteredData.filter(d => d.copyNumber !== undefined);
+            const withoutCN = filteredData.filter(d => d.copyNumber === undefined);
+
+            if (withoutCN.length > 0) {
+                traces.push({
+                    x: withoutCN.map(d => d.x),
+                    y: withoutCN.map(d => d.y),
+                    mode: 'markers',
+                    type: 'scatter',
+                    text: withoutCN.map(d => `${d.cellLineName}<br>${d.lineage}<br>No copy number data`),
+                    hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
+                    marker: { color: '#e5e7eb', size: 7, opacity: 0.6 },
+                    name: 'No data',
+                    showlegend: false
+                });
+            }
+
+            traces.push({
+                x: withCN.map(d => d.x),
+                y: withCN.map(d => d.y),
+                mode: 'markers',
+                type: 'scatter',
+                text: withCN.map(d => `${d.cellLineName}<br>${d.lineage}<br>Relative CN: ${d.copyNumber.toFixed(2)}`),
+                hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
+                marker: {
+                    color: withCN.map(d => d.copyNumber),
+                    colorscale: [[0, '#2563eb'], [0.5, '#d1d5db'], [1, '#dc2626']],
+                    cmin: 0,
+                    cmax: 2,
+                    colorbar: { title: { text: 'Relative CN', side: 'right' }, thickness: 14, len: 0.6 },
+                    size: 9,
+                    opacity: 0.8
+                },
+                name: 'Cell lines',
+                showlegend: false
             });
         } else {
             // Default mode - all same color
@@ -5681,13 +6282,16 @@ Results:
         if (filterDesc) {
             titleLines.push(`<span style="font-size:11px;color:#666;">Filter: ${filterDesc}</span>`);
         }
-        titleLines.push(`<span style="font-size:11px;">n=${filteredData.length}, r=${allStats.correlation.toFixed(3)}, slope=${allStats.slope.toFixed(3)}</span>`);
+        titleLines.push(`<span style="font-size:11px;">n=${filteredData.length}, ${sym}=${allStats.correlation.toFixed(3)}, slope=${allStats.slope.toFixed(3)}</span>`);
         titleLines.push(`<span style="font-size:10px;">mean: x=${meanX.toFixed(2)}, y=${meanY.toFixed(2)} | median: x=${medianX.toFixed(2)}, y=${medianY.toFixed(2)}</span>`);
 
         if (hotspotMode === 'color' && hotspotGene) {
-            titleLines.push(`<span style="font-size:10px;"><b>${hotspotGene}:</b> WT: n=${wt.length}, r=${wtStats.correlation.toFixed(3)}, slope=${wtStats.slope.toFixed(3)} | ` +
-                `1mut: n=${mut1.length}, r=${mut1Stats.correlation.toFixed(3)}, slope=${mut1Stats.slope.toFixed(3)} | ` +
-                `2mut: n=${mut2.length}, r=${mut2Stats.correlation.toFixed(3)}, slope=${mut2Stats.slope.toFixed(3)}</span>`);
+            titleLines.push(`<span style="font-size:10px;"><b>${this.getMutationFeatureLabel(hotspotGene, true)}:</b> ${labels.short[0]}: n=${wt.length}, ${sym}=${wtStats.correlation.toFixed(3)}, slope=${wtStats.slope.toFixed(3)} | ` +
+                `${labels.short[1]}: n=${mut1.length}, ${sym}=${mut1Stats.correlation.toFixed(3)}, slope=${mut1Stats.slope.toFixed(3)} | ` +
+                `${labels.short[2]}: n=${mut2.length}, ${sym}=${mut2Stats.correlation.toFixed(3)}, slope=${mut2Stats.slope.toFixed(3)}</span>`);
+        } else if (hotspotMode === 'continuous' && hotspotGene) {
+            titleLines.push(`<span style="font-size:10px;"><b>${this.parseMutationKey(hotspotGene).gene} relative copy number:</b> ` +
+                `${labels.short[1]}: n=${mut1.length}, ${labels.short[2]}: n=${mut2.length}</span>`);
         }
 
         const titleText = titleLines.join('<br>');
@@ -5705,19 +6309,18 @@ Results:
                 font: { size: 14 }
             },
             xaxis: {
-                title: `${gene1} CRISPR Effect`,
+                title: this.getInspectAxisTitle('x'),
                 range: xRange,
                 zeroline: true,
                 zerolinecolor: '#ddd',
                 constrain: 'domain'
             },
             yaxis: {
-                title: `${gene2} CRISPR Effect`,
+                title: this.getInspectAxisTitle('y'),
                 range: yRange,
                 zeroline: true,
                 zerolinecolor: '#ddd',
-                scaleanchor: 'x',
-                scaleratio: parseFloat(document.getElementById('aspectRatio')?.value || 1),
+                ...this.getInspectScaleAnchor('x'),
                 constrain: 'domain'
             },
             hovermode: 'closest',
@@ -5728,7 +6331,7 @@ Results:
                 y: 0.5,
                 xanchor: 'left',
                 yanchor: 'middle',
-                title: { text: hotspotGene, font: { size: 12 } }
+                title: { text: hotspotGene ? this.getMutationFeatureLabel(hotspotGene, true) : '', font: { size: 12 } }
             },
             annotations: annotations,
             plot_bgcolor: '#fafafa'
@@ -5741,6 +6344,7 @@ Results:
     }
 
     renderThreePanelPlot(filteredData, gene1, gene2, hotspotGene, searchTerms, fontSize, filterDesc = '') {
+        const labels = this.getMutationLevelLabels(hotspotGene);
         const wt = filteredData.filter(d => d.mutationLevel === 0);
         const mut1 = filteredData.filter(d => d.mutationLevel === 1);
         const mut2 = filteredData.filter(d => d.mutationLevel >= 2);
@@ -5750,9 +6354,12 @@ Results:
         const yRange = [parseFloat(document.getElementById('scatterYmin').value),
                        parseFloat(document.getElementById('scatterYmax').value)];
 
-        const wtStats = this.pearsonWithSlope(wt.map(d => d.x), wt.map(d => d.y));
-        const mut1Stats = this.pearsonWithSlope(mut1.map(d => d.x), mut1.map(d => d.y));
-        const mut2Stats = this.pearsonWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
+        const wtStats = this.correlateXY(wt.map(d => d.x), wt.map(d => d.y));
+        const mut1Stats = this.correlateXY(mut1.map(d => d.x), mut1.map(d => d.y));
+        const mut2Stats = this.correlateXY(mut2.map(d => d.x), mut2.map(d => d.y));
+        const sym = this.getCorrelationSymbol();
+        const xTitle = this.getInspectAxisTitle('x', true);
+        const yTitle = this.getInspectAxisTitle('y', true);
 
         // Calculate means and medians for each group
         const calcGroupStats = (data) => ({
@@ -5778,7 +6385,7 @@ Results:
             text: wt.map(d => `${d.cellLineName}<br>${d.lineage}`),
             hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
             marker: { color: '#9ca3af', size: 7, opacity: 0.6 },
-            name: 'WT',
+            name: labels.short[0],
             showlegend: false
         });
 
@@ -5793,7 +6400,7 @@ Results:
             text: mut1.map(d => `${d.cellLineName}<br>${d.lineage}`),
             hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
             marker: { color: '#3b82f6', size: 8, opacity: 0.7 },
-            name: '1 mut',
+            name: labels.short[1],
             showlegend: false
         });
 
@@ -5808,7 +6415,7 @@ Results:
             text: mut2.map(d => `${d.cellLineName}<br>${d.lineage}`),
             hovertemplate: '%{text}<br>x: %{x:.3f}<br>y: %{y:.3f}<extra></extra>',
             marker: { color: '#dc2626', size: 8, opacity: 0.7 },
-            name: '2 mut',
+            name: labels.short[2],
             showlegend: false
         });
 
@@ -5872,7 +6479,7 @@ Results:
         addHighlights(mut2, 'x3', 'y3');
 
         // Build title with filter info
-        let titleText = `<b>${gene1} vs ${gene2} - ${hotspotGene} hotspot mutation stratification</b>`;
+        let titleText = `<b>${gene1} vs ${gene2} - ${this.getMutationFeatureLabel(hotspotGene)} stratification</b>`;
         if (filterDesc) {
             titleText += `<br><span style="font-size: 11px; color: #666;">Filter: ${filterDesc}</span>`;
         }
@@ -5885,36 +6492,33 @@ Results:
                 font: { size: 14 }
             },
             grid: { rows: 1, columns: 3, pattern: 'independent' },
-            xaxis: { title: `${gene1} Effect`, range: xRange, domain: [0, 0.28], constrain: 'domain' },
+            xaxis: { title: xTitle, range: xRange, domain: [0, 0.28], constrain: 'domain' },
             yaxis: {
-                title: `${gene2} Effect`, range: yRange,
-                scaleanchor: 'x',
-                scaleratio: parseFloat(document.getElementById('aspectRatio')?.value || 1),
+                title: yTitle, range: yRange,
+                ...this.getInspectScaleAnchor('x'),
                 constrain: 'domain'
             },
-            xaxis2: { title: `${gene1} Effect`, range: xRange, domain: [0.36, 0.64], constrain: 'domain' },
+            xaxis2: { title: xTitle, range: xRange, domain: [0.36, 0.64], constrain: 'domain' },
             yaxis2: {
                 range: yRange, anchor: 'x2',
-                scaleanchor: 'x2',
-                scaleratio: parseFloat(document.getElementById('aspectRatio')?.value || 1),
+                ...this.getInspectScaleAnchor('x2'),
                 constrain: 'domain'
             },
-            xaxis3: { title: `${gene1} Effect`, range: xRange, domain: [0.72, 1], constrain: 'domain' },
+            xaxis3: { title: xTitle, range: xRange, domain: [0.72, 1], constrain: 'domain' },
             yaxis3: {
                 range: yRange, anchor: 'x3',
-                scaleanchor: 'x3',
-                scaleratio: parseFloat(document.getElementById('aspectRatio')?.value || 1),
+                ...this.getInspectScaleAnchor('x3'),
                 constrain: 'domain'
             },
             annotations: [
                 { x: 0.14, y: 1.02, xref: 'paper', yref: 'paper',
-                  text: `<b>WT (0 mut)</b> n=${wt.length}<br>r=${wtStats.correlation.toFixed(3)}, slope=${wtStats.slope.toFixed(3)}<br>mean: x=${wtExtra.meanX.toFixed(2)}, y=${wtExtra.meanY.toFixed(2)}<br>median: x=${wtExtra.medianX.toFixed(2)}, y=${wtExtra.medianY.toFixed(2)}`,
+                  text: `<b>${labels.none} (0)</b> n=${wt.length}<br>${sym}=${wtStats.correlation.toFixed(3)}, slope=${wtStats.slope.toFixed(3)}<br>mean: x=${wtExtra.meanX.toFixed(2)}, y=${wtExtra.meanY.toFixed(2)}<br>median: x=${wtExtra.medianX.toFixed(2)}, y=${wtExtra.medianY.toFixed(2)}`,
                   showarrow: false, font: { size: 9 } },
                 { x: 0.5, y: 1.02, xref: 'paper', yref: 'paper',
-                  text: `<b>1 mutation</b> n=${mut1.length}<br>r=${mut1Stats.correlation.toFixed(3)}, slope=${mut1Stats.slope.toFixed(3)}<br>mean: x=${mut1Extra.meanX.toFixed(2)}, y=${mut1Extra.meanY.toFixed(2)}<br>median: x=${mut1Extra.medianX.toFixed(2)}, y=${mut1Extra.medianY.toFixed(2)}`,
+                  text: `<b>${labels.one}</b> n=${mut1.length}<br>${sym}=${mut1Stats.correlation.toFixed(3)}, slope=${mut1Stats.slope.toFixed(3)}<br>mean: x=${mut1Extra.meanX.toFixed(2)}, y=${mut1Extra.meanY.toFixed(2)}<br>median: x=${mut1Extra.medianX.toFixed(2)}, y=${mut1Extra.medianY.toFixed(2)}`,
                   showarrow: false, font: { size: 9 } },
                 { x: 0.86, y: 1.02, xref: 'paper', yref: 'paper',
-                  text: `<b>2 mutations</b> n=${mut2.length}<br>r=${mut2Stats.correlation.toFixed(3)}, slope=${mut2Stats.slope.toFixed(3)}<br>mean: x=${mut2Extra.meanX.toFixed(2)}, y=${mut2Extra.meanY.toFixed(2)}<br>median: x=${mut2Extra.medianX.toFixed(2)}, y=${mut2Extra.medianY.toFixed(2)}`,
+                  text: `<b>${labels.two}</b> n=${mut2.length}<br>${sym}=${mut2Stats.correlation.toFixed(3)}, slope=${mut2Stats.slope.toFixed(3)}<br>mean: x=${mut2Extra.meanX.toFixed(2)}, y=${mut2Extra.meanY.toFixed(2)}<br>median: x=${mut2Extra.medianX.toFixed(2)}, y=${mut2Extra.medianY.toFixed(2)}`,
                   showarrow: false, font: { size: 9 } }
             ],
             margin: { t: filterDesc ? 160 : 140, r: 30, b: 60, l: 60 },
@@ -5944,8 +6548,8 @@ Results:
         const tableData = [];
         Object.entries(lineageGroups).forEach(([lineage, groups]) => {
             if (groups.wt.length >= 3 && groups.mut.length >= 3) {
-                const wtStats = this.pearsonWithSlope(groups.wt.map(d => d.x), groups.wt.map(d => d.y));
-                const mutStats = this.pearsonWithSlope(groups.mut.map(d => d.x), groups.mut.map(d => d.y));
+                const wtStats = this.correlateXY(groups.wt.map(d => d.x), groups.wt.map(d => d.y));
+                const mutStats = this.correlateXY(groups.mut.map(d => d.x), groups.mut.map(d => d.y));
 
                 // Calculate delta and p-values using Fisher z-transformation for correlation difference
                 const deltaR = mutStats.correlation - wtStats.correlation;
@@ -5981,14 +6585,16 @@ Results:
         tableData.sort((a, b) => a.pR - b.pR);
 
         // Build HTML table
+        const labels = this.getMutationLevelLabels(hotspotGene);
+        const featureLabel = this.getMutationFeatureLabel(hotspotGene);
         const filterInfo = filterDesc ? `<p style="font-size: 11px; color: #333; margin-bottom: 8px; background: #f0f9ff; padding: 4px 8px; border-radius: 4px;"><b>Filter:</b> ${filterDesc}</p>` : '';
         let html = `
-            <h4 style="margin-bottom: 8px;">Effect of <span style="color: #0066cc;">${hotspotGene}</span> Mutation on ${gene1} vs ${gene2} Correlation</h4>
+            <h4 style="margin-bottom: 8px;">Effect of <span style="color: #0066cc;">${featureLabel}</span> on ${gene1} vs ${gene2} Correlation</h4>
             ${filterInfo}
             <p style="font-size: 11px; color: #666; margin-bottom: 8px;">
-                Comparing correlation between WT (0 ${hotspotGene} mutations) vs Mutant (2+ ${hotspotGene} mutations) cells, stratified by cancer type.
-                Note: Cells with exactly 1 mutation are excluded from this comparison.
-                <strong>Click a cancer type</strong> to view its scatter plot with the ${hotspotGene} mutation overlay.
+                Comparing correlation between ${labels.none} (level 0) vs ${labels.two} (level 2) cells for ${featureLabel}, stratified by cancer type.
+                Note: Cells at level 1 (${labels.one.toLowerCase()}) are excluded from this comparison.
+                <strong>Click a cancer type</strong> to view its scatter plot with the ${featureLabel} overlay.
             </p>
             <p style="font-size: 10px; color: #0c4a6e; background: #f0f9ff; padding: 4px 8px; border-radius: 4px; margin-bottom: 12px;">
                 <b>Statistics:</b> p(Δr) uses Fisher z-transformation to compare correlations. p(Δslope) is an approximation based on correlation difference.
@@ -5998,12 +6604,12 @@ Results:
                 <thead>
                     <tr>
                         <th data-col="0" style="cursor: pointer;">Cancer Type ▼</th>
-                        <th data-col="1" style="cursor: pointer; border-left: 2px solid #2563eb;">N (WT)</th>
-                        <th data-col="2" style="cursor: pointer;">r (WT)</th>
-                        <th data-col="3" style="cursor: pointer;">slope (WT)</th>
-                        <th data-col="4" style="cursor: pointer; border-left: 2px solid #dc2626;">N (Mut)</th>
-                        <th data-col="5" style="cursor: pointer;">r (Mut)</th>
-                        <th data-col="6" style="cursor: pointer;">slope (Mut)</th>
+                        <th data-col="1" style="cursor: pointer; border-left: 2px solid #2563eb;">N (${labels.short[0]})</th>
+                        <th data-col="2" style="cursor: pointer;">r (${labels.short[0]})</th>
+                        <th data-col="3" style="cursor: pointer;">slope (${labels.short[0]})</th>
+                        <th data-col="4" style="cursor: pointer; border-left: 2px solid #dc2626;">N (${labels.short[2]})</th>
+                        <th data-col="5" style="cursor: pointer;">r (${labels.short[2]})</th>
+                        <th data-col="6" style="cursor: pointer;">slope (${labels.short[2]})</th>
                         <th data-col="7" style="cursor: pointer; border-left: 2px solid #6b7280;">Δr</th>
                         <th data-col="8" style="cursor: pointer;">p(Δr)</th>
                         <th data-col="9" style="cursor: pointer;">Δslope</th>
@@ -6018,7 +6624,7 @@ Results:
             const deltaSlopeColor = row.deltaSlope < 0 ? '#dc2626' : '#5a9f4a';
 
             html += `
-                <tr class="clickable-row" data-lineage="${row.lineage}" style="cursor: pointer;" title="Click to view ${row.lineage} scatter plot with ${hotspotGene} overlay">
+                <tr class="clickable-row" data-lineage="${row.lineage}" style="cursor: pointer;" title="Click to view ${row.lineage} scatter plot with ${featureLabel} overlay">
                     <td style="color: var(--green-700); font-weight: 500;">${row.lineage}</td>
                     <td style="border-left: 2px solid #2563eb;">${row.nWT}</td>
                     <td>${row.rWT.toFixed(3)}</td>
@@ -6055,13 +6661,15 @@ Results:
         // Add download handler
         document.getElementById('downloadCompareCSV')?.addEventListener('click', () => {
             let csv = `# Correlation: ${gene1} vs ${gene2}\n`;
-            csv += `# Hotspot filter: ${hotspotGene}\n`;
-            csv += `# Comparing WT (0 mutations) vs Mutant (2 mutations) by cancer type\n`;
-            csv += 'Cancer Type,N (WT),r (WT),slope (WT),N (Mut),r (Mut),slope (Mut),Δr,p(Δr),Δslope,p(Δslope)\n';
+            csv += `# Correlation method: ${this.getCorrelationMethodLabel()}\n`;
+            csv += `# Stratified by: ${featureLabel}\n`;
+            if (this.getCopyNumberValues(hotspotGene)) csv += `# Copy number thresholds: ${this.getCopyNumberThresholdLabel()}\n`;
+            csv += `# Comparing ${labels.none} (level 0) vs ${labels.two} (level 2) by cancer type\n`;
+            csv += `Cancer Type,N (${labels.short[0]}),r (${labels.short[0]}),slope (${labels.short[0]}),N (${labels.short[2]}),r (${labels.short[2]}),slope (${labels.short[2]}),Δr,p(Δr),Δslope,p(Δslope)\n`;
             tableData.forEach(row => {
                 csv += `"${row.lineage}",${row.nWT},${row.rWT.toFixed(4)},${row.slopeWT.toFixed(4)},${row.nMut},${row.rMut.toFixed(4)},${row.slopeMut.toFixed(4)},${row.deltaR.toFixed(4)},${row.pR.toExponential(2)},${row.deltaSlope.toFixed(4)},${row.pSlope.toExponential(2)}\n`;
             });
-            this.downloadFile(csv, `correlation_${gene1}_vs_${gene2}_by_${hotspotGene}_mutation.csv`, 'text/csv');
+            this.downloadFile(csv, `correlation_${gene1}_vs_${gene2}_by_${this.getMutationFileLabel(hotspotGene)}.csv`, 'text/csv');
         });
 
         // Make table sortable
@@ -6107,8 +6715,8 @@ Results:
         }
 
         // Apply mutation filter
-        if (mutFilterGene && this.mutations?.geneData?.[mutFilterGene] && mutFilterLevel !== 'all') {
-            const filterMutations = this.mutations.geneData[mutFilterGene].mutations;
+        if (mutFilterGene && this.getMutationData(mutFilterGene) && mutFilterLevel !== 'all') {
+            const filterMutations = this.getMutationData(mutFilterGene).mutations;
             filteredData = filteredData.filter(d => {
                 const mutLevel = filterMutations[d.cellLineId] || 0;
                 if (mutFilterLevel === '0') return mutLevel === 0;
@@ -6129,10 +6737,7 @@ Results:
             filterParts.push(cancerText);
         }
         if (mutFilterGene && mutFilterLevel !== 'all') {
-            const levelText = mutFilterLevel === '0' ? 'WT' :
-                              mutFilterLevel === '1' ? '1 mut' :
-                              mutFilterLevel === '2' ? '2 mut' : '1+2 mut';
-            filterParts.push(`${mutFilterGene}: ${levelText}`);
+            filterParts.push(this.getMutationFilterText(mutFilterGene, mutFilterLevel));
         }
         const filterDesc = filterParts.length > 0 ? filterParts.join(' | ') : '';
 
@@ -6145,16 +6750,16 @@ Results:
 
     renderMutationComparisonTable(filteredData, gene1, gene2, filterDesc = '') {
         // Compare how different hotspot mutations affect the correlation
-        if (!this.mutations || !this.mutations.geneData) {
+        if (this.getMutationLayers().length === 0) {
             document.getElementById('compareTable').innerHTML = '<p>No mutation data available.</p>';
             return;
         }
 
         const tableData = [];
-        const mutationGenes = Object.keys(this.mutations.geneData).sort();
+        const mutationGenes = this.getMutationFeatures(true);
 
         mutationGenes.forEach(mutGene => {
-            const mutations = this.mutations.geneData[mutGene].mutations;
+            const mutations = this.getMutationData(mutGene).mutations;
 
             // Split data by mutation status for this gene
             const wt = filteredData.filter(d => (mutations[d.cellLineId] || 0) === 0);
@@ -6162,8 +6767,8 @@ Results:
 
             // Need at least 3 samples in each group
             if (wt.length >= 3 && mut2.length >= 3) {
-                const wtStats = this.pearsonWithSlope(wt.map(d => d.x), wt.map(d => d.y));
-                const mutStats = this.pearsonWithSlope(mut2.map(d => d.x), mut2.map(d => d.y));
+                const wtStats = this.correlateXY(wt.map(d => d.x), wt.map(d => d.y));
+                const mutStats = this.correlateXY(mut2.map(d => d.x), mut2.map(d => d.y));
 
                 const deltaR = mutStats.correlation - wtStats.correlation;
                 const deltaSlope = mutStats.slope - wtStats.slope;
@@ -6205,7 +6810,7 @@ Results:
             </div>
             ${filterInfo}
             <p style="font-size: 11px; color: #666; margin-bottom: 6px;">
-                Comparing WT (0 mutations) vs Mutant (2+ mutations). Sorted by p-value.
+                Comparing WT (0 mutations) vs Mutant (2+ mutations); for copy number, neutral vs amplified / deep deletion. Sorted by p-value.
             </p>
             <p style="font-size: 10px; color: #0c4a6e; background: #f0f9ff; padding: 4px 8px; border-radius: 4px; margin-bottom: 8px;">
                 <b>Statistics:</b> p(Δr) uses Fisher z-transformation to test if correlations differ significantly between WT and mutant cells.
@@ -6233,7 +6838,7 @@ Results:
 
             html += `
                 <tr class="clickable-mut-row" data-mut-gene="${row.mutGene}" style="${pHighlight} cursor: pointer;">
-                    <td><b>${row.mutGene}</b></td>
+                    <td><b>${this.getMutationFeatureLabel(row.mutGene, true)}</b></td>
                     <td style="text-align: center; border-left: 2px solid #2563eb;">${row.nWT}</td>
                     <td style="text-align: center;">${row.rWT.toFixed(3)}</td>
                     <td style="text-align: center; border-left: 2px solid #dc2626;">${row.nMut}</td>
@@ -6263,7 +6868,9 @@ Results:
 
         // Add download handler
         document.getElementById('downloadMutCompareCSV')?.addEventListener('click', () => {
-            let csv = 'Mutation_Gene,N_WT,r_WT,slope_WT,N_Mut,r_Mut,slope_Mut,Delta_r,p_Delta_r,Delta_slope\n';
+            let csv = `# Correlation method: ${this.getCorrelationMethodLabel()}\n`;
+            if (this.copyNumber) csv += `# Copy number thresholds: ${this.getCopyNumberThresholdLabel()}\n`;
+            csv += 'Mutation_Gene,N_WT,r_WT,slope_WT,N_Mut,r_Mut,slope_Mut,Delta_r,p_Delta_r,Delta_slope\n';
             tableData.forEach(row => {
                 csv += `${row.mutGene},${row.nWT},${row.rWT.toFixed(4)},${row.slopeWT.toFixed(4)},${row.nMut},${row.rMut.toFixed(4)},${row.slopeMut.toFixed(4)},${row.deltaR.toFixed(4)},${row.pR.toExponential(2)},${row.deltaSlope.toFixed(4)}\n`;
             });
@@ -6287,29 +6894,35 @@ Results:
         this.setupSortableTable('compareMutationsTable');
     }
 
-    updateInspectGenes() {
+    async updateInspectGenes() {
         const gene1 = document.getElementById('inspectGeneX').value.trim().toUpperCase();
         const gene2 = document.getElementById('inspectGeneY').value.trim().toUpperCase();
+        const source1 = document.getElementById('inspectSourceX').value;
+        const source2 = document.getElementById('inspectSourceY').value;
 
         if (!gene1 || !gene2) {
             alert('Please enter both X and Y genes.');
             return;
         }
 
-        if (!this.geneIndex.has(gene1)) {
-            alert(`Gene "${gene1}" not found in the dataset.`);
-            return;
+        for (const source of new Set([source1, source2])) {
+            if (!(await this.ensureSourceLoaded(source))) {
+                alert(`${this.getSourceLabel(source, true)} data is not available for this dataset.`);
+                return;
+            }
         }
-        if (!this.geneIndex.has(gene2)) {
-            alert(`Gene "${gene2}" not found in the dataset.`);
-            return;
+        for (const [gene, source] of [[gene1, source1], [gene2, source2]]) {
+            if (!this.getDataSource(source).geneIndex.has(gene)) {
+                alert(`${source === 'drug' ? 'Compound' : 'Gene'} "${gene}" not found in the ${this.getSourceLabel(source, true).toLowerCase()} data.`);
+                return;
+            }
         }
 
         // Re-open inspect with the new genes
-        this.openInspect({ gene1, gene2, correlation: null });
+        this.openInspect({ gene1, gene2, source1, source2, correlation: null });
 
         // Update title
-        document.getElementById('inspectTitle').textContent = `Correlation: ${gene1} vs ${gene2}`;
+        document.getElementById('inspectTitle').textContent = `Correlation: ${this.formatSourcePair(this.currentInspect)}`;
     }
 
     showCompareAllCancerTypes() {
@@ -6324,8 +6937,8 @@ Results:
         let filteredData = [...data];
 
         // Apply mutation filter
-        if (mutFilterGene && this.mutations?.geneData?.[mutFilterGene] && mutFilterLevel !== 'all') {
-            const filterMutations = this.mutations.geneData[mutFilterGene].mutations;
+        if (mutFilterGene && this.getMutationData(mutFilterGene) && mutFilterLevel !== 'all') {
+            const filterMutations = this.getMutationData(mutFilterGene).mutations;
             filteredData = filteredData.filter(d => {
                 const mutLevel = filterMutations[d.cellLineId] || 0;
                 if (mutFilterLevel === '0') return mutLevel === 0;
@@ -6339,10 +6952,7 @@ Results:
         // Build filter description
         let filterDesc = '';
         if (mutFilterGene && mutFilterLevel !== 'all') {
-            const levelText = mutFilterLevel === '0' ? 'WT' :
-                              mutFilterLevel === '1' ? '1 mut' :
-                              mutFilterLevel === '2' ? '2 mut' : '1+2 mut';
-            filterDesc = `${mutFilterGene}: ${levelText}`;
+            filterDesc = this.getMutationFilterText(mutFilterGene, mutFilterLevel);
         }
 
         // Show compare table
@@ -6367,7 +6977,7 @@ Results:
             if (data.length >= 5) { // Need at least 5 samples for meaningful correlation
                 const xVals = data.map(d => d.x);
                 const yVals = data.map(d => d.y);
-                const stats = this.pearsonWithSlope(xVals, yVals);
+                const stats = this.correlateXY(xVals, yVals);
 
                 // Calculate mean gene effects
                 const meanX = xVals.reduce((a, b) => a + b, 0) / xVals.length;
@@ -6448,7 +7058,8 @@ Results:
 
         // Add download handler
         document.getElementById('downloadCancerCompareCSV')?.addEventListener('click', () => {
-            let csv = `Cancer_Type,N,Correlation,Slope,${gene1}_Mean,${gene2}_Mean\n`;
+            let csv = `# Correlation method: ${this.getCorrelationMethodLabel()}\n`;
+            csv += `Cancer_Type,N,Correlation,Slope,${gene1}_Mean,${gene2}_Mean\n`;
             tableData.forEach(row => {
                 csv += `"${row.cancerType}",${row.n},${row.correlation.toFixed(4)},${row.slope.toFixed(4)},${row.meanX.toFixed(4)},${row.meanY.toFixed(4)}\n`;
             });
@@ -6473,14 +7084,7 @@ Results:
     }
 
     normalCDF(x) {
-        // Approximation of standard normal CDF
-        const a1 = 0.254829592, a2 = -0.284496736, a3 = 1.421413741;
-        const a4 = -1.453152027, a5 = 1.061405429, p = 0.3275911;
-        const sign = x < 0 ? -1 : 1;
-        x = Math.abs(x) / Math.sqrt(2);
-        const t = 1 / (1 + p * x);
-        const y = 1 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
-        return 0.5 * (1 + sign * y);
+        return AnalysisCore.normalCDF(x);
     }
 
     setupScatterClickHandler(filteredData) {
@@ -6508,7 +7112,7 @@ Results:
         // Increase height for 3-panel to accommodate annotations without overlap
         const width = hotspotMode === 'three_panel' ? 1800 : 1000;
         const height = hotspotMode === 'three_panel' ? 800 : 1000;
-        const suffix = hotspotGene && hotspotMode !== 'none' ? `_${hotspotGene}` : '';
+        const suffix = hotspotGene && hotspotMode !== 'none' ? `_${this.getMutationFileLabel(hotspotGene)}` : '';
 
         Plotly.downloadImage('scatterPlot', {
             format: 'png',
@@ -6524,7 +7128,7 @@ Results:
         // Increase height for 3-panel to accommodate annotations without overlap
         const width = hotspotMode === 'three_panel' ? 1800 : 1000;
         const height = hotspotMode === 'three_panel' ? 800 : 1000;
-        const suffix = hotspotGene && hotspotMode !== 'none' ? `_${hotspotGene}` : '';
+        const suffix = hotspotGene && hotspotMode !== 'none' ? `_${this.getMutationFileLabel(hotspotGene)}` : '';
 
         Plotly.downloadImage('scatterPlot', {
             format: 'svg',
@@ -6555,7 +7159,7 @@ Results:
             if (points.length >= 3) {
                 const xVals = points.map(d => d.x);
                 const yVals = points.map(d => d.y);
-                const stats = this.pearsonWithSlope(xVals, yVals);
+                const stats = this.correlateXY(xVals, yVals);
                 const meanX = xVals.reduce((a, b) => a + b, 0) / xVals.length;
                 const meanY = yVals.reduce((a, b) => a + b, 0) / yVals.length;
                 const sdX = Math.sqrt(xVals.reduce((a, b) => a + Math.pow(b - meanX, 2), 0) / xVals.length);
@@ -6609,7 +7213,7 @@ Results:
             textfont: { size: 10 },
             insidetextanchor: 'start',
             marker: { color: barColors },
-            hovertemplate: '%{y}<br>r=%{x:.2f}<br>n=%{text}<extra></extra>',
+            hovertemplate: `%{y}<br>${this.getCorrelationSymbol()}=%{x:.2f}<br>n=%{text}<extra></extra>`,
             cliponaxis: false
         };
 
@@ -6623,7 +7227,7 @@ Results:
                 font: { size: 14 }
             },
             xaxis: {
-                title: 'Correlation',
+                title: `Correlation (${this.getCorrelationMethodLabel()})`,
                 range: [-1.15, 1.15],
                 zeroline: true,
                 zerolinecolor: '#000',
@@ -6766,18 +7370,17 @@ Results:
         const mutFilterGeneSelect = document.getElementById('mutationFilterGene');
         const cellLinesInPlot = new Set(data.map(d => d.cellLineId));
 
-        if (this.mutations?.genes?.length > 0) {
-            hotspotSelect.innerHTML = '<option value="">Select gene...</option>';
-            mutFilterGeneSelect.innerHTML = '<option value="">No filter</option>';
-            this.mutations.genes.forEach(g => {
-                const mutData = this.mutations.geneData?.[g]?.mutations || {};
+        if (this.getMutationLayers().length > 0) {
+            const options = this.buildMutationFeatureOptions(g => {
+                const mutData = this.getMutationData(g).mutations;
                 let count = 0;
                 cellLinesInPlot.forEach(cl => {
                     if (mutData[cl] && mutData[cl] > 0) count++;
                 });
-                hotspotSelect.innerHTML += `<option value="${g}">${g} (${count} mut)</option>`;
-                mutFilterGeneSelect.innerHTML += `<option value="${g}">${g} (${count} mut)</option>`;
+                return `${this.getMutationFeatureLabel(g, true)} (${count} ${this.getMutationLevelLabels(g).any})`;
             });
+            hotspotSelect.innerHTML = '<option value="">Select gene...</option>' + options;
+            mutFilterGeneSelect.innerHTML = '<option value="">No filter</option>' + options;
             document.getElementById('mutationBox').style.display = 'block';
             document.getElementById('mutationFilterBox').style.display = 'block';
         } else {
@@ -6790,9 +7393,9 @@ Results:
         document.getElementById('mutationFilterLevel').value = 'all';
 
         // Calculate stats for ALL cells (unfiltered) for the title
-        const allCellsStats = this.pearsonWithSlope(data.map(d => d.x), data.map(d => d.y));
+        const allCellsStats = this.correlateXY(data.map(d => d.x), data.map(d => d.y));
         document.getElementById('inspectTitle').textContent =
-            `${gene1} vs ${gene2} | r=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${data.length} (all cells)`;
+            `${this.formatSourcePair(this.currentInspect)} | ${this.getCorrelationSymbol()}=${this.formatNum(allCellsStats.correlation)}, slope=${this.formatNum(allCellsStats.slope)}, n=${data.length} (${this.currentInspect.residualized ? 'residuals, all cells' : 'all cells'})`;
 
         // Show the scatter plot and hide compareTable
         document.getElementById('scatterPlot').style.display = 'block';
@@ -6856,14 +7459,23 @@ Results:
         if (!this.currentInspect) return;
 
         const hotspotGene = document.getElementById('hotspotGene').value;
+        const copyNumberValues = this.getCopyNumberValues(hotspotGene);
         let header = 'CellLine,CellLineID,Lineage,Subtype,Gene1_Effect,Gene2_Effect';
-        if (hotspotGene && this.mutations?.geneData?.[hotspotGene]) {
-            header += `,${hotspotGene}_mutation`;
+        if (hotspotGene && this.getMutationData(hotspotGene)) {
+            header += copyNumberValues
+                ? `,${this.getMutationFileLabel(hotspotGene)}_level,${this.parseMutationKey(hotspotGene).gene}_relative_CN`
+                : `,${this.getMutationFileLabel(hotspotGene)}_mutation`;
         }
         header += '\n';
 
         let csv = header;
-        const mutationData = hotspotGene && this.mutations?.geneData?.[hotspotGene]?.mutations;
+        if (this.currentInspect.residualized) {
+            csv = `# Gene effects are residuals, ${this.getPartialCorrelationLabel(this.results.partial)}\n` + csv;
+        }
+        if (copyNumberValues) {
+            csv = `# Copy number thresholds: ${this.getCopyNumberThresholdLabel()}\n` + csv;
+        }
+        const mutationData = hotspotGene && this.getMutationData(hotspotGene)?.mutations;
 
         this.currentInspect.data.forEach(d => {
             const subtype = this.cellLineMetadata?.primaryDisease?.[d.cellLineId] || '';
@@ -6871,11 +7483,12 @@ Results:
             if (mutationData) {
                 const mutLevel = mutationData[d.cellLineId] || 0;
                 row += `,${mutLevel}`;
+                if (copyNumberValues) row += `,${copyNumberValues[d.cellLineId] ?? ''}`;
             }
             csv += row + '\n';
         });
 
-        const suffix = hotspotGene ? `_${hotspotGene}` : '';
+        const suffix = hotspotGene ? `_${this.getMutationFileLabel(hotspotGene)}` : '';
         this.downloadFile(csv,
             `scatter_${this.currentInspect.gene1}_vs_${this.currentInspect.gene2}${suffix}.csv`,
             'text/csv');
@@ -6912,7 +7525,8 @@ Results:
 
         const { gene1, gene2 } = this.currentInspect;
 
-        let csv = `Lineage,N,Correlation,${gene1}_Effect_mean,${gene1}_Effect_SD,${gene2}_Effect_mean,${gene2}_Effect_SD\n`;
+        let csv = `# Correlation method: ${this.getCorrelationMethodLabel()}\n`;
+        csv += `Lineage,N,Correlation,${gene1}_Effect_mean,${gene1}_Effect_SD,${gene2}_Effect_mean,${gene2}_Effect_SD\n`;
 
         this.currentTissueStats.forEach(t => {
             csv += `"${t.tissue}",${t.n},${t.correlation.toFixed(4)},${t.meanX.toFixed(4)},${t.sdX.toFixed(4)},${t.meanY.toFixed(4)},${t.sdY.toFixed(4)}\n`;
@@ -7026,6 +7640,7 @@ Results:
             if (statsExplanation) statsExplanation.textContent = "Shows 3 mutation levels: 0 (WT, blue), 1 (orange), 2 (red). p-value: Welch's t-test comparing 1+2 combined vs WT.";
             this.renderGeneEffectByHotspot();
         }
+        this.updateUrlHash();
     }
 
     filterGETable(searchTerm) {
@@ -7160,7 +7775,7 @@ Results:
             return;
         }
 
-        if (!this.mutations?.genes || this.mutations.genes.length === 0) {
+        if (this.getMutationLayers().length === 0) {
             document.getElementById('geneEffectHotspotPlot').innerHTML = '<div style="display: flex; align-items: center; justify-content: center; height: 100%; color: #6b7280;">No hotspot mutation data available</div>';
             document.getElementById('geneEffectTableBody').innerHTML = '<tr><td colspan="9" style="text-align: center; padding: 20px; color: #6b7280;">No mutation data</td></tr>';
             return;
@@ -7173,8 +7788,9 @@ Results:
         // Now showing 3 levels: 0 (WT), 1, and 2 mutations
         const hotspotStats = [];
 
-        this.mutations.genes.forEach(hotspotGene => {
-            const mutData = this.mutations.geneData?.[hotspotGene]?.mutations || {};
+        // Every layer's features are listed together (damaging mutations, copy number gain / loss)
+        this.getMutationFeatures().forEach(hotspotGene => {
+            const mutData = this.getMutationData(hotspotGene)?.mutations || {};
 
             const cellData0 = []; // WT (0 mutations)
             const cellData1 = []; // 1 mutation
@@ -7257,8 +7873,14 @@ Results:
         // Track which legend items need to be shown
         let show0Legend = true, show1Legend = true, show2Legend = true;
 
+        // Legend names cover every layer shown (e.g. "1 mutation / Gain")
+        const levelNames = [0, 1, 2].map(level => [...new Set(topStats.map(s => {
+            const labels = this.getMutationLevelLabels(s.group);
+            return [labels.none, labels.one, labels.two][level];
+        }))].join(' / '));
+
         topStats.forEach((s, idx) => {
-            const yLabel = `${s.group}`;
+            const yLabel = this.getMutationFeatureLabel(s.group, true);
             yCategories.push(yLabel);
 
             // Add traces in reverse order so WT appears first (top) in each group
@@ -7266,7 +7888,7 @@ Results:
             if (s.cellData2.length > 0) {
                 traces.push({
                     type: 'box',
-                    name: '2 mutations',
+                    name: levelNames[2],
                     legendgroup: '2',
                     showlegend: show2Legend,
                     y: Array(s.cellData2.length).fill(yLabel),
@@ -7286,7 +7908,7 @@ Results:
             if (s.cellData1.length > 0) {
                 traces.push({
                     type: 'box',
-                    name: '1 mutation',
+                    name: levelNames[1],
                     legendgroup: '1',
                     showlegend: show1Legend,
                     y: Array(s.cellData1.length).fill(yLabel),
@@ -7305,7 +7927,7 @@ Results:
             // WT trace (blue) - 0 mutations - added last, appears at top
             traces.push({
                 type: 'box',
-                name: '0 (WT)',
+                name: `0 (${levelNames[0]})`,
                 legendgroup: '0',
                 showlegend: show0Legend,
                 y: Array(s.cellData0.length).fill(yLabel),
@@ -7328,7 +7950,7 @@ Results:
         const chartHeight = Math.max(400, numEntries * boxHeight + 100);
 
         const layout = {
-            title: { text: `${gene} Gene Effect by Hotspot Mutation`, font: { size: 13 } },
+            title: { text: `${gene} Gene Effect by ${this.getMutationLayers().length > 1 ? 'Mutation / Copy Number' : 'Hotspot Mutation'}`, font: { size: 13 } },
             xaxis: {
                 title: 'Gene Effect',
                 zeroline: true,
@@ -7379,8 +8001,18 @@ Results:
         this.renderGETable(tableStats, 'hotspot');
     }
 
-    openGeneEffectFromNetwork(gene) {
-        this.openGeneEffectModal(gene, 'tissue');
+    openGeneEffectFromNetwork(nodeId) {
+        // Compound and expression nodes have no gene effect to break down
+        const cluster = this.findNodeCluster(nodeId);
+        if (cluster?.source === 'drug') {
+            this.showStatus('info', `${cluster.gene} is a compound - double-click one of its edges to inspect its drug response`);
+            return;
+        }
+        if (cluster?.source === 'expression') {
+            this.showStatus('info', `This is ${cluster.gene} expression - double-click one of its edges to inspect it`);
+            return;
+        }
+        this.openGeneEffectModal(nodeId, 'tissue');
     }
 
     renderGETable(stats, mode) {
@@ -7402,7 +8034,7 @@ Results:
             this.renderGETableBody(stats, mode);
         } else {
             thead.innerHTML = `<tr>
-                <th style="${headerStyle}" data-sort="group" data-type="string">Hotspot${sortIcon}</th>
+                <th style="${headerStyle}" data-sort="group" data-type="string">${this.getMutationLayers().length > 1 ? 'Feature' : 'Hotspot'}${sortIcon}</th>
                 <th style="${headerStyle}; border-left: 2px solid #2563eb;" data-sort="n0" data-type="number">n(0)${sortIcon}</th>
                 <th style="${headerStyle}" data-sort="mean0" data-type="number">GE(0)${sortIcon}</th>
                 <th style="${headerStyle}; border-left: 2px solid #f97316;" data-sort="n1" data-type="number">n(1)${sortIcon}</th>
@@ -7445,7 +8077,7 @@ Results:
                 const diffStr = s.diff !== undefined ? s.diff.toFixed(3) : '-';
                 const diffColor = s.diff > 0 ? '#16a34a' : s.diff < 0 ? '#dc2626' : '#374151';
                 tbody.innerHTML += `<tr class="clickable-row" data-group="${s.group}" style="cursor: pointer;">
-                    <td>${s.group}</td>
+                    <td>${this.getMutationFeatureLabel(s.group, true)}</td>
                     <td style="text-align: center; color: #2563eb; border-left: 2px solid #2563eb;">${s.n0}</td>
                     <td style="text-align: center; color: #2563eb;">${s.mean0.toFixed(3)}</td>
                     <td style="text-align: center; color: #f97316; border-left: 2px solid #f97316;">${s.n1 || '-'}</td>
@@ -7489,8 +8121,9 @@ Results:
         };
 
         if (mode === 'hotspot') {
-            // Filter by hotspot mutation - show 3 levels (0, 1, 2)
-            const mutData = this.mutations?.geneData?.[group]?.mutations || {};
+            // Filter by hotspot mutation (or other layer) - show 3 levels (0, 1, 2)
+            const mutData = this.getMutationData(group)?.mutations || {};
+            const labels = this.getMutationLevelLabels(group);
             const data0 = data.filter(d => (mutData[d.cellLineId] || 0) === 0);
             const data1 = data.filter(d => (mutData[d.cellLineId] || 0) === 1);
             const data2 = data.filter(d => (mutData[d.cellLineId] || 0) >= 2);
@@ -7514,7 +8147,7 @@ Results:
             const traces = [
                 {
                     type: 'box',
-                    name: `0 (WT), n=${stats0.n}`,
+                    name: `0 (${labels.none}), n=${stats0.n}`,
                     y: effects0,
                     text: data0.map(d => d.cellLineName),
                     customdata: data0.map(d => d.lineage || 'Unknown'),
@@ -7524,7 +8157,7 @@ Results:
                     marker: { color: '#2563eb', size: 5 },
                     line: { color: '#1e40af', width: 2 },
                     fillcolor: 'rgba(37, 99, 235, 0.4)',
-                    hovertemplate: '<b>%{text}</b><br>%{customdata}<br>Gene Effect: %{y:.3f}<extra>0 (WT)</extra>'
+                    hovertemplate: `<b>%{text}</b><br>%{customdata}<br>Gene Effect: %{y:.3f}<extra>0 (${labels.none})</extra>`
                 }
             ];
 
@@ -7532,7 +8165,7 @@ Results:
             if (data1.length > 0) {
                 traces.push({
                     type: 'box',
-                    name: `1 mut, n=${stats1.n}`,
+                    name: `${labels.short[1]}, n=${stats1.n}`,
                     y: effects1,
                     text: data1.map(d => d.cellLineName),
                     customdata: data1.map(d => d.lineage || 'Unknown'),
@@ -7542,7 +8175,7 @@ Results:
                     marker: { color: '#f97316', size: 5 },
                     line: { color: '#c2410c', width: 2 },
                     fillcolor: 'rgba(249, 115, 22, 0.4)',
-                    hovertemplate: '<b>%{text}</b><br>%{customdata}<br>Gene Effect: %{y:.3f}<extra>1 mutation</extra>'
+                    hovertemplate: `<b>%{text}</b><br>%{customdata}<br>Gene Effect: %{y:.3f}<extra>${labels.one}</extra>`
                 });
             }
 
@@ -7550,7 +8183,7 @@ Results:
             if (data2.length > 0) {
                 traces.push({
                     type: 'box',
-                    name: `2 mut, n=${stats2.n}`,
+                    name: `${labels.short[2]}, n=${stats2.n}`,
                     y: effects2,
                     text: data2.map(d => d.cellLineName),
                     customdata: data2.map(d => d.lineage || 'Unknown'),
@@ -7560,7 +8193,7 @@ Results:
                     marker: { color: '#dc2626', size: 5 },
                     line: { color: '#991b1b', width: 2 },
                     fillcolor: 'rgba(220, 38, 38, 0.4)',
-                    hovertemplate: '<b>%{text}</b><br>%{customdata}<br>Gene Effect: %{y:.3f}<extra>2 mutations</extra>'
+                    hovertemplate: `<b>%{text}</b><br>%{customdata}<br>Gene Effect: %{y:.3f}<extra>${labels.two}</extra>`
                 });
             }
 
@@ -7569,14 +8202,14 @@ Results:
             const pStr = !isNaN(pValue) ? (pValue < 0.001 ? pValue.toExponential(2) : pValue.toFixed(4)) : null;
 
             // Row 1: 0 (WT) stats
-            statsAnnotations.push(`0 (WT): n=${stats0.n}, GE=${stats0.mean.toFixed(3)}, SD=${stats0.sd.toFixed(3)}`);
+            statsAnnotations.push(`0 (${labels.none}): n=${stats0.n}, GE=${stats0.mean.toFixed(3)}, SD=${stats0.sd.toFixed(3)}`);
             // Row 2: 1 mut stats
             if (stats1.n > 0) {
-                statsAnnotations.push(`1 mut: n=${stats1.n}, GE=${stats1.mean.toFixed(3)}${stats1.n > 1 ? `, SD=${stats1.sd.toFixed(3)}` : ''}`);
+                statsAnnotations.push(`${labels.short[1]}: n=${stats1.n}, GE=${stats1.mean.toFixed(3)}${stats1.n > 1 ? `, SD=${stats1.sd.toFixed(3)}` : ''}`);
             }
             // Row 3: 2 mut stats
             if (stats2.n > 0) {
-                statsAnnotations.push(`2 mut: n=${stats2.n}, GE=${stats2.mean.toFixed(3)}${stats2.n > 1 ? `, SD=${stats2.sd.toFixed(3)}` : ''}`);
+                statsAnnotations.push(`${labels.short[2]}: n=${stats2.n}, GE=${stats2.mean.toFixed(3)}${stats2.n > 1 ? `, SD=${stats2.sd.toFixed(3)}` : ''}`);
             }
             // Row 4: p-value
             if (pStr) {
@@ -7592,7 +8225,7 @@ Results:
             const chartWidth = Math.round(containerWidth * widthRatio);
 
             const layout = {
-                title: { text: `${gene} gene effect by ${group} mutation status`, font: { size: 14 } },
+                title: { text: `${gene} gene effect by ${this.getMutationFeatureLabel(group)} status`, font: { size: 14 } },
                 yaxis: { title: 'Gene Effect', zeroline: true, zerolinecolor: '#374151' },
                 showlegend: false,
                 height: 520,
@@ -7845,6 +8478,1789 @@ Results:
         if (!this.cellLineMetadata) return '';
         return this.cellLineMetadata.primaryDisease?.[cellLineId] || '';
     }
+
+    // ============================================================
+    // Shareable URL State
+    // ============================================================
+
+    // Hash key -> parameter control. Order matters on restore: lineage before subtype
+    // and hotspot gene before level, since each repopulates the next dropdown.
+    getUrlStateControls() {
+        return [
+            ['method', 'correlationMethod'],
+            ['selection', 'correlationSelection'],
+            ['cutoff', 'correlationCutoff'],
+            ['topN', 'topNeighbors'],
+            ['fdr', 'maxFdr'],
+            ['minN', 'minCellLines'],
+            ['slope', 'minSlope'],
+            ['direction', 'biomarkerDirection'],
+            ['drugDirection', 'drugDirection'],
+            ['lineage', 'lineageFilter'],
+            ['subtype', 'subLineageFilter'],
+            ['hotspot', 'paramHotspotGene'],
+            ['level', 'paramHotspotLevel'],
+            ['mutGene', 'mutationHotspotSelect'],
+            ['pThreshold', 'pValueThreshold'],
+            ['pAdjust', 'pValueAdjustment'],
+            ['diffBy', 'differentialSplit'],
+            ['diffFeature', 'differentialFeature'],
+            ['diffA', 'differentialGroupA'],
+            ['diffB', 'differentialGroupB'],
+            ['clustering', 'clusteringMethod'],
+            ['resolution', 'clusteringResolution']
+        ];
+    }
+
+    getCopyNumberThresholdControls() {
+        return [
+            ['cnGain', 'cnGainThreshold'],
+            ['cnAmp', 'cnAmpThreshold'],
+            ['cnLoss', 'cnLossThreshold'],
+            ['cnDeepDel', 'cnDeepDelThreshold']
+        ];
+    }
+
+    // Serialize the analysis configuration, open Inspect pair / gene effect view and
+    // hidden network nodes into URL search-param syntax
+    buildUrlState() {
+        const params = new URLSearchParams();
+        const genes = document.getElementById('geneTextarea').value.split(/[\n,\s]+/).filter(g => g.length > 0);
+        if (genes.length > 0) params.set('genes', genes.join(','));
+        const mode = document.querySelector('input[name="analysisMode"]:checked').value;
+        params.set('mode', mode);
+        if (mode === 'bipartite') {
+            const genesB = document.getElementById('geneTextareaB').value.split(/[\n,\s]+/).filter(g => g.length > 0);
+            if (genesB.length > 0) params.set('genesB', genesB.join(','));
+        }
+        if (this.currentRelease && this.currentRelease.id !== this.defaultReleaseId) params.set('release', this.currentRelease.id);
+
+        this.getUrlStateControls().forEach(([key, id]) => {
+            const value = document.getElementById(id)?.value;
+            if (value) params.set(key, value);
+        });
+        if (document.getElementById('designExpandNetwork')?.checked) params.set('expand', '1');
+        if (document.getElementById('partialLineage')?.checked) params.set('partialLineage', '1');
+        const partialHotspots = Array.from(document.getElementById('partialHotspots')?.selectedOptions || [], o => o.value);
+        if (partialHotspots.length > 0) params.set('partialHotspots', partialHotspots.join(','));
+        // Copy number thresholds only when changed, so links stay short
+        this.getCopyNumberThresholdControls().forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (el && el.value !== el.defaultValue) params.set(key, el.value);
+        });
+
+        if (this.hiddenNodes?.length > 0) params.set('hidden', this.hiddenNodes.map(n => n.id).join(','));
+        if (this.currentInspect && document.getElementById('inspectModal').classList.contains('active')) {
+            params.set('inspect', `${this.currentInspect.gene1},${this.currentInspect.gene2}`);
+            const { source1, source2 } = this.currentInspect;
+            if (source1 !== 'effect' || source2 !== 'effect') params.set('inspectSources', `${source1},${source2}`);
+            if (this.currentInspect.residualized) params.set('residuals', '1');
+        }
+        if (this.currentGeneEffect && this.geneEffectViewMode === 'geneEffect' &&
+            document.getElementById('geneEffectModal').style.display === 'flex') {
+            params.set('geneEffect', this.currentGeneEffect.gene);
+            params.set('geneEffectView', this.currentGEView || 'tissue');
+        }
+        return params;
+    }
+
+    updateUrlHash() {
+        if (this.restoringUrlState || !this.metadata) return;
+        const hash = '#' + this.buildUrlState().toString();
+        if (hash !== window.location.hash) {
+            history.replaceState(null, '', window.location.pathname + window.location.search + hash);
+        }
+    }
+
+    // Set the gene list and parameter controls from buildUrlState() params
+    applyUrlStateControls(params) {
+        const list = (key) => (params.get(key) || '').split(',').filter(v => v.length > 0);
+
+        if (params.has('genes')) {
+            document.getElementById('geneTextarea').value = list('genes').join('\n');
+            this.updateGeneCount();
+        }
+        if (params.has('genesB')) {
+            document.getElementById('geneTextareaB').value = list('genesB').join('\n');
+        }
+
+        const mode = params.get('mode');
+        const modeRadio = mode && document.querySelector(`input[name="analysisMode"][value="${mode}"]`);
+        if (modeRadio) {
+            modeRadio.checked = true;
+            this.updateAnalysisModeUI();
+        }
+
+        // Thresholds first: the hotspot selects below count copy number features with them
+        this.getCopyNumberThresholdControls().forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (el) el.value = params.has(key) ? params.get(key) : el.defaultValue;
+        });
+        this.copyNumberLevels.clear();
+
+        this.getUrlStateControls().forEach(([key, id]) => {
+            const el = document.getElementById(id);
+            if (!el || !params.has(key)) return;
+            el.value = params.get(key);
+            // Let dependent dropdowns and slider labels follow
+            el.dispatchEvent(new Event(el.tagName === 'SELECT' ? 'change' : 'input'));
+        });
+        document.getElementById('designExpandNetwork').checked = params.get('expand') === '1';
+        const partialLineage = document.getElementById('partialLineage');
+        if (partialLineage) partialLineage.checked = params.get('partialLineage') === '1';
+        const partialHotspots = new Set(list('partialHotspots'));
+        Array.from(document.getElementById('partialHotspots')?.options || []).forEach(o => {
+            o.selected = partialHotspots.has(o.value);
+        });
+    }
+
+    // Remove nodes from the current network as if clicked in Remove Mode
+    hideNetworkNodes(ids) {
+        if (!this.networkData) return;
+        ids.forEach(id => {
+            const node = this.networkData.nodes.get(id);
+            if (!node) return;
+            this.hiddenNodes.push(node);
+            this.networkData.nodes.remove(id);
+        });
+        this.updateRemovedNodesList();
+    }
+
+    // Apply a shared link: set every control, re-run the analysis, then re-hide nodes
+    // and reopen the Inspect pair or gene effect view
+    async restoreFromUrlHash() {
+        const hash = window.location.hash.replace(/^#/, '');
+        if (!hash) return;
+        const params = new URLSearchParams(hash);
+        const list = (key) => (params.get(key) || '').split(',').filter(v => v.length > 0);
+
+        this.restoringUrlState = true;
+        try {
+            if (params.has('release')) await this.switchRelease(params.get('release'), false);
+            this.applyUrlStateControls(params);
+
+            const mode = params.get('mode');
+            const hasInput = params.has('genes') || (mode === 'mutation' && params.has('mutGene'));
+            if (!hasInput) return;
+            await this.runAnalysis();
+
+            if (params.has('hidden')) this.hideNetworkNodes(list('hidden'));
+
+            const [gene1, gene2] = list('inspect');
+            const [source1, source2] = params.has('inspectSources')
+                ? list('inspectSources').map(source => (['expression', 'drug'].includes(source) ? source : 'effect'))
+                : ['effect', 'effect'];
+            const sourcesReady = await this.ensureSourceLoaded(source1) && await this.ensureSourceLoaded(source2);
+            if (gene1 && gene2 && sourcesReady &&
+                this.getDataSource(source1).geneIndex.has(gene1) && this.getDataSource(source2).geneIndex.has(gene2)) {
+                document.getElementById('inspectResidualized').checked = params.get('residuals') === '1';
+                this.openInspect({ gene1, gene2, source1, source2, correlation: null });
+            } else if (params.has('geneEffect') && this.geneIndex.has(params.get('geneEffect'))) {
+                this.openGeneEffectModal(params.get('geneEffect'), params.get('geneEffectView') === 'hotspot' ? 'hotspot' : 'tissue');
+            }
+        } catch (error) {
+            console.error('Could not restore shared link:', error);
+            this.showStatus('error', 'Could not restore the shared link: ' + error.message);
+        } finally {
+            this.restoringUrlState = false;
+        }
+        this.updateUrlHash();
+    }
+
+    // ============================================================
+    // Session Files
+    // ============================================================
+
+    // Bump when the session layout changes; older files are upgraded in openSession()
+    getSessionVersion() {
+        return 1;
+    }
+
+    // Network style controls saved with a session: [key, element id or radio name, kind]
+    getSessionStyleControls() {
+        return [
+            ['fontSize', 'netFontSize', 'range'],
+            ['nodeSize', 'netNodeSize', 'range'],
+            ['edgeWidth', 'netEdgeWidth', 'range'],
+            ['showGeneEffect', 'showGeneEffect', 'checkbox'],
+            ['showGeneEffectSD', 'showGeneEffectSD', 'checkbox'],
+            ['colorByGeneEffect', 'colorByGeneEffect', 'checkbox'],
+            ['colorGEType', 'colorGEType', 'radio'],
+            ['colorByCluster', 'colorByCluster', 'checkbox'],
+            ['colorByStats', 'colorByStats', 'checkbox'],
+            ['colorStatType', 'colorStatType', 'radio'],
+            ['colorScale', 'colorScale', 'radio'],
+            ['statsLabelDisplay', 'statsLabelDisplay', 'radio']
+        ];
+    }
+
+    saveSession() {
+        if (!this.results?.success || !this.network) {
+            alert('Run an analysis first - a session stores the current network.');
+            return;
+        }
+
+        // JSON has no NaN (e.g. q-values, means of empty groups); store non-finite numbers as strings
+        const json = JSON.stringify(this.buildSessionData(), (key, value) =>
+            (typeof value === 'number' && !isFinite(value) ? String(value) : value), 2);
+        const date = new Date().toISOString().slice(0, 10);
+        this.downloadFile(json, `correlate_session_${date}.json`, 'application/json');
+    }
+
+    // Node positions and zoom are left out with layout = false (history entries are
+    // recorded before the network has settled, so they are laid out again on reopening)
+    buildSessionData(layout = true) {
+        const style = {};
+        this.getSessionStyleControls().forEach(([key, id, kind]) => {
+            if (kind === 'radio') {
+                style[key] = document.querySelector(`input[name="${id}"]:checked`)?.value;
+            } else if (kind === 'checkbox') {
+                style[key] = document.getElementById(id).checked;
+            } else {
+                style[key] = document.getElementById(id).value;
+            }
+        });
+
+        return {
+            format: 'correlate-session',
+            version: this.getSessionVersion(),
+            savedAt: new Date().toISOString(),
+            release: this.currentRelease.id,
+            releaseLabel: this.currentRelease.label,
+            settings: this.buildUrlState().toString(),
+            results: this.results,
+            geneStats: this.geneStats ? Array.from(this.geneStats.values()) : null,
+            synonymsUsed: this.synonymsUsed,
+            network: {
+                positions: layout ? this.network.getPositions() : null,
+                hiddenNodes: (this.hiddenNodes || []).map(node => node.id),
+                view: layout ? { position: this.network.getViewPosition(), scale: this.network.getScale() } : null,
+                style
+            }
+        };
+    }
+
+    handleSessionFileUpload(event) {
+        const file = event.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = async (e) => {
+            try {
+                const session = JSON.parse(e.target.result, (key, value) =>
+                    (value === 'NaN' || value === 'Infinity' || value === '-Infinity' ? Number(value) : value));
+                await this.openSession(session);
+            } catch (error) {
+                console.error('Session error:', error);
+                this.showStatus('error', 'Could not open session: ' + error.message);
+            }
+        };
+        reader.readAsText(file);
+        // Allow opening the same file again
+        event.target.value = '';
+    }
+
+    // Restore a saved session exactly as it was, without recomputing any correlations
+    async openSession(session, action = 'Session opened') {
+        if (session?.format !== 'correlate-session' || !session.results?.correlations) {
+            throw new Error('not a Correlate session file');
+        }
+        if (session.version > this.getSessionVersion()) {
+            throw new Error(`session version ${session.version} is newer than this app supports`);
+        }
+        // Inspect and gene effect views read the matrix, so load the session's release
+        await this.loadSavedRelease(session);
+        // Biomarker and drug results also read the expression / drug response matrix
+        for (const source of session.results.sources || []) await this.ensureSourceLoaded(source);
+
+        this.restoringUrlState = true;
+        try {
+            this.applyUrlStateControls(new URLSearchParams(session.settings || ''));
+
+            this.geneStats = session.geneStats ? new Map(session.geneStats.map(stats => [stats.gene, stats])) : null;
+            const hasStats = session.geneStats?.some(stats => stats.lfc !== undefined || stats.fdr !== undefined);
+            document.getElementById('statsControls').style.display = hasStats ? 'block' : 'none';
+            this.synonymsUsed = session.synonymsUsed || [];
+
+            const network = session.network || {};
+            this.results = session.results;
+            this.pendingNetworkLayout = network.positions ? { positions: network.positions, view: network.view } : null;
+            this.displayResults();
+
+            // Re-apply style controls through their own listeners, which restyle the network
+            const style = network.style || {};
+            this.getSessionStyleControls().forEach(([key, id, kind]) => {
+                if (style[key] === undefined) return;
+                let el;
+                if (kind === 'radio') {
+                    el = document.querySelector(`input[name="${id}"][value="${style[key]}"]`);
+                    if (el) el.checked = true;
+                } else if (kind === 'checkbox') {
+                    el = document.getElementById(id);
+                    el.checked = style[key];
+                } else {
+                    el = document.getElementById(id);
+                    el.value = style[key];
+                }
+                if (el) el.dispatchEvent(new Event(kind === 'range' ? 'input' : 'change'));
+            });
+
+            this.hideNetworkNodes(network.hiddenNodes || []);
+        } finally {
+            this.restoringUrlState = false;
+        }
+        this.updateUrlHash();
+
+        const savedAt = session.savedAt ? ` (saved ${new Date(session.savedAt).toLocaleString()})` : '';
+        this.showStatus('success',
+            `&#10003; ${action}${savedAt}: ${this.results.correlations.length} correlations, ${this.results.clusters.length} genes in network`);
+    }
+
+    // Load the release a session or history entry was saved with. Results of a release this
+    // app does not serve, or of own data other than the data loaded now, would be shown against
+    // the wrong matrix, so these throw. Files without a release keep the data loaded now
+    async loadSavedRelease(saved) {
+        if (!saved.release) return;
+        if (saved.release === 'custom') {
+            if (this.currentRelease?.id !== 'custom' || (saved.releaseLabel && saved.releaseLabel !== this.currentRelease.label)) {
+                throw new Error(`it was saved with ${saved.releaseLabel || 'own data'}; load the same data first`);
+            }
+            return;
+        }
+        if (!this.releases.some(r => r.id === saved.release)) {
+            throw new Error(`its data release (${saved.releaseLabel || saved.release}) is not available here`);
+        }
+        if (!(await this.switchRelease(saved.release, false))) {
+            throw new Error(`${this.getReleaseLabel(saved.release)} could not be loaded`);
+        }
+    }
+
+    // ============================================================
+    // Data Releases
+    // ============================================================
+
+    // Without web_data/releases.json the app serves the single release in web_data/ (see setReleaseManifest)
+    async loadReleaseManifest() {
+        let manifest = null;
+        try {
+            const response = await fetch('web_data/releases.json');
+            if (response.ok) {
+                this.releaseManifestText = await response.text();
+                manifest = JSON.parse(this.releaseManifestText);
+            }
+        } catch (error) {
+            console.warn('No release manifest, using web_data/:', error);
+        }
+        this.setReleaseManifest(manifest);
+        this.embedAllowedOrigins = Array.isArray(manifest?.embedOrigins) ? manifest.embedOrigins : [];
+
+        const select = document.getElementById('releaseSelect');
+        select.innerHTML = this.releases.map(r => `<option value="${r.id}">${r.label}</option>`).join('');
+        document.getElementById('releaseSelectGroup').style.display = this.releases.length > 1 ? 'block' : 'none';
+        document.getElementById('compareReleasesBtn').style.display = this.releases.length > 1 ? 'block' : 'none';
+    }
+
+    getReleaseLabel(releaseId = this.currentRelease?.id) {
+        if (releaseId === this.currentRelease?.id) return this.currentRelease.label;
+        return this.releases.find(r => r.id === releaseId)?.label || `DepMap ${releaseId}`;
+    }
+
+    // Reload metadata and the gene effect matrix for another release. With rerun, the
+    // analysis on screen is run again on the new data
+    async switchRelease(releaseId, rerun = true) {
+        const release = this.getRelease(releaseId);
+        if (release.id === this.currentRelease?.id) return true;
+
+        this.cancelAnalysis();
+        document.getElementById('loadingOverlay').classList.remove('hidden');
+        try {
+            await this.loadData(release.id);
+        } catch (error) {
+            console.error('Release switch error:', error);
+            this.hideLoading();
+            this.showStatus('error', `Could not load ${release.label}: ${error.message}. Select it again to retry`);
+            // loadRelease leaves the data in memory untouched on failure, an uploaded matrix included
+            document.getElementById('releaseSelect').value = this.currentRelease.id;
+            return false;
+        }
+        this.hideLoading();
+
+        this.resetDatasetCaches();
+        this.otherReleases.delete(release.id);
+        const select = document.getElementById('releaseSelect');
+        select.querySelector('option[value="custom"]')?.remove();
+        select.value = release.id;
+        document.getElementById('releaseSelectGroup').style.display = this.releases.length > 1 ? 'block' : 'none';
+        document.getElementById('compareReleasesBtn').style.display = this.releases.length > 1 ? 'block' : 'none';
+
+        const hadResults = this.results?.success || this.mutationResults || this.differentialResults;
+        if (rerun && hadResults) {
+            await this.runAnalysis();
+        } else {
+            this.showStatus('info', `Switched to ${release.label}`);
+            this.updateUrlHash();
+        }
+        return true;
+    }
+
+    // Metadata and matrix of a release other than the current one (kept for later comparisons)
+    async loadReleaseData(release) {
+        if (release.id === this.currentRelease.id) {
+            return { metadata: this.metadata, geneEffects: this.geneEffects, geneIndex: this.geneIndex };
+        }
+        if (!this.otherReleases.has(release.id)) {
+            const response = await fetch(release.path + 'metadata.json');
+            if (!response.ok) throw new Error(`${release.label} metadata not found`);
+            const metadata = await response.json();
+            const { matrix } = await this.fetchGeneEffects(release, metadata);
+            const geneIndex = new Map(metadata.genes.map((gene, idx) => [gene.toUpperCase(), idx]));
+            this.otherReleases.set(release.id, { metadata, geneEffects: matrix, geneIndex });
+        }
+        return this.otherReleases.get(release.id);
+    }
+
+    // Inspect: the correlation of the current gene pair in every release, over all of each
+    // release's cell lines and over the cell lines screened in all releases
+    async showCompareReleases() {
+        if (!this.currentInspect) return;
+        const { gene1, gene2 } = this.currentInspect;
+        if (this.currentInspect.source1 !== 'effect' || this.currentInspect.source2 !== 'effect') {
+            alert('Compare Releases is only available for gene effect against gene effect.');
+            return;
+        }
+        const method = this.getActiveCorrelationMethod();
+        const sym = this.getCorrelationSymbol(method);
+        const compareTable = document.getElementById('compareTable');
+
+        document.getElementById('scatterPlot').style.display = 'none';
+        compareTable.style.display = 'block';
+
+        // An uploaded matrix is compared against every bundled release
+        const releases = this.currentRelease.custom ? [this.currentRelease, ...this.releases] : this.releases;
+        const loaded = [];
+        try {
+            for (const release of releases) {
+                compareTable.innerHTML = `<p style="font-size: 12px; color: #666;">Loading ${release.label}...</p>`;
+                loaded.push({ release, data: await this.loadReleaseData(release) });
+            }
+        } catch (error) {
+            console.error('Compare releases error:', error);
+            compareTable.innerHTML = `<p>Could not load release data: ${error.message}</p>`;
+            return;
+        }
+        if (this.currentInspect?.gene1 !== gene1 || this.currentInspect?.gene2 !== gene2) return;
+
+        // Cell lines present in every release
+        const shared = new Set(loaded[0].data.metadata.cellLines);
+        loaded.slice(1).forEach(({ data }) => {
+            const cellLines = new Set(data.metadata.cellLines);
+            shared.forEach(cl => {
+                if (!cellLines.has(cl)) shared.delete(cl);
+            });
+        });
+
+        const correlate = (x, y) => {
+            const stats = AnalysisCore.correlateValues(x, y, method);
+            return { ...stats, p: stats.n >= 3 ? AnalysisCore.correlationPValue(stats.correlation, stats.n) : NaN };
+        };
+        const tableData = loaded.map(({ release, data }) => {
+            const idx1 = data.geneIndex.get(gene1);
+            const idx2 = data.geneIndex.get(gene2);
+            const row = { release, current: release.id === this.currentRelease.id, found: idx1 !== undefined && idx2 !== undefined };
+            if (!row.found) return row;
+
+            const nCells = data.metadata.cellLines.length;
+            const x = AnalysisCore.decodeRow(data.geneEffects, nCells, idx1);
+            const y = AnalysisCore.decodeRow(data.geneEffects, nCells, idx2);
+            const sharedIdx = [];
+            data.metadata.cellLines.forEach((cl, i) => {
+                if (shared.has(cl)) sharedIdx.push(i);
+            });
+            row.all = correlate(x, y);
+            row.shared = correlate(sharedIdx.map(i => x[i]), sharedIdx.map(i => y[i]));
+            return row;
+        });
+
+        const fmt = (v, d = 3) => (v === undefined || isNaN(v) ? '-' : v.toFixed(d));
+        const fmtP = (v) => (v === undefined || isNaN(v) ? '-' : v.toExponential(1));
+        let html = `
+            <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 10px;">
+                <h4 style="margin: 0;">${gene1} vs ${gene2} across releases</h4>
+                <div>
+                    <button class="btn btn-primary btn-sm" id="backToGraphBtn" style="margin-right: 8px;">← Back to Graph</button>
+                    <button class="btn btn-success btn-sm" id="downloadReleaseCompareCSV">Download CSV</button>
+                </div>
+            </div>
+            <p style="font-size: 11px; color: #666; margin-bottom: 6px;">
+                ${this.getCorrelationMethodLabel(method)} correlation over all cell lines of each release, and over the ${shared.size} cell lines screened in every release
+                (differences there reflect reprocessing rather than new cell lines). Inspect filters and partial correlation are not applied.
+            </p>
+            <div class="table-container" style="max-height: 420px; overflow-y: auto;">
+            <table class="data-table" style="width: 100%; font-size: 11px;">
+                <thead>
+                    <tr>
+                        <th>Release</th>
+                        <th style="border-left: 2px solid #2563eb;">N (all)</th>
+                        <th>${sym} (all)</th>
+                        <th>Slope (all)</th>
+                        <th>p (all)</th>
+                        <th style="border-left: 2px solid #6b7280;">N (shared)</th>
+                        <th>${sym} (shared)</th>
+                        <th>Slope (shared)</th>
+                    </tr>
+                </thead>
+                <tbody>
+        `;
+        tableData.forEach(row => {
+            const label = row.current ? `<b>${row.release.label}</b> (current)` : row.release.label;
+            if (!row.found) {
+                html += `<tr><td>${label}</td><td colspan="7" style="text-align: center; color: #666;">Gene not in this release</td></tr>`;
+                return;
+            }
+            html += `
+                <tr${row.current ? ' style="background: #f0f9ff;"' : ''}>
+                    <td>${label}</td>
+                    <td style="text-align: center; border-left: 2px solid #2563eb;">${row.all.n}</td>
+                    <td style="text-align: center; font-weight: 600;">${fmt(row.all.correlation)}</td>
+                    <td style="text-align: center;">${fmt(row.all.slope)}</td>
+                    <td style="text-align: center;">${fmtP(row.all.p)}</td>
+                    <td style="text-align: center; border-left: 2px solid #6b7280;">${row.shared.n}</td>
+                    <td style="text-align: center; font-weight: 600;">${fmt(row.shared.correlation)}</td>
+                    <td style="text-align: center;">${fmt(row.shared.slope)}</td>
+                </tr>
+            `;
+        });
+        html += `
+                </tbody>
+            </table>
+            </div>
+        `;
+        compareTable.innerHTML = html;
+
+        document.getElementById('backToGraphBtn')?.addEventListener('click', () => {
+            compareTable.style.display = 'none';
+            document.getElementById('scatterPlot').style.display = 'block';
+        });
+
+        document.getElementById('downloadReleaseCompareCSV')?.addEventListener('click', () => {
+            let csv = `# Correlation method: ${this.getCorrelationMethodLabel(method)}\n`;
+            csv += `# Shared cell lines: ${shared.size}\n`;
+            csv += 'Release,N_all,r_all,slope_all,p_all,N_shared,r_shared,slope_shared\n';
+            tableData.forEach(row => {
+                if (!row.found) {
+                    csv += `${row.release.id},NA,NA,NA,NA,NA,NA,NA\n`;
+                    return;
+                }
+                csv += `${row.release.id},${row.all.n},${fmt(row.all.correlation, 4)},${fmt(row.all.slope, 4)},${isNaN(row.all.p) ? 'NA' : row.all.p.toExponential(2)},${row.shared.n},${fmt(row.shared.correlation, 4)},${fmt(row.shared.slope, 4)}\n`;
+            });
+            this.downloadFile(csv, `${gene1}_vs_${gene2}_releases_comparison.csv`, 'text/csv');
+        });
+    }
+
+    // ============================================================
+    // Own Gene Effect Matrix
+    // ============================================================
+
+    // Read a text file line by line without holding it in memory as one string
+    // (raw DepMap CRISPRGeneEffect.csv is ~400 MB). onProgress gets the fraction read
+    async streamFileLines(file, onLine, onProgress) {
+        const reader = file.stream().pipeThrough(new TextDecoderStream()).getReader();
+        let buffer = '';
+        let read = 0;
+        let first = true;
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            read += value.length;
+            buffer += value;
+            const lines = buffer.split(/\r\n|\n|\r/);
+            buffer = lines.pop();
+            lines.forEach(line => {
+                // Remove BOM (Byte Order Mark) if present (Excel UTF-8 exports)
+                if (first && line.charCodeAt(0) === 0xFEFF) line = line.slice(1);
+                first = false;
+                onLine(line);
+            });
+            if (onProgress) onProgress(Math.min(1, read / file.size));
+        }
+        if (buffer) onLine(first && buffer.charCodeAt(0) === 0xFEFF ? buffer.slice(1) : buffer);
+    }
+
+    // Tab, comma or semicolon (European Excel), as in parseStatsFile
+    detectDelimiter(line) {
+        if (line.includes('\t')) return '\t';
+        if (line.includes(';') && !line.includes(',')) return ';';
+        return ',';
+    }
+
+    // Cells of one line; a quoted cell may hold the delimiter, and "" inside it is a quote
+    splitRow(line, delimiter) {
+        if (!line.includes('"')) return line.split(delimiter).map(c => c.trim());
+        const cells = [];
+        let cell = '';
+        let quoted = false;
+        for (let i = 0; i < line.length; i++) {
+            const ch = line[i];
+            if (quoted) {
+                if (ch !== '"') {
+                    cell += ch;
+                } else if (line[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else if (ch === '"') {
+                quoted = true;
+            } else if (ch === delimiter) {
+                cells.push(cell.trim());
+                cell = '';
+            } else {
+                cell += ch;
+            }
+        }
+        cells.push(cell.trim());
+        return cells;
+    }
+
+    // Matrix with genes as rows and samples as columns, or samples as rows (DepMap
+    // CRISPRGeneEffect.csv). 'auto' decides from the header: gene-like column names
+    // (known symbols or "SYMBOL (EntrezID)") mean samples are rows
+    async parseGeneEffectFile(file, orientation = 'auto') {
+        let delimiter = null;
+        let header = null;
+        let rowsAreGenes = orientation === 'genes';
+        const rowNames = [];
+        const rows = [];
+        let skipped = 0;
+
+        await this.streamFileLines(file, line => {
+            if (!line.trim()) return;
+            if (!header) {
+                delimiter = this.detectDelimiter(line);
+                header = this.splitRow(line, delimiter).slice(1);
+                if (orientation === 'auto') {
+                    const sample = header.slice(0, 200);
+                    const geneLike = sample.filter(h => /\(\d+\)$/.test(h) || this.geneIndex.has(this.cleanGeneName(h))).length;
+                    rowsAreGenes = geneLike < sample.length / 2;
+                }
+                return;
+            }
+            const cols = this.splitRow(line, delimiter);
+            if (cols.length !== header.length + 1) {
+                skipped++;
+                return;
+            }
+            const values = new Float32Array(header.length);
+            for (let i = 0; i < header.length; i++) {
+                // Empty, NA and other non-numeric cells are missing values
+                values[i] = parseFloat(cols[i + 1]);
+            }
+            rowNames.push(cols[0]);
+            rows.push(values);
+        }, fraction => this.updateLoadingText(`Reading ${file.name}... ${Math.round(fraction * 100)}%`));
+
+        if (!header || rows.length === 0) throw new Error('the file needs a header row and at least one data row');
+
+        const rawGenes = rowsAreGenes ? rowNames : header;
+        const cellLines = rowsAreGenes ? header : rowNames;
+        const nCells = cellLines.length;
+
+        // Keep the first row of duplicated gene symbols
+        const genes = [];
+        const geneRows = [];
+        const seen = new Set();
+        rawGenes.forEach((name, i) => {
+            const gene = this.cleanGeneName(name);
+            if (!gene || seen.has(gene)) return;
+            seen.add(gene);
+            genes.push(gene);
+            geneRows.push(i);
+        });
+
+        this.updateLoadingText('Building gene effect matrix...');
+        const canShare = typeof SharedArrayBuffer !== 'undefined' && window.crossOriginIsolated;
+        const length = genes.length * nCells;
+        const effects = canShare
+            ? new Float32Array(new SharedArrayBuffer(length * Float32Array.BYTES_PER_ELEMENT))
+            : new Float32Array(length);
+        geneRows.forEach((src, g) => {
+            if (rowsAreGenes) {
+                effects.set(rows[src], g * nCells);
+            } else {
+                for (let c = 0; c < nCells; c++) effects[g * nCells + c] = rows[c][src];
+            }
+        });
+
+        return { genes, cellLines, effects, skipped, duplicates: rawGenes.length - genes.length };
+    }
+
+    // Sample annotation: an ID column plus lineage and optional subtype / name columns
+    // (DepMap Model.csv works as is). Returns { id -> { lineage, subtype, name } }
+    async parseSampleAnnotationFile(file) {
+        let delimiter = null;
+        let idCol = 0;
+        let lineageCol = -1;
+        let subtypeCol = -1;
+        let nameCol = -1;
+        const annotation = {};
+
+        await this.streamFileLines(file, line => {
+            if (!line.trim()) return;
+            if (delimiter === null) {
+                delimiter = this.detectDelimiter(line);
+                const headers = this.splitRow(line, delimiter).map(h => h.toLowerCase());
+                const find = (patterns) => {
+                    for (const pattern of patterns) {
+                        const idx = headers.findIndex(h => pattern.test(h));
+                        if (idx >= 0) return idx;
+                    }
+                    return -1;
+                };
+                idCol = Math.max(0, find([/^modelid$/, /^(sample|model|depmap)[ _]?id$/, /^(sample|cell[ _]?line)$/]));
+                lineageCol = find([/^oncotreelineage$/, /^lineage$/, /lineage/, /tissue/]);
+                subtypeCol = find([/^oncotreeprimarydisease$/, /primary[ _]?disease/, /subtype/, /disease/]);
+                nameCol = find([/^strippedcelllinename$/, /^cell[ _]?line[ _]?name$/, /^name$/]);
+                if (lineageCol < 0) throw new Error(`no lineage column in ${file.name}`);
+                return;
+            }
+            const cols = this.splitRow(line, delimiter);
+            const id = cols[idCol];
+            if (!id) return;
+            annotation[id] = {
+                lineage: cols[lineageCol] || '',
+                subtype: subtypeCol >= 0 ? cols[subtypeCol] || '' : '',
+                name: nameCol >= 0 ? cols[nameCol] || '' : ''
+            };
+        });
+        return annotation;
+    }
+
+    async loadCustomMatrix() {
+        const matrixFile = document.getElementById('customMatrixFile').files[0];
+        const annotationFile = document.getElementById('customAnnotationFile').files[0];
+        if (!matrixFile) {
+            alert('Please choose a gene effect matrix file (CSV/TSV).');
+            return;
+        }
+
+        this.cancelAnalysis();
+        document.getElementById('loadingOverlay').classList.remove('hidden');
+        let parsed;
+        let annotation = null;
+        try {
+            parsed = await this.parseGeneEffectFile(matrixFile, document.getElementById('customMatrixOrientation').value);
+            if (annotationFile) annotation = await this.parseSampleAnnotationFile(annotationFile);
+        } catch (error) {
+            console.error('Matrix error:', error);
+            this.hideLoading();
+            this.showStatus('error', `Could not load ${matrixFile.name}: ${error.message}`);
+            return;
+        }
+        this.hideLoading();
+
+        // Samples without their own annotation keep what the current data knows about
+        // them, so DepMap model IDs get lineage (and hotspot mutations) from the bundled data
+        const previous = this.cellLineMetadata || {};
+        const cellLineMetadata = { cellLines: parsed.cellLines, cellLineName: {}, strippedCellLineName: {}, lineage: {}, primaryDisease: {}, subtype: {} };
+        parsed.cellLines.forEach(id => {
+            const own = annotation?.[id];
+            const lineage = own?.lineage || previous.lineage?.[id];
+            const subtype = own?.subtype || previous.primaryDisease?.[id];
+            const name = own?.name || previous.strippedCellLineName?.[id];
+            if (lineage) cellLineMetadata.lineage[id] = lineage;
+            if (subtype) cellLineMetadata.primaryDisease[id] = subtype;
+            if (name) cellLineMetadata.strippedCellLineName[id] = name;
+            if (previous.cellLineName?.[id]) cellLineMetadata.cellLineName[id] = previous.cellLineName[id];
+        });
+
+        this.metadata = { nGenes: parsed.genes.length, nCellLines: parsed.cellLines.length, genes: parsed.genes, cellLines: parsed.cellLines };
+        this.cellLineMetadata = cellLineMetadata;
+        this.nGenes = parsed.genes.length;
+        this.nCellLines = parsed.cellLines.length;
+        this.geneNames = parsed.genes;
+        this.geneIndex = new Map(parsed.genes.map((gene, idx) => [gene, idx]));
+        this.geneEffects = AnalysisCore.float32Matrix(parsed.effects);
+        this.geneEffectsFromCache = false;
+        this.currentRelease = { id: 'custom', label: `Own data: ${matrixFile.name}`, path: null, custom: true };
+
+        const select = document.getElementById('releaseSelect');
+        select.querySelector('option[value="custom"]')?.remove();
+        select.insertAdjacentHTML('afterbegin', `<option value="custom">${this.currentRelease.label}</option>`);
+        select.value = 'custom';
+        document.getElementById('releaseSelectGroup').style.display = 'block';
+        document.getElementById('compareReleasesBtn').style.display = 'block';
+
+        this.showDatasetLoaded();
+        this.resetDatasetCaches();
+
+        if (this.results?.success || this.mutationResults || this.differentialResults) {
+            await this.runAnalysis();
+            return;
+        }
+
+        const annotated = parsed.cellLines.filter(id => cellLineMetadata.lineage[id]).length;
+        const notes = [];
+        if (parsed.duplicates > 0) notes.push(`${parsed.duplicates} duplicate genes ignored`);
+        if (parsed.skipped > 0) notes.push(`${parsed.skipped} malformed rows skipped`);
+        this.showStatus('success',
+            `&#10003; Loaded ${matrixFile.name}: ${this.nGenes.toLocaleString()} genes, ${this.nCellLines.toLocaleString()} samples ` +
+            `(${annotated} with lineage)${notes.length > 0 ? '. ' + notes.join(', ') : ''}`);
+        this.updateUrlHash();
+    }
+
+    // ============================================================
+    // Mutation Layers
+    // ============================================================
+
+    // Thresholds as set in the copy number inputs; the engine defaults where empty or invalid
+    getCopyNumberThresholds() {
+        const defaults = super.getCopyNumberThresholds();
+        const read = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return isNaN(value) ? fallback : value;
+        };
+        return {
+            gain: read('cnGainThreshold', defaults.gain),
+            amp: read('cnAmpThreshold', defaults.amp),
+            loss: read('cnLossThreshold', defaults.loss),
+            deepDel: read('cnDeepDelThreshold', defaults.deepDel)
+        };
+    }
+
+    // <optgroup> per layer for the feature selects; describe(key) gives the option text
+    buildMutationFeatureOptions(describe, sorted = false) {
+        const features = this.getMutationFeatures(sorted);
+        return this.getMutationLayers().map(layer => {
+            const options = features
+                .filter(key => this.parseMutationKey(key).layer === layer.id)
+                .map(key => `<option value="${key}">${describe(key)}</option>`)
+                .join('');
+            return `<optgroup label="${layer.label}">${options}</optgroup>`;
+        }).join('');
+    }
+
+    // Options of a level select (paramHotspotLevel etc.) named for the selected feature
+    getMutationLevelOptions(key, counts = null) {
+        const labels = this.getMutationLevelLabels(key);
+        const n = (level) => (counts ? ` (n=${counts[level]})` : '');
+        return `
+            <option value="all">All cells${n('all')}</option>
+            <option value="0">Only ${labels.none}${n(0)}</option>
+            <option value="1">Only ${labels.one}${n(1)}</option>
+            <option value="2">Only ${labels.two}${n(2)}</option>
+            <option value="1+2">Only ${labels.any} (1+2)${n('1+2')}</option>
+        `;
+    }
+
+    // Thresholds regroup every copy number feature, so counts and open views are refreshed
+    onCopyNumberThresholdsChanged() {
+        this.copyNumberLevels.clear();
+        this.updateHotspotCountsForCurrentFilters();
+        this.updateUrlHash();
+    }
+
+    // ============================================================
+    // Expression and Drug Response Data
+    // ============================================================
+
+    // "ERBB2 vs GRB7", or "ERBB2 expression vs ERBB2 effect" / "TRAMETINIB response vs MAP2K1 effect"
+    // when either side is not gene effect
+    formatSourcePair({ gene1, gene2, source1 = 'effect', source2 = 'effect' }) {
+        if (source1 === 'effect' && source2 === 'effect') return `${gene1} vs ${gene2}`;
+        const tag = (source) => ({ expression: 'expression', drug: 'response' }[source] || 'effect');
+        return `${gene1} ${tag(source1)} vs ${gene2} ${tag(source2)}`;
+    }
+
+    async loadAlignedSource(kind, metadataFile, dataFile, cleanName) {
+        const source = await super.loadAlignedSource(kind, metadataFile, dataFile, cleanName);
+        // Workers started before this point only have the gene effects
+        (this.workerPool || []).forEach(entry => {
+            entry.worker.postMessage({ type: 'source', name: kind, matrix: source.matrix, nCellLines: this.nCellLines });
+        });
+        return source;
+    }
+
+    // Load a data source on first use; false (with an error status) when it is unavailable
+    async ensureSourceLoaded(kind) {
+        if (kind === 'effect' || this.getLoadedSources()[kind]) return true;
+        const label = this.getSourceLabel(kind, true).toLowerCase();
+        this.showStatus('info', `Loading ${label} data...`);
+        try {
+            const source = await (kind === 'drug' ? this.loadDrugs() : this.loadExpression());
+            const rows = kind === 'drug' ? 'compounds' : 'genes';
+            this.showStatus('info', `${this.getSourceLabel(kind, true)} data loaded: ${source.nGenes} ${rows}, ${source.nProfiled} of ${this.nCellLines} cell lines profiled`);
+            return true;
+        } catch (error) {
+            console.error(`${this.getSourceLabel(kind, true)} loading error:`, error);
+            this.showStatus('error', `${this.getSourceLabel(kind, true)} data unavailable: ` + error.message);
+            return false;
+        }
+    }
+
+    // ============================================================
+    // Scripting API (window.correlate)
+    // ============================================================
+
+    // Promise-based API for the browser console and bookmarklets (see "Scripting API" in the
+    // README). Calls wait for the data, use the app defaults for options left out (not the
+    // values in the form) and resolve with plain data; only openInspect and openGeneEffect
+    // change what is on screen. The analyses run one at a time, each as its own job (see
+    // createAnalysisJob), so the app's Cancel button and runs started in the app leave them be
+    installScriptingApi() {
+        const call = (fn) => async (...args) => {
+            await this.dataReady;
+            return fn.apply(this, args);
+        };
+        let queue = Promise.resolve();
+        const queued = (fn) => (...args) => {
+            const run = queue.then(() => call(fn)(...args));
+            queue = run.catch(() => {});
+            return run;
+        };
+        window.correlate = Object.freeze({
+            version: 1,
+            ready: this.dataReady,
+            runAnalysis: queued(this.scriptRunAnalysis),
+            runMutationAnalysis: queued(this.scriptRunMutationAnalysis),
+            runDifferentialCorrelation: queued(this.scriptRunDifferentialCorrelation),
+            getCellLines: call(this.scriptGetCellLines),
+            getInspectData: call(this.scriptGetInspectData),
+            openInspect: call(this.scriptOpenInspect),
+            getGeneEffect: call(this.scriptGetGeneEffect),
+            openGeneEffect: call(this.scriptOpenGeneEffect),
+            exportCorrelations: call((results = this.results) => this.buildCorrelationsCSV(this.checkScriptResults(results))),
+            exportClusters: call((results = this.results) => {
+                const filters = this.checkScriptResults(results).filters || {
+                    lineage: document.getElementById('lineageFilter').value,
+                    subtype: document.getElementById('subLineageFilter')?.value
+                };
+                return this.buildClustersCSV(results, { lineage: filters.lineage, subLineage: filters.subtype });
+            }),
+            exportMutationResults: call((mutationResults = this.mutationResults) => {
+                if (!mutationResults) throw new Error('No mutation results to export');
+                return this.buildMutationResultsCSV(mutationResults);
+            }),
+            exportDifferentialResults: call((differentialResults = this.differentialResults) => {
+                if (!differentialResults) throw new Error('No differential correlation results to export');
+                return this.buildDifferentialCorrelationCSV(differentialResults);
+            })
+        });
+    }
+
+    checkScriptResults(results) {
+        if (!results?.success) throw new Error('No correlation results to export');
+        return results;
+    }
+
+    // Genes as an array or a string separated by whitespace or commas
+    parseScriptGenes(genes) {
+        const list = Array.isArray(genes) ? genes.map(String) : String(genes || '').split(/[\s,]+/);
+        return list.map(g => g.trim()).filter(g => g !== '');
+    }
+
+    // { lineage, subtype, hotspot, hotspotLevel } of a call as taken by filterCellLines; all off by default
+    getScriptFilters(options) {
+        const hotspotGene = options.hotspot || '';
+        if (hotspotGene && !this.getMutationData(hotspotGene)) throw new Error(`No mutation or copy number data for ${hotspotGene}`);
+        return {
+            lineage: options.lineage || '',
+            subLineage: options.subtype || '',
+            hotspotGene,
+            hotspotLevel: options.hotspotLevel || 'all'
+        };
+    }
+
+    async loadScriptSource(kind) {
+        if (kind === 'expression') await this.loadExpression();
+        if (kind === 'drug') await this.loadDrugs();
+        return this.getDataSource(kind);
+    }
+
+    // options: { mode ('design' | 'analysis' | 'bipartite' | 'biomarker' | 'drug'), genes, genesB (bipartite
+    //           mode: list B, tested against genes as list A), cutoff, topN, minCells, minSlope,
+    //           maxFdr, method, partial ({ lineage, hotspots }), expand, direction, clustering ('components' |
+    //           'louvain' | 'leiden'), resolution, lineage, subtype, hotspot, hotspotLevel }. With topN the
+    //           cutoff is the minimum |r| and defaults to 0. Resolves with the results as the app keeps them
+    //           (success false and an error when nothing passes), plus the filters used and the genes not found
+    async scriptRunAnalysis(options = {}) {
+        const mode = options.mode || 'design';
+        if (!['design', 'analysis', 'bipartite', 'biomarker', 'drug'].includes(mode)) throw new Error(`Unknown analysis mode: ${mode}`);
+        const method = options.method || 'pearson';
+        if (!AnalysisCore.CORRELATION_METHODS.includes(method)) throw new Error(`Unknown correlation method: ${method}`);
+        const direction = options.direction || (mode === 'drug' ? 'gene' : 'effect');
+        const sources = this.getModeSources(mode, direction);
+        for (const kind of sources) await this.loadScriptSource(kind);
+
+        const requested = this.parseScriptGenes(options.genes);
+        const geneIndex = this.getDataSource(sources[0]).geneIndex;
+        const geneList = this.parseGeneList(requested.join('\n'), geneIndex);
+        if (geneList.length === 0) throw new Error(`No valid ${sources[0] === 'drug' ? 'compound' : 'gene'} given`);
+        if (mode === 'analysis' && geneList.length < 2) throw new Error('Analysis mode requires at least 2 genes');
+        const requestedB = mode === 'bipartite' ? this.parseScriptGenes(options.genesB) : [];
+        const geneListB = this.parseGeneList(requestedB.join('\n'), geneIndex);
+
+        const hotspots = options.partial?.hotspots || [];
+        hotspots.forEach(key => {
+            if (!this.getMutationData(key)) throw new Error(`No mutation or copy number data for ${key}`);
+        });
+        const partial = options.partial ? { lineage: !!options.partial.lineage, hotspots } : null;
+
+        const minN = options.minCells ?? 50;
+        const filters = this.getScriptFilters(options);
+        const cellLineIndices = this.filterCellLines(filters);
+        if (cellLineIndices.length < Math.max(minN, 10)) {
+            throw new Error(`Too few cell lines for analysis (${cellLineIndices.length} available, ${Math.max(minN, 10)} required)`);
+        }
+
+        const topN = options.topN ?? null;
+        const cutoff = options.cutoff ?? (topN !== null ? 0 : 0.5);
+        const results = await this.calculateCorrelations(geneList, mode, cutoff, minN, options.minSlope ?? 0.1, cellLineIndices, {
+            expandNetwork: mode === 'design' && !!options.expand,
+            maxFdr: options.maxFdr ?? null,
+            method,
+            topN,
+            partial,
+            direction,
+            clustering: { method: options.clustering || 'components', resolution: options.resolution ?? 1 },
+            geneListB,
+            job: this.createAnalysisJob()
+        });
+        const extra = {
+            filters: { lineage: filters.lineage, subtype: filters.subLineage, hotspot: filters.hotspotGene, hotspotLevel: filters.hotspotLevel },
+            notFound: [...requested, ...requestedB].filter(gene => !geneIndex.has(gene.toUpperCase()))
+        };
+        return results.success ? { ...results, ...extra } : { ...results, correlations: [], clusters: [], ...extra };
+    }
+
+    // options: { mutation (feature key, e.g. 'KRAS' or 'MYC:amp'), pThreshold, pAdjust ('raw' | 'bh' |
+    //           'bonferroni'), minCells, lineage, subtype, hotspot, hotspotLevel }. Copy number levels
+    //           use the thresholds set in the app
+    async scriptRunMutationAnalysis(options = {}) {
+        const hotspotGene = options.mutation || '';
+        if (!this.getMutationData(hotspotGene)) throw new Error(`No mutation or copy number data for ${hotspotGene || '(no mutation given)'}`);
+        const pAdjust = options.pAdjust || 'bh';
+        if (!['raw', 'bh', 'bonferroni'].includes(pAdjust)) throw new Error(`Unknown p-value adjustment: ${pAdjust}`);
+        const filters = this.getScriptFilters(options);
+        const settings = {
+            hotspotGene,
+            pThreshold: options.pThreshold ?? 0.001,
+            pAdjust,
+            minN: options.minCells ?? 50,
+            lineageFilter: filters.lineage,
+            subLineageFilter: filters.subLineage,
+            additionalHotspot: filters.hotspotGene,
+            additionalHotspotLevel: filters.hotspotLevel
+        };
+        const analysisResult = await this.calculateMutationAnalysis(hotspotGene, settings.minN, filters.lineage, filters.subLineage,
+            filters.hotspotGene, filters.hotspotLevel, null, this.createAnalysisJob());
+        return this.buildMutationResults(analysisResult, settings);
+    }
+
+    // options: { gene, groupBy ('lineage' | 'subtype' | 'mutation'), feature (groupBy 'mutation': feature key),
+    //           groupA, groupB (lineage, subtype or level '0' | '1' | '2' | '1+2'; all other cell lines when
+    //           left out), pThreshold, pAdjust ('raw' | 'bh' | 'bonferroni'), minCells (per group), lineage,
+    //           subtype, hotspot, hotspotLevel }
+    async scriptRunDifferentialCorrelation(options = {}) {
+        const gene = this.parseGeneList(String(options.gene || ''))[0];
+        if (!gene) throw new Error(`Gene ${options.gene || '(no gene given)'} not found`);
+        const pAdjust = options.pAdjust || 'bh';
+        if (!['raw', 'bh', 'bonferroni'].includes(pAdjust)) throw new Error(`Unknown p-value adjustment: ${pAdjust}`);
+        const grouping = {
+            by: options.groupBy || 'lineage',
+            feature: options.feature || '',
+            groupA: String(options.groupA ?? ''),
+            groupB: String(options.groupB ?? '')
+        };
+        if (grouping.by === 'mutation') {
+            const levels = ['0', '1', '2', '1+2'];
+            [grouping.groupA, grouping.groupB].filter(level => level !== '').forEach(level => {
+                if (!levels.includes(level)) throw new Error(`Unknown level: ${level} (known: ${levels.join(', ')})`);
+            });
+        }
+        const filters = this.getScriptFilters(options);
+        const minN = options.minCells ?? 50;
+        const analysisResult = await this.calculateDifferentialCorrelation(gene, grouping, minN, this.filterCellLines(filters), null, this.createAnalysisJob());
+        return this.buildDifferentialResults(analysisResult, { pThreshold: options.pThreshold ?? 0.001, pAdjust, minN, filters });
+    }
+
+    // { indices, cellLines } of the cell lines passing { lineage, subtype, hotspot, hotspotLevel }
+    scriptGetCellLines(filters = {}) {
+        const indices = this.filterCellLines(this.getScriptFilters(filters));
+        return { indices, cellLines: indices.map(i => this.metadata.cellLines[i]) };
+    }
+
+    // Values of a pair over the cell lines with data for both; options: { source1, source2
+    // ('effect' | 'expression' | 'drug'), method (the method of the results on screen by default) }
+    async scriptGetInspectData(gene1, gene2, options = {}) {
+        const { source1 = 'effect', source2 = 'effect', method = this.getActiveCorrelationMethod() } = options;
+        const genes = [String(gene1).trim().toUpperCase(), String(gene2).trim().toUpperCase()];
+        const sources = [source1, source2];
+        for (let i = 0; i < 2; i++) {
+            const source = await this.loadScriptSource(sources[i]);
+            if (!source.geneIndex.has(genes[i])) throw new Error(`${genes[i]} not found in ${this.getSourceLabel(sources[i])}`);
+        }
+
+        const points = this.buildInspectPlotData(genes[0], genes[1], source1, source2);
+        const stats = AnalysisCore.correlateValues(points.map(d => d.x), points.map(d => d.y), method);
+        return {
+            gene1: genes[0],
+            gene2: genes[1],
+            source1,
+            source2,
+            method,
+            correlation: stats.correlation,
+            slope: stats.slope,
+            n: stats.n,
+            points: points.map(d => ({ cellLine: d.cellLineId, name: d.cellLineName, lineage: d.lineage, x: d.x, y: d.y }))
+        };
+    }
+
+    async scriptOpenInspect(gene1, gene2, options = {}) {
+        const data = await this.scriptGetInspectData(gene1, gene2, { ...options, method: this.getActiveCorrelationMethod() });
+        this.openInspect({ gene1: data.gene1, gene2: data.gene2, source1: data.source1, source2: data.source2, correlation: data.correlation });
+        return data;
+    }
+
+    // Gene effect of one gene over all cell lines with data, with the mean and SD the gene effect view shows
+    scriptGetGeneEffect(gene) {
+        const geneUpper = String(gene).trim().toUpperCase();
+        if (!this.geneIndex.has(geneUpper)) throw new Error(`Gene "${gene}" not found in the dataset`);
+        const geneData = this.getGeneData(this.geneIndex.get(geneUpper));
+
+        const values = [];
+        this.metadata.cellLines.forEach((cellLine, i) => {
+            if (isNaN(geneData[i])) return;
+            values.push({ cellLine, name: this.getCellLineName(cellLine), lineage: this.getCellLineLineage(cellLine), value: geneData[i] });
+        });
+        const mean = values.reduce((sum, v) => sum + v.value, 0) / values.length;
+        const sd = Math.sqrt(values.reduce((sum, v) => sum + (v.value - mean) ** 2, 0) / values.length);
+        return { gene: geneUpper, mean, sd, n: values.length, values };
+    }
+
+    // options: { view ('tissue' | 'hotspot') }
+    scriptOpenGeneEffect(gene, options = {}) {
+        const data = this.scriptGetGeneEffect(gene);
+        this.openGeneEffectModal(data.gene, options.view === 'hotspot' ? 'hotspot' : 'tissue');
+        return data;
+    }
+
+    // ============================================================
+    // Embedding (iframe + postMessage)
+    // ============================================================
+
+    // index.html?embed=1 leaves out the site header, links, footer and history; &tabs=network,clusters
+    // shows only these results tabs and &inputs=0 hides the sidebar for pages that drive the
+    // analysis over postMessage (see "Embedding" in the README)
+    // Whether the page is embedded (?embed=1); if so, hides what embedding pages do not need
+    applyEmbedMode() {
+        const params = new URLSearchParams(window.location.search);
+        if (params.get('embed') !== '1') return false;
+        document.body.classList.add('embed');
+        if (params.get('inputs') === '0') document.body.classList.add('embed-no-inputs');
+
+        const tabs = (params.get('tabs') || '').split(',').filter(tab => tab !== '');
+        if (tabs.length > 0) {
+            document.querySelectorAll('.nav-link[data-tab]').forEach(link => {
+                link.classList.toggle('embed-hidden', !tabs.includes(link.dataset.tab));
+            });
+            this.showResultsTab('network');
+        }
+        return true;
+    }
+
+    isEmbedOriginAllowed(origin) {
+        return origin === window.location.origin || this.embedAllowedOrigins.includes(origin);
+    }
+
+    // Messages { protocol: 'correlate', version, id, type, payload } are answered with the same
+    // protocol, version, id and type plus ok and a payload, or ok: false and an error. Messages
+    // from other origins are ignored; the allowed origins are known once the data is loaded
+    installEmbedApi() {
+        window.addEventListener('message', async (event) => {
+            const msg = event.data;
+            if (msg?.protocol !== 'correlate' || !event.source) return;
+            await this.dataReady;
+            if (!this.isEmbedOriginAllowed(event.origin)) return;
+            const reply = (fields) => this.postEmbedMessage(event.source, event.origin, { id: msg.id, type: msg.type, ...fields });
+            this.handleEmbedMessage(msg).then(
+                payload => reply({ ok: true, payload }),
+                error => reply({ ok: false, error: error.message })
+            );
+        });
+        this.dataReady.then(() => this.notifyEmbedHost('ready', this.getEmbedInfo()));
+    }
+
+    postEmbedMessage(target, origin, fields) {
+        try {
+            target.postMessage({ protocol: 'correlate', version: this.EMBED_PROTOCOL_VERSION, ...fields }, origin);
+        } catch (error) {
+            console.warn('Could not post message:', error);
+        }
+    }
+
+    // Events for the page embedding the app ('ready', 'analysisComplete'). Its origin is not
+    // known, so the event is posted for each allowed origin and the browser delivers the match
+    notifyEmbedHost(type, payload) {
+        if (!this.embedMode || window.parent === window) return;
+        ['/', ...this.embedAllowedOrigins].forEach(origin => this.postEmbedMessage(window.parent, origin, { type, payload }));
+    }
+
+    async handleEmbedMessage(msg) {
+        if (msg.version !== this.EMBED_PROTOCOL_VERSION) {
+            throw new Error(`Unsupported protocol version ${msg.version} (supported: ${this.EMBED_PROTOCOL_VERSION})`);
+        }
+        const handlers = {
+            hello: () => this.getEmbedInfo(),
+            loadGenes: (payload) => this.embedLoadGenes(payload),
+            loadStats: (payload) => this.embedLoadStats(payload),
+            setParameters: (payload) => this.embedSetParameters(payload),
+            run: () => this.embedRun(),
+            getResults: (payload) => this.embedGetResults(payload),
+            getFigure: (payload) => this.embedGetFigure(payload)
+        };
+        if (!Object.hasOwn(handlers, msg.type)) throw new Error(`Unknown message type: ${msg.type}`);
+        await this.dataReady;
+        return handlers[msg.type](msg.payload || {});
+    }
+
+    getEmbedInfo() {
+        return {
+            release: this.currentRelease.id,
+            releases: this.releases.map(r => r.id),
+            parameters: this.getEmbedParameters()
+        };
+    }
+
+    // Parameters in the form by their shareable link keys (see getUrlStateControls)
+    getEmbedParameters() {
+        const params = this.buildUrlState();
+        ['genes', 'genesB', 'release', 'hidden', 'inspect', 'inspectSources', 'residuals', 'geneEffect', 'geneEffectView'].forEach(key => params.delete(key));
+        return Object.fromEntries(params);
+    }
+
+    // Gene list of the form; stats from an earlier loadStats or the manual stats box are cleared
+    setEmbedGenes(genes, geneStats = null) {
+        this.geneStats = geneStats;
+        document.getElementById('manualStatsTextarea').value = 'Gene\tLFC\tFDR\n';
+        const hasStats = geneStats && [...geneStats.values()].some(stats => stats.lfc !== undefined || stats.fdr !== undefined);
+        document.getElementById('statsControls').style.display = hasStats ? 'block' : 'none';
+
+        document.getElementById('geneTextarea').value = genes.join('\n');
+        this.updateGeneCount();
+        return { genes: genes.length, notFound: genes.filter(gene => !this.geneIndex.has(gene.toUpperCase())) };
+    }
+
+    // payload: { genes, genesB } as arrays or strings separated by whitespace or commas; genesB
+    // (optional) is list B of two-list mode
+    embedLoadGenes(payload) {
+        const genes = this.parseScriptGenes(payload.genes);
+        if (genes.length === 0) throw new Error('No genes given');
+        if (payload.genesB === undefined) return this.setEmbedGenes(genes);
+
+        const genesB = this.parseScriptGenes(payload.genesB);
+        document.getElementById('geneTextareaB').value = genesB.join('\n');
+        const loaded = this.setEmbedGenes(genes);
+        return { ...loaded, genesB: genesB.length, notFoundB: genesB.filter(gene => !this.geneIndex.has(gene.toUpperCase())) };
+    }
+
+    // payload: { rows: [{ gene, lfc, fdr }] }; lfc and fdr are optional and colour the network as
+    // stats loaded from a file do
+    embedLoadStats(payload) {
+        if (!Array.isArray(payload.rows) || payload.rows.length === 0) throw new Error('No stats rows given');
+        const genes = [];
+        const geneStats = new Map();
+        payload.rows.forEach(row => {
+            const gene = String(row?.gene ?? '').trim().toUpperCase();
+            if (!gene) return;
+            genes.push(gene);
+
+            const stats = { gene };
+            if (row.lfc !== undefined && row.lfc !== null) stats.lfc = parseFloat(row.lfc) || null;
+            if (row.fdr !== undefined && row.fdr !== null) stats.fdr = parseFloat(row.fdr) || null;
+            geneStats.set(gene, stats);
+        });
+        if (genes.length === 0) throw new Error('No genes given');
+        return this.setEmbedGenes(genes, geneStats);
+    }
+
+    // payload: parameters by their shareable link keys, e.g. { mode: 'design', cutoff: 0.4, lineage: 'Lung',
+    // partialHotspots: ['KRAS'], expand: true }, plus release. Resolves with the parameters now set;
+    // values a control does not offer are rejected
+    async embedSetParameters(payload) {
+        const controlKeys = this.getUrlStateControls().map(([key]) => key);
+        const keys = ['release', 'mode', 'expand', 'partialLineage', 'partialHotspots', ...controlKeys,
+            ...this.getCopyNumberThresholdControls().map(([key]) => key)];
+        const unknown = Object.keys(payload).filter(key => !keys.includes(key));
+        if (unknown.length > 0) throw new Error(`Unknown parameter: ${unknown.join(', ')} (known: ${keys.join(', ')})`);
+        const modes = Array.from(document.querySelectorAll('input[name="analysisMode"]'), radio => radio.value);
+        if (payload.mode !== undefined && !modes.includes(payload.mode)) throw new Error(`Unknown analysis mode: ${payload.mode}`);
+
+        if (payload.release !== undefined) {
+            if (!this.releases.some(r => r.id === payload.release)) throw new Error(`Unknown release: ${payload.release}`);
+            if (!(await this.switchRelease(payload.release, false))) throw new Error(`Could not load release ${payload.release}`);
+        }
+
+        const params = this.buildUrlState();
+        Object.entries(payload).forEach(([key, value]) => {
+            if (key === 'release') return;
+            if (value === null || value === false) {
+                params.delete(key);
+            } else {
+                params.set(key, value === true ? '1' : Array.isArray(value) ? value.join(',') : String(value));
+            }
+        });
+        this.applyUrlStateControls(params);
+        this.updateUrlHash();
+
+        const parameters = this.getEmbedParameters();
+        const rejected = controlKeys.filter(key => payload[key] !== undefined && payload[key] !== null &&
+            (parameters[key] || '') !== String(payload[key]));
+        if (rejected.length > 0) throw new Error(`Not a valid value for ${rejected.join(', ')}`);
+        return parameters;
+    }
+
+    // Run the analysis set up in the form, as the Run button does; resolves with a summary
+    async embedRun() {
+        const mode = document.querySelector('input[name="analysisMode"]:checked').value;
+        if (mode === 'synonym') throw new Error('Synonym lookup cannot be run over postMessage');
+        const kind = ['mutation', 'differential'].includes(mode) ? mode : 'network';
+        const resultsOf = () => ({ mutation: this.mutationResults, differential: this.differentialResults })[kind] || this.results;
+        const previous = resultsOf();
+
+        await this.runAnalysis();
+        const results = resultsOf();
+        if (results === previous || (kind === 'network' && !results.success)) {
+            const status = document.querySelector('#analysisStatus .status-box');
+            throw new Error(status ? status.textContent.trim() : 'Analysis did not run');
+        }
+        return this.getEmbedSummary(kind);
+    }
+
+    getEmbedSummary(kind) {
+        if (kind === 'mutation') {
+            const mr = this.mutationResults;
+            return { kind, mutation: mr.hotspotGene, significant: mr.significantResults.length, nWT: mr.nWT, nMut: mr.nMut };
+        }
+        if (kind === 'differential') {
+            const dr = this.differentialResults;
+            return { kind, gene: dr.gene, groupA: dr.labelA, groupB: dr.labelB, significant: dr.significantResults.length, nA: dr.nA, nB: dr.nB };
+        }
+        const results = this.results;
+        return {
+            kind,
+            mode: results.mode,
+            release: results.release,
+            correlations: results.correlations.length,
+            genes: results.clusters.length,
+            nCellLines: results.nCellLines
+        };
+    }
+
+    // payload: { kind ('network' | 'mutation' | 'differential', the results on screen by default), format ('json' | 'csv') }.
+    // JSON is the results as the app keeps them (network nodes removed on screen in hidden);
+    // CSV is the text of the app's exports
+    embedGetResults(payload) {
+        const mode = document.querySelector('input[name="analysisMode"]:checked').value;
+        const kind = payload.kind || (['mutation', 'differential'].includes(mode) ? mode : 'network');
+        const format = payload.format || 'json';
+        if (!['json', 'csv'].includes(format)) throw new Error(`Unknown format: ${format}`);
+
+        if (kind === 'mutation') {
+            if (!this.mutationResults) throw new Error('No mutation results');
+            if (format === 'csv') return { kind, format, mutationResults: this.buildMutationResultsCSV(this.mutationResults) };
+            const { allResults, ...mutationResults } = this.mutationResults;
+            return { kind, format, ...mutationResults };
+        }
+        if (kind === 'differential') {
+            if (!this.differentialResults) throw new Error('No differential correlation results');
+            if (format === 'csv') return { kind, format, differentialResults: this.buildDifferentialCorrelationCSV() };
+            const { allResults, ...differentialResults } = this.differentialResults;
+            return { kind, format, ...differentialResults };
+        }
+        if (kind !== 'network') throw new Error(`Unknown results kind: ${kind}`);
+        if (!this.results?.success) throw new Error('No correlation results');
+        if (format === 'csv') {
+            const filters = {
+                lineage: document.getElementById('lineageFilter').value,
+                subLineage: document.getElementById('subLineageFilter')?.value
+            };
+            return {
+                kind,
+                format,
+                correlations: this.buildCorrelationsCSV(this.results),
+                clusters: this.buildClustersCSV(this.results, filters)
+            };
+        }
+        return {
+            kind,
+            format,
+            ...this.results,
+            geneStats: this.geneStats ? [...this.geneStats.values()] : null,
+            hidden: (this.hiddenNodes || []).map(n => n.id)
+        };
+    }
+
+    // payload: { format ('png' | 'svg') }; the network with its legend as a data URL, as downloaded
+    async embedGetFigure(payload) {
+        const format = payload.format || 'png';
+        if (!['png', 'svg'].includes(format)) throw new Error(`Unknown figure format: ${format}`);
+        if (!this.network || !this.results?.success) throw new Error('No network to export');
+
+        if (format === 'png') {
+            const dataUrl = await this.getNetworkPNGData();
+            if (!dataUrl) throw new Error('No network to export');
+            return { format, dataUrl };
+        }
+        const svg = this.getNetworkSVGData();
+        if (!svg) throw new Error('No network to export');
+        return { format, dataUrl: 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg) };
+    }
+
+    // ============================================================
+    // Offline Use (Service Worker)
+    // ============================================================
+
+    // sw.js caches the app, libraries and web_data files so the app works offline after
+    // the first visit. Only served pages can use it (not index.html opened as a file)
+    async registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(location.protocol)) return;
+
+        const firstVisit = !navigator.serviceWorker.controller;
+        let registration;
+        try {
+            registration = await navigator.serviceWorker.register('sw.js');
+        } catch (error) {
+            console.warn('Service worker not registered:', error);
+            return;
+        }
+
+        document.getElementById('updateBannerClose').addEventListener('click', () => {
+            document.getElementById('updateBanner').style.display = 'none';
+        });
+
+        // A new app version installs in the background and waits for the user
+        const offerUpdate = () => this.showUpdateBanner('A new version of Correlate is available.', () => {
+            // The page reloads on controllerchange once the new worker takes over
+            if (registration.waiting) registration.waiting.postMessage({ type: 'skip-waiting' });
+            else location.reload();
+        });
+        if (registration.waiting && !firstVisit) offerUpdate();
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate();
+            });
+        });
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateAccepted) location.reload();
+        });
+
+        // Tabs left open for days look for a new app version and data release when shown again
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState !== 'visible') return;
+            registration.update().catch(() => {});
+            this.checkForNewRelease();
+        });
+
+        // On the first visit the data was downloaded before the worker took over;
+        // hand it the files this page loaded (mostly from the browser cache) so they are kept
+        if (firstVisit) {
+            const ready = await navigator.serviceWorker.ready;
+            const urls = performance.getEntriesByType('resource').map(entry => entry.name);
+            ready.active?.postMessage({ type: 'cache-urls', urls });
+        }
+    }
+
+    async checkForNewRelease() {
+        if (!this.releaseManifestText) return;
+        try {
+            const response = await fetch('web_data/releases.json');
+            if (!response.ok) return;
+            const text = await response.text();
+            if (text !== this.releaseManifestText) {
+                this.showUpdateBanner('A new data release is available.', () => location.reload());
+            }
+        } catch (error) {
+            // Offline - checked again next time the tab is shown
+        }
+    }
+
+    showUpdateBanner(message, onReload) {
+        document.getElementById('updateBannerText').textContent = message;
+        document.getElementById('updateBannerReload').onclick = () => {
+            this.updateAccepted = true;
+            onReload();
+        };
+        document.getElementById('updateBanner').style.display = 'flex';
+    }
+
+    // ============================================================
+    // Local Cache (IndexedDB)
+    // ============================================================
+
+    // Opens the database once; resolves to null when IndexedDB is unavailable (e.g. private
+    // browsing), in which case nothing is cached and the history panel stays hidden
+    openCacheDB() {
+        if (!this.cacheDB) {
+            this.cacheDB = new Promise(resolve => {
+                if (typeof indexedDB === 'undefined') {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open('correlate-cache', 1);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    db.createObjectStore('matrices', { keyPath: 'key' });
+                    // Short summaries for the panel; full results live in historyData under the same id
+                    db.createObjectStore('history', { keyPath: 'id', autoIncrement: true });
+                    db.createObjectStore('historyData', { keyPath: 'id' });
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable:', request.error);
+                    resolve(null);
+                };
+                request.onblocked = () => resolve(null);
+            });
+        }
+        return this.cacheDB;
+    }
+
+    // Run fn(store, ...) in one transaction; resolves with the result of the request fn returns
+    async cacheTransaction(storeNames, mode, fn) {
+        const db = await this.openCacheDB();
+        if (!db) return null;
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(storeNames, mode);
+            const stores = [].concat(storeNames).map(name => tx.objectStore(name));
+            const request = fn(...stores);
+            tx.oncomplete = () => resolve(request ? request.result : null);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    // The manifest entry is part of the key: a release redeployed under the same id (new
+    // hash or date in releases.json) does not reuse the old matrix
+    getMatrixCacheKey(release, metadata) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < (release.entry || '').length; i++) {
+            hash = Math.imul(hash ^ release.entry.charCodeAt(i), 0x01000193);
+        }
+        const entryHash = (hash >>> 0).toString(16);
+        return `${release.id}|${entryHash}|${metadata.nGenes}x${metadata.nCellLines}|${metadata.scaleFactor}`;
+    }
+
+    async loadCachedGeneEffects(release, metadata) {
+        try {
+            const entry = await this.cacheTransaction('matrices', 'readonly', store => store.get(this.getMatrixCacheKey(release, metadata)));
+            // Entries of the same size hold int16 codes (older Float32 entries are twice as large)
+            if (entry && entry.data.byteLength === metadata.nGenes * metadata.nCellLines * Int16Array.BYTES_PER_ELEMENT) {
+                return new Int16Array(entry.data);
+            }
+        } catch (error) {
+            console.warn('Could not read cached gene effects:', error);
+        }
+        return null;
+    }
+
+    async storeCachedGeneEffects(release, metadata, codes) {
+        // IndexedDB cannot store a SharedArrayBuffer; slice() copies into a plain ArrayBuffer
+        const data = codes.buffer instanceof ArrayBuffer ? codes.buffer : codes.slice().buffer;
+        const key = this.getMatrixCacheKey(release, metadata);
+        const entry = { key, release: release.id, savedAt: new Date().toISOString(), data };
+        const releaseIds = new Set(this.releases.map(r => r.id));
+        try {
+            // Each matrix is ~45 MB: drop older copies of this release and releases no longer in the manifest
+            await this.cacheTransaction('matrices', 'readwrite', store => {
+                const keysRequest = store.getAllKeys();
+                keysRequest.onsuccess = () => keysRequest.result.forEach(oldKey => {
+                    // Expression and drug response are cached as '<release>:<source>' (see loadAlignedSource)
+                    const oldRelease = oldKey.split('|')[0];
+                    if (oldKey !== key && (oldRelease === release.id || !releaseIds.has(oldRelease.split(':')[0]))) store.delete(oldKey);
+                });
+                return store.put(entry);
+            });
+        } catch (error) {
+            // e.g. storage quota exceeded - the matrix is downloaded again next time
+            console.warn('Could not cache gene effects:', error);
+        }
+    }
+
+    // ============================================================
+    // Analysis History
+    // ============================================================
+
+    // Save the analysis that just finished ('network' or 'mutation'); the last
+    // HISTORY_LIMIT analyses are kept and can be reopened without recomputing
+    async recordHistory(kind) {
+        const mode = document.querySelector('input[name="analysisMode"]:checked').value;
+        const settings = this.buildUrlState();
+        const summary = {
+            savedAt: new Date().toISOString(),
+            release: this.currentRelease.id,
+            mode,
+            genes: kind === 'mutation' ? [] : kind === 'differential' ? [this.differentialResults.gene]
+                : (settings.get('genes') || '').split(',').filter(g => g.length > 0),
+            filters: this.getHistoryFilters(kind),
+            result: kind === 'mutation' || kind === 'differential'
+                ? `${(kind === 'mutation' ? this.mutationResults : this.differentialResults).significantResults.length} significant genes`
+                : `${this.results.correlations.length} correlations, ${this.results.clusters.length} genes`
+        };
+        const data = {
+            kind,
+            release: this.currentRelease.id,
+            releaseLabel: this.currentRelease.label,
+            settings: settings.toString(),
+            session: kind === 'network' ? this.buildSessionData(false) : null,
+            mutationResults: kind === 'mutation' ? this.mutationResults : null,
+            differentialResults: kind === 'differential' ? this.differentialResults : null
+        };
+
+        try {
+            await this.cacheTransaction(['history', 'historyData'], 'readwrite', (history, historyData) => {
+                const request = history.add(summary);
+                request.onsuccess = () => historyData.put({ ...data, id: request.result });
+                return request;
+            });
+            const ids = await this.cacheTransaction('history', 'readonly', store => store.getAllKeys());
+            if (ids && ids.length > this.HISTORY_LIMIT) {
+                const expired = ids.slice(0, ids.length - this.HISTORY_LIMIT);
+                await this.cacheTransaction(['history', 'historyData'], 'readwrite', (history, historyData) => {
+                    expired.forEach(id => {
+                        history.delete(id);
+                        historyData.delete(id);
+                    });
+                });
+            }
+        } catch (error) {
+            console.warn('Could not save analysis history:', error);
+        }
+        this.renderHistory();
+    }
+
+    getHistoryFilters(kind) {
+        const parts = [];
+        if (kind === 'mutation') {
+            const mr = this.mutationResults;
+            parts.push(`${this.getMutationFeatureLabel(mr.hotspotGene)} vs ${this.getMutationLevelLabels(mr.hotspotGene).none}`, `${this.getMutationPValueLabel(mr.pAdjust)} < ${mr.pThreshold}`);
+        } else if (kind === 'differential') {
+            const dr = this.differentialResults;
+            parts.push(`${dr.labelA} vs ${dr.labelB}`, `${this.getMutationPValueLabel(dr.pAdjust)} < ${dr.pThreshold}`);
+        } else {
+            const r = this.results;
+            if (r.topN) parts.push(`top ${r.topN} per gene`);
+            parts.push(`|${this.getCorrelationSymbol(r.method)}| ≥ ${r.cutoff}`);
+            if (r.maxFdr !== null && r.maxFdr !== undefined) parts.push(`q ≤ ${r.maxFdr}`);
+            if (r.partial) parts.push(`partial, ${this.getPartialCorrelationLabel(r.partial)}`);
+        }
+        const lineage = document.getElementById('lineageFilter').value;
+        const subLineage = document.getElementById('subLineageFilter')?.value;
+        if (lineage) parts.push(subLineage ? `${lineage} / ${subLineage}` : lineage);
+        const hotspot = document.getElementById('paramHotspotGene').value;
+        if (hotspot) parts.push(`${this.getMutationFeatureLabel(hotspot, true)}: ${document.getElementById('paramHotspotLevel').selectedOptions[0]?.textContent || ''}`);
+        return parts.join('; ');
+    }
+
+    async renderHistory() {
+        let entries = null;
+        try {
+            entries = await this.cacheTransaction('history', 'readonly', store => store.getAll());
+        } catch (error) {
+            console.warn('Could not read analysis history:', error);
+        }
+        const card = document.getElementById('historyCard');
+        if (!entries) {
+            card.style.display = 'none';
+            return;
+        }
+        card.style.display = 'block';
+
+        const modeLabels = { analysis: 'Analysis', design: 'Design', biomarker: 'Biomarker', drug: 'Drug', mutation: 'Mutation', bipartite: 'Two lists', differential: 'Differential' };
+        const list = document.getElementById('historyList');
+        list.innerHTML = entries.length === 0
+            ? '<div class="history-empty">Finished analyses will be listed here.</div>'
+            : '';
+        entries.reverse().forEach(entry => {
+            const genes = entry.genes.length > 6
+                ? `${entry.genes.slice(0, 6).join(', ')} +${entry.genes.length - 6} more`
+                : entry.genes.join(', ');
+            const item = document.createElement('div');
+            item.className = 'history-item';
+            item.title = 'Reopen this analysis';
+            item.innerHTML = `
+                <div class="history-item-header">
+                    <span><strong>${modeLabels[entry.mode] || entry.mode}</strong> &middot; ${entry.result}</span>
+                    <span class="history-time">${this.releases.length > 1 ? `${this.getReleaseLabel(entry.release)}, ` : ''}${new Date(entry.savedAt).toLocaleString()}</span>
+                </div>
+                ${genes ? `<div>${genes}</div>` : ''}
+                <div class="history-filters">${entry.filters}</div>`;
+            item.addEventListener('click', () => this.openHistoryEntry(entry.id));
+            list.appendChild(item);
+        });
+    }
+
+    async openHistoryEntry(id) {
+        let data = null;
+        try {
+            data = await this.cacheTransaction('historyData', 'readonly', store => store.get(id));
+        } catch (error) {
+            console.warn('Could not read analysis history:', error);
+        }
+        if (!data) {
+            this.showStatus('error', 'This analysis is no longer in the history');
+            this.renderHistory();
+            return;
+        }
+
+        try {
+            if (data.kind === 'network') {
+                await this.openSession(data.session, 'Analysis reopened');
+                return;
+            }
+            await this.loadSavedRelease(data);
+        } catch (error) {
+            console.error('History error:', error);
+            this.showStatus('error', 'Could not reopen analysis: ' + error.message);
+            return;
+        }
+
+        this.restoringUrlState = true;
+        try {
+            this.applyUrlStateControls(new URLSearchParams(data.settings));
+        } finally {
+            this.restoringUrlState = false;
+        }
+        let reopened;
+        if (data.kind === 'differential') {
+            this.differentialResults = data.differentialResults;
+            this.showResultsTab('differential');
+            this.displayDifferentialResults();
+            reopened = this.differentialResults;
+        } else {
+            this.mutationResults = data.mutationResults;
+            this.displayMutationResults();
+            this.showResultsTab('mutation');
+            reopened = this.mutationResults;
+        }
+        this.updateUrlHash();
+
+        this.showStatus('success',
+            `&#10003; Analysis reopened: ${reopened.significantResults.length} genes with ${this.getMutationPValueLabel(reopened.pAdjust)} < ${reopened.pThreshold}`);
+    }
+
+    async clearHistory() {
+        if (!confirm('Remove all analyses from the history?')) return;
+        try {
+            await this.cacheTransaction(['history', 'historyData'], 'readwrite', (history, historyData) => {
+                history.clear();
+                historyData.clear();
+            });
+        } catch (error) {
+            console.warn('Could not clear analysis history:', error);
+        }
+        this.renderHistory();
+    }
 }
 
 // Initialize app
@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+/**
+ * Gene Correlation Explorer - Command Line
+ * Runs the analyses of the web app on a local copy of web_data (AnalysisEngine in
+ * analysisEngine.js) and writes the same CSV files as the app's exports, e.g.
+ *
+ *   node bin/correlate.js design --genes genes.txt --lineage Lung --cutoff 0.4 --out results.csv
+ *
+ * Author: Wermeling Lab / Karolinska Institutet
+ */
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { AnalysisCore } = require('../analysisCore.js');
+const { AnalysisEngine } = require('../analysisEngine.js');
+
+const USAGE = `Usage: node bin/correlate.js <command> [options]
+
+Commands:
+  design       Input genes against all genes (find correlated genes)
+  analysis     Correlations within the input gene list
+  bipartite    Input genes (list A) against the --genes-b list only (A x B pairs)
+  biomarker    Input genes against expression of all genes (--direction expression: the reverse)
+  drug         Input genes against response to all compounds (--direction compound: input compounds)
+  mutation     Gene effect of mutant vs wild-type cell lines (--mutation required)
+  differential Correlations of one gene with all genes, group A vs group B of cell lines (Fisher z)
+
+Data:
+  --data DIR             Directory holding web_data/ (default: the app directory)
+  --release ID           Data release from web_data/releases.json (default: the manifest default)
+
+Correlation commands:
+  --genes FILE           Gene (or compound) list, whitespace separated; - reads stdin
+  --genes-b FILE         Bipartite: list B, tested against --genes as list A
+  --method NAME          pearson (default), spearman or bicor
+  --cutoff R             Correlation cutoff (default: 0.5; with --top-n the minimum |r|, default 0)
+  --top-n N              Keep the N strongest positive and N strongest negative correlates per gene
+  --min-slope S          Minimum slope (default: 0.1)
+  --max-fdr Q            Maximum BH q-value (default: off)
+  --partial-lineage      Partial correlation controlling for lineage
+  --partial-hotspots A,B Partial correlation controlling for these mutation / copy number features
+  --expand               Design mode: also correlate the genes found with each other
+  --direction NAME       biomarker: effect (default) or expression; drug: gene (default) or compound
+  --clustering NAME      Network clusters: components (default), louvain or leiden
+  --resolution R         Louvain / Leiden resolution, higher gives smaller clusters (default: 1)
+  --clusters FILE        Also write the clusters export (bipartite: with partners in the other list)
+
+Mutation command:
+  --mutation FEATURE     Feature to compare: KRAS (hotspot), TP53:damaging, MYC:amp, CDKN2A:del
+  --p-threshold P        P-value threshold (default: 0.001; also differential)
+  --p-adjust NAME        raw, bh (default) or bonferroni (also differential)
+
+Differential command:
+  --gene GENE            Gene whose correlations are compared
+  --group-by NAME        lineage (default), subtype or mutation
+  --feature FEATURE      Mutation grouping: the feature, e.g. KRAS or MYC:amp
+  --group-a VALUE        Group A: a lineage or subtype, or a level of --feature (0, 1, 2 or 1+2)
+  --group-b VALUE        Group B, as --group-a (default: all other cell lines)
+
+Common:
+  --lineage NAME         Only cell lines of this lineage
+  --subtype NAME         Only cell lines of this subtype (primary disease)
+  --hotspot FEATURE      Only cell lines at --hotspot-level of this feature
+  --hotspot-level LEVEL  all (default), 0, 1, 2 or 1+2
+  --min-cells N          Minimum cell lines (default: 50; differential: per group)
+  --out FILE             Write the results export to FILE (default: stdout)
+  --help                 Show this help
+`;
+
+const COMMANDS = ['design', 'analysis', 'bipartite', 'biomarker', 'drug', 'mutation', 'differential'];
+const FLAGS = new Set(['partial-lineage', 'expand', 'help']);
+const OPTIONS = new Set([
+    'data', 'release', 'genes', 'genes-b', 'method', 'cutoff', 'top-n', 'min-slope', 'max-fdr', 'partial-hotspots', 'direction',
+    'clustering', 'resolution', 'clusters', 'mutation', 'p-threshold', 'p-adjust', 'lineage', 'subtype', 'hotspot', 'hotspot-level',
+    'min-cells', 'out', 'gene', 'group-by', 'feature', 'group-a', 'group-b'
+]);
+
+// AnalysisEngine reading web_data from the local file system
+class FileAnalysisEngine extends AnalysisEngine {
+    constructor(dataDir) {
+        super();
+        this.dataDir = dataDir;
+    }
+
+    async readJson(file) {
+        const fullPath = path.resolve(this.dataDir, file);
+        if (!fs.existsSync(fullPath)) return null;
+        return JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    }
+
+    async readMatrix(release, metadata, file = 'geneEffects.bin.gz') {
+        const fullPath = path.resolve(this.dataDir, release.path, file);
+        if (!fs.existsSync(fullPath)) throw new Error(`${release.label} matrix not found: ${file}`);
+        const bytes = zlib.unzipSync(fs.readFileSync(fullPath));
+        // Copied so the codes start on an aligned buffer of their own
+        const codes = new Int16Array(metadata.nGenes * metadata.nCellLines);
+        if (bytes.length !== codes.byteLength) throw new Error(`${release.label} data file is incomplete: ${file}`);
+        new Uint8Array(codes.buffer).set(bytes);
+        return { matrix: AnalysisCore.int16Matrix(codes, metadata.scaleFactor, metadata.naValue), fromCache: false };
+    }
+}
+
+function parseArgs(argv) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            positional.push(arg);
+            continue;
+        }
+        const [name, inline] = arg.slice(2).split(/=(.*)/s);
+        if (FLAGS.has(name)) {
+            options[name] = true;
+        } else if (OPTIONS.has(name)) {
+            const value = inline !== undefined ? inline : argv[++i];
+            if (value === undefined) throw new Error(`--${name} needs a value`);
+            options[name] = value;
+        } else {
+            throw new Error(`unknown option --${name}`);
+        }
+    }
+    if (positional.length > 1) throw new Error(`unexpected argument ${positional[1]}`);
+    return { command: positional[0], options };
+}
+
+function numberOption(options, name, fallback) {
+    if (options[name] === undefined) return fallback;
+    const value = Number(options[name]);
+    if (options[name] === '' || isNaN(value)) throw new Error(`--${name} must be a number`);
+    return value;
+}
+
+function choiceOption(options, name, choices, fallback) {
+    const value = options[name] === undefined ? fallback : options[name];
+    if (!choices.includes(value)) throw new Error(`--${name} must be one of ${choices.join(', ')}`);
+    return value;
+}
+
+// Mutation / copy number feature keys must exist in the release
+function featureOption(engine, options, name) {
+    const key = options[name];
+    if (key && !engine.getMutationData(key)) throw new Error(`--${name}: no mutation or copy number data for ${key}`);
+    return key || '';
+}
+
+function writeOutput(file, text) {
+    if (file && file !== '-') {
+        fs.writeFileSync(file, text);
+    } else {
+        process.stdout.write(text);
+    }
+}
+
+// Genes of the list file in the source's index; missing symbols are looked up in the local
+// synonym and ortholog tables like the app's "Find Synonyms" (compounds are taken as given)
+async function readGeneList(engine, file, source) {
+    const text = fs.readFileSync(file === '-' ? 0 : file, 'utf8');
+    const tokens = text.split(/\s+/).filter(token => token !== '');
+    if (source.kind !== 'drug') await engine.loadSynonyms();
+
+    const notFound = [];
+    const genes = tokens.map(token => {
+        if (source.geneIndex.has(token.toUpperCase())) return token;
+        const local = source.kind !== 'drug' ? engine.findLocalSynonym(token, source.geneIndex) : null;
+        if (local) {
+            console.error(`${local.original} -> ${local.replacement} [${local.source}]`);
+            return local.replacement;
+        }
+        notFound.push(token);
+        return null;
+    }).filter(gene => gene !== null);
+
+    if (notFound.length > 0) console.error(`Not found (${notFound.length}): ${notFound.join(', ')}`);
+    return engine.parseGeneList(genes.join('\n'), source.geneIndex);
+}
+
+// Cell line filters as taken by AnalysisEngine.filterCellLines
+function getFilters(engine, options) {
+    return {
+        lineage: options.lineage || '',
+        subLineage: options.subtype || '',
+        hotspotGene: featureOption(engine, options, 'hotspot'),
+        hotspotLevel: choiceOption(options, 'hotspot-level', ['all', '0', '1', '2', '1+2'], 'all')
+    };
+}
+
+async function runCorrelations(engine, mode, options) {
+    const directions = { biomarker: ['effect', 'expression'], drug: ['gene', 'compound'] }[mode] || ['effect'];
+    const direction = choiceOption(options, 'direction', directions, directions[0]);
+    const sources = engine.getModeSources(mode, direction);
+    if (sources.includes('expression')) await engine.loadExpression();
+    if (sources.includes('drug')) await engine.loadDrugs();
+
+    if (!options.genes) throw new Error('--genes is required');
+    const inputSource = engine.getDataSource(sources[0]);
+    const geneList = await readGeneList(engine, options.genes, inputSource);
+    if (geneList.length === 0) throw new Error(`no valid ${sources[0] === 'drug' ? 'compound' : 'gene'} in ${options.genes}`);
+    if (mode === 'analysis' && geneList.length < 2) throw new Error('analysis mode requires at least 2 genes');
+    let geneListB = [];
+    if (mode === 'bipartite') {
+        if (!options['genes-b']) throw new Error('--genes-b is required');
+        geneListB = await readGeneList(engine, options['genes-b'], inputSource);
+        if (geneListB.length === 0) throw new Error(`no valid gene in ${options['genes-b']}`);
+    }
+
+    const topN = numberOption(options, 'top-n', null);
+    if (topN !== null && !(Number.isInteger(topN) && topN > 0)) throw new Error('--top-n must be a whole number above 0');
+    const cutoff = numberOption(options, 'cutoff', topN !== null ? 0 : 0.5);
+    const minN = numberOption(options, 'min-cells', 50);
+    const minSlope = numberOption(options, 'min-slope', 0.1);
+    const maxFdr = numberOption(options, 'max-fdr', null);
+    const method = choiceOption(options, 'method', AnalysisCore.CORRELATION_METHODS, 'pearson');
+    const clustering = {
+        method: choiceOption(options, 'clustering', AnalysisCore.CLUSTERING_METHODS, 'components'),
+        resolution: numberOption(options, 'resolution', 1)
+    };
+    if (!(clustering.resolution > 0)) throw new Error('--resolution must be above 0');
+    const hotspots = (options['partial-hotspots'] || '').split(',').filter(key => key !== '');
+    hotspots.forEach(key => {
+        if (!engine.getMutationData(key)) throw new Error(`--partial-hotspots: no mutation or copy number data for ${key}`);
+    });
+    const partial = options['partial-lineage'] || hotspots.length > 0
+        ? { lineage: !!options['partial-lineage'], hotspots }
+        : null;
+
+    const filters = getFilters(engine, options);
+    const cellLineIndices = engine.filterCellLines(filters);
+    if (cellLineIndices.length < minN) {
+        throw new Error(`too few cell lines for analysis (${cellLineIndices.length} available, ${minN} required). Adjust filters or reduce --min-cells`);
+    }
+    if (cellLineIndices.length < 10) {
+        throw new Error(`too few cell lines match the filter (${cellLineIndices.length} found)`);
+    }
+
+    const results = await engine.calculateCorrelations(geneList, mode, cutoff, minN, minSlope, cellLineIndices, {
+        expandNetwork: mode === 'design' && !!options.expand,
+        maxFdr: maxFdr !== null && maxFdr > 0 && maxFdr < 1 ? maxFdr : null,
+        method,
+        topN,
+        partial,
+        direction,
+        clustering,
+        geneListB
+    });
+    if (!results.success) throw new Error(results.error);
+    engine.results = results;
+
+    writeOutput(options.out, engine.buildCorrelationsCSV(results));
+    if (options.clusters) {
+        writeOutput(options.clusters, engine.buildClustersCSV(results, { lineage: filters.lineage, subLineage: filters.subLineage }));
+    }
+    console.error(`${results.correlations.length} correlations, ${results.clusters.length} genes in ${results.clustering.nClusters} clusters ` +
+        `(modularity ${results.clustering.modularity.toFixed(3)}, ${results.nCellLines} cell lines)`);
+}
+
+async function runMutation(engine, options) {
+    if (!options.mutation) throw new Error('--mutation is required');
+    const hotspotGene = featureOption(engine, options, 'mutation');
+    const minN = numberOption(options, 'min-cells', 50);
+    const pThreshold = numberOption(options, 'p-threshold', 0.001);
+    const pAdjust = choiceOption(options, 'p-adjust', ['raw', 'bh', 'bonferroni'], 'bh');
+    const filters = getFilters(engine, options);
+
+    const analysisResult = await engine.calculateMutationAnalysis(hotspotGene, minN, filters.lineage, filters.subLineage,
+        filters.hotspotGene, filters.hotspotLevel);
+    const mr = engine.buildMutationResults(analysisResult, {
+        hotspotGene,
+        pThreshold,
+        pAdjust,
+        minN,
+        lineageFilter: filters.lineage,
+        subLineageFilter: filters.subLineage,
+        additionalHotspot: filters.hotspotGene,
+        additionalHotspotLevel: filters.hotspotLevel
+    });
+    engine.mutationResults = mr;
+
+    writeOutput(options.out, engine.buildMutationResultsCSV(mr));
+    console.error(`${mr.significantResults.length} genes with ${engine.getMutationPValueLabel(pAdjust)} < ${pThreshold} ` +
+        `(${mr.nWT} WT, ${mr.nMut} mutated cell lines)`);
+}
+
+async function runDifferential(engine, options) {
+    if (!options.gene) throw new Error('--gene is required');
+    let gene = options.gene.toUpperCase();
+    if (!engine.geneIndex.has(gene)) {
+        await engine.loadSynonyms();
+        const local = engine.findLocalSynonym(options.gene);
+        if (!local) throw new Error(`gene ${options.gene} not found`);
+        console.error(`${local.original} -> ${local.replacement} [${local.source}]`);
+        gene = local.replacement;
+    }
+
+    const by = choiceOption(options, 'group-by', ['lineage', 'subtype', 'mutation'], 'lineage');
+    if (!options['group-a']) throw new Error('--group-a is required');
+    const grouping = { by, feature: '', groupA: options['group-a'], groupB: options['group-b'] || '' };
+    if (by === 'mutation') {
+        if (!options.feature) throw new Error('--feature is required with --group-by mutation');
+        grouping.feature = featureOption(engine, options, 'feature');
+        choiceOption(options, 'group-a', ['0', '1', '2', '1+2']);
+        if (grouping.groupB) choiceOption(options, 'group-b', ['0', '1', '2', '1+2']);
+    }
+    const minN = numberOption(options, 'min-cells', 50);
+    const pThreshold = numberOption(options, 'p-threshold', 0.001);
+    const pAdjust = choiceOption(options, 'p-adjust', ['raw', 'bh', 'bonferroni'], 'bh');
+    const filters = getFilters(engine, options);
+
+    const analysisResult = await engine.calculateDifferentialCorrelation(gene, grouping, minN, engine.filterCellLines(filters));
+    const dr = engine.buildDifferentialResults(analysisResult, { pThreshold, pAdjust, minN, filters });
+    engine.differentialResults = dr;
+
+    writeOutput(options.out, engine.buildDifferentialCorrelationCSV(dr));
+    console.error(`${dr.significantResults.length} genes with ${engine.getMutationPValueLabel(pAdjust)} < ${pThreshold} ` +
+        `(${dr.labelA}: ${dr.nA}, ${dr.labelB}: ${dr.nB} cell lines)`);
+}
+
+async function main(argv) {
+    const { command, options } = parseArgs(argv);
+    if (options.help || !command) {
+        process.stdout.write(USAGE);
+        return;
+    }
+    if (!COMMANDS.includes(command)) throw new Error(`unknown command ${command} (see --help)`);
+
+    const engine = new FileAnalysisEngine(options.data || path.join(__dirname, '..'));
+    engine.setReleaseManifest(await engine.readJson('web_data/releases.json'));
+    const release = engine.getRelease(options.release);
+    if (options.release && release.id !== options.release) {
+        throw new Error(`unknown release ${options.release} (available: ${engine.releases.map(r => r.id).join(', ')})`);
+    }
+    await engine.loadRelease(release);
+
+    if (command === 'mutation') {
+        await runMutation(engine, options);
+    } else if (command === 'differential') {
+        await runDifferential(engine, options);
+    } else {
+        await runCorrelations(engine, command, options);
+    }
+}
+
+if (require.main === module) {
+    main(process.argv.slice(2)).catch(error => {
+        console.error(`correlate: ${error.message}`);
+        process.exitCode = 1;
+    });
+}
+
+module.exports = { FileAnalysisEngine, main };
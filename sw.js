@@ -0,0 +1,167 @@
+/**
+ * Gene Correlation Explorer - Service Worker
+ * Makes the app installable and usable offline after the first visit.
+ * - App shell and libraries (vendored in lib/) are precached per APP_VERSION (keep it in
+ *   step with the ?v= stamp on the scripts in index.html) and served cache-first.
+ * - web_data files are cached on first use, except the matrices (*.bin.gz): the app keeps
+ *   those decoded in IndexedDB, so they are stored once. releases.json is always fetched
+ *   from the network when possible; when it changes, cached files of releases whose entry
+ *   changed are dropped so the next load gets the new data.
+ */
+
+const APP_VERSION = '20261019za';
+const SHELL_CACHE = `correlate-shell-${APP_VERSION}`;
+const DATA_CACHE = 'correlate-data';
+const RELEASES_URL = new URL('web_data/releases.json', self.registration.scope).href;
+
+const SHELL_FILES = [
+    './',
+    'index.html',
+    'app.js',
+    'analysisCore.js',
+    'analysisEngine.js',
+    'analysisWorker.js',
+    'manifest.webmanifest',
+    'favicon.ico',
+    'favicon-32x32.png',
+    'icon-192.png',
+    'icon-512.png',
+    'web_data/correlate_logo.png'
+];
+
+// Must match the library <script> tags in index.html
+const LIBRARY_FILES = [
+    'lib/plotly-2.27.0.min.js',
+    'lib/pako-2.1.0.min.js',
+    'lib/vis-network-9.1.9.min.js',
+    'lib/jszip-3.10.1.min.js'
+];
+
+// Fonts are cached on first use; the app falls back to system fonts without them
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+const SHELL_URLS = new Set(SHELL_FILES.concat(LIBRARY_FILES).map(file => new URL(file, self.registration.scope).href));
+const DATA_BASE = new URL('web_data/', self.registration.scope).href;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil((async () => {
+        const cache = await caches.open(SHELL_CACHE);
+        await cache.addAll(SHELL_FILES.concat(LIBRARY_FILES));
+    })());
+    // No skipWaiting here: a new version waits until the page accepts the update prompt
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith('correlate-shell-') && name !== SHELL_CACHE)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+self.addEventListener('message', (event) => {
+    const msg = event.data;
+    if (msg?.type === 'skip-waiting') {
+        self.skipWaiting();
+    } else if (msg?.type === 'cache-urls') {
+        // Files the page loaded before this worker controlled it (first visit)
+        event.waitUntil(Promise.all(msg.urls.map(url => {
+            const cacheName = getCacheName(new URL(url));
+            if (!cacheName || url === RELEASES_URL) return null;
+            return cacheFirst(cacheName, url, url).catch(() => null);
+        })));
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (url.href === RELEASES_URL) {
+        event.respondWith(fetchReleaseManifest(request));
+    } else if (request.mode === 'navigate' && url.href.startsWith(self.registration.scope)) {
+        event.respondWith(cacheFirst(SHELL_CACHE, 'index.html', request, { ignoreSearch: true }));
+    } else {
+        const cacheName = getCacheName(url);
+        if (!cacheName) return;
+        // Local scripts carry a ?v= stamp (the shell cache is versioned already)
+        const options = { ignoreSearch: cacheName === SHELL_CACHE && url.origin === self.location.origin, ignoreVary: true };
+        event.respondWith(cacheFirst(cacheName, request, request, options));
+    }
+});
+
+// Cache for a request URL, or null for requests left to the browser
+function getCacheName(url) {
+    const href = url.origin + url.pathname;
+    if (SHELL_URLS.has(href)) return SHELL_CACHE;
+    // Matrices are cached decoded by the app (IndexedDB, see storeCachedGeneEffects)
+    if (href.startsWith(DATA_BASE) && !href.endsWith('.bin.gz')) return DATA_CACHE;
+    if (FONT_HOSTS.includes(url.hostname)) return SHELL_CACHE;
+    return null;
+}
+
+// Serve key from cache, otherwise fetch request and keep successful responses
+async function cacheFirst(cacheName, key, request, options = {}) {
+    const cache = await caches.open(cacheName);
+    const cached = await cache.match(key, options);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(key, response.clone());
+    }
+    return response;
+}
+
+// Network first so a newly deployed release is seen on the next load; the cached copy
+// keeps the app working offline
+async function fetchReleaseManifest(request) {
+    const cache = await caches.open(DATA_CACHE);
+    let response;
+    try {
+        response = await fetch(request, { cache: 'no-cache' });
+    } catch (error) {
+        return (await cache.match(RELEASES_URL)) || Response.error();
+    }
+    if (!response.ok) return (await cache.match(RELEASES_URL)) || response;
+
+    const cached = await cache.match(RELEASES_URL);
+    const previous = cached ? await readManifest(cached) : null;
+    const current = await readManifest(response.clone());
+    if (previous && current) await dropChangedReleases(cache, previous, current);
+    await cache.put(RELEASES_URL, response.clone());
+    return response;
+}
+
+async function readManifest(response) {
+    try {
+        return await response.json();
+    } catch (error) {
+        return null;
+    }
+}
+
+// Delete cached files of releases that were removed or whose entry changed. A file belongs
+// to the release with the longest matching path, so web_data/ (the default release) does
+// not claim files of releases in subdirectories. Files outside any release (e.g.
+// orthologs.json) are refetched whenever anything changed
+async function dropChangedReleases(cache, previous, current) {
+    const entryOf = (manifest, id) => JSON.stringify((manifest.releases || []).find(r => r.id === id) || null);
+    const changed = new Set();
+    const paths = (previous.releases || []).map(r => {
+        if (entryOf(previous, r.id) !== entryOf(current, r.id)) changed.add(r.id);
+        return { id: r.id, href: new URL(r.path.replace(/\/?$/, '/'), self.registration.scope).href };
+    }).sort((a, b) => b.href.length - a.href.length);
+    const anyChange = changed.size > 0 || JSON.stringify(previous) !== JSON.stringify(current);
+    if (!anyChange) return;
+
+    const keys = await cache.keys();
+    await Promise.all(keys.map(key => {
+        if (key.url === RELEASES_URL || !key.url.startsWith(DATA_BASE)) return null;
+        const owner = paths.find(p => key.url.startsWith(p.href));
+        const stale = owner ? changed.has(owner.id) : true;
+        return stale ? cache.delete(key) : null;
+    }));
+}
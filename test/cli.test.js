@@ -0,0 +1,121 @@
+/**
+ * Gene Correlation Explorer - Command Line Tests
+ * Runs bin/correlate.js on the fixture release in test/fixtures/web_data/ and checks that
+ * its files equal the app's exports (buildCorrelationsCSV, buildClustersCSV,
+ * buildMutationResultsCSV) of the same analysis run on AnalysisEngine directly.
+ * The fixture is synthetic: gene effects of 60 genes (G0-G59 with KRAS and TP53) in 60
+ * cell lines of three lineages, expression of G0-G29 in 54 of them, KRAS and TP53
+ * mutations, and the synonym OLDG5 -> G5.
+ *
+ *   node --test test/cli.test.js
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { FileAnalysisEngine } = require('../bin/correlate.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'correlate.js');
+const DATA = path.join(__dirname, 'fixtures');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'correlate-test-'));
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function tmpFile(name, text = null) {
+    const file = path.join(tmp, name);
+    if (text !== null) fs.writeFileSync(file, text);
+    return file;
+}
+
+function runCli(args) {
+    return execFileSync(process.execPath, [CLI, ...args, '--data', DATA], { encoding: 'utf8', stdio: ['ignore', 'pipe', 'pipe'] });
+}
+
+async function loadEngine() {
+    const engine = new FileAnalysisEngine(DATA);
+    engine.setReleaseManifest(await engine.readJson('web_data/releases.json'));
+    await engine.loadRelease(engine.getRelease());
+    return engine;
+}
+
+// The correlation options the command line passes for its defaults
+const CORRELATION_OPTIONS = {
+    expandNetwork: false,
+    maxFdr: null,
+    method: 'pearson',
+    topN: null,
+    partial: null,
+    direction: 'effect',
+    clustering: { method: 'components', resolution: 1 },
+    geneListB: []
+};
+
+const NO_FILTERS = { lineage: '', subLineage: '', hotspotGene: '', hotspotLevel: 'all' };
+
+test('design mode writes the correlations and clusters exports', async () => {
+    const genes = tmpFile('design.txt', 'G0 G1 OLDG5 KRAS\n');
+    const clusters = tmpFile('design-clusters.csv');
+    const csv = runCli(['design', '--genes', genes, '--cutoff', '0.3', '--min-cells', '20', '--lineage', 'Lung', '--clusters', clusters]);
+
+    const engine = await loadEngine();
+    const results = await engine.calculateCorrelations(['G0', 'G1', 'G5', 'KRAS'], 'design', 0.3, 20, 0.1,
+        engine.filterCellLines({ ...NO_FILTERS, lineage: 'Lung' }), CORRELATION_OPTIONS);
+    assert.ok(results.success);
+    assert.ok(results.correlations.length > 0);
+    assert.strictEqual(csv, engine.buildCorrelationsCSV(results));
+    assert.strictEqual(fs.readFileSync(clusters, 'utf8'), engine.buildClustersCSV(results, { lineage: 'Lung', subLineage: '' }));
+});
+
+test('spearman analysis mode with an FDR limit matches the engine', async () => {
+    const genes = tmpFile('analysis.txt', 'G0 G1 G2 G3 G4 G5 G6 G9 G12 G40 G41\n');
+    const csv = runCli(['analysis', '--genes', genes, '--cutoff', '0.2', '--min-cells', '20', '--method', 'spearman', '--max-fdr', '0.05']);
+
+    const engine = await loadEngine();
+    const results = await engine.calculateCorrelations(['G0', 'G1', 'G2', 'G3', 'G4', 'G5', 'G6', 'G9', 'G12', 'G40', 'G41'], 'analysis',
+        0.2, 20, 0.1, engine.filterCellLines(NO_FILTERS), { ...CORRELATION_OPTIONS, method: 'spearman', maxFdr: 0.05 });
+    assert.ok(results.success);
+    assert.strictEqual(csv, engine.buildCorrelationsCSV(results));
+});
+
+test('biomarker mode keeps a gene\'s effect and expression apart', async () => {
+    const genes = tmpFile('biomarker.txt', 'G1 G2\n');
+    const clusters = tmpFile('biomarker-clusters.csv');
+    const csv = runCli(['biomarker', '--genes', genes, '--cutoff', '0.4', '--min-cells', '20', '--clusters', clusters]);
+
+    const engine = await loadEngine();
+    await engine.loadExpression();
+    const results = await engine.calculateCorrelations(['G1', 'G2'], 'biomarker', 0.4, 20, 0.1,
+        engine.filterCellLines(NO_FILTERS), CORRELATION_OPTIONS);
+    assert.ok(results.success);
+    assert.strictEqual(csv, engine.buildCorrelationsCSV(results));
+    const clustersCsv = fs.readFileSync(clusters, 'utf8');
+    assert.strictEqual(clustersCsv, engine.buildClustersCSV(results, { lineage: '', subLineage: '' }));
+
+    // G1 correlates with its own expression: one row per node
+    const g1Rows = clustersCsv.split('\n').filter(line => line.startsWith('G1,'));
+    assert.deepStrictEqual(g1Rows.map(line => line.split(',')[1]), ['Input', 'Correlated expression']);
+});
+
+test('mutation analysis writes the mutation results export', async () => {
+    const csv = runCli(['mutation', '--mutation', 'KRAS', '--min-cells', '20', '--p-threshold', '0.01']);
+
+    const engine = await loadEngine();
+    const analysisResult = await engine.calculateMutationAnalysis('KRAS', 20, '', '', '', 'all');
+    const mr = engine.buildMutationResults(analysisResult, {
+        hotspotGene: 'KRAS',
+        pThreshold: 0.01,
+        pAdjust: 'bh',
+        minN: 20,
+        lineageFilter: '',
+        subLineageFilter: '',
+        additionalHotspot: '',
+        additionalHotspotLevel: 'all'
+    });
+    assert.ok(mr.significantResults.length > 0);
+    assert.strictEqual(csv, engine.buildMutationResultsCSV(mr));
+});